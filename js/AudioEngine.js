@@ -1,27 +1,54 @@
 import { 
-    BASE_FREQUENCY, 
     NOTES_PER_OCTAVE, 
     BASE_SAMPLE_RATE,
     PORTAMENTO_TIME,
     AUDIO_STOP_DELAY,
+    MIX_SMOOTHING,
     ORG_VELOCITY_SCALE,
-    MAX_DRUMS
+    MAX_DRUMS,
+    WAVE_LENGTH,
+    CUSTOM_WAVE_PREFIX,
+    SYNTH_PREFIX
 } from './constants.js';
+import { Tuning } from './Tuning.js';
+import { EffectsChain } from './EffectsChain.js';
+import { UserSample } from './UserSample.js';
+import { SynthVoice } from './SynthVoice.js';
+
+// Organya pitch tables: base point frequency per 12-tone pitch class and wave period per octave
+const BASE_POINT_FREQS = [33408, 35584, 37632, 39808, 42112, 44672, 47488, 50048, 52992, 56320, 59648, 63232];
+const PERIOD_SIZES = [1024, 512, 256, 128, 64, 32, 16, 8];
 
 /**
  * Audio engine for handling all sound playback
  */
 export class AudioEngine {
-    constructor() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    /**
+     * @param {BaseAudioContext} audioContext - Optional context (e.g. an OfflineAudioContext for rendering)
+     */
+    constructor(audioContext = null) {
+        this.audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
         this.masterGain = this.audioContext.createGain();
         this.masterGain.gain.value = 0.3;
-        this.masterGain.connect(this.audioContext.destination);
+        
+        // Master effects, then the output and its peak meter
+        this.masterEffects = new EffectsChain(this.audioContext);
+        this.masterGain.connect(this.masterEffects.input);
+        this.masterEffects.output.connect(this.audioContext.destination);
+        this.masterAnalyser = this.createMeter();
+        this.masterEffects.output.connect(this.masterAnalyser.analyser);
+        
+        // Mixer bus per track: voices -> gain (volume, mute) -> panner -> effects -> masterGain
+        this.trackBuses = new Map();
         
         this.activeNotes = new Map();
         this.loadedSamples = new Map();
         this.wavetable = null;
         this.drums = [];
+        this.customWaves = new Map(); // Instrument name -> { name, samples: Int8Array }
+        this.userSamples = new Map(); // Instrument name -> { name, settings, data: ArrayBuffer|null, buffer: AudioBuffer|null }
+        this.sampleSource = null; // async id => ArrayBuffer|null, for imported samples the song doesn't embed
+        this.synths = new Map(); // Instrument name -> { name, settings }
         
         // Glissando state
         this.currentGlissandoNote = null;
@@ -30,6 +57,8 @@ export class AudioEngine {
         // Tempo for envelope timing
         this.currentBPM = 120;
         
+        // Pitch system for melodic notes
+        this.tuning = Tuning.edo(NOTES_PER_OCTAVE);
     }
 
     /**
@@ -41,10 +70,121 @@ export class AudioEngine {
     }
     
     /**
-     * Set current BPM for envelope timing
+     * Mixer bus of a track, created on first use at unity gain, centre pan and no effects
+     * @param {number} trackId - Track id
+     */
+    getTrackBus(trackId) {
+        if (!this.trackBuses.has(trackId)) {
+            const gain = this.audioContext.createGain();
+            const panner = this.audioContext.createStereoPanner();
+            const effects = new EffectsChain(this.audioContext);
+            const meter = this.createMeter();
+            effects.setBPM(this.currentBPM);
+            gain.connect(panner);
+            panner.connect(effects.input);
+            effects.output.connect(this.masterGain);
+            effects.output.connect(meter.analyser);
+            this.trackBuses.set(trackId, { gain, panner, effects, meter });
+        }
+        return this.trackBuses.get(trackId);
+    }
+    
+    /**
+     * Set a track's fader, pan and whether it is heard (mute and solo)
+     * @param {number} trackId - Track id
+     * @param {number} volume - Volume (0-100)
+     * @param {number} pan - Pan (-100 to 100)
+     * @param {boolean} audible - False to silence the track
+     */
+    setTrackMix(trackId, volume, pan, audible = true) {
+        const bus = this.getTrackBus(trackId);
+        this.setParam(bus.gain.gain, audible ? volume / 100 : 0);
+        this.setParam(bus.panner.pan, pan / 100);
+    }
+    
+    /**
+     * Set a track's insert effects
+     * @param {number} trackId - Track id
+     * @param {Object} settings - Effect settings (see EffectsChain.normalizeSettings)
+     */
+    setTrackEffects(trackId, settings) {
+        this.getTrackBus(trackId).effects.apply(settings);
+    }
+    
+    /**
+     * Set the effects on the master output
+     * @param {Object} settings - Effect settings (see EffectsChain.normalizeSettings)
+     */
+    setMasterEffects(settings) {
+        this.masterEffects.apply(settings);
+    }
+    
+    /**
+     * Move a mixer parameter, gliding briefly once the context is running so changes don't click
+     */
+    setParam(param, value) {
+        const now = this.audioContext.currentTime;
+        if (now === 0) {
+            param.value = value;
+        } else {
+            param.setTargetAtTime(value, now, MIX_SMOOTHING);
+        }
+    }
+    
+    /**
+     * Analyser with a buffer for reading peaks
+     */
+    createMeter() {
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        return { analyser, data: new Float32Array(analyser.fftSize) };
+    }
+    
+    /**
+     * Current peak level of a meter (0-1, may exceed 1 when clipping)
+     */
+    readPeak(meter) {
+        meter.analyser.getFloatTimeDomainData(meter.data);
+        let peak = 0;
+        for (let i = 0; i < meter.data.length; i++) {
+            peak = Math.max(peak, Math.abs(meter.data[i]));
+        }
+        return peak;
+    }
+    
+    /**
+     * Current peak level of a track after its fader, pan and effects
+     * @param {number} trackId - Track id
+     */
+    getTrackPeak(trackId) {
+        const bus = this.trackBuses.get(trackId);
+        return bus ? this.readPeak(bus.meter) : 0;
+    }
+    
+    /**
+     * Current peak level of the master output
+     */
+    getMasterPeak() {
+        return this.readPeak(this.masterAnalyser);
+    }
+    
+    /**
+     * Set the tuning used to turn keys into pitches
+     * @param {Tuning} tuning - Active tuning
+     */
+    setTuning(tuning) {
+        this.tuning = tuning;
+    }
+    
+    /**
+     * Set current BPM for envelope timing and tempo-synced delays
      */
     setBPM(bpm) {
         this.currentBPM = bpm;
+        
+        // Delays are tempo-synced
+        this.masterEffects.setBPM(bpm);
+        this.trackBuses.forEach(bus => bus.effects.setBPM(bpm));
     }
     
     /**
@@ -136,6 +276,208 @@ export class AudioEngine {
         }
     }
 
+    /**
+     * Reuse wavetable data already loaded by another engine
+     * @param {AudioEngine} engine - Engine with a loaded wavetable
+     */
+    useWavetableFrom(engine) {
+        this.wavetable = engine.wavetable;
+        this.drums = engine.drums;
+        this.customWaves = new Map(engine.customWaves);
+        this.userSamples = new Map(engine.userSamples);
+        this.sampleSource = engine.sampleSource;
+        this.synths = new Map(engine.synths);
+    }
+
+    /**
+     * Samples of a built-in melodic wave
+     * @param {number} waveIndex - 0-99
+     * @returns {Int8Array|null} Copy of the wave, or null before the wavetable is loaded
+     */
+    getBuiltinWave(waveIndex) {
+        if (!this.wavetable) return null;
+        return this.wavetable.slice(WAVE_LENGTH * waveIndex, WAVE_LENGTH * (waveIndex + 1));
+    }
+
+    /**
+     * Add or replace a user-drawn wave; notes already sounding keep the old wave
+     * @param {string} id - Instrument name (CUSTOM_nn)
+     * @param {string} name - Display name
+     * @param {Int8Array} samples - WAVE_LENGTH signed 8-bit samples
+     */
+    setCustomWave(id, name, samples) {
+        this.customWaves.set(id, { name, samples: Int8Array.from(samples) });
+        this.loadedSamples.delete(id);
+    }
+
+    removeCustomWave(id) {
+        this.customWaves.delete(id);
+        this.loadedSamples.delete(id);
+    }
+
+    /**
+     * Unused instrument name for a new custom wave
+     */
+    createCustomWaveId() {
+        let number = 1;
+        while (this.customWaves.has(`${CUSTOM_WAVE_PREFIX}${number.toString().padStart(2, '0')}`)) {
+            number++;
+        }
+        return `${CUSTOM_WAVE_PREFIX}${number.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Custom waves for saving
+     * @returns {Array} [{ id, name, samples: number[] }]
+     */
+    getCustomWaves() {
+        return [...this.customWaves].map(([id, wave]) => ({ id, name: wave.name, samples: Array.from(wave.samples) }));
+    }
+
+    /**
+     * Replace the custom waves with saved ones
+     * @param {Array} waves - Waves from getCustomWaves (or null for none)
+     */
+    setCustomWaves(waves) {
+        [...this.customWaves.keys()].forEach(id => this.removeCustomWave(id));
+        (waves || []).forEach(wave => this.setCustomWave(wave.id, wave.name, wave.samples));
+    }
+
+    /**
+     * Add an imported sample or change its settings; notes already sounding keep the old sound
+     * @param {string} id - Instrument name (SAMPLE_...)
+     * @param {string} name - Display name
+     * @param {Object} settings - Settings as from UserSample.normalizeSettings
+     * @param {ArrayBuffer} data - Encoded file bytes (omit to keep the current file)
+     * @param {AudioBuffer} buffer - The file already decoded, if at hand
+     */
+    setUserSample(id, name, settings, data = undefined, buffer = null) {
+        const existing = this.userSamples.get(id);
+        const keepFile = data === undefined && existing;
+        this.userSamples.set(id, {
+            name,
+            settings: UserSample.normalizeSettings(settings),
+            data: keepFile ? existing.data : (data || null),
+            buffer: keepFile ? existing.buffer : buffer,
+            base64: keepFile ? existing.base64 : null, // Cached encoding for saving
+            decoding: keepFile ? existing.decoding : null
+        });
+        this.loadedSamples.delete(id);
+    }
+
+    removeUserSample(id) {
+        this.userSamples.delete(id);
+        this.loadedSamples.delete(id);
+    }
+
+    /**
+     * Imported samples for saving; the audio is included for samples set to embed it
+     * @returns {Array} [{ id, name, settings, data?: base64 }]
+     */
+    getUserSamples() {
+        return [...this.userSamples].map(([id, sample]) => {
+            const entry = { id, name: sample.name, settings: { ...sample.settings } };
+            if (sample.settings.embed && sample.data) {
+                sample.base64 = sample.base64 || UserSample.toBase64(sample.data);
+                entry.data = sample.base64;
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Replace the imported samples with saved ones and start decoding them
+     * @param {Array} samples - Samples from getUserSamples (or null for none)
+     */
+    setUserSamples(samples) {
+        [...this.userSamples.keys()].forEach(id => this.removeUserSample(id));
+        (samples || []).forEach(sample => {
+            this.setUserSample(sample.id, sample.name, sample.settings, sample.data ? UserSample.fromBase64(sample.data) : null);
+            this.decodeUserSample(sample.id);
+        });
+    }
+
+    /**
+     * Decoded audio of an imported sample, fetched through sampleSource when the song doesn't embed it
+     * @param {string} id - Instrument name
+     * @returns {Promise<AudioBuffer|null>} null when the file is missing or can't be decoded
+     */
+    decodeUserSample(id) {
+        const sample = this.userSamples.get(id);
+        if (!sample) return Promise.resolve(null);
+        if (sample.buffer) return Promise.resolve(sample.buffer);
+        
+        if (!sample.decoding) {
+            sample.decoding = (async () => {
+                try {
+                    if (!sample.data && this.sampleSource) {
+                        sample.data = await this.sampleSource(id);
+                    }
+                    if (!sample.data) return null;
+                    
+                    // decodeAudioData detaches the bytes it is given
+                    sample.buffer = await this.audioContext.decodeAudioData(sample.data.slice(0));
+                    return sample.buffer;
+                } catch (error) {
+                    return null;
+                } finally {
+                    sample.decoding = null;
+                }
+            })();
+        }
+        return sample.decoding;
+    }
+
+    /**
+     * Add a synth instrument or change its settings; notes already sounding keep the old settings
+     * @param {string} id - Instrument name (SYNTH_nn)
+     * @param {string} name - Display name
+     * @param {Object} settings - Settings as from SynthVoice.normalizeSettings
+     */
+    setSynth(id, name, settings) {
+        this.synths.set(id, { name, settings: SynthVoice.normalizeSettings(settings) });
+    }
+
+    removeSynth(id) {
+        this.synths.delete(id);
+    }
+
+    /**
+     * Unused instrument name for a new synth
+     */
+    createSynthId() {
+        let number = 1;
+        while (this.synths.has(`${SYNTH_PREFIX}${number.toString().padStart(2, '0')}`)) {
+            number++;
+        }
+        return `${SYNTH_PREFIX}${number.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Synth instruments for saving
+     * @returns {Array} [{ id, name, settings }]
+     */
+    getSynths() {
+        return [...this.synths].map(([id, synth]) => ({ id, name: synth.name, settings: SynthVoice.normalizeSettings(synth.settings) }));
+    }
+
+    /**
+     * Replace the synth instruments with saved ones
+     * @param {Array} synths - Synths from getSynths (or null for none)
+     */
+    setSynths(synths) {
+        this.synths.clear();
+        (synths || []).forEach(synth => this.setSynth(synth.id, synth.name, synth.settings));
+    }
+
+    /**
+     * Whether an instrument plays as a one-shot drum
+     */
+    isDrumInstrument(sampleName) {
+        const userSample = this.userSamples.get(sampleName);
+        return userSample ? userSample.settings.kind === 'drum' : sampleName.startsWith('ORG_D');
+    }
+
     /**
      * Load a sample
      * @param {string} sampleName - Sample name
@@ -145,6 +487,24 @@ export class AudioEngine {
             return this.loadedSamples.get(sampleName);
         }
         
+        // User-drawn waves play like the built-in melodic waves
+        if (this.customWaves.has(sampleName)) {
+            const audioBuffer = this.createWaveBuffer(this.customWaves.get(sampleName).samples);
+            this.loadedSamples.set(sampleName, audioBuffer);
+            return audioBuffer;
+        }
+        
+        // Imported samples are trimmed and scaled from the decoded file
+        if (this.userSamples.has(sampleName)) {
+            const source = await this.decodeUserSample(sampleName);
+            const sample = this.userSamples.get(sampleName);
+            if (!source || !sample) return null;
+            
+            const audioBuffer = UserSample.render(this.audioContext, source, sample.settings);
+            this.loadedSamples.set(sampleName, audioBuffer);
+            return audioBuffer;
+        }
+        
         // If wavetable is loaded, generate buffer from it
         if (this.wavetable) {
             try {
@@ -180,51 +540,36 @@ export class AudioEngine {
                     // Handle melodic waves
                     const waveIndex = parseInt(sampleName.substring(5));
                     if (waveIndex <= 99) {
-                        // For now, just create the basic 256-sample buffer
-                        // Check if this waveform might create gating
-                        let silentSamples = 0;
-                        const audioBuffer = this.audioContext.createBuffer(
-                            1, 256, this.audioContext.sampleRate
-                        );
-                        const channelData = audioBuffer.getChannelData(0);
-                        
-                        for (let i = 0; i < 256; i++) {
-                            // Get signed 8-bit sample
-                            const sample = this.wavetable[256 * waveIndex + i];
-                            // Convert to float (-1 to 1 range)
-                            channelData[i] = sample / 128;
-                        }
+                        const audioBuffer = this.createWaveBuffer(this.getBuiltinWave(waveIndex));
                         this.loadedSamples.set(sampleName, audioBuffer);
                         return audioBuffer;
                     }
                 }
             } catch (error) {
-                // Silently fall through to WAV loading
+                // Treated as an unknown sample below
             }
         }
         
-        // Fallback to loading WAV files
-        try {
-            const response = await fetch(`samples/${sampleName}.wav`);
-            const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            
-            this.loadedSamples.set(sampleName, audioBuffer);
-            return audioBuffer;
-        } catch (error) {
-            return null;
-        }
+        return null;
     }
 
     /**
-     * Calculate frequency for a given key in 38 EDO
+     * Calculate frequency for a given key in the active tuning
      * @param {number} keyNumber - Key number
      */
     getFrequency(keyNumber) {
-        const middleAKey = 4 * NOTES_PER_OCTAVE + 28; // A4 in 38 EDO (meantone mapping)
-        const stepsFromA4 = keyNumber - middleAKey;
-        const octaveOffset = stepsFromA4 / NOTES_PER_OCTAVE;
-        return BASE_FREQUENCY * Math.pow(2, octaveOffset);
+        return this.tuning.getFrequency(keyNumber);
+    }
+    
+    /**
+     * Organya octave (0-7) a key plays in, which sets its wave period
+     */
+    getOrganyaOctave(keyNumber) {
+        if (this.tuning.isDefault()) {
+            return Math.max(0, Math.min(7, Math.floor(keyNumber / NOTES_PER_OCTAVE)));
+        }
+        const octave = Math.floor(Math.log2(this.tuning.getFrequency(keyNumber) * PERIOD_SIZES[0] / BASE_POINT_FREQS[0]));
+        return Math.max(0, Math.min(7, octave));
     }
 
     /**
@@ -236,8 +581,10 @@ export class AudioEngine {
      * @param {number} pan - Pan value (-100 to 100)
      * @param {number} when - When to play (audio context time)
      * @param {number} duration - Note duration in seconds
+     * @param {Array} pitchCurve - Optional [{ time, cents }] bend, in seconds from the note start
+     * @param {number} trackId - Track whose mixer bus the note plays through (null for straight to master)
      */
-    async playNote(keyNumber, velocity = 100, sampleName, isGlissando = false, pan = 0, when = 0, duration = 0, pipi = null, volumeAutomation = null, panAutomation = null, freqAdjust = 0, tickDuration = null) {
+    async playNote(keyNumber, velocity = 100, sampleName, isGlissando = false, pan = 0, when = 0, duration = 0, pipi = null, volumeAutomation = null, panAutomation = null, freqAdjust = 0, tickDuration = null, pitchCurve = null, trackId = null) {
         
         // For glissando with portamento, update existing note's pitch
         if (isGlissando && this.currentGlissandoNote) {
@@ -251,7 +598,9 @@ export class AudioEngine {
             if (existingNote && !existingNote.isDrum) {
                 // Instead of stopping immediately, let it fade naturally
                 // Set loop to false so it stops at the end of the current cycle
-                if (existingNote.source && existingNote.source.loop !== undefined) {
+                if (existingNote.voice) {
+                    existingNote.voice.release(this.audioContext.currentTime);
+                } else if (existingNote.source && existingNote.source.loop !== undefined) {
                     existingNote.source.loop = false;
                 }
                 // Remove from active notes but let it play out
@@ -260,6 +609,12 @@ export class AudioEngine {
             // Drums are NOT stopped - they always play out fully in Organya
         }
         
+        // Synth instruments build a voice instead of playing a buffer
+        const synth = this.synths.get(sampleName);
+        if (synth) {
+            return this.playSynthNote(synth, keyNumber, velocity, isGlissando, pan, when, duration, volumeAutomation, panAutomation, tickDuration, pitchCurve, trackId);
+        }
+        
         const buffer = await this.loadSample(sampleName);
         if (!buffer) return;
         
@@ -272,20 +627,33 @@ export class AudioEngine {
         source.buffer = buffer;
         source.connect(gain);
         gain.connect(panner);
-        panner.connect(this.masterGain);
+        panner.connect(trackId !== null ? this.getTrackBus(trackId).gain : this.masterGain);
         
         // Set pan value
         panner.pan.value = pan / 100;
         
         // Configure based on sample type
-        const isDrum = sampleName.startsWith('ORG_D');
+        const userSample = this.userSamples.get(sampleName);
+        const isDrum = this.isDrumInstrument(sampleName);
         
         // Calculate playback rate for pitch
         source.playbackRate.value = this.calculatePlaybackRate(keyNumber, sampleName, isDrum, freqAdjust);
         
+        // Apply pitch bends and slides; exponential ramps move evenly in cents
+        if (pitchCurve && pitchCurve.length > 0) {
+            const baseRate = source.playbackRate.value;
+            pitchCurve.forEach((point, index) => {
+                const rate = baseRate * Math.pow(2, point.cents / 1200);
+                if (index === 0) {
+                    source.playbackRate.setValueAtTime(rate, startTime + point.time);
+                } else {
+                    source.playbackRate.exponentialRampToValueAtTime(rate, startTime + point.time);
+                }
+            });
+        }
+        
         // Use authentic Organya volume scaling
-        const orgVol = velocity * ORG_VELOCITY_SCALE;
-        const authenticVolume = Math.pow(10, ((orgVol - 255) * 8) / 2000);
+        const authenticVolume = this.getOrganyaVolume(velocity);
         
         
         if (isDrum) {
@@ -299,9 +667,17 @@ export class AudioEngine {
             const actualPipi = pipi !== null ? pipi : 0;
             
             // Handle looping based on pipi value
-            if (actualPipi > 0) {
+            if (userSample) {
+                // Imported samples loop between their own loop points, or play through once
+                const loop = UserSample.getLoop(userSample.settings, userSample.buffer ? userSample.buffer.duration : buffer.duration);
+                source.loop = loop !== null;
+                if (loop) {
+                    source.loopStart = loop.start;
+                    source.loopEnd = loop.end;
+                }
+            } else if (actualPipi > 0) {
                 // pipi>0: finite loops based on octave and pipi value
-                const octave = Math.floor(keyNumber / NOTES_PER_OCTAVE);
+                const octave = this.getOrganyaOctave(keyNumber);
                 // The pipi value might affect the number of loops
                 // For now, using the original octave-based loop counts
                 const octSizes = [4, 8, 12, 16, 20, 24, 28, 32];
@@ -329,46 +705,7 @@ export class AudioEngine {
             // Set volume immediately
             gain.gain.setValueAtTime(authenticVolume, startTime);
             
-            // Apply volume automation if provided
-            if (volumeAutomation && volumeAutomation.length > 0) {
-                // Sort automation points by tick position
-                const sortedAutomation = [...volumeAutomation].sort((a, b) => a.tick - b.tick);
-                
-                // Use provided tick duration for absolute timing
-                // tickDuration should be the actual ms per tick from the ORG file
-                const actualTickDuration = tickDuration || (duration / Math.max(...sortedAutomation.map(p => p.tick), 1));
-                
-                sortedAutomation.forEach((point, index) => {
-                    // point.tick is the relative tick offset from note start
-                    const time = startTime + (point.tick * actualTickDuration);
-                    const vol = point.volume * ORG_VELOCITY_SCALE;
-                    const automationVolume = Math.pow(10, ((vol - 255) * 8) / 2000);
-                    
-                    // For gating effects, use setValueAtTime for instant changes
-                    // instead of ramping which can make it sound mushy
-                    if (index === 0) {
-                        // First point - ramp from current value
-                        gain.gain.setValueAtTime(gain.gain.value, time - 0.001);
-                        gain.gain.linearRampToValueAtTime(automationVolume, time);
-                    } else {
-                        // Subsequent points - instant change for tighter gating
-                        gain.gain.setValueAtTime(automationVolume, time);
-                    }
-                });
-            }
-            
-            // Apply pan automation if provided
-            if (panAutomation && panAutomation.length > 0) {
-                const sortedPanAutomation = [...panAutomation].sort((a, b) => a.tick - b.tick);
-                // Use provided tick duration for absolute timing
-                const actualTickDuration = tickDuration || (duration / Math.max(...sortedPanAutomation.map(p => p.tick), 1));
-                
-                sortedPanAutomation.forEach(point => {
-                    // point.tick is the relative tick offset from note start
-                    const time = startTime + (point.tick * actualTickDuration);
-                    panner.pan.linearRampToValueAtTime(point.pan / 100, time);
-                });
-            }
+            this.scheduleAutomation(gain, panner, startTime, duration, volumeAutomation, panAutomation, tickDuration);
         }
         
         // Start playback at scheduled time
@@ -401,11 +738,105 @@ export class AudioEngine {
         return noteData;
     }
 
+    /**
+     * Play a note on a synth instrument, through the same gain, panner and mixer bus as sampled notes
+     * The note's duration ends its envelope's sustain; the release sounds after it.
+     */
+    playSynthNote(synth, keyNumber, velocity, isGlissando, pan, when, duration, volumeAutomation, panAutomation, tickDuration, pitchCurve, trackId) {
+        const startTime = when || this.audioContext.currentTime;
+        const gain = this.audioContext.createGain();
+        const panner = this.audioContext.createStereoPanner();
+        gain.connect(panner);
+        panner.connect(trackId !== null ? this.getTrackBus(trackId).gain : this.masterGain);
+        panner.pan.value = pan / 100;
+        
+        const voice = new SynthVoice(this.audioContext, synth.settings, this.getFrequency(keyNumber), gain);
+        voice.start(startTime);
+        voice.setPitchCurve(pitchCurve, startTime);
+        
+        gain.gain.setValueAtTime(this.getOrganyaVolume(velocity), startTime);
+        this.scheduleAutomation(gain, panner, startTime, duration, volumeAutomation, panAutomation, tickDuration);
+        
+        if (duration > 0) {
+            const stopTime = voice.release(startTime + duration);
+            return { voice, gain, panner, isDrum: false, keyNumber, stopTime };
+        }
+        
+        const noteData = { voice, gain, panner, isDrum: false };
+        this.activeNotes.set(keyNumber, noteData);
+        if (isGlissando) {
+            this.currentGlissandoNote = noteData;
+            this.currentGlissandoKey = keyNumber;
+        }
+        return noteData;
+    }
+
+    /**
+     * Gain for an Organya volume (0-255 after scaling by ORG_VELOCITY_SCALE)
+     * @param {number} velocity - Velocity (0-127)
+     */
+    getOrganyaVolume(velocity) {
+        const orgVol = velocity * ORG_VELOCITY_SCALE;
+        return Math.pow(10, ((orgVol - 255) * 8) / 2000);
+    }
+
+    /**
+     * Schedule a note's volume and pan automation
+     * @param {GainNode} gain - The note's gain
+     * @param {StereoPannerNode} panner - The note's panner
+     * @param {number} startTime - Note start (audio context time)
+     * @param {number} duration - Note duration in seconds
+     * @param {Array} volumeAutomation - [{ tick, volume }] relative to the note start
+     * @param {Array} panAutomation - [{ tick, pan }] relative to the note start
+     * @param {number} tickDuration - Seconds per tick
+     */
+    scheduleAutomation(gain, panner, startTime, duration, volumeAutomation, panAutomation, tickDuration) {
+        // Apply volume automation if provided
+        if (volumeAutomation && volumeAutomation.length > 0) {
+            // Sort automation points by tick position
+            const sortedAutomation = [...volumeAutomation].sort((a, b) => a.tick - b.tick);
+            
+            // Use provided tick duration for absolute timing
+            // tickDuration should be the actual ms per tick from the ORG file
+            const actualTickDuration = tickDuration || (duration / Math.max(...sortedAutomation.map(p => p.tick), 1));
+            
+            sortedAutomation.forEach((point, index) => {
+                // point.tick is the relative tick offset from note start
+                const time = startTime + (point.tick * actualTickDuration);
+                const automationVolume = this.getOrganyaVolume(point.volume);
+                
+                // For gating effects, use setValueAtTime for instant changes
+                // instead of ramping which can make it sound mushy
+                if (index === 0) {
+                    // First point - ramp from current value
+                    gain.gain.setValueAtTime(gain.gain.value, time - 0.001);
+                    gain.gain.linearRampToValueAtTime(automationVolume, time);
+                } else {
+                    // Subsequent points - instant change for tighter gating
+                    gain.gain.setValueAtTime(automationVolume, time);
+                }
+            });
+        }
+        
+        // Apply pan automation if provided
+        if (panAutomation && panAutomation.length > 0) {
+            const sortedPanAutomation = [...panAutomation].sort((a, b) => a.tick - b.tick);
+            // Use provided tick duration for absolute timing
+            const actualTickDuration = tickDuration || (duration / Math.max(...sortedPanAutomation.map(p => p.tick), 1));
+            
+            sortedPanAutomation.forEach(point => {
+                // point.tick is the relative tick offset from note start
+                const time = startTime + (point.tick * actualTickDuration);
+                panner.pan.linearRampToValueAtTime(point.pan / 100, time);
+            });
+        }
+    }
+
     /**
      * Update glissando pitch
      */
     updateGlissandoPitch(keyNumber, sampleName) {
-        const isDrum = sampleName.startsWith('ORG_D');
+        const isDrum = this.isDrumInstrument(sampleName);
         const targetRate = this.calculatePlaybackRate(keyNumber, sampleName, isDrum, 0);
         
         // Calculate portamento time based on distance
@@ -414,19 +845,10 @@ export class AudioEngine {
         
         // Smooth pitch transition
         const now = this.audioContext.currentTime;
-        this.currentGlissandoNote.source.playbackRate.cancelScheduledValues(now);
-        
-        if (keyDistance <= 1) {
-            // For adjacent keys, update immediately to avoid chirping
-            this.currentGlissandoNote.source.playbackRate.setValueAtTime(targetRate, now);
+        if (this.currentGlissandoNote.voice) {
+            this.currentGlissandoNote.voice.glideTo(this.getFrequency(keyNumber), now, keyDistance <= 1 ? 0 : portamentoTime);
         } else {
-            // For larger jumps, use a quick ramp
-            this.currentGlissandoNote.source.playbackRate.setValueAtTime(
-                this.currentGlissandoNote.source.playbackRate.value, now
-            );
-            this.currentGlissandoNote.source.playbackRate.linearRampToValueAtTime(
-                targetRate, now + portamentoTime
-            );
+            this.glideSource(this.currentGlissandoNote.source, targetRate, now, keyDistance, portamentoTime);
         }
         
         // Update the key reference
@@ -435,11 +857,30 @@ export class AudioEngine {
         this.currentGlissandoKey = keyNumber;
     }
 
+    /**
+     * Move a sample source to a new playback rate
+     */
+    glideSource(source, targetRate, now, keyDistance, portamentoTime) {
+        source.playbackRate.cancelScheduledValues(now);
+        
+        if (keyDistance <= 1) {
+            // For adjacent keys, update immediately to avoid chirping
+            source.playbackRate.setValueAtTime(targetRate, now);
+        } else {
+            // For larger jumps, use a quick ramp
+            source.playbackRate.setValueAtTime(source.playbackRate.value, now);
+            source.playbackRate.linearRampToValueAtTime(targetRate, now + portamentoTime);
+        }
+    }
+
     /**
      * Calculate playback rate for drum
      */
     calculateDrumPlaybackRate(keyNumber) {
-        const drumKey = Math.round(keyNumber / 3.17); // Adjusted for 38 EDO
+        // Drums are pitched in 12-tone steps from the bottom of the 8-octave range
+        const drumKey = this.tuning.isDefault()
+            ? Math.round(keyNumber / 3.17) // Adjusted for 38 EDO
+            : Math.round(this.tuning.getCents(keyNumber) / 100) + 48;
         const clampedKey = Math.max(0, Math.min(255, drumKey));
         const drumFreq = clampedKey * 800 + 100;
         return drumFreq / BASE_SAMPLE_RATE;
@@ -447,70 +888,32 @@ export class AudioEngine {
     
     /**
      * Calculate playback rate for melodic instrument
+     * The key plays at its exact pitch in the tuning. As in Organya, the key's octave picks the
+     * wave period size, and freqAdjust is added to the base point before dividing by it.
      */
     calculateMelodicPlaybackRate(keyNumber, freqAdjust = 0) {
-        // Organya constants
-        const BASE_POINT_FREQS = [33408, 35584, 37632, 39808, 42112, 44672, 47488, 50048, 52992, 56320, 59648, 63232];
-        const PERIOD_SIZES = [1024, 512, 256, 128, 64, 32, 16, 8];
-        
-        // Convert 38-EDO to octave and position within octave
-        const octave = Math.floor(keyNumber / NOTES_PER_OCTAVE);
-        const positionInOctave = keyNumber % NOTES_PER_OCTAVE;
-        
-        // For 38 EDO, each step is 1200/38 = 31.58 cents
-        // Find the closest 12-tone pitch class
-        let closestPitchClass = 0;
-        let microtonalOffset = 0;
-        
-        // Find which 12-tone note this 38-EDO step is closest to
-        for (let pc = 0; pc < 12; pc++) {
-            const targetPosition = Math.round((pc * 38) / 12);
-            if (positionInOctave === targetPosition) {
-                closestPitchClass = pc;
-                microtonalOffset = 0;
-                break;
-            } else if (positionInOctave < targetPosition) {
-                // Between previous and current pitch class
-                const prevPosition = pc > 0 ? Math.round(((pc - 1) * 38) / 12) : 0;
-                const distToPrev = positionInOctave - prevPosition;
-                const distBetween = targetPosition - prevPosition;
-                closestPitchClass = pc - 1;
-                microtonalOffset = distToPrev / distBetween;
-                break;
-            } else if (pc === 11) {
-                // Past the last pitch class
-                closestPitchClass = 11;
-                const lastPosition = Math.round((11 * 38) / 12);
-                microtonalOffset = (positionInOctave - lastPosition) / (38 - lastPosition);
-            }
-        }
-        
-        // Clamp octave to valid range
-        const clampedOctave = Math.max(0, Math.min(7, octave));
-        
-        // Get base frequency for this pitch class
-        const baseFreq = BASE_POINT_FREQS[closestPitchClass];
-        
-        // For microtonal interpolation, use exponential interpolation
-        // Frequency ratios in equal temperament are exponential, not linear
-        let frequencyMultiplier = 1;
-        if (microtonalOffset > 0) {
-            // Each semitone is a ratio of 2^(1/12)
-            frequencyMultiplier = Math.pow(2, microtonalOffset / 12);
-        }
-        
-        // Apply frequency adjustment and microtonal multiplier
-        const finalFreq = (baseFreq + freqAdjust) * frequencyMultiplier;
-        const organyaFreq = finalFreq / PERIOD_SIZES[clampedOctave];
+        const octave = this.getOrganyaOctave(keyNumber);
+        const organyaFreq = this.tuning.getFrequency(keyNumber) + freqAdjust / PERIOD_SIZES[octave];
         
         // Convert to playback rate (256 samples per period)
         return (organyaFreq * 256) / this.audioContext.sampleRate;
     }
+    
+    /**
+     * Playback rate for an imported sample: the key's pitch relative to the sample's root key
+     */
+    calculateSamplePlaybackRate(keyNumber, settings) {
+        return this.tuning.getFrequency(keyNumber) / this.tuning.getFrequency(settings.rootKey);
+    }
 
     /**
      * Calculate playback rate
      */
     calculatePlaybackRate(keyNumber, sampleName, isDrum, freqAdjust = 0) {
+        const userSample = this.userSamples.get(sampleName);
+        if (userSample) {
+            return this.calculateSamplePlaybackRate(keyNumber, userSample.settings);
+        }
         return isDrum 
             ? this.calculateDrumPlaybackRate(keyNumber)
             : this.calculateMelodicPlaybackRate(keyNumber, freqAdjust);
@@ -527,6 +930,13 @@ export class AudioEngine {
         // Remove from active notes
         this.activeNotes.delete(keyNumber);
         
+        // Synth voices fade out over their release
+        if (note.voice) {
+            const endTime = note.voice.release(this.audioContext.currentTime);
+            setTimeout(() => this.cleanupNote(note), (endTime - this.audioContext.currentTime) * 1000 + 50);
+            return;
+        }
+        
         try {
             const stopTime = this.audioContext.currentTime + AUDIO_STOP_DELAY;
             note.source.stop(stopTime);
@@ -545,7 +955,7 @@ export class AudioEngine {
      */
     cleanupNote(note) {
         try {
-            note.source.disconnect();
+            (note.voice || note.source).disconnect();
             note.gain.disconnect();
             note.panner.disconnect();
         } catch (e) {
@@ -562,6 +972,21 @@ export class AudioEngine {
         }
     }
 
+    /**
+     * One-period buffer of a melodic wave
+     * @param {Int8Array} samples - WAVE_LENGTH signed 8-bit samples
+     */
+    createWaveBuffer(samples) {
+        const audioBuffer = this.audioContext.createBuffer(1, WAVE_LENGTH, this.audioContext.sampleRate);
+        const channelData = audioBuffer.getChannelData(0);
+        
+        for (let i = 0; i < WAVE_LENGTH; i++) {
+            // Convert signed 8-bit to float (-1 to 1 range)
+            channelData[i] = samples[i] / 128;
+        }
+        return audioBuffer;
+    }
+    
     /**
      * Get list of available samples
      */
@@ -578,7 +1003,7 @@ export class AudioEngine {
                 melodicSamples.push(`ORG_M${i.toString().padStart(2, '0')}`);
             }
         } else {
-            // Fallback to WAV files
+            // Standard names before the wavetable has loaded
             for (let i = 0; i < MAX_DRUMS; i++) {
                 drumSamples.push(`ORG_D${i.toString().padStart(2, '0')}`);
             }
@@ -0,0 +1,344 @@
+import { PIANO_KEY_WIDTH, GRID_WIDTH } from './constants.js';
+import { PlaybackEngine } from './PlaybackEngine.js';
+
+// Pixels within which the mouse picks up an envelope point
+const POINT_HIT_RADIUS = 5;
+
+// Beats between the points written by the line tool
+const LINE_STEP_BEATS = 1 / 16;
+
+/**
+ * AutomationLane - Edits per-note volume or pan envelopes inside the velocity and pan bars
+ * Points are { tick, position, <value> } with ticks counted from the note start, the format
+ * OrgParser writes and AudioEngine.playNote schedules.
+ */
+export class AutomationLane {
+    /**
+     * @param {Object} bar - VelocityBar or PanBar that owns the canvas
+     * @param {Object} options - { field, valueKey, baseKey, min, max, stepped, valueToY(value, height), yToValue(y, height) }
+     */
+    constructor(bar, options) {
+        this.bar = bar;
+        this.pianoRoll = bar.pianoRoll;
+        this.field = options.field;
+        this.valueKey = options.valueKey;
+        this.baseKey = options.baseKey;
+        this.min = options.min;
+        this.max = options.max;
+        this.stepped = options.stepped;
+        this.valueToY = options.valueToY;
+        this.yToValue = options.yToValue;
+        
+        // Current gesture: { type: 'drag' | 'pencil' | 'line', note, ... }
+        this.edit = null;
+        this.hoveredPoint = null;
+    }
+    
+    /**
+     * Automation ticks per beat at a note, matching playback timing
+     */
+    getTicksPerBeat(note) {
+        const tempo = this.pianoRoll.timeMap.getTempoAt((note.x - PIANO_KEY_WIDTH) / GRID_WIDTH);
+        return PlaybackEngine.getTicksPerBeat(tempo, this.pianoRoll.orgMsPerTick);
+    }
+    
+    getNoteScreenX(note) {
+        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        return PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
+    }
+    
+    tickToX(note, tick) {
+        return this.getNoteScreenX(note) + (tick / this.getTicksPerBeat(note)) * this.pianoRoll.gridWidth;
+    }
+    
+    /**
+     * Tick under a screen position, kept within the note
+     */
+    xToTick(note, x) {
+        const ticksPerBeat = this.getTicksPerBeat(note);
+        const tick = Math.round(((x - this.getNoteScreenX(note)) / this.pianoRoll.gridWidth) * ticksPerBeat);
+        const lengthTicks = Math.round((note.width / GRID_WIDTH) * ticksPerBeat);
+        return Math.max(0, Math.min(lengthTicks, tick));
+    }
+    
+    getValueAtY(y) {
+        const value = this.yToValue(y, this.bar.canvas.height);
+        return Math.round(Math.max(this.min, Math.min(this.max, value)));
+    }
+    
+    makePoint(note, tick, value) {
+        // position mirrors the tick in base pixels, as OrgParser stores it
+        const position = (tick / this.getTicksPerBeat(note)) * GRID_WIDTH;
+        return { position, tick, [this.valueKey]: value };
+    }
+    
+    getPoints(note) {
+        return note[this.field] || [];
+    }
+    
+    setPoints(note, points) {
+        note[this.field] = points.sort((a, b) => a.tick - b.tick);
+    }
+    
+    /**
+     * Notes of visible tracks overlapping the view
+     */
+    getVisibleNotes() {
+        const viewLeft = this.bar.scrollX;
+        const viewRight = this.bar.scrollX + this.bar.canvas.width;
+        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        
+        return this.pianoRoll.noteManager.notes.filter(note => {
+            const x = this.getNoteScreenX(note);
+            return x + note.width * scaleFactor >= viewLeft && x <= viewRight;
+        });
+    }
+    
+    /**
+     * Visible notes that are not on a locked track
+     */
+    getEditableNotes() {
+        return this.getVisibleNotes().filter(note => !this.pianoRoll.trackManager.isNoteLocked(note));
+    }
+    
+    /**
+     * Note whose envelope a click at x edits: a selected note under the mouse if there is one,
+     * otherwise the most recently started note under the mouse
+     */
+    findNoteAt(x) {
+        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const selectedNotes = this.pianoRoll.noteManager.selectedNotes;
+        let best = null;
+        
+        for (const note of this.getEditableNotes()) {
+            const noteX = this.getNoteScreenX(note);
+            if (x < noteX || x > noteX + note.width * scaleFactor) continue;
+            
+            const isSelected = selectedNotes.has(note);
+            const bestSelected = best && selectedNotes.has(best);
+            if (!best || (isSelected && !bestSelected) || (isSelected === bestSelected && note.x > best.x)) {
+                best = note;
+            }
+        }
+        return best;
+    }
+    
+    findPointAt(x, y) {
+        for (const note of this.getEditableNotes()) {
+            for (const point of this.getPoints(note)) {
+                const pointX = this.tickToX(note, point.tick);
+                const pointY = this.valueToY(point[this.valueKey], this.bar.canvas.height);
+                if (Math.abs(x - pointX) <= POINT_HIT_RADIUS && Math.abs(y - pointY) <= POINT_HIT_RADIUS) {
+                    return { note, point };
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Start an edit. Left button uses the current tool, right button deletes a point
+     * and Alt+right click clears the envelope of the note under the mouse.
+     */
+    handleMouseDown(e, x, y) {
+        const noteManager = this.pianoRoll.noteManager;
+        const hit = this.findPointAt(x, y);
+        
+        if (e.button === 2) {
+            if (e.altKey) {
+                const note = this.findNoteAt(x);
+                if (note && noteManager.clearAutomation([note], [this.field]) > 0) {
+                    this.changed();
+                }
+            } else if (hit) {
+                noteManager.beginTransaction('Delete Automation Point');
+                noteManager.touchNotes([hit.note]);
+                this.setPoints(hit.note, this.getPoints(hit.note).filter(point => point !== hit.point));
+                noteManager.commitTransaction();
+                this.hoveredPoint = null;
+                this.changed();
+            }
+            return;
+        }
+        
+        const tool = this.pianoRoll.automationTool;
+        
+        // Existing points can be dragged with any tool but the pencil
+        if (hit && tool !== 'pencil') {
+            noteManager.beginTransaction('Move Automation Point');
+            noteManager.touchNotes([hit.note]);
+            this.edit = { type: 'drag', note: hit.note, point: hit.point };
+            return;
+        }
+        
+        const note = this.findNoteAt(x);
+        if (!note) return;
+        
+        const tick = this.xToTick(note, x);
+        const value = this.getValueAtY(y);
+        
+        noteManager.beginTransaction('Edit Automation');
+        noteManager.touchNotes([note]);
+        
+        if (tool === 'line') {
+            this.edit = { type: 'line', note, start: { tick, value }, end: { tick, value } };
+        } else if (tool === 'pencil') {
+            this.edit = { type: 'pencil', note, lastTick: tick };
+            this.drawPoint(note, tick, tick, value);
+        } else {
+            // Add a point and keep dragging it
+            const point = this.makePoint(note, tick, value);
+            this.setPoints(note, this.getPoints(note).filter(other => other.tick !== tick).concat(point));
+            this.edit = { type: 'drag', note, point };
+        }
+        this.bar.draw();
+        this.pianoRoll.dirty = true;
+    }
+    
+    handleMouseMove(x, y) {
+        if (!this.edit) {
+            const hit = this.findPointAt(x, y);
+            const hoveredPoint = hit ? hit.point : null;
+            if (hoveredPoint !== this.hoveredPoint) {
+                this.hoveredPoint = hoveredPoint;
+                this.bar.draw();
+            }
+            this.bar.canvas.style.cursor = hit ? 'move' : (this.findNoteAt(x) ? 'crosshair' : 'default');
+            return;
+        }
+        
+        const note = this.edit.note;
+        const tick = this.xToTick(note, x);
+        const value = this.getValueAtY(y);
+        
+        if (this.edit.type === 'drag') {
+            const point = this.edit.point;
+            const moved = this.makePoint(note, tick, value);
+            
+            // A point dropped onto another replaces it
+            const others = this.getPoints(note).filter(other => other !== point && other.tick !== tick);
+            Object.assign(point, moved);
+            this.setPoints(note, others.concat(point));
+        } else if (this.edit.type === 'pencil') {
+            this.drawPoint(note, this.edit.lastTick, tick, value);
+            this.edit.lastTick = tick;
+        } else {
+            this.edit.end = { tick, value };
+        }
+        
+        this.bar.draw();
+        this.pianoRoll.dirty = true;
+    }
+    
+    /**
+     * Finish the current gesture as one undo step
+     */
+    finishEdit() {
+        if (!this.edit) return;
+        
+        if (this.edit.type === 'line') {
+            this.applyLine(this.edit.note, this.edit.start, this.edit.end);
+        }
+        
+        this.edit = null;
+        this.pianoRoll.noteManager.commitTransaction();
+        this.changed();
+    }
+    
+    /**
+     * Pencil: write a point, replacing the points passed over since the previous one
+     */
+    drawPoint(note, fromTick, tick, value) {
+        const low = Math.min(fromTick, tick);
+        const high = Math.max(fromTick, tick);
+        const points = this.getPoints(note).filter(point => point.tick !== tick &&
+            (point.tick <= low || point.tick >= high));
+        this.setPoints(note, points.concat(this.makePoint(note, tick, value)));
+    }
+    
+    /**
+     * Line: replace the points between two ends with an evenly stepped ramp
+     */
+    applyLine(note, start, end) {
+        const [from, to] = start.tick <= end.tick ? [start, end] : [end, start];
+        const step = Math.max(1, Math.round(this.getTicksPerBeat(note) * LINE_STEP_BEATS));
+        const points = this.getPoints(note).filter(point => point.tick < from.tick || point.tick > to.tick);
+        
+        for (let tick = from.tick; tick < to.tick; tick += step) {
+            const t = (tick - from.tick) / (to.tick - from.tick);
+            points.push(this.makePoint(note, tick, Math.round(from.value + (to.value - from.value) * t)));
+        }
+        points.push(this.makePoint(note, to.tick, to.value));
+        this.setPoints(note, points);
+    }
+    
+    changed() {
+        this.pianoRoll.emit('notesChanged');
+        this.pianoRoll.dirty = true;
+        this.bar.draw();
+    }
+    
+    /**
+     * Draw every visible note's envelope. Notes without points show their base value faintly.
+     */
+    draw() {
+        const ctx = this.bar.ctx;
+        const height = this.bar.canvas.height;
+        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const selectedNotes = this.pianoRoll.noteManager.selectedNotes;
+        
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        
+        for (const note of this.getVisibleNotes()) {
+            const points = this.getPoints(note);
+            const startX = this.getNoteScreenX(note);
+            const endX = startX + note.width * scaleFactor;
+            const isSelected = selectedNotes.has(note);
+            const isEdited = this.edit && this.edit.note === note;
+            const color = isSelected || isEdited ? '#ffa500' : this.pianoRoll.getNoteColor(note).border;
+            
+            // Before the first point the note plays at its own velocity or pan
+            let lastY = this.valueToY(note[this.baseKey] !== undefined ? note[this.baseKey] : 0, height);
+            
+            ctx.globalAlpha = points.length > 0 || isSelected ? 1 : 0.35;
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(startX, lastY);
+            for (const point of points) {
+                const x = this.tickToX(note, point.tick);
+                const y = this.valueToY(point[this.valueKey], height);
+                if (this.stepped) {
+                    ctx.lineTo(x, lastY);
+                }
+                ctx.lineTo(x, y);
+                lastY = y;
+            }
+            ctx.lineTo(Math.max(endX, this.tickToX(note, points.length > 0 ? points[points.length - 1].tick : 0)), lastY);
+            ctx.stroke();
+            
+            // Point handles
+            ctx.fillStyle = color;
+            for (const point of points) {
+                const size = point === this.hoveredPoint ? 7 : 5;
+                const x = this.tickToX(note, point.tick);
+                const y = this.valueToY(point[this.valueKey], height);
+                ctx.fillRect(x - size / 2, y - size / 2, size, size);
+            }
+        }
+        
+        // Preview of the line being drawn
+        if (this.edit && this.edit.type === 'line') {
+            const { note, start, end } = this.edit;
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = '#ffffff';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(this.tickToX(note, start.tick), this.valueToY(start.value, height));
+            ctx.lineTo(this.tickToX(note, end.tick), this.valueToY(end.value, height));
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+}
@@ -0,0 +1,214 @@
+import { MIX_SMOOTHING } from './constants.js';
+
+// Effects in signal order, each bypassed until enabled
+export const EFFECT_ORDER = ['filter', 'compressor', 'delay', 'reverb'];
+
+const DEFAULT_EFFECTS = {
+    filter: { enabled: false, type: 'lowpass', frequency: 8000, q: 1 },
+    compressor: { enabled: false, threshold: -24, ratio: 4, attack: 0.003, release: 0.25 },
+    delay: { enabled: false, beats: 0.5, feedback: 0.35, mix: 0.3 }, // Delay time in beats of currentBPM
+    reverb: { enabled: false, decay: 2, mix: 0.25 } // Decay in seconds of the generated impulse response
+};
+
+const MAX_DELAY_TIME = 4; // Seconds
+const IMPULSE_SEED = 38; // Fixed noise seed so live playback and offline renders share one room
+
+/**
+ * Insert effects for a mixer bus: biquad filter, compressor, tempo-synced delay and
+ * convolution reverb. Audio enters at input and leaves at output; only enabled effects
+ * are wired in between.
+ */
+export class EffectsChain {
+    /**
+     * @param {BaseAudioContext} audioContext - Context the nodes belong to
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.bpm = 120;
+        this.settings = EffectsChain.normalizeSettings();
+        this.routing = null; // Enabled effects the nodes are currently wired for
+        this.impulseDecay = null; // Decay the reverb impulse response was generated with
+        
+        this.units = {
+            filter: this.createInsert(audioContext.createBiquadFilter()),
+            compressor: this.createInsert(audioContext.createDynamicsCompressor()),
+            delay: this.createDelay(),
+            reverb: this.createReverb()
+        };
+        
+        this.apply(this.settings);
+    }
+
+    /**
+     * Full settings with defaults for anything missing, as a fresh copy
+     * @param {Object} settings - Saved settings (or null for all defaults)
+     */
+    static normalizeSettings(settings = null) {
+        const result = {};
+        for (const name of EFFECT_ORDER) {
+            result[name] = { ...DEFAULT_EFFECTS[name], ...(settings?.[name] || {}) };
+        }
+        return result;
+    }
+
+    /**
+     * Whether any effect is switched on
+     */
+    static isActive(settings) {
+        return EFFECT_ORDER.some(name => settings?.[name]?.enabled);
+    }
+
+    /**
+     * Single-node effect
+     */
+    createInsert(node) {
+        return { input: node, output: node, node };
+    }
+
+    /**
+     * Echo with feedback, mixed with the dry signal
+     */
+    createDelay() {
+        const ctx = this.audioContext;
+        const unit = {
+            input: ctx.createGain(),
+            output: ctx.createGain(),
+            dry: ctx.createGain(),
+            wet: ctx.createGain(),
+            delay: ctx.createDelay(MAX_DELAY_TIME),
+            feedback: ctx.createGain()
+        };
+        
+        unit.input.connect(unit.dry);
+        unit.dry.connect(unit.output);
+        unit.input.connect(unit.delay);
+        unit.delay.connect(unit.feedback);
+        unit.feedback.connect(unit.delay);
+        unit.delay.connect(unit.wet);
+        unit.wet.connect(unit.output);
+        return unit;
+    }
+
+    /**
+     * Convolution reverb mixed with the dry signal; the impulse response is generated on demand
+     */
+    createReverb() {
+        const ctx = this.audioContext;
+        const unit = {
+            input: ctx.createGain(),
+            output: ctx.createGain(),
+            dry: ctx.createGain(),
+            wet: ctx.createGain(),
+            convolver: ctx.createConvolver()
+        };
+        
+        unit.input.connect(unit.dry);
+        unit.dry.connect(unit.output);
+        unit.input.connect(unit.convolver);
+        unit.convolver.connect(unit.wet);
+        unit.wet.connect(unit.output);
+        return unit;
+    }
+
+    /**
+     * Apply effect settings, rewiring the chain when effects are switched on or off
+     * @param {Object} settings - Settings as from normalizeSettings
+     */
+    apply(settings) {
+        this.settings = EffectsChain.normalizeSettings(settings);
+        const { filter, compressor, delay, reverb } = this.settings;
+        const units = this.units;
+        
+        units.filter.node.type = filter.type;
+        this.setParam(units.filter.node.frequency, filter.frequency);
+        this.setParam(units.filter.node.Q, filter.q);
+        
+        this.setParam(units.compressor.node.threshold, compressor.threshold);
+        this.setParam(units.compressor.node.ratio, compressor.ratio);
+        this.setParam(units.compressor.node.attack, compressor.attack);
+        this.setParam(units.compressor.node.release, compressor.release);
+        
+        this.updateDelayTime();
+        this.setParam(units.delay.feedback.gain, delay.feedback);
+        this.setParam(units.delay.dry.gain, 1 - delay.mix);
+        this.setParam(units.delay.wet.gain, delay.mix);
+        
+        if (reverb.enabled && reverb.decay !== this.impulseDecay) {
+            units.reverb.convolver.buffer = this.createImpulse(reverb.decay);
+            this.impulseDecay = reverb.decay;
+        }
+        this.setParam(units.reverb.dry.gain, 1 - reverb.mix);
+        this.setParam(units.reverb.wet.gain, reverb.mix);
+        
+        this.connectChain();
+    }
+
+    /**
+     * Follow the song tempo for the delay time
+     * @param {number} bpm - Beats per minute
+     */
+    setBPM(bpm) {
+        this.bpm = bpm;
+        this.updateDelayTime();
+    }
+
+    updateDelayTime() {
+        const time = (60 / this.bpm) * this.settings.delay.beats;
+        this.setParam(this.units.delay.delay.delayTime, Math.min(MAX_DELAY_TIME, time));
+    }
+
+    /**
+     * Wire input -> enabled effects in order -> output
+     */
+    connectChain() {
+        const enabled = EFFECT_ORDER.filter(name => this.settings[name].enabled);
+        const routing = enabled.join(',');
+        if (routing === this.routing) return;
+        
+        this.input.disconnect();
+        EFFECT_ORDER.forEach(name => this.units[name].output.disconnect());
+        
+        let node = this.input;
+        enabled.forEach(name => {
+            node.connect(this.units[name].input);
+            node = this.units[name].output;
+        });
+        node.connect(this.output);
+        this.routing = routing;
+    }
+
+    /**
+     * Stereo noise fading out over the decay time, the impulse response of a diffuse room
+     * @param {number} decay - Length in seconds
+     */
+    createImpulse(decay) {
+        const sampleRate = this.audioContext.sampleRate;
+        const length = Math.max(1, Math.floor(sampleRate * decay));
+        const buffer = this.audioContext.createBuffer(2, length, sampleRate);
+        
+        let seed = IMPULSE_SEED;
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                seed = (seed * 1664525 + 1013904223) >>> 0;
+                const noise = (seed / 0x100000000) * 2 - 1;
+                data[i] = noise * Math.pow(1 - i / length, 3);
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Move a parameter, gliding briefly once the context is running so changes don't click
+     */
+    setParam(param, value) {
+        const now = this.audioContext.currentTime;
+        if (now === 0) {
+            param.value = value;
+        } else {
+            param.setTargetAtTime(value, now, MIX_SMOOTHING);
+        }
+    }
+}
@@ -1,4 +1,8 @@
-import { PIANO_KEY_WIDTH, RESIZE_HANDLE_WIDTH, NUM_OCTAVES, NOTES_PER_OCTAVE, NOTE_HEIGHT, GRID_WIDTH, GRID_SUBDIVISIONS } from './constants.js';
+import { PIANO_KEY_WIDTH, RESIZE_HANDLE_WIDTH, NOTES_PER_OCTAVE, NOTE_HEIGHT, GRID_WIDTH, GRID_SUBDIVISIONS, BEATS_PER_MEASURE, ZOOM_STEP } from './constants.js';
+import { PitchBend } from './PitchBend.js';
+
+// Minimum finger spread (px) along an axis before pinching zooms that axis
+const MIN_PINCH_SPAN = 40;
 
 /**
  * Handles all user input events
@@ -16,6 +20,7 @@ export class InputHandler {
         this.isCreatingNote = false;
         this.isSelecting = false;
         this.isDeleteSelecting = false;
+        this.isBending = false;
         
         // Drag state
         this.dragStartX = 0;
@@ -23,6 +28,8 @@ export class InputHandler {
         this.dragNote = null;
         this.resizeDirection = null;
         this.selectionBox = null;
+        this.bendNote = null;
+        this.lastBendPosition = 0;
         
         // Piano key state
         this.isGlissando = false;
@@ -88,7 +95,7 @@ export class InputHandler {
      * Get key number from Y coordinate
      */
     getKeyFromY(y) {
-        return NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - Math.floor(y / NOTE_HEIGHT);
+        return this.pianoRoll.numKeys - 1 - Math.floor(y / this.pianoRoll.noteHeight);
     }
 
     /**
@@ -129,7 +136,7 @@ export class InputHandler {
         
         if (e.button === 2) {
             // Right click - delete mode
-            this.handleRightClick(x, y);
+            this.handleRightClick(x, y, e);
         } else if (e.button === 0) {
             // Left click
             this.handleLeftClick(x, y, e);
@@ -143,14 +150,15 @@ export class InputHandler {
         const key = this.getKeyFromY(y);
         
         // Check if clicking on piano keys
-        if (x - this.pianoRoll.scrollX < PIANO_KEY_WIDTH && key >= 0 && key < NUM_OCTAVES * NOTES_PER_OCTAVE) {
+        if (x - this.pianoRoll.scrollX < PIANO_KEY_WIDTH && key >= 0 && key < this.pianoRoll.numKeys) {
             this.handlePianoKeyClick(key);
             return;
         }
         
         // Check if clicking on a note
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
-        const note = this.pianoRoll.noteManager.getNoteAt(x, y, scaleFactor);
+        const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
+        const note = this.pianoRoll.noteManager.getNoteAt(x, y, scaleFactor, scaleY);
         
         if (note) {
             this.handleNoteClick(note, x, y, e);
@@ -167,10 +175,17 @@ export class InputHandler {
     /**
      * Handle right click
      */
-    handleRightClick(x, y) {
+    handleRightClick(x, y, e) {
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
-        const note = this.pianoRoll.noteManager.getNoteAt(x, y, scaleFactor);
-        if (note) {
+        const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
+        const note = this.pianoRoll.noteManager.getNoteAt(x, y, scaleFactor, scaleY);
+        if (note && e.altKey) {
+            // Alt+right click flattens the note's pitch bend
+            if (this.pianoRoll.noteManager.clearPitchBends([note]) > 0) {
+                this.pianoRoll.emit('notesChanged');
+                this.pianoRoll.dirty = true;
+            }
+        } else if (note) {
             this.pianoRoll.noteManager.deleteNote(note);
             this.pianoRoll.emit('notesChanged');
             this.pianoRoll.dirty = true;
@@ -200,14 +215,17 @@ export class InputHandler {
      * Handle note click
      */
     handleNoteClick(note, x, y, e) {
-        // Don't allow editing notes from muted tracks
-        if (this.pianoRoll.trackVisibility.get(note.instrument) === false) {
+        // Don't allow editing notes from muted or locked tracks
+        if (!this.pianoRoll.isNoteEditable(note)) {
             return;
         }
         
         const isNoteSelected = this.pianoRoll.noteManager.selectedNotes.has(note);
         
-        if (e.shiftKey) {
+        if (e.altKey) {
+            // Alt+drag draws a pitch bend
+            this.startBend(note, x, y);
+        } else if (e.shiftKey) {
             // Toggle selection
             if (isNoteSelected) {
                 this.pianoRoll.noteManager.selectedNotes.delete(note);
@@ -237,9 +255,10 @@ export class InputHandler {
         // Convert screen position to note space
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
         const scaledNoteX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
+        const scaledNoteY = note.y * this.pianoRoll.noteHeight / NOTE_HEIGHT;
         
         this.dragStartX = x - scaledNoteX;
-        this.dragStartY = y - note.y;
+        this.dragStartY = y - scaledNoteY;
         
         if (!isNoteSelected && !this.shiftKeyHeld) {
             this.pianoRoll.noteManager.selectedNotes.clear();
@@ -257,6 +276,10 @@ export class InputHandler {
             // Store position for single note
             this.originalPositions.set(note, { x: note.x, y: note.y });
         }
+        
+        // The whole drag becomes a single undo step
+        this.pianoRoll.noteManager.beginTransaction('Move Notes');
+        this.pianoRoll.noteManager.touchNotes(this.originalPositions.keys());
     }
 
     /**
@@ -291,6 +314,67 @@ export class InputHandler {
             this.originalWidths = new Map([[note, note.width]]);
             this.originalPositions = new Map([[note, { x: note.x, y: note.y }]]);
         }
+        
+        // The whole resize becomes a single undo step
+        this.pianoRoll.noteManager.beginTransaction('Resize Notes');
+        this.pianoRoll.noteManager.touchNotes(this.originalWidths.keys());
+    }
+
+    /**
+     * Start drawing a pitch bend on a note
+     */
+    startBend(note, x, y) {
+        this.isBending = true;
+        this.bendNote = note;
+        
+        // The whole stroke becomes a single undo step
+        this.pianoRoll.noteManager.beginTransaction('Pitch Bend');
+        this.pianoRoll.noteManager.touchNotes([note]);
+        
+        // A new curve starts from the note's own pitch
+        const { position, cents } = this.getBendAt(note, x, y);
+        let bend = note.pitchBend || [];
+        if (bend.length === 0 && position > 0) {
+            bend = [{ position: 0, cents: 0 }];
+        }
+        note.pitchBend = PitchBend.drawPoint(bend, position, position, cents);
+        this.lastBendPosition = position;
+        this.pianoRoll.dirty = true;
+    }
+
+    /**
+     * Bend point under the mouse: position along the note and cents from its key.
+     * With grid snap on, bends snap to whole steps of the tuning.
+     */
+    getBendAt(note, x, y) {
+        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
+        const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
+        const scaledWidth = note.width * scaleFactor;
+        const centerY = (note.y + note.height / 2) * scaleY;
+        
+        // One row of the keyboard is one step of the tuning
+        let steps = (centerY - y) / this.pianoRoll.noteHeight;
+        if (this.pianoRoll.gridSnap) {
+            steps = Math.round(steps);
+        }
+        
+        return {
+            position: Math.max(0, Math.min(1, (x - scaledX) / scaledWidth)),
+            cents: steps * this.pianoRoll.tuning.getStepCents(note.key)
+        };
+    }
+
+    /**
+     * Handle pitch bend drawing
+     */
+    handleBend(x, y) {
+        if (!this.bendNote) return;
+        
+        const { position, cents } = this.getBendAt(this.bendNote, x, y);
+        this.bendNote.pitchBend = PitchBend.drawPoint(this.bendNote.pitchBend, this.lastBendPosition, position, cents);
+        this.lastBendPosition = position;
+        this.pianoRoll.dirty = true;
     }
 
     /**
@@ -311,21 +395,24 @@ export class InputHandler {
      */
     createNewNote(x, y) {
         const key = this.getKeyFromY(y);
-        if (key < 0 || key >= NUM_OCTAVES * NOTES_PER_OCTAVE || x < PIANO_KEY_WIDTH) return;
+        if (key < 0 || key >= this.pianoRoll.numKeys || x < PIANO_KEY_WIDTH) return;
         
         // Convert screen position to note position by unscaling
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
         const unscaledX = PIANO_KEY_WIDTH + (x - PIANO_KEY_WIDTH) / scaleFactor;
         
         const snappedX = this.pianoRoll.gridSnap ? this.pianoRoll.snapXToGrid(unscaledX) + PIANO_KEY_WIDTH : unscaledX;
+        
+        // Creating and stretching the note is a single undo step, including a track created for it
+        this.pianoRoll.noteManager.beginTransaction('Add Note');
         const noteData = {
             x: snappedX,
-            y: (NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - key) * NOTE_HEIGHT,
+            y: this.pianoRoll.getKeyY(key),
             key: key,
             velocity: this.pianoRoll.currentVelocity,
-            instrument: this.pianoRoll.currentSample
+            instrument: this.pianoRoll.currentSample,
+            track: this.pianoRoll.getActiveTrack().id
         };
-        
         const newNote = this.pianoRoll.noteManager.createNote(noteData);
         this.dragNote = newNote;
         this.isCreatingNote = true;
@@ -357,6 +444,7 @@ export class InputHandler {
             } else {
                 this.dragNote.width = newWidth;
             }
+            this.pianoRoll.noteManager.reindexNote(this.dragNote);
             this.pianoRoll.dirty = true;
         }
     }
@@ -370,7 +458,7 @@ export class InputHandler {
         this.mouseY = y;
         
         // Update hovered row only if changed
-        const newHoveredRow = Math.floor(y / NOTE_HEIGHT);
+        const newHoveredRow = Math.floor(y / this.pianoRoll.noteHeight);
         if (newHoveredRow !== this.pianoRoll.hoveredRow) {
             this.pianoRoll.hoveredRow = newHoveredRow;
             this.pianoRoll.dirty = true;
@@ -387,6 +475,8 @@ export class InputHandler {
             this.handleNoteCreation(x, y);
         } else if (this.isDragging) {
             this.handleDrag(x, y);
+        } else if (this.isBending) {
+            this.handleBend(x, y);
         } else if (this.isSelecting || this.isDeleteSelecting) {
             this.updateSelectionBox(x, y);
         } else if (this.isGlissando) {
@@ -406,9 +496,13 @@ export class InputHandler {
         const subdivisionWidth = GRID_WIDTH * BEATS_PER_MEASURE / snapDivisions;
         const minWidth = subdivisionWidth;
         
+        // Mouse movement in note space
+        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const deltaX = (x - this.dragStartX) / scaleFactor;
+        
         if (this.pianoRoll.noteManager.selectedNotes.has(this.dragNote)) {
             // Calculate raw delta
-            const rawDelta = x - this.dragStartX;
+            const rawDelta = deltaX;
             
             // Resize all selected notes
             this.pianoRoll.noteManager.resizeSelectedNotes(rawDelta, this.resizeDirection, this.originalWidths, this.originalPositions);
@@ -416,7 +510,7 @@ export class InputHandler {
             // Resize single note
             if (this.resizeDirection === 'right') {
                 // Calculate new right edge position
-                let newRightEdge = this.originalNoteX + this.originalNoteWidth + (x - this.dragStartX);
+                let newRightEdge = this.originalNoteX + this.originalNoteWidth + deltaX;
                 
                 // Snap to grid if enabled
                 if (this.pianoRoll.gridSnap) {
@@ -427,9 +521,10 @@ export class InputHandler {
                 // Calculate new width
                 const newWidth = newRightEdge - this.dragNote.x;
                 this.dragNote.width = Math.max(minWidth, newWidth);
+                this.pianoRoll.noteManager.reindexNote(this.dragNote);
             } else {
                 // Calculate new left edge position
-                let newX = this.originalNoteX + (x - this.dragStartX);
+                let newX = this.originalNoteX + deltaX;
                 
                 // Snap to grid if enabled
                 if (this.pianoRoll.gridSnap) {
@@ -444,6 +539,7 @@ export class InputHandler {
                 if (newWidth >= minWidth && newX >= PIANO_KEY_WIDTH) {
                     this.dragNote.x = newX;
                     this.dragNote.width = newWidth;
+                    this.pianoRoll.noteManager.reindexNote(this.dragNote);
                 }
             }
         }
@@ -459,11 +555,12 @@ export class InputHandler {
         
         // Convert screen position to note space
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
         
         // Calculate the target position (where the mouse is minus the offset within the note)
         const targetScreenX = x - this.dragStartX;
         const targetX = PIANO_KEY_WIDTH + (targetScreenX - PIANO_KEY_WIDTH) / scaleFactor;
-        const targetY = y - this.dragStartY;
+        const targetY = (y - this.dragStartY) / scaleY;
         
         // Ensure originalPositions exists
         if (!this.originalPositions) {
@@ -501,11 +598,12 @@ export class InputHandler {
                 
                 // Ensure note stays within bounds
                 newX = Math.max(PIANO_KEY_WIDTH, newX);
-                const newKey = this.getKeyFromY(newY + NOTE_HEIGHT / 2);
-                if (newKey >= 0 && newKey < NUM_OCTAVES * NOTES_PER_OCTAVE) {
+                const newKey = this.getKeyFromY((newY + NOTE_HEIGHT / 2) * scaleY);
+                if (newKey >= 0 && newKey < this.pianoRoll.numKeys) {
                     note.x = newX;
-                    note.y = (NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - newKey) * NOTE_HEIGHT;
+                    note.y = this.pianoRoll.getKeyY(newKey);
                     note.key = newKey;
+                    this.pianoRoll.noteManager.reindexNote(note);
                 }
             }
         } else {
@@ -522,11 +620,12 @@ export class InputHandler {
             
             // Ensure note stays within bounds
             newX = Math.max(PIANO_KEY_WIDTH, newX);
-            const newKey = this.getKeyFromY(newY + NOTE_HEIGHT / 2);
-            if (newKey >= 0 && newKey < NUM_OCTAVES * NOTES_PER_OCTAVE) {
+            const newKey = this.getKeyFromY((newY + NOTE_HEIGHT / 2) * scaleY);
+            if (newKey >= 0 && newKey < this.pianoRoll.numKeys) {
                 this.dragNote.x = newX;
-                this.dragNote.y = (NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - newKey) * NOTE_HEIGHT;
+                this.dragNote.y = this.pianoRoll.getKeyY(newKey);
                 this.dragNote.key = newKey;
+                this.pianoRoll.noteManager.reindexNote(this.dragNote);
             }
         }
         
@@ -544,7 +643,8 @@ export class InputHandler {
         
         // Update selected notes
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
-        this.pianoRoll.noteManager.selectNotesInRegion(this.selectionBox, this.shiftKeyHeld, scaleFactor);
+        const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
+        this.pianoRoll.noteManager.selectNotesInRegion(this.selectionBox, this.shiftKeyHeld, scaleFactor, scaleY);
         this.pianoRoll.emit('selectionChanged');
         this.pianoRoll.dirty = true;
     }
@@ -555,7 +655,7 @@ export class InputHandler {
     handleGlissando(x, y) {
         if (x - this.pianoRoll.scrollX < PIANO_KEY_WIDTH) {
             const key = this.getKeyFromY(y);
-            if (key >= 0 && key < NUM_OCTAVES * NOTES_PER_OCTAVE && key !== this.lastGlissandoKey) {
+            if (key >= 0 && key < this.pianoRoll.numKeys && key !== this.lastGlissandoKey) {
                 this.pressedKeys.clear();
                 this.pressedKeys.add(key);
                 this.pianoRoll.audioEngine.playNote(key, 100, this.pianoRoll.currentSample, true);
@@ -578,8 +678,12 @@ export class InputHandler {
         if (x < PIANO_KEY_WIDTH) {
             newCursor = 'pointer';
         } else {
-            const note = this.pianoRoll.noteManager.getNoteAt(x, y);
-            if (note) {
+            const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+            const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
+            const note = this.pianoRoll.noteManager.getNoteAt(x, y, scaleFactor, scaleY);
+            if (note && this.altKeyHeld) {
+                newCursor = 'ns-resize';
+            } else if (note) {
                 const resizeZone = this.isInResizeZone(note, x);
                 newCursor = (resizeZone.left || resizeZone.right) ? 'ew-resize' : 'move';
             } else {
@@ -601,7 +705,8 @@ export class InputHandler {
         if (this.isSelecting || this.isDeleteSelecting) {
             if (this.isDeleteSelecting && this.selectionBox) {
                 const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
-                this.pianoRoll.noteManager.deleteNotesInRegion(this.selectionBox, scaleFactor);
+                const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
+                this.pianoRoll.noteManager.deleteNotesInRegion(this.selectionBox, scaleFactor, scaleY);
                 this.pianoRoll.emit('notesChanged');
             }
             this.selectionBox = null;
@@ -618,7 +723,8 @@ export class InputHandler {
         }
         
         // Emit notesChanged if we were editing notes
-        if (this.isDragging || this.isResizing || this.isCreatingNote) {
+        if (this.isDragging || this.isResizing || this.isCreatingNote || this.isBending) {
+            this.pianoRoll.noteManager.commitTransaction();
             this.pianoRoll.emit('notesChanged');
         }
         
@@ -629,7 +735,9 @@ export class InputHandler {
         this.isSelecting = false;
         this.isDeleteSelecting = false;
         this.isGlissando = false;
+        this.isBending = false;
         this.dragNote = null;
+        this.bendNote = null;
         this.currentPlayingKey = null;
         this.lastGlissandoKey = -1;
         this.originalPositions = null;
@@ -672,6 +780,21 @@ export class InputHandler {
         const delta = e.deltaY;
         const scrollSpeed = 30;
         
+        if (e.ctrlKey || e.metaKey) {
+            // Zoom around the mouse position (Shift zooms vertically)
+            const rect = this.canvas.getBoundingClientRect();
+            const factor = Math.pow(ZOOM_STEP, -(delta || e.deltaX) / 100);
+            const anchorX = e.clientX - rect.left;
+            const anchorY = e.clientY - rect.top;
+            
+            if (e.shiftKey) {
+                this.pianoRoll.setZoom(this.pianoRoll.zoomX, this.pianoRoll.zoomY * factor, anchorX, anchorY);
+            } else {
+                this.pianoRoll.setZoom(this.pianoRoll.zoomX * factor, this.pianoRoll.zoomY, anchorX, anchorY);
+            }
+            return;
+        }
+        
         if (e.shiftKey) {
             // Horizontal scroll
             this.pianoRoll.scrollX = Math.max(0, 
@@ -905,6 +1028,7 @@ export class InputHandler {
             if (this.isCreatingNote && this.dragNote) {
                 this.pianoRoll.noteManager.deleteNote(this.dragNote);
             }
+            this.pianoRoll.noteManager.commitTransaction();
             
             // Reset all interaction states
             this.isDragging = false;
@@ -931,6 +1055,10 @@ export class InputHandler {
             const dx = touch2.clientX - touch1.clientX;
             const dy = touch2.clientY - touch1.clientY;
             this.multiTouchStartDistance = Math.sqrt(dx * dx + dy * dy);
+            this.multiTouchStartSpanX = Math.abs(dx);
+            this.multiTouchStartSpanY = Math.abs(dy);
+            this.multiTouchStartZoomX = this.pianoRoll.zoomX;
+            this.multiTouchStartZoomY = this.pianoRoll.zoomY;
             
             // Store initial scroll position for panning
             this.multiTouchStartScrollX = this.pianoRoll.scrollX;
@@ -939,6 +1067,11 @@ export class InputHandler {
             // Calculate center point
             this.multiTouchCenterX = (touch1.clientX + touch2.clientX) / 2;
             this.multiTouchCenterY = (touch1.clientY + touch2.clientY) / 2;
+            
+            // Remember the content (in beats and rows) under the center point so it stays under the fingers
+            const rect = this.canvas.getBoundingClientRect();
+            this.multiTouchContentX = (this.pianoRoll.scrollX + this.multiTouchCenterX - rect.left - PIANO_KEY_WIDTH) / this.pianoRoll.gridWidth;
+            this.multiTouchContentY = (this.pianoRoll.scrollY + this.multiTouchCenterY - rect.top) / this.pianoRoll.noteHeight;
         }
     }
     
@@ -954,23 +1087,25 @@ export class InputHandler {
             const newCenterX = (touch1.clientX + touch2.clientX) / 2;
             const newCenterY = (touch1.clientY + touch2.clientY) / 2;
             
-            // Calculate pan delta
-            const panDeltaX = this.multiTouchCenterX - newCenterX;
-            const panDeltaY = this.multiTouchCenterY - newCenterY;
-            
-            // Apply panning
-            this.pianoRoll.scrollX = Math.max(0, 
-                Math.min(this.pianoRoll.totalWidth - this.canvas.width, 
-                    this.multiTouchStartScrollX + panDeltaX));
-            this.pianoRoll.scrollY = Math.max(0, 
-                Math.min(this.pianoRoll.totalHeight - this.canvas.height, 
-                    this.multiTouchStartScrollY + panDeltaY));
+            // Pinch zoom each axis by how far the fingers spread along it
+            const spanX = Math.abs(touch2.clientX - touch1.clientX);
+            const spanY = Math.abs(touch2.clientY - touch1.clientY);
+            let zoomX = this.pianoRoll.zoomX;
+            let zoomY = this.pianoRoll.zoomY;
+            if (this.multiTouchStartSpanX >= MIN_PINCH_SPAN && spanX >= MIN_PINCH_SPAN) {
+                zoomX = this.multiTouchStartZoomX * spanX / this.multiTouchStartSpanX;
+            }
+            if (this.multiTouchStartSpanY >= MIN_PINCH_SPAN && spanY >= MIN_PINCH_SPAN) {
+                zoomY = this.multiTouchStartZoomY * spanY / this.multiTouchStartSpanY;
+            }
+            this.pianoRoll.setZoom(zoomX, zoomY);
             
-            this.pianoRoll.emit('scroll', { 
-                scrollX: this.pianoRoll.scrollX, 
-                scrollY: this.pianoRoll.scrollY 
-            });
-            this.pianoRoll.dirty = true;
+            // Pan so the content that started under the fingers follows their center
+            const rect = this.canvas.getBoundingClientRect();
+            this.pianoRoll.setScroll(
+                PIANO_KEY_WIDTH + this.multiTouchContentX * this.pianoRoll.gridWidth - (newCenterX - rect.left),
+                this.multiTouchContentY * this.pianoRoll.noteHeight - (newCenterY - rect.top)
+            );
         }
     }
     
@@ -1043,34 +1178,11 @@ export class InputHandler {
      * Handle MIDI Note On
      */
     handleMIDINoteOn(midiNote, velocity) {
-        // Convert MIDI note to 38-EDO key number
-        // Import the 12-tone to 38 EDO mapping
-        const TWELVE_TO_38_EDO_MAP = {
-            0: 0,   // C
-            1: 3,   // C#
-            2: 6,   // D
-            3: 9,   // D#
-            4: 12,  // E
-            5: 15,  // F
-            6: 18,  // F#
-            7: 22,  // G
-            8: 25,  // G#
-            9: 28,  // A
-            10: 31, // A#
-            11: 34  // B
-        };
-        
-        // MIDI note 60 = Middle C = C4
-        const midiC4 = 60;
-        const octaveShift = Math.floor((midiNote - midiC4) / 12);
-        const noteInOctave = (midiNote % 12 + 12) % 12; // Ensure positive
-        
-        // C4 should be at key 152 (same as before), which is octave 4 in the old system
-        const c4KeyNumber = 4 * NOTES_PER_OCTAVE; // 152 (4 × 38)
-        const keyNumber = c4KeyNumber + octaveShift * NOTES_PER_OCTAVE + TWELVE_TO_38_EDO_MAP[noteInOctave];
+        // Convert the MIDI note to a key in the active tuning
+        const keyNumber = this.pianoRoll.tuning.getKeyForMidiNote(midiNote);
         
-        // Check if key is within valid range (0-575)
-        if (keyNumber < 0 || keyNumber >= NUM_OCTAVES * NOTES_PER_OCTAVE) {
+        // Skip notes that are unmapped or off the keyboard
+        if (keyNumber === null) {
             return;
         }
         
@@ -1078,7 +1190,7 @@ export class InputHandler {
         this.pianoRoll.playPianoKey(keyNumber, velocity);
         
         // Debug: Log the mapping
-        console.log(`MIDI ${midiNote} (${this.getMidiNoteName(midiNote)}) -> 38EDO key ${keyNumber}, position in octave: ${keyNumber % NOTES_PER_OCTAVE}`);
+        console.log(`MIDI ${midiNote} (${this.getMidiNoteName(midiNote)}) -> ${this.pianoRoll.tuning.name} key ${keyNumber}, position in octave: ${keyNumber % this.pianoRoll.notesPerOctave}`);
         
         // Store the mapping (allow multiple notes)
         if (!this.midiNoteMap.has(midiNote)) {
@@ -8,8 +8,20 @@ import {
     PIANO_KEY_WIDTH,
     NUM_OCTAVES,
     DEFAULT_VELOCITY,
-    TOTAL_MEASURES
+    TOTAL_MEASURES,
+    TWELVE_TO_38_EDO_MAP
 } from './constants.js';
+import { TimeMap } from './TimeMap.js';
+
+// Resolution of exported MIDI files
+const EXPORT_TICKS_PER_QUARTER = 480;
+
+// Pitch bend range (in semitones) set on channels used for microtonal notes
+const EXPORT_BEND_RANGE = 2;
+
+// General MIDI percussion notes for the Organya drum set
+// (Bass01, Bass02, Snare01, Snare02, Tom01, HiClose, HiOpen, Crash, Per01, Per02, Bass03, Tom02)
+const ORG_DRUM_TO_GM = [36, 35, 38, 40, 45, 42, 46, 49, 39, 56, 36, 47];
 
 /**
  * MIDI file parser
@@ -291,6 +303,18 @@ export class MidiParser {
                     bytesUsed: length + 1 + lengthBytes
                 };
                 
+            case 0x03: // Track Name
+                let name = '';
+                for (let i = 0; i < length; i++) {
+                    name += String.fromCharCode(view.getUint8(offset + 1 + lengthBytes + i));
+                }
+                return {
+                    type: 'trackName',
+                    time,
+                    name: name.trim(),
+                    bytesUsed: length + 1 + lengthBytes
+                };
+                
             case 0x2F: // End of Track
                 return {
                     type: 'endOfTrack',
@@ -391,6 +415,15 @@ export class MidiParser {
         
         // Track which instruments are assigned to which track+channel combinations
         const trackChannelInstruments = new Map();
+        // Each track+channel combination with notes becomes an editor track
+        const editorTracks = new Map();
+        const getEditorTrack = (trackIndex, channel, instrument) => {
+            const trackChannelKey = `${trackIndex}-${channel}`;
+            if (!editorTracks.has(trackChannelKey)) {
+                editorTracks.set(trackChannelKey, { trackIndex, channel, instrument });
+            }
+            return editorTracks.get(trackChannelKey);
+        };
         // Track MIDI program changes per channel - fresh map for each conversion
         const channelPrograms = new Map();
         let tempo = 120; // Default tempo
@@ -433,6 +466,9 @@ export class MidiParser {
             };
         }
         
+        // Build the song's tempo and time signature map
+        const timeMap = this.buildTimeMap(tempoChanges, timeSignatures, midiData.ticksPerQuarter, tempo);
+        
         // Find the actual time range of the MIDI file
         const { minTime, maxTime } = this.findTimeRange(midiData.tracks);
         const timeRange = maxTime - minTime;
@@ -618,7 +654,8 @@ export class MidiParser {
                             velocity,
                             pan,
                             instrument,
-                            pipi: 0
+                            pipi: 0,
+                            track: getEditorTrack(noteStart.trackIndex, noteStart.channel, instrument)
                         });
                         
                         activeNotes.delete(key);
@@ -665,6 +702,11 @@ export class MidiParser {
                 
                 const y = (NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - key38) * NOTE_HEIGHT;
                 
+                // Keep the instrument of the note's track and channel when it has one
+                const instrument = noteStart.channel === 9 ? 'ORG_D00' :
+                    (trackChannelInstruments.get(`${noteStart.trackIndex}-${noteStart.channel}`) ||
+                     defaultInstrument || 'ORG_M00');
+                
                 notes.push({
                     x,
                     y,
@@ -673,9 +715,9 @@ export class MidiParser {
                     key: key38,
                     velocity: noteStart.velocity,
                     pan: 0,
-                    instrument: noteStart.channel === 9 ? 'ORG_D00' : 
-                               (defaultInstrument || 'ORG_M00'),
-                    pipi: 0
+                    instrument,
+                    pipi: 0,
+                    track: getEditorTrack(noteStart.trackIndex, noteStart.channel, instrument)
                 });
             });
         }
@@ -683,6 +725,21 @@ export class MidiParser {
         // Sort notes by start position for better display
         notes.sort((a, b) => a.x - b.x);
         
+        // Number editor tracks in file order, named after their MIDI track
+        const trackNames = midiData.tracks.map(track =>
+            track.events.find(event => event.type === 'trackName' && event.name)?.name);
+        const tracks = Array.from(editorTracks.values()).sort((a, b) =>
+            a.trackIndex - b.trackIndex || a.channel - b.channel);
+        tracks.forEach((track, i) => {
+            const name = trackNames[track.trackIndex] || `Track ${track.trackIndex + 1}`;
+            const channels = tracks.filter(other => other.trackIndex === track.trackIndex).length;
+            track.id = i + 1;
+            track.name = channels > 1 ? `${name} (Ch ${track.channel + 1})` : name;
+        });
+        notes.forEach(note => {
+            note.track = note.track.id;
+        });
+        
         // Log timing statistics
         if (notes.length > 0) {
             const notesByTrack = {};
@@ -712,9 +769,11 @@ export class MidiParser {
         
         return {
             notes,
+            tracks: tracks.map(({ id, name, instrument }) => ({ id, name, instrument })),
             tempo: Math.round(tempo),
+            timeMap: timeMap.toJSON(),
             loopStart: 0,
-            loopEnd: this.calculateMeasures(notes),
+            loopEnd: this.calculateMeasures(notes, timeMap),
             loopEnabled: false
         };
     }
@@ -823,15 +882,52 @@ export class MidiParser {
     /**
      * Calculate number of measures from notes
      */
-    static calculateMeasures(notes) {
+    static calculateMeasures(notes, timeMap = null) {
         if (notes.length === 0) return 4;
         
         const maxX = Math.max(...notes.map(n => n.x + n.width));
-        const measures = Math.ceil((maxX - PIANO_KEY_WIDTH) / (GRID_WIDTH * BEATS_PER_MEASURE));
+        let measures = Math.ceil((maxX - PIANO_KEY_WIDTH) / (GRID_WIDTH * BEATS_PER_MEASURE));
+        if (timeMap) {
+            measures = timeMap.getMeasuresUntil((maxX - PIANO_KEY_WIDTH) / GRID_WIDTH);
+        }
         
         return Math.max(4, measures);
     }
     
+    /**
+     * Build a tempo and time signature map from MIDI meta events
+     * @param {Array} tempoChanges - [{time, tempo}] sorted by tick
+     * @param {Array} timeSignatures - [{time, numerator, denominator}] sorted by tick
+     * @param {number} ticksPerQuarter - File resolution
+     * @param {number} tempo - Starting tempo
+     * @returns {TimeMap} Map with positions in beats and measures
+     */
+    static buildTimeMap(tempoChanges, timeSignatures, ticksPerQuarter, tempo) {
+        const timeMap = new TimeMap(Math.round(tempo));
+        
+        tempoChanges.forEach(change => {
+            const beat = change.time / ticksPerQuarter;
+            const bpm = Math.round(change.tempo * 100) / 100;
+            // The starting tempo is already set; skip redundant repeats
+            if (beat > 0 && bpm !== timeMap.getTempoAt(beat)) {
+                timeMap.setTempoChange(beat, bpm);
+            }
+        });
+        
+        // Time signature events land on bar lines, so count whole measures between them
+        let measure = 0;
+        let segmentTick = 0;
+        let ticksPerMeasure = ticksPerQuarter * BEATS_PER_MEASURE;
+        timeSignatures.forEach(signature => {
+            measure += Math.round((signature.time - segmentTick) / ticksPerMeasure);
+            segmentTick = signature.time;
+            ticksPerMeasure = ticksPerQuarter * signature.numerator * 4 / signature.denominator;
+            timeMap.setMeterChange(measure, signature.numerator, signature.denominator);
+        });
+        
+        return timeMap;
+    }
+    
     /**
      * Get velocity scaling factor for MIDI instrument
      * Returns a multiplier to balance instrument volumes
@@ -1065,4 +1161,330 @@ export class MidiParser {
         
         return instruments[program] || `Program ${program}`;
     }
-}
\ No newline at end of file
+
+    /**
+     * Create a Type-1 Standard MIDI File from notes
+     * One track per instrument; microtonal keys are played with per-note pitch
+     * bend on rotating channels (MPE-style) so 38-EDO pitches survive in 12-TET hosts.
+     * @param {Array} notes - Note array
+     * @param {Object} settings - Export settings (tempo, timeMap, loopEnabled, loopStart, loopEnd in measures)
+     * @returns {Object} { buffer: ArrayBuffer, warnings: Array<string> }
+     */
+    static createMidiFile(notes, settings = {}) {
+        const tempo = settings.tempo || 120;
+        const ticksPerPixel = EXPORT_TICKS_PER_QUARTER / GRID_WIDTH; // GRID_WIDTH = 1 beat
+        const issues = { sharedBendChannels: 0, sharedHomeChannels: false };
+        
+        // Group notes by instrument, keeping first-appearance order
+        const instrumentNotes = new Map();
+        notes.forEach(note => {
+            if (!instrumentNotes.has(note.instrument)) {
+                instrumentNotes.set(note.instrument, []);
+            }
+            instrumentNotes.get(note.instrument).push(note);
+        });
+        
+        const instruments = Array.from(instrumentNotes.keys());
+        const melodic = instruments.filter(name => !name.startsWith('ORG_D'));
+        
+        // Each melodic instrument gets a home channel; the rest rotate for pitch-bent notes
+        const freeChannels = [];
+        for (let channel = 0; channel < 16; channel++) {
+            if (channel !== 9) freeChannels.push(channel);
+        }
+        const homeChannels = new Map();
+        melodic.forEach((name, i) => {
+            homeChannels.set(name, freeChannels[i % freeChannels.length]);
+        });
+        if (melodic.length > freeChannels.length) {
+            issues.sharedHomeChannels = true;
+        }
+        const bendChannels = freeChannels.slice(Math.min(melodic.length, freeChannels.length));
+        const bendChannelEnds = new Map(bendChannels.map(channel => [channel, -1]));
+        
+        // Conductor track: tempo changes, time signatures and loop markers
+        const conductor = [];
+        const timeMap = settings.timeMap || new TimeMap(tempo);
+        conductor.push(this.metaEvent(0, 0x03, this.textBytes(settings.title || 'that38.org')));
+        timeMap.tempos.forEach(change => {
+            const microsecondsPerQuarter = Math.round(60000000 / change.bpm);
+            conductor.push(this.metaEvent(Math.round(change.beat * EXPORT_TICKS_PER_QUARTER), 0x51, [
+                (microsecondsPerQuarter >> 16) & 0xff,
+                (microsecondsPerQuarter >> 8) & 0xff,
+                microsecondsPerQuarter & 0xff
+            ]));
+        });
+        timeMap.meters.forEach(meter => {
+            // The denominator is stored as a power of two
+            const tick = Math.round(timeMap.getMeasureStart(meter.measure) * EXPORT_TICKS_PER_QUARTER);
+            conductor.push(this.metaEvent(tick, 0x58, [meter.numerator, Math.round(Math.log2(meter.denominator)), 24, 8]));
+        });
+        
+        if (settings.loopEnabled) {
+            const loopStartTick = Math.round(timeMap.getMeasureStart(settings.loopStart) * EXPORT_TICKS_PER_QUARTER);
+            const loopEndTick = Math.round(timeMap.getMeasureStart(settings.loopEnd) * EXPORT_TICKS_PER_QUARTER);
+            conductor.push(this.metaEvent(loopStartTick, 0x06, this.textBytes('loopStart')));
+            conductor.push(this.metaEvent(loopEndTick, 0x06, this.textBytes('loopEnd')));
+        }
+        
+        // Allocate bend channels in time order across all instruments
+        const bentNotes = new Map(); // note -> channel
+        notes
+            .filter(note => !note.instrument.startsWith('ORG_D') && this.key38ToMidi(note.key).bend !== 0)
+            .sort((a, b) => a.x - b.x)
+            .forEach(note => {
+                const start = Math.round((note.x - PIANO_KEY_WIDTH) * ticksPerPixel);
+                const end = Math.round((note.x - PIANO_KEY_WIDTH + note.width) * ticksPerPixel);
+                
+                if (bendChannels.length === 0) {
+                    // No spare channels: bend the home channel and hope nothing overlaps
+                    issues.sharedBendChannels++;
+                    bentNotes.set(note, homeChannels.get(note.instrument));
+                    return;
+                }
+                
+                // Pick the channel that has been free the longest
+                let channel = bendChannels[0];
+                for (const candidate of bendChannels) {
+                    if (bendChannelEnds.get(candidate) < bendChannelEnds.get(channel)) {
+                        channel = candidate;
+                    }
+                }
+                if (bendChannelEnds.get(channel) > start) {
+                    issues.sharedBendChannels++;
+                }
+                bendChannelEnds.set(channel, end);
+                bentNotes.set(note, channel);
+            });
+        
+        // Set the pitch bend range (RPN 0) on every channel that plays bent notes
+        new Set(bentNotes.values()).forEach(channel => {
+            conductor.push(
+                this.channelEvent(0, 2, 0xB0 | channel, 101, 0),
+                this.channelEvent(0, 2, 0xB0 | channel, 100, 0),
+                this.channelEvent(0, 2, 0xB0 | channel, 6, EXPORT_BEND_RANGE),
+                this.channelEvent(0, 2, 0xB0 | channel, 38, 0)
+            );
+        });
+        
+        // One track per instrument, starting with its name and home channel program
+        const trackEvents = new Map(); // instrument -> events
+        const channelState = new Map(); // channel -> { program, volume, pan, bent }, shared by all tracks
+        for (const instrument of instruments) {
+            const events = [this.metaEvent(0, 0x03, this.textBytes(instrument))];
+            if (!instrument.startsWith('ORG_D')) {
+                const homeChannel = homeChannels.get(instrument);
+                const program = this.getProgramNumber(instrument);
+                if (!channelState.has(homeChannel)) {
+                    events.push(this.channelEvent(0, 2, 0xC0 | homeChannel, program));
+                    channelState.set(homeChannel, { program });
+                }
+            }
+            trackEvents.set(instrument, events);
+        }
+        
+        // Notes go out in time order over all tracks, so each channel's state is what the
+        // last note on it left, whichever instrument that was
+        notes
+            .slice()
+            .sort((a, b) => a.x - b.x)
+            .forEach(note => {
+                const instrument = note.instrument;
+                const isDrum = instrument.startsWith('ORG_D');
+                const program = this.getProgramNumber(instrument);
+                const events = trackEvents.get(instrument);
+                const start = Math.round((note.x - PIANO_KEY_WIDTH) * ticksPerPixel);
+                const end = Math.max(start + 1, Math.round((note.x - PIANO_KEY_WIDTH + note.width) * ticksPerPixel));
+                const channel = bentNotes.has(note) ? bentNotes.get(note) : (isDrum ? 9 : homeChannels.get(instrument));
+                const state = channelState.get(channel) || {};
+                channelState.set(channel, state);
+                
+                let midiNote;
+                let bend = 0;
+                if (isDrum) {
+                    const drumIndex = parseInt(instrument.substring(5)) || 0;
+                    midiNote = ORG_DRUM_TO_GM[drumIndex % ORG_DRUM_TO_GM.length];
+                } else {
+                    ({ note: midiNote, bend } = this.key38ToMidi(note.key));
+                }
+                
+                // Program changes follow the note onto rotating channels
+                if (!isDrum && state.program !== program) {
+                    events.push(this.channelEvent(start, 2, 0xC0 | channel, program));
+                    state.program = program;
+                }
+                
+                // Velocity and pan become channel volume (CC7) and pan (CC10)
+                const volume = this.toMidiVolume(note.velocity);
+                const pan = this.toMidiPan(note.pan);
+                if (state.volume !== volume) {
+                    events.push(this.channelEvent(start, 2, 0xB0 | channel, 7, volume));
+                    state.volume = volume;
+                }
+                if (state.pan !== pan) {
+                    events.push(this.channelEvent(start, 2, 0xB0 | channel, 10, pan));
+                    state.pan = pan;
+                }
+                
+                if (bentNotes.has(note) || state.bent) {
+                    const bendValue = Math.max(0, Math.min(16383, Math.round(8192 + (bend / EXPORT_BEND_RANGE) * 8192)));
+                    events.push(this.channelEvent(start, 2, 0xE0 | channel, bendValue & 0x7f, bendValue >> 7));
+                    state.bent = bend !== 0;
+                }
+                
+                // Volume and pan automation within the note
+                (note.volumeAutomation || []).forEach(point => {
+                    const tick = start + Math.round(point.position * ticksPerPixel);
+                    const value = this.toMidiVolume(point.volume);
+                    events.push(this.channelEvent(Math.max(start, tick), 2, 0xB0 | channel, 7, value));
+                    state.volume = value;
+                });
+                (note.panAutomation || []).forEach(point => {
+                    const tick = start + Math.round(point.position * ticksPerPixel);
+                    const value = this.toMidiPan(point.pan);
+                    events.push(this.channelEvent(Math.max(start, tick), 2, 0xB0 | channel, 10, value));
+                    state.pan = value;
+                });
+                
+                // Note-on velocity is fixed so the volume isn't applied twice
+                const clampedNote = Math.max(0, Math.min(127, midiNote));
+                events.push(this.channelEvent(start, 3, 0x90 | channel, clampedNote, DEFAULT_VELOCITY));
+                events.push(this.channelEvent(end, 0, 0x80 | channel, clampedNote, 0));
+            });
+        
+        const trackChunks = [this.buildTrackChunk(conductor)];
+        trackEvents.forEach(events => trackChunks.push(this.buildTrackChunk(events)));
+        
+        // Assemble file: header chunk followed by track chunks
+        const header = [
+            ...this.textBytes('MThd'),
+            0, 0, 0, 6,
+            0, 1, // Format 1
+            (trackChunks.length >> 8) & 0xff, trackChunks.length & 0xff,
+            (EXPORT_TICKS_PER_QUARTER >> 8) & 0xff, EXPORT_TICKS_PER_QUARTER & 0xff
+        ];
+        
+        const totalSize = header.length + trackChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const bytes = new Uint8Array(totalSize);
+        bytes.set(header, 0);
+        let offset = header.length;
+        trackChunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        
+        const warnings = [];
+        if (issues.sharedBendChannels > 0) {
+            warnings.push(`${issues.sharedBendChannels} microtonal note(s) overlap another bent note on the same channel; their pitch bend may affect each other`);
+        }
+        if (issues.sharedHomeChannels) {
+            warnings.push('More than 15 melodic instruments: some instruments share a MIDI channel');
+        }
+        
+        return { buffer: bytes.buffer, warnings };
+    }
+
+    /**
+     * Convert a 38-EDO key to a MIDI note plus pitch bend in semitones
+     * Keys on the 12-tone mapping are plain MIDI notes; other keys use their exact 38-EDO pitch.
+     */
+    static key38ToMidi(key38) {
+        const octave = Math.floor(key38 / NOTES_PER_OCTAVE);
+        const position = key38 % NOTES_PER_OCTAVE;
+        const octaveBase = (octave + 1) * 12; // Key 4 * 38 is middle C (MIDI 60), as with live MIDI input
+        
+        for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+            if (TWELVE_TO_38_EDO_MAP[pitchClass] === position) {
+                return { note: octaveBase + pitchClass, bend: 0 };
+            }
+        }
+        
+        const semitones = position * 12 / NOTES_PER_OCTAVE;
+        const nearest = Math.round(semitones);
+        return { note: octaveBase + nearest, bend: semitones - nearest };
+    }
+
+    /**
+     * Get MIDI program number from instrument name
+     */
+    static getProgramNumber(instrumentName) {
+        const match = instrumentName.match(/ORG_M(\d+)/);
+        return match ? parseInt(match[1]) % 128 : 0;
+    }
+
+    /**
+     * Convert 0-127 velocity to a CC7 value
+     */
+    static toMidiVolume(velocity) {
+        return Math.max(0, Math.min(127, Math.round(velocity)));
+    }
+
+    /**
+     * Convert -100..100 pan to a CC10 value (64 = center)
+     */
+    static toMidiPan(pan) {
+        return Math.max(0, Math.min(127, Math.round(64 + pan * 0.64)));
+    }
+
+    /**
+     * Create a channel event
+     * @param {number} tick - Absolute tick
+     * @param {number} order - Sort order within a tick (note-offs first, note-ons last)
+     */
+    static channelEvent(tick, order, status, data1, data2 = null) {
+        const data = data2 === null ? [status, data1] : [status, data1, data2];
+        return { tick, order, data };
+    }
+
+    /**
+     * Create a meta event
+     */
+    static metaEvent(tick, type, payload) {
+        return { tick, order: 1, data: [0xFF, type, ...this.writeVariableLength(payload.length), ...payload] };
+    }
+
+    /**
+     * Build an MTrk chunk from absolute-time events
+     */
+    static buildTrackChunk(events) {
+        const sorted = events
+            .map((event, index) => ({ ...event, index }))
+            .sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index);
+        
+        const body = [];
+        let lastTick = 0;
+        sorted.forEach(event => {
+            body.push(...this.writeVariableLength(event.tick - lastTick), ...event.data);
+            lastTick = event.tick;
+        });
+        
+        // End of track
+        body.push(0, 0xFF, 0x2F, 0);
+        
+        const chunk = new Uint8Array(8 + body.length);
+        chunk.set(this.textBytes('MTrk'), 0);
+        new DataView(chunk.buffer).setUint32(4, body.length);
+        chunk.set(body, 8);
+        return chunk;
+    }
+
+    /**
+     * Encode a variable-length quantity
+     */
+    static writeVariableLength(value) {
+        const bytes = [value & 0x7f];
+        value >>= 7;
+        while (value > 0) {
+            bytes.unshift((value & 0x7f) | 0x80);
+            value >>= 7;
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode ASCII text as bytes
+     */
+    static textBytes(text) {
+        return Array.from(text, char => char.charCodeAt(0) & 0x7f);
+    }
+}
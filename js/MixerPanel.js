@@ -0,0 +1,396 @@
+import { METER_FLOOR_DB, METER_DECAY } from './constants.js';
+import { EffectsChain, EFFECT_ORDER } from './EffectsChain.js';
+
+const formatPercent = value => `${Math.round(value * 100)}%`;
+const formatMs = value => `${Math.round(value * 1000)} ms`;
+
+// Controls of each effect: sliders ({ min, max, step, log }) or selects ({ options: [[value, label]] })
+const EFFECT_CONTROLS = {
+    filter: {
+        label: 'Filter',
+        params: [
+            { key: 'type', label: 'Type', options: [['lowpass', 'Low-pass'], ['highpass', 'High-pass'], ['bandpass', 'Band-pass'], ['notch', 'Notch']] },
+            { key: 'frequency', label: 'Cutoff', min: 20, max: 20000, log: true, format: value => `${Math.round(value)} Hz` },
+            { key: 'q', label: 'Resonance', min: 0.1, max: 20, step: 0.1, format: value => value.toFixed(1) }
+        ]
+    },
+    compressor: {
+        label: 'Compressor',
+        params: [
+            { key: 'threshold', label: 'Threshold', min: -60, max: 0, step: 1, format: value => `${value} dB` },
+            { key: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.5, format: value => `${value}:1` },
+            { key: 'attack', label: 'Attack', min: 0, max: 0.2, step: 0.001, format: formatMs },
+            { key: 'release', label: 'Release', min: 0.01, max: 1, step: 0.01, format: formatMs }
+        ]
+    },
+    delay: {
+        label: 'Delay',
+        params: [
+            { key: 'beats', label: 'Time', options: [[0.25, '1/16'], [1 / 3, '1/8 triplet'], [0.5, '1/8'], [0.75, 'Dotted 1/8'], [1, '1/4'], [1.5, 'Dotted 1/4'], [2, '1/2']] },
+            { key: 'feedback', label: 'Feedback', min: 0, max: 0.9, step: 0.01, format: formatPercent },
+            { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, format: formatPercent }
+        ]
+    },
+    reverb: {
+        label: 'Reverb',
+        params: [
+            { key: 'decay', label: 'Decay', min: 0.2, max: 6, step: 0.1, format: value => `${value.toFixed(1)} s` },
+            { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, format: formatPercent }
+        ]
+    }
+};
+
+const LOG_SLIDER_STEPS = 1000;
+
+/**
+ * MixerPanel - One channel strip per track (fader, pan knob, mute, solo and a peak meter)
+ * plus a master strip. Mute and solo only change what is heard; notes stay on screen.
+ * The FX button of a strip opens its effects below the strips.
+ */
+export class MixerPanel {
+    constructor(container, effectsContainer, pianoRoll, masterSlider) {
+        this.container = container;
+        this.effectsContainer = effectsContainer;
+        this.pianoRoll = pianoRoll;
+        this.masterSlider = masterSlider;
+        this.strips = new Map(); // Track id -> strip elements
+        this.masterStrip = null;
+        this.layoutKey = null; // Track ids the strips were built for
+        this.effectsTarget = null; // Track id whose effects are shown, 'master', or null for none
+        this.animationFrame = null;
+    }
+
+    /**
+     * Rebuild the strips when tracks were added, removed or reordered, otherwise refresh their values
+     */
+    render() {
+        const tracks = this.pianoRoll.trackManager.tracks;
+        const layoutKey = tracks.map(track => track.id).join(',');
+        
+        if (layoutKey !== this.layoutKey) {
+            this.build(tracks);
+            this.layoutKey = layoutKey;
+            
+            if (this.effectsTarget !== 'master' && !this.strips.has(this.effectsTarget)) {
+                this.effectsTarget = null;
+            }
+            this.renderEffects();
+        }
+        this.update();
+    }
+
+    build(tracks) {
+        this.container.innerHTML = '';
+        this.strips.clear();
+        
+        if (tracks.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'mixer-empty';
+            empty.textContent = 'No tracks yet. Draw a note or add a track.';
+            this.container.appendChild(empty);
+        }
+        
+        tracks.forEach(track => {
+            const strip = this.createStrip(track.name);
+            
+            strip.fader.addEventListener('input', () => {
+                this.pianoRoll.setTrackVolume(track.id, parseInt(strip.fader.value));
+            });
+            this.setupKnob(strip, track.id);
+            strip.mute.addEventListener('click', () => this.pianoRoll.toggleTrackMute(track.id));
+            strip.solo.addEventListener('click', () => this.pianoRoll.toggleTrackSolo(track.id));
+            strip.fx.addEventListener('click', () => this.showEffects(track.id));
+            
+            this.strips.set(track.id, strip);
+            this.container.appendChild(strip.el);
+        });
+        
+        // Master strip drives the toolbar volume slider so both stay in step
+        this.masterStrip = this.createStrip('Master', true);
+        this.masterStrip.fader.addEventListener('input', () => {
+            this.masterSlider.value = this.masterStrip.fader.value;
+            this.masterSlider.dispatchEvent(new Event('input'));
+            this.update();
+        });
+        this.masterStrip.fx.addEventListener('click', () => this.showEffects('master'));
+        this.container.appendChild(this.masterStrip.el);
+    }
+
+    /**
+     * Strip elements; the master strip has no pan, mute or solo
+     */
+    createStrip(name, isMaster = false) {
+        const el = document.createElement('div');
+        el.className = isMaster ? 'mixer-strip mixer-master' : 'mixer-strip';
+        el.innerHTML = `
+            <div class="mixer-strip-name"></div>
+            <div class="mixer-knob" title="Pan - drag up or down, double-click to centre">
+                <div class="mixer-knob-pointer"></div>
+            </div>
+            <div class="mixer-value mixer-pan-value"></div>
+            <div class="mixer-fader-area">
+                <input type="range" class="mixer-fader" min="0" max="100" title="Volume">
+                <div class="mixer-meter"><div class="mixer-meter-fill"></div></div>
+            </div>
+            <div class="mixer-value mixer-volume-value"></div>
+            <div class="mixer-buttons">
+                <button class="track-btn track-mute mixer-mute" title="Mute">M</button>
+                <button class="track-btn mixer-solo" title="Solo">S</button>
+            </div>
+            <button class="track-btn mixer-fx" title="Effects">FX</button>
+        `;
+        
+        const nameEl = el.querySelector('.mixer-strip-name');
+        nameEl.textContent = name;
+        nameEl.title = name;
+        
+        return {
+            el,
+            name: nameEl,
+            knob: el.querySelector('.mixer-knob'),
+            pointer: el.querySelector('.mixer-knob-pointer'),
+            panValue: el.querySelector('.mixer-pan-value'),
+            fader: el.querySelector('.mixer-fader'),
+            volumeValue: el.querySelector('.mixer-volume-value'),
+            meter: el.querySelector('.mixer-meter'),
+            meterFill: el.querySelector('.mixer-meter-fill'),
+            mute: el.querySelector('.mixer-mute'),
+            solo: el.querySelector('.mixer-solo'),
+            fx: el.querySelector('.mixer-fx'),
+            level: 0
+        };
+    }
+
+    /**
+     * Pan knob: drag vertically to turn, double-click to centre
+     */
+    setupKnob(strip, trackId) {
+        strip.knob.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const startY = e.clientY;
+            const startPan = this.pianoRoll.trackManager.getTrack(trackId)?.pan || 0;
+            
+            const onMove = (moveEvent) => {
+                const pan = Math.round(Math.max(-100, Math.min(100, startPan + (startY - moveEvent.clientY))));
+                this.pianoRoll.setTrackPan(trackId, pan);
+            };
+            const onUp = () => {
+                window.removeEventListener('mousemove', onMove);
+                window.removeEventListener('mouseup', onUp);
+            };
+            window.addEventListener('mousemove', onMove);
+            window.addEventListener('mouseup', onUp);
+        });
+        strip.knob.addEventListener('dblclick', () => this.pianoRoll.setTrackPan(trackId, 0));
+    }
+
+    /**
+     * Copy track settings into the strips
+     */
+    update() {
+        const trackManager = this.pianoRoll.trackManager;
+        
+        trackManager.tracks.forEach(track => {
+            const strip = this.strips.get(track.id);
+            if (!strip) return;
+            
+            strip.name.textContent = track.name;
+            strip.name.title = track.name;
+            strip.name.style.borderColor = track.color.note;
+            strip.fader.value = track.volume;
+            strip.volumeValue.textContent = track.volume;
+            strip.pointer.style.transform = `rotate(${track.pan * 1.35}deg)`;
+            strip.panValue.textContent = MixerPanel.formatPan(track.pan);
+            strip.mute.classList.toggle('muted', track.muted);
+            strip.solo.classList.toggle('active', track.solo);
+            strip.el.classList.toggle('silent', !trackManager.isTrackAudible(track));
+            strip.fx.classList.toggle('active', EffectsChain.isActive(track.effects));
+            strip.el.classList.toggle('selected', this.effectsTarget === track.id);
+        });
+        
+        if (this.masterStrip) {
+            this.masterStrip.fader.value = this.masterSlider.value;
+            this.masterStrip.volumeValue.textContent = this.masterSlider.value;
+            this.masterStrip.fx.classList.toggle('active', EffectsChain.isActive(this.pianoRoll.playbackEngine.masterEffects));
+            this.masterStrip.el.classList.toggle('selected', this.effectsTarget === 'master');
+        }
+    }
+
+    /**
+     * Show the effects of a track or of the master output; showing the open one again hides it
+     * @param {number|string} target - Track id or 'master'
+     */
+    showEffects(target) {
+        this.effectsTarget = this.effectsTarget === target ? null : target;
+        this.renderEffects();
+        this.update();
+    }
+
+    /**
+     * Effect settings of the shown strip
+     */
+    getTargetEffects() {
+        if (this.effectsTarget === 'master') {
+            return this.pianoRoll.playbackEngine.masterEffects;
+        }
+        return this.pianoRoll.trackManager.getTrack(this.effectsTarget)?.effects || null;
+    }
+
+    /**
+     * Build the effect controls for the shown strip
+     */
+    renderEffects() {
+        this.effectsContainer.innerHTML = '';
+        const settings = this.getTargetEffects();
+        if (!settings) return;
+        
+        const trackId = this.effectsTarget === 'master' ? null : this.effectsTarget;
+        const title = document.createElement('div');
+        title.className = 'mixer-effects-title';
+        title.textContent = trackId === null ? 'Master effects' : `${this.pianoRoll.trackManager.getTrack(trackId).name} effects`;
+        this.effectsContainer.appendChild(title);
+        
+        const units = document.createElement('div');
+        units.className = 'mixer-effects-units';
+        EFFECT_ORDER.forEach(effect => {
+            units.appendChild(this.createEffectUnit(trackId, effect, settings[effect]));
+        });
+        this.effectsContainer.appendChild(units);
+    }
+
+    /**
+     * On/off switch and controls for one effect
+     */
+    createEffectUnit(trackId, effect, values) {
+        const controls = EFFECT_CONTROLS[effect];
+        const unit = document.createElement('div');
+        unit.className = 'mixer-effect';
+        unit.classList.toggle('enabled', values.enabled);
+        
+        const toggle = document.createElement('label');
+        toggle.className = 'mixer-effect-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = values.enabled;
+        checkbox.addEventListener('change', () => {
+            unit.classList.toggle('enabled', checkbox.checked);
+            this.pianoRoll.setEffectParam(trackId, effect, 'enabled', checkbox.checked);
+        });
+        toggle.append(checkbox, controls.label);
+        unit.appendChild(toggle);
+        
+        controls.params.forEach(param => {
+            const row = document.createElement('label');
+            row.className = 'mixer-effect-param';
+            const name = document.createElement('span');
+            name.textContent = param.label;
+            row.appendChild(name);
+            
+            if (param.options) {
+                const select = document.createElement('select');
+                param.options.forEach(([value, label]) => {
+                    const option = document.createElement('option');
+                    option.textContent = label;
+                    option.selected = value === values[param.key];
+                    select.appendChild(option);
+                });
+                select.addEventListener('change', () => {
+                    this.pianoRoll.setEffectParam(trackId, effect, param.key, param.options[select.selectedIndex][0]);
+                });
+                row.appendChild(select);
+            } else {
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                const readout = document.createElement('span');
+                readout.className = 'mixer-value';
+                
+                // Log sliders move through frequencies evenly by octave
+                if (param.log) {
+                    slider.min = 0;
+                    slider.max = LOG_SLIDER_STEPS;
+                    slider.value = Math.round(Math.log(values[param.key] / param.min) / Math.log(param.max / param.min) * LOG_SLIDER_STEPS);
+                } else {
+                    slider.min = param.min;
+                    slider.max = param.max;
+                    slider.step = param.step;
+                    slider.value = values[param.key];
+                }
+                readout.textContent = param.format(values[param.key]);
+                
+                slider.addEventListener('input', () => {
+                    const value = param.log ?
+                        param.min * Math.pow(param.max / param.min, slider.value / LOG_SLIDER_STEPS) :
+                        parseFloat(slider.value);
+                    readout.textContent = param.format(value);
+                    this.pianoRoll.setEffectParam(trackId, effect, param.key, value);
+                });
+                row.append(slider, readout);
+            }
+            unit.appendChild(row);
+        });
+        
+        return unit;
+    }
+
+    /**
+     * Start animating the meters (while the mixer is open)
+     */
+    start() {
+        if (this.animationFrame) return;
+        
+        const tick = () => {
+            this.updateMeters();
+            this.animationFrame = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        
+        // Rebuild on the next open, a different song may be loaded by then
+        this.layoutKey = null;
+        
+        for (const strip of [...this.strips.values(), this.masterStrip]) {
+            if (!strip) continue;
+            strip.level = 0;
+            this.drawMeter(strip, 0);
+        }
+    }
+
+    updateMeters() {
+        const audioEngine = this.pianoRoll.audioEngine;
+        
+        this.strips.forEach((strip, trackId) => {
+            this.drawMeter(strip, audioEngine.getTrackPeak(trackId));
+        });
+        if (this.masterStrip) {
+            this.drawMeter(this.masterStrip, audioEngine.getMasterPeak());
+        }
+    }
+
+    /**
+     * Show a peak on a meter in decibels, falling back slowly after each peak
+     * @param {Object} strip - Strip whose meter to draw
+     * @param {number} peak - Linear peak level (1 = full scale)
+     */
+    drawMeter(strip, peak) {
+        strip.level = Math.max(peak, strip.level * METER_DECAY);
+        
+        const db = strip.level > 0 ? 20 * Math.log10(strip.level) : -Infinity;
+        const fraction = Math.max(0, Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB));
+        strip.meterFill.style.height = `${fraction * 100}%`;
+        strip.meter.classList.toggle('clipping', strip.level >= 1);
+    }
+
+    /**
+     * Pan as C, L50 or R50
+     */
+    static formatPan(pan) {
+        if (pan === 0) return 'C';
+        return pan < 0 ? `L${-pan}` : `R${pan}`;
+    }
+}
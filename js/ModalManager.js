@@ -187,6 +187,63 @@ export class ModalManager {
         }, duration);
     }
 
+    /**
+     * Show a progress dialog for long running tasks
+     * @param {string} title - Dialog title
+     * @param {string} message - Initial status message
+     * @returns {Object} - Handle with update(fraction, message) and close()
+     */
+    progress(title, message = '') {
+        if (!document.getElementById('progressModal')) {
+            document.body.appendChild(this.createProgressModal());
+            this.register('progressModal', {
+                onShow: (data) => {
+                    document.getElementById('progressTitle').textContent = data.title;
+                }
+            });
+        }
+
+        const fill = document.getElementById('progressFill');
+        const status = document.getElementById('progressMessage');
+
+        const update = (fraction, newMessage = null) => {
+            const percent = Math.round(Math.max(0, Math.min(1, fraction)) * 100);
+            fill.style.width = `${percent}%`;
+            if (newMessage !== null) {
+                status.textContent = newMessage;
+            }
+        };
+
+        update(0, message);
+        this.show('progressModal', { title });
+
+        return {
+            update,
+            close: () => this.close('progressModal')
+        };
+    }
+
+    /**
+     * Create a progress modal element
+     */
+    createProgressModal() {
+        const modal = document.createElement('div');
+        modal.id = 'progressModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2 class="modal-title" id="progressTitle">Working...</h2>
+                </div>
+                <div class="progress-dialog">
+                    <div class="progress-bar"><div class="progress-fill" id="progressFill"></div></div>
+                    <div class="progress-message" id="progressMessage"></div>
+                </div>
+            </div>
+        `;
+        return modal;
+    }
+
     /**
      * Create a confirm modal element
      */
@@ -0,0 +1,151 @@
+import { GRID_WIDTH, BEATS_PER_MEASURE, PIANO_KEY_WIDTH } from './constants.js';
+
+// Width of a bucket: one 4/4 measure at the base grid width
+const BUCKET_WIDTH = GRID_WIDTH * BEATS_PER_MEASURE;
+
+/**
+ * Spatial index of notes along the time axis
+ * Notes are kept in per-measure buckets, a note in every bucket its span touches, so finding
+ * the notes in a range only looks at the measures it covers. Edits update the buckets of the
+ * notes they touch instead of rebuilding the index. Queries return notes in the order they were
+ * added, which is also the order of the note list (later notes draw and hit-test on top).
+ */
+export class NoteIndex {
+    /**
+     * @param {Array} notes - Notes to index
+     */
+    constructor(notes = []) {
+        this.buckets = new Map(); // bucket -> Set of notes
+        this.entries = new Map(); // note -> { first, last, order }
+        this.nextOrder = 0;
+        this.rebuild(notes);
+    }
+
+    /**
+     * Bucket that holds an x position
+     */
+    static getBucket(x) {
+        return Math.floor((x - PIANO_KEY_WIDTH) / BUCKET_WIDTH);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(note) {
+        return this.entries.has(note);
+    }
+
+    /**
+     * Add a note after the ones already indexed
+     */
+    add(note) {
+        if (this.entries.has(note)) {
+            this.update(note);
+            return;
+        }
+        
+        const entry = {
+            first: NoteIndex.getBucket(note.x),
+            last: NoteIndex.getBucket(note.x + note.width),
+            order: this.nextOrder++
+        };
+        this.entries.set(note, entry);
+        this.insert(note, entry);
+    }
+
+    remove(note) {
+        const entry = this.entries.get(note);
+        if (!entry) return;
+        
+        this.detach(note, entry);
+        this.entries.delete(note);
+    }
+
+    /**
+     * Re-bucket a note after its position or length changed (notes not in the index are ignored)
+     */
+    update(note) {
+        const entry = this.entries.get(note);
+        if (!entry) return;
+        
+        const first = NoteIndex.getBucket(note.x);
+        const last = NoteIndex.getBucket(note.x + note.width);
+        if (first === entry.first && last === entry.last) return;
+        
+        this.detach(note, entry);
+        entry.first = first;
+        entry.last = last;
+        this.insert(note, entry);
+    }
+
+    clear() {
+        this.buckets.clear();
+        this.entries.clear();
+        this.nextOrder = 0;
+    }
+
+    /**
+     * Index a new set of notes from scratch, in list order
+     */
+    rebuild(notes) {
+        this.clear();
+        for (const note of notes) {
+            this.add(note);
+        }
+    }
+
+    insert(note, entry) {
+        for (let bucket = entry.first; bucket <= entry.last; bucket++) {
+            let notes = this.buckets.get(bucket);
+            if (!notes) {
+                notes = new Set();
+                this.buckets.set(bucket, notes);
+            }
+            notes.add(note);
+        }
+    }
+
+    detach(note, entry) {
+        for (let bucket = entry.first; bucket <= entry.last; bucket++) {
+            const notes = this.buckets.get(bucket);
+            if (!notes) continue;
+            notes.delete(note);
+            if (notes.size === 0) {
+                this.buckets.delete(bucket);
+            }
+        }
+    }
+
+    /**
+     * Notes whose span touches a range, edges included
+     * @param {number} startX - Range start (base grid x)
+     * @param {number} endX - Range end (base grid x)
+     * @returns {Array} Notes in list order
+     */
+    query(startX, endX) {
+        const first = NoteIndex.getBucket(startX);
+        const last = NoteIndex.getBucket(endX);
+        const found = new Set();
+        
+        // Ranges wider than the song only need the buckets that exist
+        if (last - first > this.buckets.size) {
+            for (const [bucket, notes] of this.buckets) {
+                if (bucket >= first && bucket <= last) notes.forEach(note => found.add(note));
+            }
+        } else {
+            for (let bucket = first; bucket <= last; bucket++) {
+                const notes = this.buckets.get(bucket);
+                if (notes) notes.forEach(note => found.add(note));
+            }
+        }
+        
+        const result = [];
+        for (const note of found) {
+            if (note.x <= endX && note.x + note.width >= startX) {
+                result.push(note);
+            }
+        }
+        return result.sort((a, b) => this.entries.get(a).order - this.entries.get(b).order);
+    }
+}
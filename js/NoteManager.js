@@ -1,4 +1,14 @@
-import { GRID_WIDTH, GRID_SUBDIVISIONS, PIANO_KEY_WIDTH, NOTE_HEIGHT, NUM_OCTAVES, NOTES_PER_OCTAVE, BEATS_PER_MEASURE } from './constants.js';
+import { GRID_WIDTH, GRID_SUBDIVISIONS, PIANO_KEY_WIDTH, NOTE_HEIGHT, BEATS_PER_MEASURE } from './constants.js';
+import { NoteIndex } from './NoteIndex.js';
+
+// Note properties captured by the undo history
+const NOTE_STATE_KEYS = [
+    'x', 'y', 'width', 'height', 'key', 'velocity', 'pan', 'instrument',
+    'pipi', 'volumeAutomation', 'panAutomation', 'freqAdjust', 'pitchBend', 'slide', 'track'
+];
+
+// Maximum number of undo steps kept in memory
+const MAX_HISTORY = 200;
 
 /**
  * Manages note data and operations
@@ -9,10 +19,15 @@ export class NoteManager {
         this.selectedNotes = new Set();
         this.clipboard = [];
         
-        // Performance optimization: cache notes by measure
-        this.notesByMeasure = new Map();
+        // Notes by time, kept up to date by every edit (shared with the renderer and playback)
+        this.index = new NoteIndex();
         this.adjacentNoteCache = new Map();
-        this.needsNoteGrouping = true;
+        
+        // Undo/redo history
+        this.undoStack = [];
+        this.redoStack = [];
+        this.transaction = null;
+        this.transactionDepth = 0;
     }
 
     /**
@@ -27,18 +42,32 @@ export class NoteManager {
             width: noteData.width || GRID_WIDTH / GRID_SUBDIVISIONS,
             height: noteData.height || NOTE_HEIGHT,
             key: noteData.key,
-            velocity: noteData.velocity || 100,
+            velocity: noteData.velocity !== undefined ? noteData.velocity : 100,
             pan: noteData.pan || 0,
             instrument: noteData.instrument,
             pipi: noteData.pipi !== undefined ? noteData.pipi : null,
             volumeAutomation: noteData.volumeAutomation || [],
             panAutomation: noteData.panAutomation || [],
             freqAdjust: noteData.freqAdjust || 0,
+            pitchBend: noteData.pitchBend || [],
+            slide: noteData.slide || false,
+            track: noteData.track !== undefined ? noteData.track : null,
+            orgTrack: noteData.orgTrack !== undefined ? noteData.orgTrack : null,
+            orgUnset: noteData.orgUnset || null,
+            orgEvents: noteData.orgEvents || null,
             id: this.generateNoteId()
         };
         
+        this.beginTransaction('Add Note');
+        
+        // Notes whose track no longer exists join a track of their instrument
+        if (this.pianoRoll) {
+            this.pianoRoll.trackManager.assignNotes([note]);
+        }
         this.notes.push(note);
-        this.needsNoteGrouping = true;
+        this.index.add(note);
+        this.recordAdd(note);
+        this.commitTransaction();
         return note;
     }
 
@@ -49,37 +78,44 @@ export class NoteManager {
     deleteNote(note) {
         const index = this.notes.indexOf(note);
         if (index !== -1) {
+            this.beginTransaction('Delete Note');
             this.notes.splice(index, 1);
+            this.index.remove(note);
             this.selectedNotes.delete(note);
-            this.needsNoteGrouping = true;
+            this.recordRemove(note);
+            this.commitTransaction();
         }
     }
 
     /**
      * Delete notes in a region
      * @param {Object} bounds - Region bounds {x1, y1, x2, y2}
-     * @param {number} scaleFactor - Optional scale factor for high-res mode
+     * @param {number} scaleFactor - Optional horizontal scale factor for high-res mode and zoom
+     * @param {number} scaleY - Optional vertical scale factor for zoom
      */
-    deleteNotesInRegion(bounds, scaleFactor = 1) {
-        const notesToDelete = this.getNotesInRegion(bounds, scaleFactor);
+    deleteNotesInRegion(bounds, scaleFactor = 1, scaleY = 1) {
+        const notesToDelete = this.getNotesInRegion(bounds, scaleFactor, scaleY);
+        this.beginTransaction('Delete Notes');
         notesToDelete.forEach(note => this.deleteNote(note));
+        this.commitTransaction();
     }
 
     /**
      * Select notes in a region
      * @param {Object} bounds - Region bounds {x1, y1, x2, y2}
      * @param {boolean} addToSelection - Whether to add to existing selection
-     * @param {number} scaleFactor - Optional scale factor for high-res mode
+     * @param {number} scaleFactor - Optional horizontal scale factor for high-res mode and zoom
+     * @param {number} scaleY - Optional vertical scale factor for zoom
      */
-    selectNotesInRegion(bounds, addToSelection = false, scaleFactor = 1) {
+    selectNotesInRegion(bounds, addToSelection = false, scaleFactor = 1, scaleY = 1) {
         if (!addToSelection) {
             this.selectedNotes.clear();
         }
         
-        const notesInRegion = this.getNotesInRegion(bounds, scaleFactor);
+        const notesInRegion = this.getNotesInRegion(bounds, scaleFactor, scaleY);
         notesInRegion.forEach(note => {
-            // Don't select notes from muted tracks
-            if (this.pianoRoll && this.pianoRoll.trackVisibility.get(note.instrument) !== false) {
+            // Don't select notes from muted or locked tracks
+            if (this.pianoRoll && this.pianoRoll.isNoteEditable(note)) {
                 this.selectedNotes.add(note);
             }
         });
@@ -88,22 +124,32 @@ export class NoteManager {
     /**
      * Get notes in a region
      * @param {Object} bounds - Region bounds {x1, y1, x2, y2}
-     * @param {number} scaleFactor - Optional scale factor for high-res mode
+     * @param {number} scaleFactor - Optional horizontal scale factor for high-res mode and zoom
+     * @param {number} scaleY - Optional vertical scale factor for zoom
      * @returns {Array} Notes in the region
      */
-    getNotesInRegion(bounds, scaleFactor = 1) {
+    getNotesInRegion(bounds, scaleFactor = 1, scaleY = 1) {
         const minX = Math.min(bounds.x1, bounds.x2);
         const maxX = Math.max(bounds.x1, bounds.x2);
         const minY = Math.min(bounds.y1, bounds.y2);
         const maxY = Math.max(bounds.y1, bounds.y2);
         
-        return this.notes.filter(note => {
+        // Only notes in the measures the region covers can be in it
+        const candidates = this.index.query(
+            PIANO_KEY_WIDTH + (minX - PIANO_KEY_WIDTH) / scaleFactor,
+            PIANO_KEY_WIDTH + (maxX - PIANO_KEY_WIDTH) / scaleFactor
+        );
+        
+        return candidates.filter(note => {
             // Scale note position for comparison
             const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
             const scaledWidth = note.width * scaleFactor;
             
+            const scaledY = note.y * scaleY;
+            const scaledHeight = note.height * scaleY;
+            
             return scaledX < maxX && scaledX + scaledWidth > minX &&
-                   note.y < maxY && note.y + note.height > minY;
+                   scaledY < maxY && scaledY + scaledHeight > minY;
         });
     }
 
@@ -111,25 +157,27 @@ export class NoteManager {
      * Get note at a specific position
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @param {number} scaleFactor - Optional scale factor for high-res mode
+     * @param {number} scaleFactor - Optional horizontal scale factor for high-res mode and zoom
+     * @param {number} scaleY - Optional vertical scale factor for zoom
      * @returns {Object|null} Note at position or null
      */
-    getNoteAt(x, y, scaleFactor = 1) {
+    getNoteAt(x, y, scaleFactor = 1, scaleY = 1) {
+        // Notes around the point, a pixel either side for rounding in the unscaling
+        const baseX = PIANO_KEY_WIDTH + (x - PIANO_KEY_WIDTH) / scaleFactor;
+        const candidates = this.index.query(baseX - 1, baseX + 1);
+        
         // Search in reverse order (top notes first)
-        for (let i = this.notes.length - 1; i >= 0; i--) {
-            const note = this.notes[i];
-            
-            // Skip notes from muted tracks
-            if (this.pianoRoll && this.pianoRoll.trackVisibility.get(note.instrument) === false) {
-                continue;
-            }
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            const note = candidates[i];
             
             // Scale note position for comparison
             const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
             const scaledWidth = note.width * scaleFactor;
+            const scaledY = note.y * scaleY;
+            const scaledHeight = note.height * scaleY;
             
             if (x >= scaledX && x <= scaledX + scaledWidth &&
-                y >= note.y && y <= note.y + note.height) {
+                y >= scaledY && y <= scaledY + scaledHeight) {
                 return note;
             }
         }
@@ -145,6 +193,9 @@ export class NoteManager {
     moveSelectedNotes(deltaX, deltaY, snapToGrid = true) {
         const subdivisionWidth = GRID_WIDTH / GRID_SUBDIVISIONS;
         
+        this.beginTransaction('Move Notes');
+        this.touchNotes(this.selectedNotes);
+        
         for (const note of this.selectedNotes) {
             let newX = note.x + deltaX;
             let newY = note.y + deltaY;
@@ -157,15 +208,16 @@ export class NoteManager {
             
             // Ensure notes stay within bounds
             newX = Math.max(PIANO_KEY_WIDTH, newX);
-            const newKey = Math.floor((NUM_OCTAVES * NOTES_PER_OCTAVE - 1) - (newY / NOTE_HEIGHT));
-            if (newKey >= 0 && newKey < NUM_OCTAVES * NOTES_PER_OCTAVE) {
+            const newKey = Math.floor((this.pianoRoll.numKeys - 1) - (newY / NOTE_HEIGHT));
+            if (newKey >= 0 && newKey < this.pianoRoll.numKeys) {
                 note.x = newX;
                 note.y = newY;
                 note.key = newKey;
+                this.index.update(note);
             }
         }
         
-        this.needsNoteGrouping = true;
+        this.commitTransaction();
     }
 
     /**
@@ -179,6 +231,9 @@ export class NoteManager {
         const subdivisionWidth = GRID_WIDTH / GRID_SUBDIVISIONS;
         const gridSnap = this.pianoRoll?.gridSnap || false;
         
+        this.beginTransaction('Resize Notes');
+        this.touchNotes(this.selectedNotes);
+        
         for (const note of this.selectedNotes) {
             const originalWidth = originalWidths?.get(note) || note.width;
             const originalPos = originalPositions?.get(note);
@@ -196,6 +251,7 @@ export class NoteManager {
                 // Calculate new width from snapped edge
                 const newWidth = newRightEdge - note.x;
                 note.width = Math.max(subdivisionWidth, newWidth);
+                this.index.update(note);
             } else if (direction === 'left') {
                 if (originalPos) {
                     // Calculate new left edge
@@ -214,12 +270,205 @@ export class NoteManager {
                     if (newWidth >= subdivisionWidth && newX >= PIANO_KEY_WIDTH) {
                         note.x = newX;
                         note.width = newWidth;
+                        this.index.update(note);
                     }
                 }
             }
         }
         
-        this.needsNoteGrouping = true;
+        this.commitTransaction();
+    }
+
+    /**
+     * Transpose notes by a number of steps in the current tuning
+     * Notes that would leave the keyboard are left in place and reported instead of clamped.
+     * @param {Iterable} notes - Notes to transpose
+     * @param {number} steps - Steps to shift (positive = up)
+     * @param {Object} options - { keepDrums: leave ORG_D* notes unchanged }
+     * @returns {Object} { transposed: Array, outOfRange: Array }
+     */
+    transposeNotes(notes, steps, options = {}) {
+        const transposed = [];
+        const outOfRange = [];
+        
+        this.beginTransaction('Transpose');
+        
+        for (const note of notes) {
+            if (options.keepDrums && note.instrument.startsWith('ORG_D')) {
+                continue;
+            }
+            
+            const newKey = note.key + steps;
+            if (newKey < 0 || newKey >= this.pianoRoll.numKeys) {
+                outOfRange.push(note);
+                continue;
+            }
+            
+            this.touchNotes([note]);
+            note.key = newKey;
+            note.y = this.pianoRoll.getKeyY(newKey);
+            transposed.push(note);
+        }
+        
+        this.commitTransaction();
+        return { transposed, outOfRange };
+    }
+
+    /**
+     * Move notes by individual step amounts, as one undoable action
+     * @param {Map} shifts - Note to number of steps
+     * @returns {number} Number of notes moved (notes that would leave the keyboard stay put)
+     */
+    shiftNoteKeys(shifts) {
+        let moved = 0;
+        
+        this.beginTransaction('Retune');
+        
+        for (const [note, steps] of shifts) {
+            const newKey = note.key + steps;
+            if (steps === 0 || newKey < 0 || newKey >= this.pianoRoll.numKeys) continue;
+            
+            this.touchNotes([note]);
+            note.key = newKey;
+            note.y = this.pianoRoll.getKeyY(newKey);
+            moved++;
+        }
+        
+        this.commitTransaction();
+        return moved;
+    }
+
+    /**
+     * Turn sliding into the next note on or off, as one undoable action
+     * @param {Iterable} notes - Notes to change
+     * @param {boolean} slide - Whether the notes glide into the note that follows them
+     * @returns {number} Number of notes changed
+     */
+    setNotesSlide(notes, slide) {
+        let changed = 0;
+        
+        this.beginTransaction(slide ? 'Slide' : 'Remove Slide');
+        
+        for (const note of notes) {
+            if (note.instrument.startsWith('ORG_D') || Boolean(note.slide) === slide) continue;
+            
+            this.touchNotes([note]);
+            note.slide = slide;
+            changed++;
+        }
+        
+        this.commitTransaction();
+        return changed;
+    }
+
+    /**
+     * Remove the volume and/or pan envelopes of notes, as one undoable action
+     * @param {Iterable} notes - Notes to clear
+     * @param {Array<string>} fields - Automation properties to clear
+     * @returns {number} Number of notes changed
+     */
+    clearAutomation(notes, fields = ['volumeAutomation', 'panAutomation']) {
+        let changed = 0;
+        
+        this.beginTransaction('Clear Automation');
+        
+        for (const note of notes) {
+            if (!fields.some(field => note[field] && note[field].length > 0)) continue;
+            
+            this.touchNotes([note]);
+            fields.forEach(field => {
+                note[field] = [];
+            });
+            changed++;
+        }
+        
+        this.commitTransaction();
+        return changed;
+    }
+
+    /**
+     * Remove the pitch bends of notes, as one undoable action
+     * @param {Iterable} notes - Notes to flatten
+     * @returns {number} Number of notes changed
+     */
+    clearPitchBends(notes) {
+        let changed = 0;
+        
+        this.beginTransaction('Clear Pitch Bend');
+        
+        for (const note of notes) {
+            if (!note.pitchBend || note.pitchBend.length === 0) continue;
+            
+            this.touchNotes([note]);
+            note.pitchBend = [];
+            changed++;
+        }
+        
+        this.commitTransaction();
+        return changed;
+    }
+
+    /**
+     * Quantize notes to a grid
+     * @param {Iterable} notes - Notes to quantize
+     * @param {Object} options - Quantize options
+     * @param {number} options.divisions - Grid divisions per measure
+     * @param {number} options.strength - How far to move towards the grid (0-1)
+     * @param {number} options.swing - Delay of every other grid line (0-1, 1 = triplet feel)
+     * @param {boolean} options.quantizeEnds - Also quantize note ends
+     * @returns {number} Number of notes that moved or changed length
+     */
+    quantizeNotes(notes, options) {
+        const { divisions, strength = 1, swing = 0, quantizeEnds = false } = options;
+        const subdivisionWidth = GRID_WIDTH * BEATS_PER_MEASURE / divisions;
+        let changed = 0;
+        
+        this.beginTransaction('Quantize');
+        
+        for (const note of notes) {
+            this.touchNotes([note]);
+            
+            const start = note.x - PIANO_KEY_WIDTH;
+            const end = start + note.width;
+            const newStart = start + (this.getNearestGridPosition(start, subdivisionWidth, swing) - start) * strength;
+            let newWidth = note.width;
+            
+            if (quantizeEnds) {
+                const newEnd = end + (this.getNearestGridPosition(end, subdivisionWidth, swing) - end) * strength;
+                // Notes shorter than the grid collapse onto one line; keep them one grid step long
+                newWidth = newEnd - newStart > 0 ? newEnd - newStart : subdivisionWidth;
+            }
+            
+            if (newStart !== start || newWidth !== note.width) {
+                note.x = Math.max(0, newStart) + PIANO_KEY_WIDTH;
+                note.width = newWidth;
+                this.index.update(note);
+                changed++;
+            }
+        }
+        
+        this.commitTransaction();
+        return changed;
+    }
+
+    /**
+     * Find the nearest grid position, with every other grid line delayed by swing
+     * @param {number} position - Position relative to the start of the song
+     * @param {number} subdivisionWidth - Grid spacing
+     * @param {number} swing - Swing amount (0-1)
+     * @returns {number} Nearest grid position
+     */
+    getNearestGridPosition(position, subdivisionWidth, swing) {
+        const pairWidth = subdivisionWidth * 2;
+        const pairStart = Math.floor(position / pairWidth) * pairWidth;
+        const candidates = [
+            pairStart,
+            pairStart + subdivisionWidth + swing * subdivisionWidth / 3,
+            pairStart + pairWidth
+        ];
+        
+        return candidates.reduce((nearest, candidate) =>
+            Math.abs(candidate - position) < Math.abs(nearest - position) ? candidate : nearest);
     }
 
     /**
@@ -253,6 +502,9 @@ export class NoteManager {
                 volumeAutomation: note.volumeAutomation ? [...note.volumeAutomation] : [],
                 panAutomation: note.panAutomation ? [...note.panAutomation] : [],
                 freqAdjust: note.freqAdjust || 0,
+                pitchBend: note.pitchBend ? note.pitchBend.map(point => ({ ...point })) : [],
+                slide: note.slide || false,
+                track: note.track,
                 relativeX: note.x - minX,
                 relativeY: note.y - minY,
                 id: undefined // Will get new ID when pasted
@@ -265,7 +517,9 @@ export class NoteManager {
      */
     cutSelectedNotes() {
         this.copySelectedNotes();
+        this.beginTransaction('Cut');
         this.deleteSelectedNotes();
+        this.commitTransaction();
     }
 
     /**
@@ -277,6 +531,7 @@ export class NoteManager {
         if (this.clipboard.length === 0) return;
         
         this.selectedNotes.clear();
+        this.beginTransaction('Paste');
         
         // Paste notes at the specified position
         this.clipboard.forEach(clipNote => {
@@ -288,20 +543,27 @@ export class NoteManager {
                 key: clipNote.key,
                 velocity: clipNote.velocity,
                 pan: clipNote.pan,
-                instrument: clipNote.instrument
+                instrument: clipNote.instrument,
+                pitchBend: clipNote.pitchBend.map(point => ({ ...point })),
+                slide: clipNote.slide,
+                track: clipNote.track
             });
             this.selectedNotes.add(newNote);
         });
+        
+        this.commitTransaction();
     }
 
     /**
      * Delete all selected notes
      */
     deleteSelectedNotes() {
+        this.beginTransaction('Delete Notes');
         for (const note of this.selectedNotes) {
             this.deleteNote(note);
         }
         this.selectedNotes.clear();
+        this.commitTransaction();
     }
 
     /**
@@ -310,8 +572,8 @@ export class NoteManager {
     selectAll() {
         this.selectedNotes.clear();
         this.notes.forEach(note => {
-            // Don't select notes from muted tracks
-            if (this.pianoRoll && this.pianoRoll.trackVisibility.get(note.instrument) !== false) {
+            // Don't select notes from muted or locked tracks
+            if (this.pianoRoll && this.pianoRoll.isNoteEditable(note)) {
                 this.selectedNotes.add(note);
             }
         });
@@ -321,51 +583,37 @@ export class NoteManager {
      * Clear all notes
      */
     clearAll() {
+        this.beginTransaction('Clear All');
+        this.notes.forEach(note => this.recordRemove(note));
+        this.commitTransaction();
+        
         this.notes = [];
+        this.index.clear();
         this.selectedNotes.clear();
-        this.notesByMeasure.clear();
         this.adjacentNoteCache.clear();
-        this.needsNoteGrouping = true;
     }
 
     /**
-     * Group notes by measure for performance
+     * Update the index after changing a note's position or length directly (e.g. while dragging)
+     * @param {Object} note - Note that changed
      */
-    groupNotesByMeasure(gridWidth = GRID_WIDTH) {
-        if (!this.needsNoteGrouping) return;
-        
-        this.notesByMeasure.clear();
-        
-        for (const note of this.notes) {
-            const measure = Math.floor((note.x - PIANO_KEY_WIDTH) / (gridWidth * BEATS_PER_MEASURE));
-            if (!this.notesByMeasure.has(measure)) {
-                this.notesByMeasure.set(measure, []);
-            }
-            this.notesByMeasure.get(measure).push(note);
-        }
-        
-        this.needsNoteGrouping = false;
+    reindexNote(note) {
+        this.index.update(note);
     }
 
     /**
-     * Get notes in visible measures
+     * Get notes in visible measures, including long notes that started before them
      * @param {number} startMeasure - First visible measure
      * @param {number} endMeasure - Last visible measure
      * @param {number} gridWidth - Current grid width (for fine mode support)
-     * @returns {Array} Notes in visible measures
+     * @returns {Array} Notes in visible measures, in list order
      */
     getNotesInMeasures(startMeasure, endMeasure, gridWidth = GRID_WIDTH) {
-        this.groupNotesByMeasure(gridWidth);
-        
-        const visibleNotes = [];
-        for (let measure = startMeasure; measure <= endMeasure; measure++) {
-            const notesInMeasure = this.notesByMeasure.get(measure);
-            if (notesInMeasure) {
-                visibleNotes.push(...notesInMeasure);
-            }
-        }
-        
-        return visibleNotes;
+        const measureWidth = gridWidth * BEATS_PER_MEASURE;
+        return this.index.query(
+            PIANO_KEY_WIDTH + startMeasure * measureWidth,
+            PIANO_KEY_WIDTH + (endMeasure + 1) * measureWidth
+        );
     }
 
     /**
@@ -382,7 +630,7 @@ export class NoteManager {
         let before = null;
         let after = null;
         
-        for (const other of this.notes) {
+        for (const other of this.index.query(note.x - 1, note.x + note.width + 1)) {
             if (other === note || other.key !== note.key) continue;
             
             // Check if notes are adjacent or overlapping
@@ -403,6 +651,258 @@ export class NoteManager {
         return result;
     }
 
+    /**
+     * Open an undo transaction. Nested calls join the outermost transaction,
+     * so a whole drag gesture or multi-note edit becomes a single undo step.
+     * @param {string} label - Human readable name of the edit
+     */
+    beginTransaction(label) {
+        if (this.transactionDepth === 0) {
+            this.transaction = {
+                label,
+                added: [],
+                removed: [],
+                changes: new Map(), // note -> state before the edit
+                tracks: this.captureTrackLayout() // track list before the edit
+            };
+        }
+        this.transactionDepth++;
+    }
+
+    /**
+     * Close an undo transaction, pushing it onto the undo stack once the
+     * outermost transaction ends and something actually changed
+     */
+    commitTransaction() {
+        if (this.transactionDepth === 0) return;
+        
+        this.transactionDepth--;
+        if (this.transactionDepth > 0) return;
+        
+        const transaction = this.transaction;
+        this.transaction = null;
+        
+        // Resolve final states and drop notes that ended up unchanged
+        const changes = [];
+        for (const [note, before] of transaction.changes) {
+            if (transaction.added.includes(note)) continue;
+            const after = this.captureNoteState(note);
+            if (!this.noteStatesEqual(before, after)) {
+                changes.push({ note, before, after });
+            }
+        }
+        
+        // Tracks added, removed, renamed or reordered during the edit
+        let tracks = null;
+        const tracksAfter = this.captureTrackLayout();
+        if (JSON.stringify(transaction.tracks) !== JSON.stringify(tracksAfter)) {
+            tracks = { before: transaction.tracks, after: tracksAfter };
+        }
+        
+        if (transaction.added.length === 0 && transaction.removed.length === 0 && changes.length === 0 && !tracks) {
+            return;
+        }
+        
+        this.undoStack.push({
+            label: transaction.label,
+            added: transaction.added,
+            removed: transaction.removed,
+            changes,
+            tracks
+        });
+        if (this.undoStack.length > MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.emitHistoryChanged();
+    }
+
+    /**
+     * Record the current state of notes that are about to be edited
+     * @param {Iterable} notes - Notes that will be modified
+     */
+    touchNotes(notes) {
+        if (!this.transaction) return;
+        
+        for (const note of notes) {
+            if (!this.transaction.changes.has(note)) {
+                this.transaction.changes.set(note, this.captureNoteState(note));
+            }
+        }
+    }
+
+    /**
+     * Record a note added during the current transaction
+     */
+    recordAdd(note) {
+        if (this.transaction) {
+            this.transaction.added.push(note);
+        }
+    }
+
+    /**
+     * Record a note removed during the current transaction
+     */
+    recordRemove(note) {
+        if (!this.transaction) return;
+        
+        // A note created and removed within the same edit leaves no trace
+        const addedIndex = this.transaction.added.indexOf(note);
+        if (addedIndex !== -1) {
+            this.transaction.added.splice(addedIndex, 1);
+        } else {
+            this.transaction.removed.push(note);
+        }
+    }
+
+    /**
+     * Undo the last edit
+     * @returns {boolean} Whether anything was undone
+     */
+    undo() {
+        // Never step through history in the middle of a gesture
+        if (this.transactionDepth > 0) return false;
+        
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        
+        this.removeNotes(command.added);
+        this.notes.push(...command.removed);
+        command.removed.forEach(note => this.index.add(note));
+        command.changes.forEach(change => this.applyNoteState(change.note, change.before));
+        if (command.tracks) {
+            this.pianoRoll.trackManager.setLayout(command.tracks.before);
+            this.pianoRoll.emit('tracksChanged');
+        }
+        
+        this.redoStack.push(command);
+        this.afterHistoryStep();
+        return true;
+    }
+
+    /**
+     * Redo the last undone edit
+     * @returns {boolean} Whether anything was redone
+     */
+    redo() {
+        // Never step through history in the middle of a gesture
+        if (this.transactionDepth > 0) return false;
+        
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        
+        this.removeNotes(command.removed);
+        this.notes.push(...command.added);
+        command.added.forEach(note => this.index.add(note));
+        command.changes.forEach(change => this.applyNoteState(change.note, change.after));
+        if (command.tracks) {
+            this.pianoRoll.trackManager.setLayout(command.tracks.after);
+            this.pianoRoll.emit('tracksChanged');
+        }
+        
+        this.undoStack.push(command);
+        this.afterHistoryStep();
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Label of the edit that would be undone, or null
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    /**
+     * Label of the edit that would be redone, or null
+     */
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    /**
+     * Forget all undo/redo steps (e.g. after loading a file)
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emitHistoryChanged();
+    }
+
+    /**
+     * Remove notes from the note list without recording history
+     */
+    removeNotes(notesToRemove) {
+        if (notesToRemove.length === 0) return;
+        
+        const removeSet = new Set(notesToRemove);
+        this.notes = this.notes.filter(note => !removeSet.has(note));
+        notesToRemove.forEach(note => {
+            this.index.remove(note);
+            this.selectedNotes.delete(note);
+        });
+    }
+
+    /**
+     * Invalidate caches and notify listeners after undo/redo
+     */
+    afterHistoryStep() {
+        this.adjacentNoteCache.clear();
+        this.emitHistoryChanged();
+    }
+
+    emitHistoryChanged() {
+        if (this.pianoRoll) {
+            this.pianoRoll.emit('historyChanged');
+        }
+    }
+
+    /**
+     * Track layout for the undo history, or null without an editor
+     */
+    captureTrackLayout() {
+        return this.pianoRoll ? this.pianoRoll.trackManager.getLayout() : null;
+    }
+
+    /**
+     * Copy the editable properties of a note
+     */
+    captureNoteState(note) {
+        const state = {};
+        for (const key of NOTE_STATE_KEYS) {
+            const value = note[key];
+            state[key] = Array.isArray(value) ? value.map(point => ({ ...point })) : value;
+        }
+        return state;
+    }
+
+    /**
+     * Restore previously captured properties onto a note
+     */
+    applyNoteState(note, state) {
+        for (const key of NOTE_STATE_KEYS) {
+            const value = state[key];
+            note[key] = Array.isArray(value) ? value.map(point => ({ ...point })) : value;
+        }
+        this.index.update(note);
+    }
+
+    noteStatesEqual(a, b) {
+        return NOTE_STATE_KEYS.every(key => {
+            if (Array.isArray(a[key]) || Array.isArray(b[key])) {
+                return JSON.stringify(a[key]) === JSON.stringify(b[key]);
+            }
+            return a[key] === b[key];
+        });
+    }
+
     /**
      * Generate unique note ID
      */
@@ -8,8 +8,11 @@ import {
     GRID_WIDTH,
     BEATS_PER_MEASURE,
     NOTE_HEIGHT,
-    NUM_OCTAVES
+    NUM_OCTAVES,
+    SYNTH_PREFIX
 } from './constants.js';
+import { Waveform } from './Waveform.js';
+import { UserSample } from './UserSample.js';
 
 /**
  * Parser for Organya (.org) music files
@@ -188,6 +191,8 @@ export class OrgParser {
      */
     static convertToNotes(orgData, targetBpm = 120) {
         const notes = [];
+        const editorTracks = [];
+        const keptEvents = new Map(); // ORG track -> { orgEvents, orgTrailingEvents } kept for export
         const { header, instruments, tracks } = orgData;
         
         // ORG 'wait' value represents milliseconds per tick
@@ -207,9 +212,41 @@ export class OrgParser {
             const instrument = instruments[trackIndex];
             const instrumentName = this.getInstrumentName(instrument.instrument, trackIndex);
             
+            // Each ORG track becomes an editor track, even when another track uses the same wave
+            editorTracks.push({
+                id: trackIndex + 1,
+                name: trackIndex < 8 ? `Melody ${trackIndex + 1}` : `Drum ${trackIndex - 7}`,
+                instrument: instrumentName
+            });
+            
+            // Events stored after the track's last event but earlier in the song (usually empty
+            // padding) can't be placed by position, so they are kept to be written back at the end
+            const events = [];
+            const trailingEvents = [];
+            track.notes.forEach(event => {
+                const previous = events[events.length - 1];
+                if (previous && event.position <= previous.position) {
+                    trailingEvents.push({ ...event });
+                } else {
+                    events.push(event);
+                }
+            });
+            
             // Process notes with volume automation
-            const processedNotes = this.processVolumeAutomation(track.notes, instrument, instrumentName, pixelsPerTick);
+            const processedNotes = this.processVolumeAutomation(events, instrument, instrumentName, pixelsPerTick, trackIndex);
             notes.push(...processedNotes);
+            
+            // A track with only volume/pan events has no note to keep them on, so they stay with the track
+            const kept = {};
+            if (processedNotes.length === 0) {
+                kept.orgEvents = events.map(event => ({ ...event }));
+            }
+            if (trailingEvents.length > 0) {
+                kept.orgTrailingEvents = trailingEvents;
+            }
+            if (Object.keys(kept).length > 0) {
+                keptEvents.set(trackIndex, kept);
+            }
         });
         
         // Calculate loop points in measures
@@ -222,7 +259,9 @@ export class OrgParser {
             loopStart,
             loopEnd,
             loopEnabled: header.loopEnd > header.loopStart,
-            trackInfo: instruments, // Include instrument/track information
+            // Include instrument/track information, with the events kept for export
+            trackInfo: instruments.map((info, trackIndex) => ({ ...info, ...keptEvents.get(trackIndex) })),
+            tracks: editorTracks, // Editor tracks, referenced by note.track
             msPerTick: msPerTick // Store the original tick duration
         };
     }
@@ -230,10 +269,11 @@ export class OrgParser {
     /**
      * Process notes with volume automation
      */
-    static processVolumeAutomation(events, instrument, instrumentName, pixelsPerTick) {
+    static processVolumeAutomation(events, instrument, instrumentName, pixelsPerTick, trackIndex) {
         const notes = [];
         const activeNotes = new Map(); // Track active notes by key
-        
+        let lastNote = null; // Most recently started note on this track
+        const leadingEvents = []; // Volume/pan changes before the first note
         
         events.forEach(event => {
             // Clean up notes that have ended before this event
@@ -253,7 +293,8 @@ export class OrgParser {
                 const width = event.length * pixelsPerTick;
                 
                 // Initial volume and pan
-                const velocity = event.volume !== 255 ? Math.round(event.volume / 2) : 100;
+                // Keep half steps so ORG volumes survive a round trip
+                const velocity = event.volume !== 255 ? event.volume / 2 : 100;
                 let pan = 0;
                 if (event.pan !== 255 && event.pan <= 12) {
                     pan = (event.pan - 6) * 100 / 6;
@@ -270,6 +311,12 @@ export class OrgParser {
                     instrument: instrumentName,
                     pipi: instrument.pipi,
                     freqAdjust: instrument.pitch - 1000, // Frequency adjustment from default
+                    orgTrack: trackIndex, // Original ORG track for export
+                    track: trackIndex + 1, // Editor track
+                    // Remember "no change" (255) values so export can write them back
+                    orgUnset: event.volume === 255 || event.pan === 255 ?
+                        { volume: event.volume === 255, pan: event.pan === 255 } : null,
+                    orgEvents: null, // Volume/pan events with nothing to automate, kept for export
                     volumeAutomation: [], // Array of {position, volume} points
                     panAutomation: []     // Array of {position, pan} points
                 };
@@ -281,44 +328,38 @@ export class OrgParser {
                     startPos: event.position,
                     endPos: event.position + event.length
                 });
+                lastNote = activeNotes.get(event.key);
+                
+                if (leadingEvents.length > 0) {
+                    leadingEvents.forEach(leading => this.addAutomationPoint(lastNote, leading, pixelsPerTick));
+                    leadingEvents.length = 0;
+                }
                 
                 notes.push(noteData);
                 
             } else {
                 // Volume/pan change event (key=255)
                 // Find which note this applies to
-                for (const [key, activeNote] of activeNotes) {
-                    if (event.position >= activeNote.startPos && 
-                        event.position < activeNote.endPos) {
-                        
-                        // Add volume automation point
-                        if (event.volume !== 255) {
-                            const relativePos = event.position - activeNote.startPos;
-                            const x = relativePos * pixelsPerTick;
-                            // Store the actual milliseconds per tick from the ORG header
-                            activeNote.note.volumeAutomation.push({
-                                position: x,
-                                tick: relativePos,
-                                volume: Math.round(event.volume / 2),
-                                absolutePosition: event.position // Store absolute position for timing
-                            });
-                        }
-                        
-                        // Add pan automation point
-                        if (event.pan !== 255 && event.pan <= 12) {
-                            const relativePos = event.position - activeNote.startPos;
-                            const x = relativePos * pixelsPerTick;
-                            const pan = (event.pan - 6) * 100 / 6;
-                            activeNote.note.panAutomation.push({
-                                position: x,
-                                tick: relativePos,
-                                pan: pan
-                            });
-                        }
-                        
+                let activeNote = null;
+                for (const [key, candidate] of activeNotes) {
+                    if (event.position >= candidate.startPos && 
+                        event.position < candidate.endPos) {
+                        activeNote = candidate;
                         break; // Only apply to one active note
                     }
                 }
+                
+                // Changes after a note ends still affect its tail (e.g. drum gating)
+                if (!activeNote) {
+                    activeNote = lastNote;
+                }
+                
+                if (activeNote) {
+                    this.addAutomationPoint(activeNote, event, pixelsPerTick);
+                } else {
+                    // Changes before the first note are kept on that note with a negative tick
+                    leadingEvents.push(event);
+                }
             }
         });
         
@@ -328,6 +369,54 @@ export class OrgParser {
         return notes;
     }
     
+    /**
+     * Add a volume/pan change event (key=255) to a note's automation
+     */
+    static addAutomationPoint(activeNote, event, pixelsPerTick) {
+        const relativePos = event.position - activeNote.startPos;
+        const x = relativePos * pixelsPerTick;
+        const note = activeNote.note;
+        
+        // Events that change nothing or set an out-of-range pan have no automation point,
+        // so keep them as they are
+        if ((event.volume === 255 && event.pan === 255) || (event.pan !== 255 && event.pan > 12)) {
+            if (!note.orgEvents) note.orgEvents = [];
+            note.orgEvents.push({
+                tick: relativePos,
+                length: event.length,
+                volume: event.volume,
+                pan: event.pan
+            });
+            return;
+        }
+        
+        // Org Maker writes these events with length 1; remember any other length for export
+        const orgLength = event.length !== 1 ? { orgLength: event.length } : {};
+        
+        // Add volume automation point
+        if (event.volume !== 255) {
+            // Store the actual milliseconds per tick from the ORG header
+            note.volumeAutomation.push({
+                position: x,
+                tick: relativePos,
+                volume: event.volume / 2,
+                absolutePosition: event.position, // Store absolute position for timing
+                ...orgLength
+            });
+        }
+        
+        // Add pan automation point
+        if (event.pan !== 255) {
+            const pan = (event.pan - 6) * 100 / 6;
+            note.panAutomation.push({
+                position: x,
+                tick: relativePos,
+                pan: pan,
+                ...orgLength
+            });
+        }
+    }
+
     /**
      * Convert ORG key (0-95) to 38edo key
      */
@@ -383,58 +472,122 @@ export class OrgParser {
     /**
      * Create ORG file from notes
      * @param {Array} notes - Note array
-     * @param {Object} settings - Export settings
-     * @returns {ArrayBuffer} ORG file data
+     * @param {Object} settings - Export settings (see createOrgData)
+     * @returns {Object} { buffer: ArrayBuffer, warnings: Array<string> }
      */
     static createOrgFile(notes, settings = {}) {
-        // Group notes by instrument/track
-        const trackMap = new Map();
+        const { orgData, warnings } = this.createOrgData(notes, settings);
+        return { buffer: this.writeOrgFile(orgData), warnings };
+    }
+
+    /**
+     * Convert notes to ORG data, as parse would read it back from the file
+     * Each track also carries editorTrack, the editor track its notes came from.
+     * @param {Array} notes - Note array
+     * @param {Object} settings - Export settings (wait, stepsPerBar, beatsPerStep,
+     *                            loopStart/loopEnd in ticks, trackInfo from a loaded file)
+     * @returns {Object} { orgData: { header, instruments, tracks }, warnings: Array<string> }
+     */
+    static createOrgData(notes, settings = {}) {
+        const stepsPerBar = settings.stepsPerBar || 4;
+        const beatsPerStep = settings.beatsPerStep || 4;
+        const ticksPerBeat = stepsPerBar * beatsPerStep / 4; // Same assumption as convertToNotes
+        const pixelsPerTick = GRID_WIDTH / ticksPerBeat;
+        const trackInfo = settings.trackInfo || [];
+        
+        // Counters for notes that cannot be represented exactly
+        const issues = {
+            roundedKeys: 0,
+            clampedKeys: 0,
+            offGrid: 0,
+            longNotes: 0,
+            collisions: 0,
+            droppedAutomation: 0,
+            droppedNotes: 0,
+            mixedPipi: new Set(),
+            mixedFreq: new Set(),
+            customWaves: new Set(),
+            userSamples: new Set(),
+            synths: new Set()
+        };
         
-        notes.forEach(note => {
-            if (!trackMap.has(note.instrument)) {
-                trackMap.set(note.instrument, []);
-            }
-            trackMap.get(note.instrument).push(note);
-        });
+        const tracks = this.assignTracks(notes, trackInfo, issues);
         
-        // Create tracks (max 16)
-        const tracks = [];
-        let trackIndex = 0;
-        
-        for (const [instrument, trackNotes] of trackMap) {
-            if (trackIndex >= 16) break;
+        // Convert notes and automation to ORG events
+        tracks.forEach((track, trackIndex) => {
+            const info = trackInfo[trackIndex];
+            track.events = this.buildTrackEvents(track.notes, pixelsPerTick, issues, info?.orgEvents);
             
-            // Sort notes by position
-            trackNotes.sort((a, b) => a.x - b.x);
+            // Events the loaded file stored out of order go back at the end, where they were
+            if (info?.orgTrailingEvents) {
+                track.events.push(...info.orgTrailingEvents.map(event => ({ ...event })));
+            }
             
-            // Convert notes to ORG format
-            const orgNotes = trackNotes.map(note => ({
-                position: Math.round((note.x - PIANO_KEY_WIDTH) / (GRID_WIDTH / 4)),
-                key: this.convert38edoToOrgKey(note.key),
-                length: Math.round(note.width / (GRID_WIDTH / 4)),
-                volume: Math.min(254, note.velocity * 2),
-                pan: Math.round(note.pan * 6 / 100 + 6)
-            }));
+            const firstNote = track.notes[0];
             
-            tracks.push({
-                instrument,
-                notes: orgNotes,
-                instrumentNum: this.getInstrumentNumber(instrument),
-                isDrum: instrument.startsWith('ORG_D')
-            });
+            if (firstNote) {
+                track.pitch = 1000 + (firstNote.freqAdjust || 0);
+                track.pipi = firstNote.pipi ? 1 : 0;
+                
+                track.notes.forEach(note => {
+                    if ((note.pipi ? 1 : 0) !== track.pipi) issues.mixedPipi.add(trackIndex);
+                    if (1000 + (note.freqAdjust || 0) !== track.pitch) issues.mixedFreq.add(trackIndex);
+                });
+            } else {
+                track.pitch = info ? info.pitch : 1000;
+                track.pipi = info ? info.pipi : 0;
+            }
             
-            trackIndex++;
-        }
+            // Keep the original wave number for tracks from a loaded file
+            if (info && (!track.instrument || track.fromFile)) {
+                track.instrumentNum = info.instrument;
+            } else if (track.instrument) {
+                track.instrumentNum = this.getInstrumentNumber(track.instrument);
+                if (Waveform.isCustom(track.instrument)) issues.customWaves.add(trackIndex);
+                if (UserSample.isUserSample(track.instrument)) issues.userSamples.add(trackIndex);
+                if (track.instrument.startsWith(SYNTH_PREFIX)) issues.synths.add(trackIndex);
+            } else {
+                track.instrumentNum = 0;
+            }
+        });
         
-        // Pad with empty tracks
-        while (tracks.length < 16) {
-            tracks.push({ notes: [], instrumentNum: 0, isDrum: false });
-        }
+        const orgData = {
+            header: {
+                signature: ORG_FILE_SIGNATURE,
+                wait: settings.wait || 125,
+                stepsPerBar: stepsPerBar,
+                beatsPerStep: beatsPerStep,
+                loopStart: settings.loopStart || 0,
+                loopEnd: settings.loopEnd || 0
+            },
+            instruments: tracks.map(track => ({
+                pitch: track.pitch,
+                instrument: track.instrumentNum,
+                pipi: track.pipi,
+                noteCount: track.events.length
+            })),
+            tracks: tracks.map(track => ({
+                noteCount: track.events.length,
+                notes: track.events,
+                editorTrack: track.notes[0]?.track ?? null
+            }))
+        };
         
+        return {
+            orgData,
+            warnings: this.describeExportIssues(issues)
+        };
+    }
+
+    /**
+     * Write ORG data to a file
+     * @param {Object} orgData - { header, instruments, tracks } as from createOrgData
+     * @returns {ArrayBuffer} File contents
+     */
+    static writeOrgFile(orgData) {
         // Calculate file size
         const headerSize = 18 + 16 * 6; // Header + instruments
-        const trackDataSize = tracks.reduce((sum, track) => 
-            sum + 4 + track.notes.length * 8, 0);
+        const trackDataSize = orgData.tracks.reduce((sum, track) => sum + track.notes.length * 8, 0);
         const fileSize = headerSize + trackDataSize;
         
         // Create buffer and write data
@@ -443,19 +596,242 @@ export class OrgParser {
         let offset = 0;
         
         // Write header
-        offset = this.writeHeader(view, offset, settings);
+        offset = this.writeHeader(view, offset, orgData.header);
         
         // Write instruments
-        offset = this.writeInstruments(view, offset, tracks);
+        offset = this.writeInstruments(view, offset, orgData.instruments);
         
         // Write tracks
-        tracks.forEach(track => {
+        orgData.tracks.forEach(track => {
             offset = this.writeTrack(view, offset, track);
         });
         
         return buffer;
     }
 
+    /**
+     * Distribute notes over the 16 ORG tracks. Notes loaded from an ORG file
+     * go back to their original track; other notes join a track playing the
+     * same instrument or take the first free melodic (0-7) or drum (8-15) track.
+     */
+    static assignTracks(notes, trackInfo, issues) {
+        const tracks = [];
+        for (let i = 0; i < 16; i++) {
+            tracks.push({ instrument: null, notes: [], fromFile: false });
+        }
+        
+        const pending = [];
+        
+        // First pass: restore original track boundaries
+        notes.forEach(note => {
+            const orgTrack = note.orgTrack;
+            
+            if (orgTrack !== null && orgTrack !== undefined && orgTrack >= 0 && orgTrack < 16) {
+                const track = tracks[orgTrack];
+                if (track.instrument === null || track.instrument === note.instrument) {
+                    track.instrument = note.instrument;
+                    track.fromFile = true;
+                    track.notes.push(note);
+                    return;
+                }
+            }
+            pending.push(note);
+        });
+        
+        // Second pass: place remaining notes by instrument
+        pending.forEach(note => {
+            const isDrum = note.instrument.startsWith('ORG_D');
+            const first = isDrum ? 8 : 0;
+            
+            let track = null;
+            for (let i = first; i < first + 8; i++) {
+                if (tracks[i].instrument === note.instrument) {
+                    track = tracks[i];
+                    break;
+                }
+            }
+            
+            if (!track) {
+                for (let i = first; i < first + 8; i++) {
+                    if (tracks[i].instrument === null && !trackInfo[i]?.noteCount) {
+                        track = tracks[i];
+                        break;
+                    }
+                }
+            }
+            
+            // Fall back to tracks that were only reserved by the loaded file
+            if (!track) {
+                for (let i = first; i < first + 8; i++) {
+                    if (tracks[i].instrument === null) {
+                        track = tracks[i];
+                        break;
+                    }
+                }
+            }
+            
+            if (!track) {
+                issues.droppedNotes++;
+                return;
+            }
+            
+            track.instrument = note.instrument;
+            track.notes.push(note);
+        });
+        
+        tracks.forEach(track => track.notes.sort((a, b) => a.x - b.x));
+        
+        return tracks;
+    }
+
+    /**
+     * Convert the notes of one track to ORG events sorted by position.
+     * Volume/pan automation becomes key=255 events like in Org Maker.
+     * @param {Array} trackNotes - Notes on the track
+     * @param {number} pixelsPerTick - Grid pixels per ORG tick
+     * @param {Object} issues - Export issue counters
+     * @param {Array} trackEvents - Volume/pan events the loaded file had on this track without notes
+     */
+    static buildTrackEvents(trackNotes, pixelsPerTick, issues, trackEvents = []) {
+        const events = new Map(); // position -> event
+        
+        trackEvents.forEach(event => events.set(event.position, { ...event }));
+        
+        trackNotes.forEach(note => {
+            const exactPosition = (note.x - PIANO_KEY_WIDTH) / pixelsPerTick;
+            const exactLength = note.width / pixelsPerTick;
+            const position = Math.max(0, Math.round(exactPosition));
+            let length = Math.max(1, Math.round(exactLength));
+            
+            if (Math.abs(exactPosition - position) > 0.01 || Math.abs(exactLength - Math.round(exactLength)) > 0.01) {
+                issues.offGrid++;
+            }
+            if (length > 255) {
+                issues.longNotes++;
+                length = 255;
+            }
+            
+            // Organya tracks are monophonic: only one event per position
+            const existing = events.get(position);
+            if (existing && existing.key !== 255) {
+                issues.collisions++;
+                return;
+            }
+            if (existing) {
+                // A volume/pan event kept from the loaded file
+                issues.droppedAutomation++;
+            }
+            
+            events.set(position, {
+                position,
+                key: this.convert38edoToOrgKey(note.key, issues),
+                length,
+                volume: note.orgUnset?.volume && note.velocity === 100 ? 255 : this.toOrgVolume(note.velocity),
+                pan: note.orgUnset?.pan && note.pan === 0 ? 255 : this.toOrgPan(note.pan)
+            });
+        });
+        
+        // Add automation events after all note starts are known
+        trackNotes.forEach(note => {
+            const start = Math.max(0, Math.round((note.x - PIANO_KEY_WIDTH) / pixelsPerTick));
+            
+            const addPoint = (point, field, value) => {
+                const tick = point.tick !== undefined ? point.tick : Math.round(point.position / pixelsPerTick);
+                const position = start + tick;
+                const existing = events.get(position);
+                
+                if (position < 0 || (existing && existing.key !== 255)) {
+                    // Before the song start or position already taken by a note start
+                    issues.droppedAutomation++;
+                    return;
+                }
+                
+                const event = existing || { position, key: 255, length: point.orgLength ?? 1, volume: 255, pan: 255 };
+                event[field] = value;
+                events.set(position, event);
+            };
+            
+            (note.volumeAutomation || []).forEach(point => {
+                addPoint(point, 'volume', this.toOrgVolume(point.volume));
+            });
+            (note.panAutomation || []).forEach(point => {
+                addPoint(point, 'pan', this.toOrgPan(point.pan));
+            });
+            
+            // Events kept from the loaded file go back unchanged
+            (note.orgEvents || []).forEach(event => {
+                const position = start + event.tick;
+                if (position < 0 || events.has(position)) {
+                    issues.droppedAutomation++;
+                    return;
+                }
+                events.set(position, { position, key: 255, length: event.length, volume: event.volume, pan: event.pan });
+            });
+        });
+        
+        return Array.from(events.values()).sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Convert 0-127 velocity to ORG volume (0-254)
+     */
+    static toOrgVolume(velocity) {
+        return Math.max(0, Math.min(254, Math.round(velocity * 2)));
+    }
+
+    /**
+     * Convert -100..100 pan to ORG pan (0-12)
+     */
+    static toOrgPan(pan) {
+        return Math.max(0, Math.min(12, Math.round(pan * 6 / 100 + 6)));
+    }
+
+    /**
+     * Turn export issue counters into readable messages
+     */
+    static describeExportIssues(issues) {
+        const warnings = [];
+        
+        if (issues.roundedKeys > 0) {
+            warnings.push(`${issues.roundedKeys} microtonal note(s) were rounded to the nearest 12-tone key`);
+        }
+        if (issues.clampedKeys > 0) {
+            warnings.push(`${issues.clampedKeys} note(s) were outside the ORG key range and were clamped`);
+        }
+        if (issues.offGrid > 0) {
+            warnings.push(`${issues.offGrid} note(s) did not line up with the ORG tick grid and were rounded`);
+        }
+        if (issues.longNotes > 0) {
+            warnings.push(`${issues.longNotes} note(s) were longer than 255 ticks and were shortened`);
+        }
+        if (issues.collisions > 0) {
+            warnings.push(`${issues.collisions} note(s) started at the same position as another note on their track and were dropped`);
+        }
+        if (issues.droppedAutomation > 0) {
+            warnings.push(`${issues.droppedAutomation} automation point(s) collided with a note start or fell before the song start and were dropped`);
+        }
+        if (issues.droppedNotes > 0) {
+            warnings.push(`${issues.droppedNotes} note(s) were dropped because all 8 melodic or drum tracks were in use`);
+        }
+        if (issues.mixedPipi.size > 0) {
+            warnings.push(`Track(s) ${[...issues.mixedPipi].join(', ')} mix pipi settings; the first note's setting was used`);
+        }
+        if (issues.mixedFreq.size > 0) {
+            warnings.push(`Track(s) ${[...issues.mixedFreq].join(', ')} mix frequency adjustments; the first note's value was used`);
+        }
+        if (issues.customWaves.size > 0) {
+            warnings.push(`Track(s) ${[...issues.customWaves].join(', ')} use custom waves, which ORG files cannot store; wave 00 was used instead`);
+        }
+        if (issues.userSamples.size > 0) {
+            warnings.push(`Track(s) ${[...issues.userSamples].join(', ')} use imported samples, which ORG files cannot store; wave 00 was used instead`);
+        }
+        if (issues.synths.size > 0) {
+            warnings.push(`Track(s) ${[...issues.synths].join(', ')} use synth instruments, which ORG files cannot store; wave 00 was used instead`);
+        }
+        
+        return warnings;
+    }
+
     /**
      * Write ORG header
      */
@@ -468,8 +844,8 @@ export class OrgParser {
             view.setUint8(offset + i, signature[i]);
         }
         
-        // Write tempo and time signature
-        view.setUint16(offset + 6, settings.tempo || 120, true);
+        // Write wait (ms per tick) and time signature
+        view.setUint16(offset + 6, settings.wait || 125, true);
         view.setUint8(offset + 8, settings.stepsPerBar || 4);
         view.setUint8(offset + 9, settings.beatsPerStep || 4);
         
@@ -483,12 +859,12 @@ export class OrgParser {
     /**
      * Write instrument data
      */
-    static writeInstruments(view, offset, tracks) {
-        tracks.forEach((track, i) => {
-            view.setUint16(offset + i * 6, 1000, true); // Default pitch
-            view.setUint8(offset + i * 6 + 2, track.instrumentNum);
-            view.setUint8(offset + i * 6 + 3, 0); // pipi flag
-            view.setUint16(offset + i * 6 + 4, track.notes.length, true);
+    static writeInstruments(view, offset, instruments) {
+        instruments.forEach((instrument, i) => {
+            view.setUint16(offset + i * 6, instrument.pitch, true);
+            view.setUint8(offset + i * 6 + 2, instrument.instrument);
+            view.setUint8(offset + i * 6 + 3, instrument.pipi);
+            view.setUint16(offset + i * 6 + 4, instrument.noteCount, true);
         });
         
         return offset + 16 * 6;
@@ -498,28 +874,26 @@ export class OrgParser {
      * Write track data
      */
     static writeTrack(view, offset, track) {
-        const noteCount = track.notes.length;
-        
-        // Write note count
-        view.setUint32(offset, noteCount, true);
-        offset += 4;
-        
-        // Write note data in separate arrays
-        track.notes.forEach((note, i) => {
-            view.setUint32(offset + i * 4, note.position, true);
-            view.setUint8(offset + noteCount * 4 + i, note.key);
-            view.setUint8(offset + noteCount * 5 + i, note.length);
-            view.setUint8(offset + noteCount * 6 + i, note.volume);
-            view.setUint8(offset + noteCount * 7 + i, note.pan);
+        const eventCount = track.notes.length;
+        
+        // Write event data in separate arrays (count is stored with the instruments)
+        track.notes.forEach((event, i) => {
+            view.setUint32(offset + i * 4, event.position, true);
+            view.setUint8(offset + eventCount * 4 + i, event.key);
+            view.setUint8(offset + eventCount * 5 + i, event.length);
+            view.setUint8(offset + eventCount * 6 + i, event.volume);
+            view.setUint8(offset + eventCount * 7 + i, event.pan);
         });
         
-        return offset + noteCount * 8;
+        return offset + eventCount * 8;
     }
 
     /**
      * Convert 38edo key to ORG key
+     * @param {number} key38 - 38-EDO key
+     * @param {Object} issues - Optional export issue counters
      */
-    static convert38edoToOrgKey(key38) {
+    static convert38edoToOrgKey(key38, issues = null) {
         // Reverse mapping from 38 EDO to 12-tone
         const THIRTY_EIGHT_TO_TWELVE_MAP = {
             0: 0,   // C
@@ -552,6 +926,12 @@ export class OrgParser {
         }
         
         const orgKey = octave * 12 + closestNote;
+        
+        if (issues) {
+            if (minDistance !== 0) issues.roundedKeys++;
+            if (orgKey < 0 || orgKey > ORG_MAX_KEY) issues.clampedKeys++;
+        }
+        
         return Math.min(ORG_MAX_KEY, Math.max(0, orgKey));
     }
 
@@ -0,0 +1,358 @@
+import { OrgParser } from './OrgParser.js';
+
+// Tables from the original player
+const FREQ_TABLE = [262, 277, 294, 311, 330, 349, 370, 392, 415, 440, 466, 494]; // Per 12-tone pitch class
+const PAN_TABLE = [0, 43, 86, 129, 172, 215, 256, 297, 340, 383, 426, 469, 512]; // Per ORG pan step (0-12)
+
+// Per octave: samples the 256-sample wave is reduced to, frequency multiplier,
+// and how many periods a pipi note plays before it stops
+const OCTAVE_WAVES = [
+    { size: 256, multiplier: 1, pipiPeriods: 4 },
+    { size: 256, multiplier: 2, pipiPeriods: 8 },
+    { size: 128, multiplier: 4, pipiPeriods: 12 },
+    { size: 128, multiplier: 8, pipiPeriods: 16 },
+    { size: 64, multiplier: 16, pipiPeriods: 20 },
+    { size: 32, multiplier: 32, pipiPeriods: 24 },
+    { size: 16, multiplier: 64, pipiPeriods: 28 },
+    { size: 8, multiplier: 128, pipiPeriods: 32 }
+];
+
+const UNSET = 255; // ORG "no change" value of key, volume and pan
+const MELODY_TRACKS = 8; // Tracks 0-7 are melodic, 8-15 drums
+
+/**
+ * Organya-accurate playback of ORG data, advanced one tick at a time like the original player
+ *
+ * The original gives every track fixed DirectSound buffers (one per octave and a spare
+ * "twin" for melody, one for drums) whose volume and pan persist between notes; each is
+ * modelled as a gain and a left/right pair here. Melodic tracks are monophonic: a new note
+ * or the end of a note's length lets the sounding buffer finish its current pass and stop,
+ * and a repeated note moves to the twin buffer. Pipi tracks play a fixed number of periods
+ * per octave without looping. Volume and pan events step the sounding buffer at their tick.
+ * Drums restart on every hit, at key × 800 + 100 samples per second.
+ */
+export class OrganyaPlayer {
+    /**
+     * @param {AudioEngine} audioEngine - Engine providing the context, wavetable, drums and mixer buses
+     * @param {Object} orgData - { header, instruments, tracks } as from OrgParser.parse or createOrgData
+     * @param {Object} options - { loop: jump from the loop end back to the loop start (default true, as in Organya) }
+     */
+    constructor(audioEngine, orgData, options = {}) {
+        this.audioEngine = audioEngine;
+        this.audioContext = audioEngine.audioContext;
+        this.header = orgData.header;
+        this.loop = options.loop !== undefined ? options.loop : true;
+        this.tickDuration = this.header.wait / 1000; // Seconds
+        this.ticksPerMeasure = this.header.stepsPerBar * this.header.beatsPerStep;
+        this.tick = 0;
+        this.sources = new Set(); // Sources that may still sound
+        this.outputs = [];
+        
+        this.tracks = orgData.tracks.map((track, index) => ({
+            index,
+            isDrum: index >= MELODY_TRACKS,
+            info: orgData.instruments[index],
+            events: [...track.notes].sort((a, b) => a.position - b.position),
+            eventIndex: 0,
+            trackId: track.editorTrack ?? index + 1,
+            buffers: new Map(), // Output per buffer (octave × 2 + twin for melody, 0 for drums)
+            waves: null, // Melody: per-octave AudioBuffers
+            sample: null, // Drums: AudioBuffer
+            // Melody state, as the original's old_key, key_twin and now_leng
+            key: UNSET,
+            twin: 0,
+            remaining: 0
+        }));
+    }
+
+    /**
+     * Ticks to render: up to the loop end plus extra loop passes, or to the end of the last event
+     * @param {Object} orgData - ORG data
+     * @param {boolean} loop - Whether the loop plays
+     * @param {number} loopCount - How many times the loop section plays
+     */
+    static getRenderTicks(orgData, loop, loopCount = 1) {
+        const { loopStart, loopEnd } = orgData.header;
+        if (loop && loopEnd > loopStart) {
+            return loopEnd + (loopCount - 1) * (loopEnd - loopStart);
+        }
+        
+        let end = 0;
+        orgData.tracks.forEach(track => track.notes.forEach(event => {
+            end = Math.max(end, event.position + (event.key !== UNSET ? event.length : 1));
+        }));
+        return Math.max(1, end);
+    }
+
+    /**
+     * Gain of an ORG volume (0-254), from DirectSound's hundredths of a decibel
+     */
+    static getVolumeGain(volume) {
+        return Math.pow(10, ((volume - 255) * 8) / 2000);
+    }
+
+    /**
+     * Left and right gains of an ORG pan step (0-12); DirectSound attenuates the far side only
+     */
+    static getPanGains(pan) {
+        const hundredthsDb = (PAN_TABLE[pan] - 256) * 10;
+        const attenuation = Math.pow(10, -Math.abs(hundredthsDb) / 2000);
+        return hundredthsDb < 0 ? { left: 1, right: attenuation } : { left: attenuation, right: 1 };
+    }
+
+    /**
+     * Samples per second a melodic key plays its octave's wave at
+     * @param {number} key - ORG key (0-95)
+     * @param {number} pitch - Track frequency setting (1000 is unchanged)
+     */
+    static getMelodyRate(key, pitch) {
+        const octave = OCTAVE_WAVES[Math.floor(key / 12)];
+        return (octave.size * FREQ_TABLE[key % 12] * octave.multiplier) / 8 + (pitch - 1000);
+    }
+
+    /**
+     * Prepare the waves and drums every track needs; call before the first tick
+     */
+    async load() {
+        for (const track of this.tracks) {
+            if (track.events.length === 0) continue;
+            
+            if (track.isDrum) {
+                // The instrument number picks the drum; numbers past the wavetable fall back to the track's drum
+                const number = track.info.instrument;
+                const name = number < this.audioEngine.drums.length
+                    ? `ORG_D${number.toString().padStart(2, '0')}`
+                    : OrgParser.getInstrumentName(number, track.index);
+                track.sample = await this.audioEngine.loadSample(name);
+            } else {
+                const wave = this.audioEngine.getBuiltinWave(track.info.instrument <= 99 ? track.info.instrument : 0);
+                track.waves = wave ? OCTAVE_WAVES.map(octave => this.createOctaveWave(wave, octave, track.info.pipi)) : null;
+            }
+        }
+    }
+
+    /**
+     * The wave as the original builds an octave's buffer: every nth sample down to the octave's
+     * size, repeated for the pipi periods on pipi tracks
+     */
+    createOctaveWave(wave, octave, pipi) {
+        const length = octave.size * (pipi ? octave.pipiPeriods : 1);
+        const step = wave.length / octave.size;
+        const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = wave[(i * step) % wave.length] / 128;
+        }
+        return buffer;
+    }
+
+    /**
+     * Move the play position, as the original does on looping: what is sounding carries on
+     * @param {number} tick - ORG tick
+     */
+    setPosition(tick) {
+        this.tick = tick;
+        this.tracks.forEach(track => {
+            track.eventIndex = 0;
+            while (track.eventIndex < track.events.length && track.events[track.eventIndex].position < tick) {
+                track.eventIndex++;
+            }
+        });
+    }
+
+    /**
+     * Play the current tick's events and advance to the next tick
+     * @param {number} time - Audio context time of the tick
+     */
+    playTick(time) {
+        this.tracks.forEach(track => {
+            // As in the original, only a track's next event is checked against the tick
+            const event = track.events[track.eventIndex];
+            const current = event && event.position === this.tick ? event : null;
+            if (current) track.eventIndex++;
+            
+            if (track.isDrum) {
+                this.playDrumTick(track, current, time);
+            } else {
+                this.playMelodyTick(track, current, time);
+            }
+        });
+        
+        this.tick++;
+        if (this.loop && this.header.loopEnd > this.header.loopStart && this.tick >= this.header.loopEnd) {
+            this.setPosition(this.header.loopStart);
+        }
+    }
+
+    playMelodyTick(track, event, time) {
+        if (event) {
+            if (event.key !== UNSET && track.waves) {
+                this.startMelody(track, event.key, time);
+                track.remaining = event.length;
+            }
+            
+            // Volume and pan only reach a sounding note
+            if (track.key !== UNSET) {
+                const output = this.getOutput(track, this.getMelodyBufferIndex(track));
+                if (event.pan !== UNSET) this.setPan(output, event.pan, time);
+                if (event.volume !== UNSET) this.setVolume(output, event.volume, time);
+            }
+        }
+        
+        if (track.remaining === 0) {
+            this.releaseMelody(track, time);
+        }
+        if (track.remaining > 0) {
+            track.remaining--;
+        }
+    }
+
+    playDrumTick(track, event, time) {
+        if (!event) return;
+        
+        const output = this.getOutput(track, 0);
+        if (event.key !== UNSET && track.sample) {
+            // Each hit stops the last one and starts from the beginning
+            this.stopSource(output, time);
+            const source = this.createSource(output, track.sample, time);
+            source.playbackRate.value = (event.key * 800 + 100) / track.sample.sampleRate;
+            output.source = source;
+            output.endTime = time + track.sample.length / (event.key * 800 + 100);
+        }
+        
+        // Drum volume and pan apply whether or not a hit is sounding
+        if (event.pan !== UNSET) this.setPan(output, event.pan, time);
+        if (event.volume !== UNSET) this.setVolume(output, event.volume, time);
+    }
+
+    getMelodyBufferIndex(track) {
+        return Math.floor(track.key / 12) * 2 + track.twin;
+    }
+
+    /**
+     * Start a melodic note; a note already sounding finishes its pass and the twin buffer takes over
+     */
+    startMelody(track, key, time) {
+        if (track.key !== UNSET) {
+            this.finishPass(this.getOutput(track, this.getMelodyBufferIndex(track)), time);
+            track.twin = 1 - track.twin;
+        }
+        track.key = key;
+        
+        const octave = Math.floor(key / 12);
+        const output = this.getOutput(track, this.getMelodyBufferIndex(track));
+        const wave = track.waves[octave];
+        const rate = OrganyaPlayer.getMelodyRate(key, track.info.pitch);
+        
+        this.stopSource(output, time);
+        const source = this.createSource(output, wave, time);
+        source.playbackRate.value = rate / this.audioContext.sampleRate;
+        source.loop = !track.info.pipi;
+        output.source = source;
+        output.startTime = time;
+        output.passDuration = OCTAVE_WAVES[octave].size / rate;
+        output.endTime = track.info.pipi ? time + wave.length / rate : Infinity;
+    }
+
+    /**
+     * End the sounding melodic note, if any
+     */
+    releaseMelody(track, time) {
+        if (track.key === UNSET) return;
+        this.finishPass(this.getOutput(track, this.getMelodyBufferIndex(track)), time);
+        track.key = UNSET;
+    }
+
+    /**
+     * Stop a looping buffer at the end of the pass through its wave it is in
+     */
+    finishPass(output, time) {
+        if (!output.source || output.endTime !== Infinity) return;
+        const passes = Math.max(1, Math.ceil((time - output.startTime) / output.passDuration - 1e-9));
+        output.endTime = output.startTime + passes * output.passDuration;
+        output.source.stop(output.endTime);
+    }
+
+    /**
+     * Let every melodic note finish its pass, e.g. at the end of a render
+     */
+    releaseAll(time) {
+        this.tracks.forEach(track => {
+            if (!track.isDrum) this.releaseMelody(track, time);
+        });
+    }
+
+    /**
+     * Cut a buffer's previous sound short if it would still be playing
+     */
+    stopSource(output, time) {
+        if (output.source && output.endTime > time) {
+            output.source.stop(time);
+            output.endTime = time;
+        }
+    }
+
+    createSource(output, buffer, time) {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(output.gain);
+        source.onended = () => {
+            this.sources.delete(source);
+            source.disconnect();
+        };
+        source.start(time);
+        this.sources.add(source);
+        return source;
+    }
+
+    /**
+     * Gain and pan nodes of one of a track's buffers, created at full volume and centred
+     */
+    getOutput(track, index) {
+        if (!track.buffers.has(index)) {
+            const ctx = this.audioContext;
+            const gain = ctx.createGain();
+            const left = ctx.createGain();
+            const right = ctx.createGain();
+            const merger = ctx.createChannelMerger(2);
+            gain.connect(left);
+            gain.connect(right);
+            left.connect(merger, 0, 0);
+            right.connect(merger, 0, 1);
+            merger.connect(this.audioEngine.getTrackBus(track.trackId).gain);
+            
+            const output = { gain, left, right, merger, source: null, startTime: 0, passDuration: 0, endTime: 0 };
+            track.buffers.set(index, output);
+            this.outputs.push(output);
+        }
+        return track.buffers.get(index);
+    }
+
+    setVolume(output, volume, time) {
+        output.gain.gain.setValueAtTime(OrganyaPlayer.getVolumeGain(volume), time);
+    }
+
+    setPan(output, pan, time) {
+        if (pan >= PAN_TABLE.length) return;
+        const { left, right } = OrganyaPlayer.getPanGains(pan);
+        output.left.gain.setValueAtTime(left, time);
+        output.right.gain.setValueAtTime(right, time);
+    }
+
+    /**
+     * Silence everything at once and release the nodes
+     */
+    stop() {
+        this.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (e) {
+                // Not started yet or already stopped
+            }
+        });
+        this.sources.clear();
+        this.outputs.forEach(output => output.merger.disconnect());
+        this.outputs = [];
+        this.tracks.forEach(track => track.buffers.clear());
+    }
+}
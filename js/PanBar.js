@@ -1,4 +1,5 @@
-import { PIANO_KEY_WIDTH, GRID_WIDTH, BEATS_PER_MEASURE, PAN_BAR_HEIGHT } from './constants.js';
+import { PIANO_KEY_WIDTH, GRID_WIDTH, PAN_BAR_HEIGHT } from './constants.js';
+import { AutomationLane } from './AutomationLane.js';
 
 /**
  * PanBar - Handles pan editing for notes
@@ -12,6 +13,18 @@ export class PanBar {
         this.hoveredNote = null;
         this.scrollX = pianoRoll.scrollX || 0;
         
+        // Envelope editing, shown instead of the handles in automation mode
+        this.lane = new AutomationLane(this, {
+            field: 'panAutomation',
+            valueKey: 'pan',
+            baseKey: 'pan',
+            min: -100,
+            max: 100,
+            stepped: false, // AudioEngine ramps pan between points
+            valueToY: (value, height) => height / 2 + (value / 100) * (height / 2),
+            yToValue: (y, height) => ((y - height / 2) / (height / 2)) * 100
+        });
+        
         this.resize();
         this.setupEventListeners();
         this.draw();
@@ -29,6 +42,7 @@ export class PanBar {
         this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
         this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
         this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
         
         // Touch events
         this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
@@ -49,6 +63,7 @@ export class PanBar {
         this.pianoRoll.addEventListener('notesChanged', () => this.draw());
         this.pianoRoll.addEventListener('selectionChanged', () => this.draw());
         this.pianoRoll.addEventListener('playbackUpdate', () => this.draw());
+        this.pianoRoll.addEventListener('timeMapChanged', () => this.draw());
     }
     
     handleMouseDown(e) {
@@ -56,11 +71,21 @@ export class PanBar {
         const x = e.clientX - rect.left + this.scrollX;
         const y = e.clientY - rect.top;
         
+        if (this.pianoRoll.automationMode) {
+            this.lane.handleMouseDown(e, x, y);
+            return;
+        }
+        
         // Find note at position
         const note = this.findNoteAtX(x);
         if (note) {
             this.draggingNote = note;
             
+            // The whole drag becomes a single undo step
+            const noteManager = this.pianoRoll.noteManager;
+            noteManager.beginTransaction('Change Pan');
+            noteManager.touchNotes(noteManager.selectedNotes.has(note) ? noteManager.selectedNotes : [note]);
+            
             // Store initial pan values for all selected notes
             if (this.pianoRoll.noteManager.selectedNotes.has(note)) {
                 this.initialPanValues = new Map();
@@ -80,6 +105,11 @@ export class PanBar {
         const x = e.clientX - rect.left + this.scrollX;
         const y = e.clientY - rect.top;
         
+        if (this.pianoRoll.automationMode) {
+            this.lane.handleMouseMove(x, y);
+            return;
+        }
+        
         if (this.draggingNote) {
             if (this.initialPanValues && this.pianoRoll.noteManager.selectedNotes.has(this.draggingNote)) {
                 // Update all selected notes relative to the drag
@@ -109,6 +139,7 @@ export class PanBar {
     }
     
     handleMouseUp() {
+        this.finishEdit();
         this.draggingNote = null;
         this.initialPanValues = null;
         this.dragStartY = null;
@@ -116,17 +147,32 @@ export class PanBar {
     }
     
     handleMouseLeave() {
+        this.finishEdit();
         this.draggingNote = null;
         this.hoveredNote = null;
         this.canvas.style.cursor = 'default';
         this.draw();
     }
     
+    /**
+     * Commit the pan drag to the undo history
+     */
+    finishEdit() {
+        this.lane.finishEdit();
+        if (this.draggingNote) {
+            this.pianoRoll.noteManager.commitTransaction();
+            this.pianoRoll.emit('notesChanged');
+        }
+    }
+    
     findNoteAtX(x) {
         const notes = this.pianoRoll.noteManager.notes;
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
         
         for (const note of notes) {
+            // Skip notes from muted or locked tracks
+            if (!this.pianoRoll.isNoteEditable(note)) continue;
+            
             // Scale note position for comparison
             const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
             
@@ -157,8 +203,8 @@ export class PanBar {
         // Draw playhead if playing or paused
         if (this.pianoRoll.isPlaying || this.pianoRoll.isPaused) {
             const currentMeasure = this.pianoRoll.currentMeasure;
-            const measureWidth = BEATS_PER_MEASURE * this.pianoRoll.gridWidth;
-            const measureX = PIANO_KEY_WIDTH + currentMeasure * measureWidth;
+            const measureX = this.pianoRoll.getMeasureX(currentMeasure);
+            const measureWidth = this.pianoRoll.getMeasureX(currentMeasure + 1) - measureX;
             
             this.ctx.fillStyle = 'rgba(255, 68, 68, 0.1)';
             this.ctx.fillRect(measureX, 0, measureWidth, this.canvas.height);
@@ -175,23 +221,56 @@ export class PanBar {
         // Draw grid lines
         this.ctx.strokeStyle = '#333';
         this.ctx.lineWidth = 0.5;
-        const measureWidth = this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-        for (let x = PIANO_KEY_WIDTH; x <= this.canvas.width + this.scrollX; x += measureWidth) {
+        const viewRight = this.canvas.width + this.scrollX;
+        for (let measure = this.pianoRoll.getMeasureAtX(this.scrollX); measure <= this.pianoRoll.totalMeasures; measure++) {
+            const x = this.pianoRoll.getMeasureX(measure);
+            if (x > viewRight) break;
             this.ctx.beginPath();
             this.ctx.moveTo(x, 0);
             this.ctx.lineTo(x, this.canvas.height);
             this.ctx.stroke();
         }
         
+        if (this.pianoRoll.automationMode) {
+            this.lane.draw();
+        } else {
+            this.drawNoteHandles();
+        }
+        
+        this.ctx.restore();
+        
+        // Draw label area background to match piano keys
+        this.ctx.save();
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(0, 0, PIANO_KEY_WIDTH, this.canvas.height);
+        
+        // Draw border to match piano key area
+        this.ctx.strokeStyle = '#444';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(PIANO_KEY_WIDTH, 0);
+        this.ctx.lineTo(PIANO_KEY_WIDTH, this.canvas.height);
+        this.ctx.stroke();
+        
+        // Draw labels
+        this.ctx.fillStyle = '#888';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('L', PIANO_KEY_WIDTH / 2, 15);
+        this.ctx.fillText('R', PIANO_KEY_WIDTH / 2, this.canvas.height - 5);
+        this.ctx.fillText('C', PIANO_KEY_WIDTH / 2, this.canvas.height / 2 + 3);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw one handle per note at its start
+     */
+    drawNoteHandles() {
         // Draw note pan handles
         const notes = this.pianoRoll.noteManager.notes;
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
         
         for (const note of notes) {
-            // Skip if track is hidden
-            if (this.pianoRoll.trackVisibility.get(note.instrument) === false) {
-                continue;
-            }
             const x = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
             const pan = note.pan || 0;
             const y = this.canvas.height / 2 + (pan / 100) * (this.canvas.height / 2);
@@ -201,8 +280,8 @@ export class PanBar {
             const isDragging = note === this.draggingNote;
             const isSelected = this.pianoRoll.noteManager.selectedNotes.has(note);
             
-            // Get instrument color
-            const instrumentColor = this.pianoRoll.getInstrumentColor(note.instrument);
+            // Get track color
+            const instrumentColor = this.pianoRoll.getNoteColor(note);
             
             // Determine color based on state
             let color = instrumentColor.note;
@@ -249,30 +328,6 @@ export class PanBar {
                 this.ctx.stroke();
             }
         }
-        
-        this.ctx.restore();
-        
-        // Draw label area background to match piano keys
-        this.ctx.save();
-        this.ctx.fillStyle = '#2a2a2a';
-        this.ctx.fillRect(0, 0, PIANO_KEY_WIDTH, this.canvas.height);
-        
-        // Draw border to match piano key area
-        this.ctx.strokeStyle = '#444';
-        this.ctx.lineWidth = 1;
-        this.ctx.beginPath();
-        this.ctx.moveTo(PIANO_KEY_WIDTH, 0);
-        this.ctx.lineTo(PIANO_KEY_WIDTH, this.canvas.height);
-        this.ctx.stroke();
-        
-        // Draw labels
-        this.ctx.fillStyle = '#888';
-        this.ctx.font = '10px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('L', PIANO_KEY_WIDTH / 2, 15);
-        this.ctx.fillText('R', PIANO_KEY_WIDTH / 2, this.canvas.height - 5);
-        this.ctx.fillText('C', PIANO_KEY_WIDTH / 2, this.canvas.height / 2 + 3);
-        this.ctx.restore();
     }
     
     /**
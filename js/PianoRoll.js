@@ -9,7 +9,9 @@ import {
     GRID_SUBDIVISIONS,
     DEFAULT_BPM,
     DEFAULT_VELOCITY,
-    INSTRUMENT_COLOR_PALETTE
+    MIN_ZOOM,
+    MAX_ZOOM,
+    ZOOM_STEP
 } from './constants.js';
 
 import { AudioEngine } from './AudioEngine.js';
@@ -18,6 +20,11 @@ import { InputHandler } from './InputHandler.js';
 import { Renderer } from './Renderer.js';
 import { OrgParser } from './OrgParser.js';
 import { MidiParser } from './MidiParser.js';
+import { TimeMap } from './TimeMap.js';
+import { Tuning } from './Tuning.js';
+import { TrackManager } from './TrackManager.js';
+import { EffectsChain } from './EffectsChain.js';
+import { UserSample } from './UserSample.js';
 import PlaybackEngine from './PlaybackEngine.js';
 
 /**
@@ -52,24 +59,36 @@ export class PianoRoll {
         this.baseGridWidth = GRID_WIDTH;
         this.gridWidth = GRID_WIDTH;
         this.numOctaves = NUM_OCTAVES;
-        this.notesPerOctave = NOTES_PER_OCTAVE;
-        this.numKeys = this.numOctaves * this.notesPerOctave;
+        this.tuning = Tuning.edo(NOTES_PER_OCTAVE);
+        this.notesPerOctave = this.tuning.size;
+        this.numKeys = this.tuning.keyCount;
         this.totalMeasures = TOTAL_MEASURES;
         this.beatsPerMeasure = BEATS_PER_MEASURE;
-        this.totalWidth = this.pianoKeyWidth + (this.totalMeasures * this.beatsPerMeasure * this.gridWidth);
+        
+        // Tempo and time signature changes
+        this.timeMap = new TimeMap(DEFAULT_BPM);
+        this.totalWidth = this.pianoKeyWidth + this.timeMap.getMeasureStart(this.totalMeasures) * this.gridWidth;
         this.totalHeight = this.numKeys * this.noteHeight;
         
+        // Zoom factors applied on top of the base grid and note sizes
+        this.zoomX = 1;
+        this.zoomY = 1;
+        
         // State
         this.scrollX = 0;
         this.scrollY = 0;
         this.isPlaying = false;
         this.isPaused = false;
         this.currentMeasure = 0;
+        this.playPosition = 0; // Beats from the song start where playback starts or resumes
         this.gridSnap = true;
         this.snapMode = 'normal'; // 'normal' or 'high-res'
         this.currentVelocity = DEFAULT_VELOCITY;
         this.currentSample = 'ORG_M00';
+        this.currentTrack = null; // Id of the track new notes go to
         this.hoveredRow = -1;
+        this.automationMode = false; // Velocity and pan bars edit envelopes instead of note values
+        this.automationTool = 'point'; // 'point', 'pencil' or 'line'
         
         // Tempo settings
         this.currentBPM = DEFAULT_BPM;
@@ -81,26 +100,34 @@ export class PianoRoll {
         this.loopStart = 0;
         this.loopEnd = 4;
         
-        // Store org file track info when loaded
+        // Store org file track info and header when loaded
         this.orgTrackInfo = null;
+        this.orgHeader = null;
         
         // Performance
         this.dirty = false; // Don't render until something changes
         this.showFPS = true;
         this.followMode = true;
+        this.organyaAccurate = false; // Play the song as exported to ORG, tick by tick like the original player
         
         // Playback UI state
         this.playingNotes = new Map();
         
+        // Retuning assistant proposals shown over the notes ({ proposals, isAccepted(proposal) } or null)
+        this.retunePreview = null;
+        
         // Instrument colors
         this.instrumentColors = new Map();
         
-        // Track visibility - delegate to playback engine
-        Object.defineProperty(this, 'trackVisibility', {
-            get: () => this.playbackEngine.trackVisibility,
-            set: (val) => { this.playbackEngine.trackVisibility = val; }
+        // Tracks - shared with the playback engine, which mixes each one on its own bus
+        Object.defineProperty(this, 'trackManager', {
+            get: () => this.playbackEngine.trackManager,
+            set: (val) => { this.playbackEngine.trackManager = val; }
         });
         
+        // Keep the mixer buses in step with track edits, undo and redo
+        this.addEventListener('tracksChanged', () => this.playbackEngine.syncMixer());
+        
         this.init();
     }
 
@@ -144,6 +171,7 @@ export class PianoRoll {
             melodicGroup.appendChild(option);
         });
         select.appendChild(melodicGroup);
+        this.updateInstrumentOptions();
         
         // Load the default sample
         await this.audioEngine.loadSample(this.currentSample);
@@ -184,28 +212,32 @@ export class PianoRoll {
             if (!this.isPaused || fromMeasure !== null) {
                 // Starting fresh or from specific measure
                 this.currentMeasure = fromMeasure !== null ? fromMeasure : 0;
+                this.playPosition = this.timeMap.getMeasureStart(this.currentMeasure);
                 
                 // Update scroll position if in follow mode
                 if (this.followMode) {
                     this.scrollToMeasure();
                 }
+            } else {
+                // Resuming after a pause or a seek, possibly mid-measure
+                this.currentMeasure = this.timeMap.getMeasureAtBeat(this.playPosition);
             }
             
             this.isPaused = false;
             
             // Update playback engine with current notes and settings
-            this.playbackEngine.loadNotes(this.noteManager.notes, this.orgMsPerTick);
-            this.playbackEngine.setTempo(this.currentBPM);
+            this.playbackEngine.loadNotes(this.noteManager.notes, this.orgMsPerTick, this.noteManager.index);
+            this.playbackEngine.loadOrgData(this.organyaAccurate ? this.buildOrgData().orgData : null);
+            this.playbackEngine.setTimeMap(this.timeMap);
             this.playbackEngine.setLoop(this.loopEnabled, this.loopStart, this.loopEnd);
-            this.playbackEngine.play(this.currentMeasure);
+            this.playbackEngine.play(this.currentMeasure, this.playPosition - this.timeMap.getMeasureStart(this.currentMeasure));
+            this.emit('playbackUpdate', { currentMeasure: this.currentMeasure });
         }
     }
     
     playFromCurrentPosition() {
         // Calculate the measure visible at the beginning (left edge) of the screen
-        const measureWidth = GRID_WIDTH * BEATS_PER_MEASURE;
-        const currentViewMeasure = Math.floor((this.scrollX) / measureWidth);
-        const measureToPlay = Math.max(0, currentViewMeasure);
+        const measureToPlay = this.getMeasureAtX(this.pianoKeyWidth + this.scrollX);
         
         // Stop if playing
         if (this.isPlaying) {
@@ -218,11 +250,14 @@ export class PianoRoll {
 
     pause() {
         if (this.isPlaying) {
+            this.playPosition = this.playbackEngine.getPlaybackPosition();
             this.isPaused = true;
             this.isPlaying = false;
             
             this.playbackEngine.pause();
             this.stopAllPlayingNotes();
+            this.dirty = true;
+            this.emit('playbackUpdate', { currentMeasure: this.currentMeasure });
         }
     }
 
@@ -230,6 +265,7 @@ export class PianoRoll {
         this.isPlaying = false;
         this.isPaused = false;
         this.currentMeasure = 0;
+        this.playPosition = 0;
         
         this.playbackEngine.stop();
         
@@ -237,6 +273,42 @@ export class PianoRoll {
         this.scrollX = 0;
         this.emit('scroll', { scrollX: this.scrollX, scrollY: this.scrollY });
         this.dirty = true;
+        this.emit('playbackUpdate', { currentMeasure: this.currentMeasure });
+    }
+
+    /**
+     * Move the playhead to a position; playback carries on from there, otherwise it starts from there
+     * @param {number} beat - Beats from the start of the song
+     */
+    seek(beat) {
+        const songEnd = this.timeMap.getMeasureStart(this.totalMeasures);
+        const position = Math.max(0, Math.min(songEnd, beat));
+        const wasPlaying = this.isPlaying;
+        
+        if (wasPlaying) {
+            this.playbackEngine.stop();
+            this.stopAllPlayingNotes();
+        }
+        
+        // A stopped song waits at the position like a paused one
+        this.isPlaying = false;
+        this.isPaused = true;
+        this.playPosition = position;
+        this.currentMeasure = Math.min(this.timeMap.getMeasureAtBeat(position), this.totalMeasures - 1);
+        
+        if (wasPlaying) {
+            this.play();
+        } else {
+            this.dirty = true;
+            this.emit('playbackUpdate', { currentMeasure: this.currentMeasure });
+        }
+    }
+
+    /**
+     * Position of the playhead in beats, following playback while it plays
+     */
+    getPlayPosition() {
+        return this.isPlaying ? this.playbackEngine.getPlaybackPosition() : this.playPosition;
     }
 
     stopAllPlayingNotes() {
@@ -249,69 +321,374 @@ export class PianoRoll {
         this.currentBPM = bpm;
         this.beatDuration = 60000 / bpm;
         this.measureDuration = this.beatDuration * this.beatsPerMeasure;
+        this.timeMap.setTempo(bpm);
         this.playbackEngine.setTempo(bpm);
     }
 
+    /**
+     * Replace the tempo and time signature map
+     * @param {TimeMap} timeMap - New map (its starting tempo becomes the song tempo)
+     */
+    setTimeMap(timeMap) {
+        this.timeMap = timeMap;
+        this.setTempo(timeMap.getInitialTempo());
+        this.playbackEngine.setTimeMap(timeMap);
+        this.updateGridDimensions();
+        this.setScroll(this.scrollX, this.scrollY);
+        this.renderer.markFullRedraw();
+        this.emit('timeMapChanged', { timeMap });
+    }
+
+    /**
+     * Switch to another tuning, moving every note to the nearest pitch it offers
+     * @param {Tuning} tuning - New tuning
+     */
+    setTuning(tuning) {
+        const previous = this.tuning;
+        this.tuning = tuning;
+        this.notesPerOctave = tuning.size;
+        this.numKeys = tuning.keyCount;
+        this.playbackEngine.setTuning(tuning);
+        
+        const notes = this.noteManager.notes;
+        if (notes.length > 0) {
+            notes.forEach(note => {
+                note.key = tuning.getNearestKey(previous.getFrequency(note.key));
+                note.y = this.getKeyY(note.key);
+            });
+            
+            // Undo steps hold keys of the old tuning
+            this.noteManager.clearHistory();
+            this.emit('notesChanged');
+        }
+        
+        this.updateGridDimensions();
+        this.setScroll(this.scrollX, this.scrollY);
+        this.renderer.pianoKeysCacheInvalid = true;
+        this.renderer.markFullRedraw();
+        this.emit('tuningChanged', { tuning });
+    }
+
+    /**
+     * Get the unzoomed y position of a key's row
+     */
+    getKeyY(key) {
+        return (this.numKeys - 1 - key) * NOTE_HEIGHT;
+    }
+
+    /**
+     * Get the x position (at the current zoom) where a measure starts
+     */
+    getMeasureX(measure) {
+        return this.pianoKeyWidth + this.timeMap.getMeasureStart(measure) * this.gridWidth;
+    }
+
+    /**
+     * Get the measure at an x position (at the current zoom)
+     */
+    getMeasureAtX(x) {
+        return Math.max(0, this.timeMap.getMeasureAtBeat((x - this.pianoKeyWidth) / this.gridWidth));
+    }
+
+    /**
+     * Number of measures up to the end of the last note
+     */
+    getSongMeasureCount() {
+        const songEnd = this.noteManager.notes.reduce((end, note) => 
+            Math.max(end, note.x - PIANO_KEY_WIDTH + note.width), 0);
+        return this.timeMap.getMeasuresUntil(songEnd / GRID_WIDTH);
+    }
+
     setLoop(enabled, start = null, end = null) {
         this.loopEnabled = enabled;
         if (start !== null) this.loopStart = start;
         if (end !== null) this.loopEnd = end;
         this.playbackEngine.setLoop(enabled, start, end);
         this.renderer.markFullRedraw();
+        this.dirty = true;
+        this.emit('loopChanged', { enabled, start: this.loopStart, end: this.loopEnd });
     }
 
     snapXToGrid(x) {
         if (!this.gridSnap) return x - this.pianoKeyWidth;
         const snapDivisions = this.getSnapDivisions();
-        const subdivisionWidth = this.gridWidth * this.beatsPerMeasure / snapDivisions;
+        const subdivisionWidth = this.baseGridWidth * this.beatsPerMeasure / snapDivisions;
         return Math.floor((x - this.pianoKeyWidth) / subdivisionWidth) * subdivisionWidth;
     }
 
     getInstrumentColor(instrumentName) {
         if (!this.instrumentColors.has(instrumentName)) {
-            // Use a deterministic color based on instrument name
-            // This ensures consistent colors regardless of load order
-            let colorIndex;
-            
-            if (instrumentName.startsWith('ORG_M')) {
-                // For melodic instruments, use the instrument number
-                const num = parseInt(instrumentName.substring(5));
-                colorIndex = num % INSTRUMENT_COLOR_PALETTE.length;
-            } else if (instrumentName.startsWith('ORG_D')) {
-                // For drums, offset by 100 to avoid conflicts with melodic
-                const num = parseInt(instrumentName.substring(5));
-                colorIndex = (100 + num) % INSTRUMENT_COLOR_PALETTE.length;
-            } else {
-                // For other instruments (MIDI etc), use string hash
-                let hash = 0;
-                for (let i = 0; i < instrumentName.length; i++) {
-                    hash = ((hash << 5) - hash) + instrumentName.charCodeAt(i);
-                    hash = hash & hash; // Convert to 32bit integer
-                }
-                colorIndex = Math.abs(hash) % INSTRUMENT_COLOR_PALETTE.length;
-            }
-            
-            const color = INSTRUMENT_COLOR_PALETTE[colorIndex];
-            this.instrumentColors.set(instrumentName, color);
+            this.instrumentColors.set(instrumentName, TrackManager.getInstrumentColor(instrumentName));
         }
         return this.instrumentColors.get(instrumentName);
     }
 
+    /**
+     * Colour of a note's track
+     */
+    getNoteColor(note) {
+        const track = this.trackManager.getTrack(note.track);
+        return track ? track.color : this.getInstrumentColor(note.instrument);
+    }
+
+    /**
+     * Whether a note can be selected and edited: its track is not locked
+     */
+    isNoteEditable(note) {
+        return !this.trackManager.isNoteLocked(note);
+    }
+
+    /**
+     * Track new notes go to: the current track if it plays the selected instrument,
+     * otherwise the first unlocked track of that instrument, or null when there is none yet
+     */
+    findActiveTrack() {
+        const current = this.trackManager.getTrack(this.currentTrack);
+        if (current && current.instrument === this.currentSample && !current.locked) {
+            return current;
+        }
+        return this.trackManager.tracks.find(track => track.instrument === this.currentSample && !track.locked) || null;
+    }
+
+    /**
+     * Track new notes go to, created for the selected instrument when needed
+     */
+    getActiveTrack() {
+        let track = this.findActiveTrack();
+        if (!track) {
+            track = this.trackManager.createTrack({
+                instrument: this.currentSample,
+                name: this.trackManager.getDefaultName(this.getInstrumentLabel(this.currentSample))
+            });
+            this.emit('tracksChanged');
+        }
+        this.currentTrack = track.id;
+        return track;
+    }
+
+    /**
+     * Make a track current, so new notes go to it and the instrument selector follows it
+     */
+    setActiveTrack(trackId) {
+        const track = this.trackManager.getTrack(trackId);
+        if (!track) return;
+        
+        this.currentTrack = track.id;
+        this.currentSample = track.instrument;
+        const select = document.getElementById('waveformSelect');
+        if (select) {
+            select.value = track.instrument;
+        }
+        this.updateInstrumentColorIndicator();
+    }
+
     updateInstrumentColorIndicator() {
         const indicator = document.getElementById('instrumentColorIndicator');
         if (indicator) {
-            const color = this.getInstrumentColor(this.currentSample);
+            const track = this.findActiveTrack();
+            const color = track ? track.color : this.getInstrumentColor(this.currentSample);
             indicator.style.backgroundColor = color.note;
             indicator.style.borderColor = color.border;
         }
     }
 
+    /**
+     * List the song's custom waves, imported samples and synths in the instrument selector after the built-in ones
+     */
+    updateInstrumentOptions() {
+        const select = document.getElementById('waveformSelect');
+        if (!select) return;
+        
+        this.fillInstrumentGroup(select, 'custom-waves', 'Custom Waves', this.audioEngine.customWaves);
+        this.fillInstrumentGroup(select, 'user-samples', 'Imported Samples', this.audioEngine.userSamples);
+        this.fillInstrumentGroup(select, 'synths', 'Synth Instruments', this.audioEngine.synths);
+        
+        // A deleted wave, sample or synth can't stay selected
+        if (!this.currentSample.startsWith('ORG_') && !this.getUserInstrument(this.currentSample)) {
+            this.currentSample = 'ORG_M00';
+        }
+        select.value = this.currentSample;
+    }
+
+    /**
+     * Fill an option group with named instruments, hiding it when there are none
+     * @param {Map} instruments - Instrument name -> { name }
+     */
+    fillInstrumentGroup(select, className, label, instruments) {
+        let group = select.querySelector(`optgroup.${className}`);
+        if (!group) {
+            group = document.createElement('optgroup');
+            group.className = className;
+            group.label = label;
+            select.appendChild(group);
+        }
+        
+        group.innerHTML = '';
+        instruments.forEach((instrument, id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = instrument.name;
+            group.appendChild(option);
+        });
+        group.hidden = instruments.size === 0;
+    }
+
+    /**
+     * Display name of an instrument: the name of a custom wave or imported sample,
+     * otherwise the instrument name without the ORG_ prefix
+     */
+    getInstrumentLabel(instrument) {
+        const userInstrument = this.getUserInstrument(instrument);
+        return userInstrument ? userInstrument.name : instrument.replace('ORG_', '');
+    }
+
+    /**
+     * The song's custom wave, imported sample or synth of that name, or null
+     */
+    getUserInstrument(instrument) {
+        return this.audioEngine.customWaves.get(instrument) || this.audioEngine.userSamples.get(instrument) ||
+            this.audioEngine.synths.get(instrument) || null;
+    }
+
+    /**
+     * Number of notes and tracks playing an instrument
+     */
+    countInstrumentUsers(instrument) {
+        return this.noteManager.notes.filter(note => note.instrument === instrument).length +
+            this.trackManager.tracks.filter(track => track.instrument === instrument).length;
+    }
+
+    /**
+     * Add a custom wave to the song
+     * @param {string} name - Display name
+     * @param {Int8Array} samples - Wave samples
+     * @returns {string} Instrument name of the new wave
+     */
+    addCustomWave(name, samples) {
+        const id = this.audioEngine.createCustomWaveId();
+        this.audioEngine.setCustomWave(id, name, samples);
+        this.afterWaveEdit();
+        return id;
+    }
+
+    /**
+     * Redraw or rename a custom wave; notes using it play the new wave from their next start
+     */
+    setCustomWave(id, name, samples) {
+        this.audioEngine.setCustomWave(id, name, samples);
+        this.afterWaveEdit();
+    }
+
+    /**
+     * Remove a custom wave that no note or track uses
+     * @returns {number} Notes and tracks still using the wave (the wave is kept when not 0)
+     */
+    removeCustomWave(id) {
+        const users = this.countInstrumentUsers(id);
+        if (users > 0) return users;
+        
+        this.audioEngine.removeCustomWave(id);
+        this.afterWaveEdit();
+        return 0;
+    }
+
+    afterWaveEdit() {
+        this.updateInstrumentOptions();
+        this.updateInstrumentColorIndicator();
+        this.dirty = true;
+        this.emit('wavesChanged');
+    }
+
+    /**
+     * Add an imported sample to the song
+     * @param {string} name - Display name
+     * @param {Object} settings - Sample settings
+     * @param {ArrayBuffer} data - Encoded file bytes
+     * @param {AudioBuffer} buffer - The file already decoded, if at hand
+     * @param {string} id - Instrument name to reuse (e.g. from the sample library), or null for a new one
+     * @returns {string} Instrument name of the sample
+     */
+    addUserSample(name, settings, data, buffer = null, id = null) {
+        const sampleId = id || UserSample.createId();
+        this.audioEngine.setUserSample(sampleId, name, settings, data, buffer);
+        this.afterSampleEdit();
+        return sampleId;
+    }
+
+    /**
+     * Rename an imported sample or change its settings (data replaces its file when given)
+     */
+    setUserSample(id, name, settings, data = undefined, buffer = null) {
+        this.audioEngine.setUserSample(id, name, settings, data, buffer);
+        this.afterSampleEdit();
+    }
+
+    /**
+     * Remove an imported sample that no note or track uses
+     * @returns {number} Notes and tracks still using the sample (the sample is kept when not 0)
+     */
+    removeUserSample(id) {
+        const users = this.countInstrumentUsers(id);
+        if (users > 0) return users;
+        
+        this.audioEngine.removeUserSample(id);
+        this.afterSampleEdit();
+        return 0;
+    }
+
+    afterSampleEdit() {
+        this.updateInstrumentOptions();
+        this.updateInstrumentColorIndicator();
+        this.dirty = true;
+        this.emit('samplesChanged');
+    }
+
+    /**
+     * Add a synth instrument to the song
+     * @param {string} name - Display name
+     * @param {Object} settings - Synth settings
+     * @returns {string} Instrument name of the new synth
+     */
+    addSynth(name, settings) {
+        const id = this.audioEngine.createSynthId();
+        this.audioEngine.setSynth(id, name, settings);
+        this.afterSynthEdit();
+        return id;
+    }
+
+    /**
+     * Rename a synth or change its settings; notes using it play the new settings from their next start
+     */
+    setSynth(id, name, settings) {
+        this.audioEngine.setSynth(id, name, settings);
+        this.afterSynthEdit();
+    }
+
+    /**
+     * Remove a synth that no note or track uses
+     * @returns {number} Notes and tracks still using the synth (the synth is kept when not 0)
+     */
+    removeSynth(id) {
+        const users = this.countInstrumentUsers(id);
+        if (users > 0) return users;
+        
+        this.audioEngine.removeSynth(id);
+        this.afterSynthEdit();
+        return 0;
+    }
+
+    afterSynthEdit() {
+        this.updateInstrumentOptions();
+        this.updateInstrumentColorIndicator();
+        this.dirty = true;
+        this.emit('synthsChanged');
+    }
+
     scrollToMeasure() {
         if (!this.isPlaying) return;
         
         // Keep the current measure at the left edge of the view
-        const measureWidth = this.beatsPerMeasure * this.gridWidth;
-        const measureStartX = this.pianoKeyWidth + this.currentMeasure * measureWidth;
+        const measureStartX = this.getMeasureX(this.currentMeasure);
         
         // Target scroll position: current measure should be at left edge (after piano keys)
         const targetScrollX = Math.max(0, measureStartX - this.pianoKeyWidth);
@@ -339,6 +716,18 @@ export class PianoRoll {
             // Clear instrument colors to ensure consistent assignment
             this.instrumentColors.clear();
             
+            // One track per Organya track, so tracks sharing a wave stay apart
+            this.trackManager.fromJSON(converted.tracks);
+            this.currentTrack = null;
+            this.playbackEngine.setMasterEffects(null);
+            this.audioEngine.setCustomWaves(null);
+            this.audioEngine.setUserSamples(null);
+            this.audioEngine.setSynths(null);
+            this.updateInstrumentOptions();
+            
+            // Organya songs are converted to 38-EDO keys
+            this.setTuning(Tuning.edo(NOTES_PER_OCTAVE));
+            
             // Auto-detect if this is a high-resolution song (Kero Blaster)
             // Calculate total divisions per measure
             const divisionsPerMeasure = orgData.header.stepsPerBar * orgData.header.beatsPerStep;
@@ -355,7 +744,6 @@ export class PianoRoll {
             
             if (isHighRes) {
                 this.snapMode = 'high-res';
-                this.gridWidth = this.baseGridWidth * 2;
                 // Update UI
                 const snapModeBtn = document.getElementById('snapModeBtn');
                 if (snapModeBtn) {
@@ -364,7 +752,6 @@ export class PianoRoll {
                 }
             } else {
                 this.snapMode = 'normal';
-                this.gridWidth = this.baseGridWidth;
                 // Update UI
                 const snapModeBtn = document.getElementById('snapModeBtn');
                 if (snapModeBtn) {
@@ -373,19 +760,23 @@ export class PianoRoll {
                 }
             }
             
-            // Recalculate total width
-            this.totalWidth = this.pianoKeyWidth + (this.totalMeasures * this.beatsPerMeasure * this.gridWidth);
+            // Recalculate grid size for the snap mode
+            this.updateGridDimensions();
             
             // Store org-specific timing info
             this.orgMsPerTick = converted.msPerTick;
+            this.orgHeader = { ...orgData.header };
             
             // Add converted notes
             converted.notes.forEach(noteData => {
                 this.noteManager.createNote(noteData);
             });
             
-            // Set tempo and loop
-            this.setTempo(converted.tempo);
+            // A freshly loaded song starts with an empty undo history
+            this.noteManager.clearHistory();
+            
+            // Organya songs have a single tempo and 4/4 bars
+            this.setTimeMap(new TimeMap(converted.tempo));
             this.setLoop(converted.loopEnabled, converted.loopStart, converted.loopEnd);
             
             // Store track info for display
@@ -396,8 +787,6 @@ export class PianoRoll {
             
             // Update UI
             document.getElementById('loopBtn').classList.toggle('active', converted.loopEnabled);
-            document.getElementById('loopStartInput').value = converted.loopStart + 1;
-            document.getElementById('loopEndInput').value = converted.loopEnd + 1;
             
             this.dirty = true;
             
@@ -424,6 +813,8 @@ export class PianoRoll {
             
             const midiData = MidiParser.parse(arrayBuffer);
             const converted = MidiParser.convertToNotes(midiData, arrayBuffer, -1, null);
+            this.orgTrackInfo = null;
+            this.orgHeader = null;
             
             // Clear existing notes
             this.noteManager.clearAll();
@@ -431,19 +822,32 @@ export class PianoRoll {
             // Clear instrument colors to ensure consistent assignment
             this.instrumentColors.clear();
             
+            // One track per MIDI track and channel
+            this.trackManager.fromJSON(converted.tracks);
+            this.currentTrack = null;
+            this.playbackEngine.setMasterEffects(null);
+            this.audioEngine.setCustomWaves(null);
+            this.audioEngine.setUserSamples(null);
+            this.audioEngine.setSynths(null);
+            this.updateInstrumentOptions();
+            
+            // MIDI notes are converted to 38-EDO keys
+            this.setTuning(Tuning.edo(NOTES_PER_OCTAVE));
+            
             // Add converted notes
             converted.notes.forEach(noteData => {
                 this.noteManager.createNote(noteData);
             });
             
-            // Set tempo and loop
-            this.setTempo(converted.tempo);
+            // A freshly loaded song starts with an empty undo history
+            this.noteManager.clearHistory();
+            
+            // Set tempo changes, time signatures and loop
+            this.setTimeMap(TimeMap.fromJSON(converted.timeMap, converted.tempo));
             this.setLoop(converted.loopEnabled, converted.loopStart, converted.loopEnd);
             
             // Update UI
             document.getElementById('loopBtn').classList.toggle('active', converted.loopEnabled);
-            document.getElementById('loopStartInput').value = converted.loopStart + 1;
-            document.getElementById('loopEndInput').value = converted.loopEnd + 1;
             
             this.dirty = true;
             this.renderer.markFullRedraw();
@@ -468,118 +872,272 @@ export class PianoRoll {
     // Show org track info in console or modal
     showOrgTrackInfo() {
         if (!this.orgTrackInfo) return;
-        
-        // Build track info from notes
-        const trackData = this.buildTrackData();
-        this.showTrackInfoModal(trackData);
+        this.showTrackInfoModal();
     }
     
     showMidiTrackInfo() {
-        // Build track info from notes
-        const trackData = this.buildTrackData();
-        this.showTrackInfoModal(trackData);
+        this.showTrackInfoModal();
     }
     
+    /**
+     * Tracks in list order with their notes
+     * @returns {Array} [{ track, notes }]
+     */
     buildTrackData() {
-        const tracks = new Map();
-        
-        // Collect all notes by instrument
+        const notesByTrack = new Map(this.trackManager.tracks.map(track => [track.id, []]));
         this.noteManager.notes.forEach(note => {
-            if (!tracks.has(note.instrument)) {
-                const color = this.getInstrumentColor(note.instrument);
-                // Check if we have a visibility state, default to true
-                const visible = this.trackVisibility.get(note.instrument) !== false;
-                tracks.set(note.instrument, {
-                    name: note.instrument,
-                    notes: [],
-                    color: color,
-                    visible: visible,
-                    solo: false,
-                    muted: false
-                });
-            }
-            tracks.get(note.instrument).notes.push(note);
+            notesByTrack.get(note.track)?.push(note);
         });
         
-        // Convert to array and sort by name
-        return Array.from(tracks.values()).sort((a, b) => {
-            // Put numbered tracks first, then alphabetical
-            const aNum = parseInt(a.name.match(/\d+/)?.[0]);
-            const bNum = parseInt(b.name.match(/\d+/)?.[0]);
-            
-            if (!isNaN(aNum) && !isNaN(bNum)) {
-                return aNum - bNum;
-            } else if (!isNaN(aNum)) {
-                return -1;
-            } else if (!isNaN(bNum)) {
-                return 1;
-            }
-            
-            return a.name.localeCompare(b.name);
-        });
+        return this.trackManager.tracks.map(track => ({ track, notes: notesByTrack.get(track.id) }));
     }
     
-    showTrackInfoModal(trackData) {
+    showTrackInfoModal() {
+        this.renderTrackList();
+        
+        // Show modal using ModalManager
+        if (window.modalManager) {
+            window.modalManager.show('trackInfoModal');
+        }
+    }
+    
+    /**
+     * Fill the Track Information modal with one editable row per track
+     */
+    renderTrackList() {
         const content = document.getElementById('trackInfoContent');
         if (!content) return;
         
         content.innerHTML = '';
         
+        const trackData = this.buildTrackData();
         if (trackData.length === 0) {
-            content.innerHTML = '<p style="text-align: center; color: #999;">No tracks found</p>';
-        } else {
-            trackData.forEach((track, index) => {
-                const trackEl = document.createElement('div');
-                trackEl.className = 'track-item';
-                trackEl.innerHTML = `
-                    <div class="track-color" style="background-color: ${track.color.note}; border-color: ${track.color.border}"></div>
-                    <div class="track-details">
-                        <div class="track-name">${track.name}</div>
-                        <div class="track-stats">${track.notes.length} notes</div>
-                    </div>
-                    <div class="track-controls">
-                        <button class="track-btn track-mute ${!track.visible ? 'muted' : ''}" data-track="${track.name}" title="${track.visible ? 'Mute track' : 'Unmute track'}">
-                            ${track.visible ? 
-                                '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.5 3c0-1.77-1-3.29-2.5-4.03v8.06c1.5-.74 2.5-2.26 2.5-4.03z"/></svg>' : 
-                                '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.85 3L12 5.15v1.7L10.15 5l-.85.85L11.15 8 9.3 10.15l.85.85L12 9.15v1.7L13.85 10l.85-.85L12.85 8l1.85-1.85-.85-.85z"/></svg>'
-                            }
-                        </button>
+            content.innerHTML = '<p style="text-align: center; color: #999;">No tracks yet. Draw a note or add a track.</p>';
+            return;
+        }
+        
+        const activeTrack = this.findActiveTrack();
+        const instrumentOptions = document.getElementById('waveformSelect')?.innerHTML || '';
+        
+        trackData.forEach(({ track, notes }, index) => {
+            const trackEl = document.createElement('div');
+            trackEl.className = 'track-item';
+            trackEl.classList.toggle('active', track === activeTrack);
+            trackEl.title = 'Click to draw new notes into this track';
+            trackEl.innerHTML = `
+                <input type="color" class="track-color" value="${track.color.note}" title="Track colour">
+                <div class="track-details">
+                    <input type="text" class="track-name" maxlength="40" title="Rename track">
+                    <div class="track-stats">
+                        <span>${notes.length} notes</span>
+                        <select class="track-instrument" title="Instrument">${instrumentOptions}</select>
                     </div>
-                `;
-                content.appendChild(trackEl);
-            });
+                </div>
+                <div class="track-controls">
+                    <button class="track-btn track-move-up" title="Move up" ${index === 0 ? 'disabled' : ''}>&#9650;</button>
+                    <button class="track-btn track-move-down" title="Move down" ${index === trackData.length - 1 ? 'disabled' : ''}>&#9660;</button>
+                    <button class="track-btn track-mute ${track.muted ? 'muted' : ''}" title="${track.muted ? 'Unmute track' : 'Mute track'}">
+                        ${track.muted ?
+                            '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.85 3L12 5.15v1.7L10.15 5l-.85.85L11.15 8 9.3 10.15l.85.85L12 9.15v1.7L13.85 10l.85-.85L12.85 8l1.85-1.85-.85-.85z"/></svg>' :
+                            '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.5 3c0-1.77-1-3.29-2.5-4.03v8.06c1.5-.74 2.5-2.26 2.5-4.03z"/></svg>'
+                        }
+                    </button>
+                    <button class="track-btn track-solo ${track.solo ? 'active' : ''}" title="${track.solo ? 'Unsolo track' : 'Solo track'}">S</button>
+                    <button class="track-btn track-lock ${track.locked ? 'active' : ''}" title="${track.locked ? 'Unlock track' : 'Lock track'}">
+                        <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M4 7V5a4 4 0 0 1 8 0v2h1v8H3V7h1zm2 0h4V5a2 2 0 0 0-4 0v2z"/></svg>
+                    </button>
+                    <button class="track-btn track-delete" title="Delete track and its notes">&times;</button>
+                </div>
+            `;
             
-            // Add event listeners
-            content.querySelectorAll('.track-mute').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    const button = e.target.closest('.track-mute');
-                    const trackName = button.getAttribute('data-track');
-                    this.toggleTrackMute(trackName);
-                    button.classList.toggle('muted');
-                    const isMuted = button.classList.contains('muted');
-                    button.title = isMuted ? 'Unmute track' : 'Mute track';
-                    button.innerHTML = isMuted ? 
-                        '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.85 3L12 5.15v1.7L10.15 5l-.85.85L11.15 8 9.3 10.15l.85.85L12 9.15v1.7L13.85 10l.85-.85L12.85 8l1.85-1.85-.85-.85z"/></svg>' :
-                        '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.5 3c0-1.77-1-3.29-2.5-4.03v8.06c1.5-.74 2.5-2.26 2.5-4.03z"/></svg>';
-                });
+            // Set user text through properties so names are never parsed as HTML
+            const nameInput = trackEl.querySelector('.track-name');
+            nameInput.value = track.name;
+            const instrumentSelect = trackEl.querySelector('.track-instrument');
+            instrumentSelect.value = track.instrument;
+            
+            trackEl.addEventListener('click', (e) => {
+                if (e.target.closest('input, select, button')) return;
+                this.setActiveTrack(track.id);
+                this.renderTrackList();
+            });
+            nameInput.addEventListener('change', () => this.renameTrack(track.id, nameInput.value));
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') nameInput.blur();
             });
+            trackEl.querySelector('.track-color').addEventListener('change', (e) => this.setTrackColor(track.id, e.target.value));
+            instrumentSelect.addEventListener('change', () => this.setTrackInstrument(track.id, instrumentSelect.value));
+            trackEl.querySelector('.track-move-up').addEventListener('click', () => this.moveTrack(track.id, index - 1));
+            trackEl.querySelector('.track-move-down').addEventListener('click', () => this.moveTrack(track.id, index + 1));
+            trackEl.querySelector('.track-mute').addEventListener('click', () => this.toggleTrackMute(track.id));
+            trackEl.querySelector('.track-solo').addEventListener('click', () => this.toggleTrackSolo(track.id));
+            trackEl.querySelector('.track-lock').addEventListener('click', () => this.toggleTrackLock(track.id));
+            trackEl.querySelector('.track-delete').addEventListener('click', () => this.removeTrack(track.id));
+            
+            content.appendChild(trackEl);
+        });
+    }
+    
+    /**
+     * Add an empty track playing the selected instrument and make it current
+     */
+    addTrack() {
+        this.noteManager.beginTransaction('Add Track');
+        const track = this.trackManager.createTrack({
+            instrument: this.currentSample,
+            name: this.trackManager.getDefaultName(this.getInstrumentLabel(this.currentSample))
+        });
+        this.noteManager.commitTransaction();
+        
+        this.setActiveTrack(track.id);
+        this.afterTrackEdit();
+        return track;
+    }
+    
+    /**
+     * Delete a track together with its notes, as one undoable action
+     */
+    removeTrack(trackId) {
+        const notes = this.noteManager.notes.filter(note => note.track === trackId);
+        
+        this.noteManager.beginTransaction('Delete Track');
+        notes.forEach(note => this.noteManager.deleteNote(note));
+        this.trackManager.removeTrack(trackId);
+        this.noteManager.commitTransaction();
+        
+        this.emit('selectionChanged');
+        this.afterTrackEdit();
+    }
+    
+    moveTrack(trackId, index) {
+        this.noteManager.beginTransaction('Reorder Tracks');
+        this.trackManager.moveTrack(trackId, index);
+        this.noteManager.commitTransaction();
+        this.afterTrackEdit();
+    }
+    
+    renameTrack(trackId, name) {
+        const track = this.trackManager.getTrack(trackId);
+        if (!track || !name.trim()) {
+            this.renderTrackList();
+            return;
         }
         
-        // Show modal using ModalManager
-        if (window.modalManager) {
-            window.modalManager.show('trackInfoModal');
+        this.noteManager.beginTransaction('Rename Track');
+        track.name = name.trim();
+        this.noteManager.commitTransaction();
+        this.afterTrackEdit();
+    }
+    
+    setTrackColor(trackId, hex) {
+        const track = this.trackManager.getTrack(trackId);
+        if (!track) return;
+        
+        this.noteManager.beginTransaction('Track Colour');
+        track.color = TrackManager.makeColor(hex);
+        this.noteManager.commitTransaction();
+        this.afterTrackEdit();
+    }
+    
+    /**
+     * Switch a track and all of its notes to another instrument
+     */
+    setTrackInstrument(trackId, instrument) {
+        const track = this.trackManager.getTrack(trackId);
+        if (!track) return;
+        
+        const notes = this.noteManager.notes.filter(note => note.track === trackId);
+        
+        this.noteManager.beginTransaction('Change Track Instrument');
+        this.noteManager.touchNotes(notes);
+        notes.forEach(note => {
+            note.instrument = instrument;
+        });
+        track.instrument = instrument;
+        this.noteManager.commitTransaction();
+        
+        if (this.currentTrack === trackId) {
+            this.setActiveTrack(trackId);
         }
+        this.afterTrackEdit();
+    }
+    
+    toggleTrackMute(trackId) {
+        const track = this.trackManager.getTrack(trackId);
+        if (!track) return;
+        
+        this.playbackEngine.setTrackMute(trackId, !track.muted);
+        this.afterTrackEdit();
+    }
+    
+    toggleTrackSolo(trackId) {
+        const track = this.trackManager.getTrack(trackId);
+        if (!track) return;
+        
+        this.playbackEngine.setTrackSolo(trackId, !track.solo);
+        this.afterTrackEdit();
+    }
+    
+    /**
+     * Set a track's fader level (not part of the undo history, like mute and solo)
+     */
+    setTrackVolume(trackId, volume) {
+        this.playbackEngine.setTrackVolume(trackId, volume);
+        this.dirty = true;
+        this.emit('tracksChanged');
+    }
+    
+    setTrackPan(trackId, pan) {
+        this.playbackEngine.setTrackPan(trackId, pan);
+        this.dirty = true;
+        this.emit('tracksChanged');
+    }
+    
+    /**
+     * Set an effect parameter on a track, or on the master output when trackId is null
+     */
+    setEffectParam(trackId, effect, key, value) {
+        this.playbackEngine.setEffectParam(trackId, effect, key, value);
+        this.dirty = true;
+        this.emit('tracksChanged');
     }
     
-    toggleTrackMute(trackName) {
-        // Toggle mute state
-        const currentMuted = this.trackVisibility.get(trackName) === false;
-        const newVisibility = currentMuted ? true : false;
-        this.playbackEngine.setTrackMute(trackName, !newVisibility);
+    /**
+     * Lock or unlock a track; locked notes stay visible but cannot be edited
+     */
+    toggleTrackLock(trackId) {
+        const track = this.trackManager.getTrack(trackId);
+        if (!track) return;
         
-        // Update rendering
+        track.locked = !track.locked;
+        this.deselectUneditableNotes();
+        this.afterTrackEdit();
+    }
+    
+    /**
+     * Drop notes of locked tracks from the selection
+     */
+    deselectUneditableNotes() {
+        const selectedNotes = this.noteManager.selectedNotes;
+        const before = selectedNotes.size;
+        for (const note of selectedNotes) {
+            if (!this.isNoteEditable(note)) {
+                selectedNotes.delete(note);
+            }
+        }
+        if (selectedNotes.size !== before) {
+            this.emit('selectionChanged');
+        }
+    }
+    
+    /**
+     * Redraw and notify listeners after a track was changed
+     */
+    afterTrackEdit() {
+        this.updateInstrumentColorIndicator();
         this.renderer.markFullRedraw();
         this.dirty = true;
+        this.emit('tracksChanged');
         
         // Also update pan/velocity bars
         this.emit('notesChanged');
@@ -593,8 +1151,17 @@ export class PianoRoll {
             fileType: 'o38-song',
             version: '2.0',
             tempo: this.currentBPM,
-            timeSignature: `${BEATS_PER_MEASURE}/4`,
+            timeSignature: `${this.timeMap.meters[0].numerator}/${this.timeMap.meters[0].denominator}`,
+            timeMap: this.timeMap.toJSON(),
+            tuning: this.tuning.toJSON(),
             orgMsPerTick: this.orgMsPerTick || null, // Preserve ORG timing info
+            orgHeader: this.orgHeader, // Preserve ORG resolution and exact loop ticks
+            orgTrackInfo: this.orgTrackInfo, // Preserve ORG wave, pitch and pipi per track
+            tracks: this.trackManager.toJSON(),
+            masterEffects: EffectsChain.normalizeSettings(this.playbackEngine.masterEffects),
+            waves: this.audioEngine.getCustomWaves(),
+            samples: this.audioEngine.getUserSamples(),
+            synths: this.audioEngine.getSynths(),
             loop: {
                 enabled: this.loopEnabled,
                 startMeasure: this.loopStart,
@@ -616,7 +1183,8 @@ export class PianoRoll {
                         // Map to new format with only tick and volume
                         volumeAutomation = note.volumeAutomation.map(point => ({
                             tick: point.tick,
-                            volume: point.volume
+                            volume: point.volume,
+                            orgLength: point.orgLength
                         }));
                     } else {
                         // Preserve empty arrays
@@ -631,7 +1199,8 @@ export class PianoRoll {
                         // Map to new format with only tick and pan
                         panAutomation = note.panAutomation.map(point => ({
                             tick: point.tick,
-                            pan: point.pan
+                            pan: point.pan,
+                            orgLength: point.orgLength
                         }));
                     } else {
                         // Preserve empty arrays
@@ -648,8 +1217,18 @@ export class PianoRoll {
                     pan: note.pan,
                     instrument: note.instrument,
                     pipi: note.pipi || 0,
+                    freqAdjust: note.freqAdjust || 0,
+                    orgTrack: note.orgTrack,
+                    orgUnset: note.orgUnset,
+                    orgEvents: note.orgEvents,
                     volumeAutomation: volumeAutomation,
-                    panAutomation: panAutomation
+                    panAutomation: panAutomation,
+                    pitchBend: (note.pitchBend || []).map(point => ({
+                        position: point.position,
+                        cents: point.cents
+                    })),
+                    slide: note.slide || false,
+                    track: note.track
                 };
             })
         };
@@ -657,6 +1236,124 @@ export class PianoRoll {
         return JSON.stringify(songData, null, 2);
     }
     
+    /**
+     * Render the song offline
+     * @param {Object} options - { sampleRate, loopCount, tailSeconds, onProgress }
+     * @returns {Promise<AudioBuffer>} Rendered audio
+     */
+    async renderAudio(options = {}) {
+        this.playbackEngine.loadNotes(this.noteManager.notes, this.orgMsPerTick, this.noteManager.index);
+        this.playbackEngine.loadOrgData(this.organyaAccurate ? this.buildOrgData().orgData : null);
+        this.playbackEngine.setTimeMap(this.timeMap);
+        this.playbackEngine.setLoop(this.loopEnabled, this.loopStart, this.loopEnd);
+        return this.playbackEngine.renderOffline(options);
+    }
+    
+    /**
+     * Export the song as an Organya (.org) file
+     * @returns {Object} { buffer: ArrayBuffer, warnings: Array<string> }
+     */
+    exportToOrg() {
+        const { orgData, warnings } = this.buildOrgData();
+        return { buffer: OrgParser.writeOrgFile(orgData), warnings };
+    }
+    
+    /**
+     * The song as Organya would play it, for ORG export and Organya-accurate playback
+     * @returns {Object} { orgData: { header, instruments, tracks }, warnings: Array<string> }
+     */
+    buildOrgData() {
+        const header = this.orgHeader || { stepsPerBar: 4, beatsPerStep: 4 };
+        const ticksPerBeat = header.stepsPerBar * header.beatsPerStep / 4;
+        const ticksPerMeasure = ticksPerBeat * BEATS_PER_MEASURE;
+        
+        // Reuse the original wait value unless the tempo was changed since loading
+        let wait = Math.round(60000 / (this.currentBPM * ticksPerBeat));
+        if (this.orgMsPerTick && Math.round(60000 / (this.orgMsPerTick * ticksPerBeat)) === this.currentBPM) {
+            wait = this.orgMsPerTick;
+        }
+        
+        // Loop points in ticks, keeping the exact original ticks when they still match
+        let loopStart;
+        let loopEnd;
+        if (this.loopEnabled) {
+            loopStart = Math.round(this.timeMap.getMeasureStart(this.loopStart) * ticksPerBeat);
+            loopEnd = Math.round(this.timeMap.getMeasureStart(this.loopEnd) * ticksPerBeat);
+            if (this.orgHeader &&
+                Math.floor(this.orgHeader.loopStart / ticksPerMeasure) === this.loopStart &&
+                Math.floor(this.orgHeader.loopEnd / ticksPerMeasure) === this.loopEnd) {
+                loopStart = this.orgHeader.loopStart;
+                loopEnd = this.orgHeader.loopEnd;
+            }
+        } else {
+            // Organya always loops, so loop over the whole song
+            const songEnd = this.noteManager.notes.reduce((end, note) => 
+                Math.max(end, note.x - PIANO_KEY_WIDTH + note.width), 0);
+            const endMeasure = Math.max(1, this.timeMap.getMeasuresUntil(songEnd / GRID_WIDTH));
+            loopStart = 0;
+            loopEnd = Math.round(this.timeMap.getMeasureStart(endMeasure) * ticksPerBeat);
+        }
+        
+        const result = OrgParser.createOrgData(this.getNotesIn38Edo(), {
+            wait,
+            stepsPerBar: header.stepsPerBar,
+            beatsPerStep: header.beatsPerStep,
+            loopStart,
+            loopEnd,
+            trackInfo: this.orgTrackInfo || []
+        });
+        
+        // Organya has one tempo and fixed bars
+        if (!this.timeMap.isSimple()) {
+            result.warnings.push('Tempo and time signature changes are not supported by Organya and were ignored');
+        }
+        this.addTuningWarning(result.warnings);
+        return result;
+    }
+    
+    /**
+     * Notes with their keys moved to the nearest 38-EDO pitch, which the ORG and MIDI writers expect
+     */
+    getNotesIn38Edo() {
+        if (this.tuning.isDefault()) return this.noteManager.notes;
+        
+        const edo = Tuning.edo(NOTES_PER_OCTAVE);
+        return this.noteManager.notes.map(note => {
+            const key = edo.getNearestKey(this.tuning.getFrequency(note.key));
+            return { ...note, key, y: (edo.keyCount - 1 - key) * NOTE_HEIGHT };
+        });
+    }
+    
+    /**
+     * Warn when an export had to approximate the tuning or drop pitch bends
+     */
+    addTuningWarning(warnings) {
+        if (!this.tuning.isDefault()) {
+            warnings.push(`${this.tuning.name} was approximated with the nearest 38-EDO pitches`);
+        }
+        
+        const bent = this.noteManager.notes.filter(note => (note.pitchBend && note.pitchBend.length > 0) || note.slide).length;
+        if (bent > 0) {
+            warnings.push(`${bent} note(s) lost their pitch bend or slide`);
+        }
+    }
+    
+    /**
+     * Export the song as a Standard MIDI File (.mid)
+     * @returns {Object} { buffer: ArrayBuffer, warnings: Array<string> }
+     */
+    exportToMidi() {
+        const result = MidiParser.createMidiFile(this.getNotesIn38Edo(), {
+            tempo: this.currentBPM,
+            timeMap: this.timeMap,
+            loopEnabled: this.loopEnabled,
+            loopStart: this.loopStart,
+            loopEnd: this.loopEnd
+        });
+        this.addTuningWarning(result.warnings);
+        return result;
+    }
+    
     importFromJSON(jsonString) {
         try {
             // Stop playback if playing
@@ -673,12 +1370,26 @@ export class PianoRoll {
             
             // Clear existing notes and org info
             this.noteManager.clearAll();
-            this.orgTrackInfo = null;
+            this.orgTrackInfo = songData.orgTrackInfo || null;
             
-            // Set tempo
-            if (songData.tempo) {
-                this.setTempo(songData.tempo);
+            // Songs saved before tracks existed get tracks from their instruments and ORG tracks
+            this.trackManager.fromJSON(songData.tracks);
+            this.currentTrack = null;
+            this.playbackEngine.setMasterEffects(songData.masterEffects);
+            this.audioEngine.setCustomWaves(songData.waves);
+            this.audioEngine.setUserSamples(songData.samples);
+            this.audioEngine.setSynths(songData.synths);
+            this.updateInstrumentOptions();
+            if (Array.isArray(songData.notes)) {
+                this.trackManager.assignNotes(songData.notes);
             }
+            this.orgHeader = songData.orgHeader || null;
+            
+            // Set tempo and time signature changes (older files only have a tempo)
+            this.setTimeMap(TimeMap.fromJSON(songData.timeMap, songData.tempo || DEFAULT_BPM));
+            
+            // Older files are 38-EDO
+            this.setTuning(Tuning.fromJSON(songData.tuning));
             
             // Restore ORG timing info if available
             if (songData.orgMsPerTick) {
@@ -721,7 +1432,7 @@ export class PianoRoll {
                     // Handle new format (measure/beat/duration)
                     if (noteData.measure !== undefined) {
                         const x = PIANO_KEY_WIDTH + (noteData.measure * measureWidth) + (noteData.beat * beatWidth);
-                        const y = (NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - noteData.pitch) * NOTE_HEIGHT;
+                        const y = this.getKeyY(noteData.pitch);
                         const width = noteData.duration * beatWidth;
                         
                         // Process volume automation
@@ -732,7 +1443,8 @@ export class PianoRoll {
                                 volumeAutomation = noteData.volumeAutomation.map(point => ({
                                     position: point.tick * pixelsPerTick,
                                     tick: point.tick,
-                                    volume: point.volume
+                                    volume: point.volume,
+                                    orgLength: point.orgLength
                                 }));
                             } else {
                                 // For older versions, keep the data as-is
@@ -748,7 +1460,8 @@ export class PianoRoll {
                                 panAutomation = noteData.panAutomation.map(point => ({
                                     position: point.tick * pixelsPerTick,
                                     tick: point.tick,
-                                    pan: point.pan
+                                    pan: point.pan,
+                                    orgLength: point.orgLength
                                 }));
                             } else {
                                 // For older versions, keep the data as-is
@@ -762,12 +1475,19 @@ export class PianoRoll {
                             width: width,
                             height: NOTE_HEIGHT,
                             key: noteData.pitch,
-                            velocity: noteData.velocity || DEFAULT_VELOCITY,
+                            velocity: noteData.velocity !== undefined ? noteData.velocity : DEFAULT_VELOCITY,
                             pan: noteData.pan || 0,
                             instrument: noteData.instrument || 'M00',
                             pipi: noteData.pipi || 0,
+                            freqAdjust: noteData.freqAdjust || 0,
+                            orgTrack: noteData.orgTrack,
+                            orgUnset: noteData.orgUnset,
+                            orgEvents: noteData.orgEvents,
                             volumeAutomation: volumeAutomation,
-                            panAutomation: panAutomation
+                            panAutomation: panAutomation,
+                            pitchBend: noteData.pitchBend || [],
+                            slide: noteData.slide || false,
+                            track: noteData.track
                         });
                     } else {
                         // Handle old format (x/y/width/height) for backwards compatibility
@@ -776,10 +1496,11 @@ export class PianoRoll {
                 });
             }
             
+            // A freshly loaded song starts with an empty undo history
+            this.noteManager.clearHistory();
+            
             // Update UI
             document.getElementById('loopBtn').classList.toggle('active', this.loopEnabled);
-            document.getElementById('loopStartInput').value = this.loopStart + 1;
-            document.getElementById('loopEndInput').value = this.loopEnd + 1;
             
             this.dirty = true;
             this.renderer.markFullRedraw();
@@ -888,14 +1609,7 @@ export class PianoRoll {
         this.snapMode = this.snapMode === 'normal' ? 'high-res' : 'normal';
         
         // Update grid width based on mode
-        if (this.snapMode === 'high-res') {
-            this.gridWidth = this.baseGridWidth * 2; // Double the grid width
-        } else {
-            this.gridWidth = this.baseGridWidth;
-        }
-        
-        // Recalculate total width
-        this.totalWidth = this.pianoKeyWidth + (this.totalMeasures * this.beatsPerMeasure * this.gridWidth);
+        this.updateGridDimensions();
         
         // Adjust scroll position to maintain view
         if (this.snapMode === 'high-res') {
@@ -909,6 +1623,81 @@ export class PianoRoll {
         this.emit('scroll', { scrollX: this.scrollX, scrollY: this.scrollY });
     }
     
+    /**
+     * Recalculate grid and note sizes from the snap mode and zoom
+     */
+    updateGridDimensions() {
+        // High-res mode doubles the grid width
+        const snapScale = this.snapMode === 'high-res' ? 2 : 1;
+        this.gridWidth = this.baseGridWidth * snapScale * this.zoomX;
+        this.noteHeight = NOTE_HEIGHT * this.zoomY;
+        this.totalWidth = this.getMeasureX(this.totalMeasures);
+        this.totalHeight = this.numKeys * this.noteHeight;
+    }
+    
+    /**
+     * Set the scroll position, clamped to the content
+     */
+    setScroll(scrollX, scrollY) {
+        this.scrollX = Math.max(0, Math.min(this.totalWidth - this.canvas.width, scrollX));
+        this.scrollY = Math.max(0, Math.min(this.totalHeight - this.canvas.height, scrollY));
+        this.emit('scroll', { scrollX: this.scrollX, scrollY: this.scrollY });
+        this.dirty = true;
+    }
+    
+    /**
+     * Set horizontal and vertical zoom
+     * @param {number} zoomX - Horizontal zoom factor
+     * @param {number} zoomY - Vertical zoom factor
+     * @param {number} anchorX - Canvas X to keep in place (defaults to the center of the grid area)
+     * @param {number} anchorY - Canvas Y to keep in place (defaults to the center)
+     */
+    setZoom(zoomX, zoomY, anchorX = null, anchorY = null) {
+        zoomX = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoomX));
+        zoomY = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoomY));
+        if (zoomX === this.zoomX && zoomY === this.zoomY) return;
+        
+        if (anchorX === null) anchorX = this.pianoKeyWidth + (this.canvas.width - this.pianoKeyWidth) / 2;
+        if (anchorY === null) anchorY = this.canvas.height / 2;
+        
+        // Content under the anchor, in beats and rows
+        const anchorBeat = (this.scrollX + Math.max(anchorX, this.pianoKeyWidth) - this.pianoKeyWidth) / this.gridWidth;
+        const anchorRow = (this.scrollY + anchorY) / this.noteHeight;
+        
+        this.zoomX = zoomX;
+        this.zoomY = zoomY;
+        this.updateGridDimensions();
+        
+        this.renderer.markFullRedraw();
+        this.renderer.pianoKeysCacheInvalid = true;
+        this.setScroll(
+            this.pianoKeyWidth + anchorBeat * this.gridWidth - Math.max(anchorX, this.pianoKeyWidth),
+            anchorRow * this.noteHeight - anchorY
+        );
+        this.emit('zoomChanged', { zoomX: this.zoomX, zoomY: this.zoomY });
+    }
+    
+    /**
+     * Zoom in on both axes by one step
+     */
+    zoomIn() {
+        this.setZoom(this.zoomX * ZOOM_STEP, this.zoomY * ZOOM_STEP);
+    }
+    
+    /**
+     * Zoom out on both axes by one step
+     */
+    zoomOut() {
+        this.setZoom(this.zoomX / ZOOM_STEP, this.zoomY / ZOOM_STEP);
+    }
+    
+    /**
+     * Return to the default zoom
+     */
+    resetZoom() {
+        this.setZoom(1, 1);
+    }
+    
     /**
      * Get the current snap divisions based on snap mode
      */
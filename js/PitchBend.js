@@ -0,0 +1,114 @@
+import { MAX_PITCH_BEND } from './constants.js';
+
+// Notes starting this close (in base pixels) to a sliding note's end are slid into
+const SLIDE_TOLERANCE = 1;
+
+/**
+ * Pitch-bend envelopes and note slides
+ * A bend is an array of { position, cents } points, with position running from 0 (note start)
+ * to 1 (note end) so the curve stretches with the note. Cents are relative to the note's key.
+ */
+export class PitchBend {
+    /**
+     * Bend in cents at a position within the note, interpolated between points
+     * @param {Array} bend - Bend points
+     * @param {number} position - 0 to 1 along the note
+     */
+    static getCentsAt(bend, position) {
+        if (!bend || bend.length === 0) return 0;
+        
+        const points = this.sort(bend);
+        if (position <= points[0].position) return points[0].cents;
+        
+        for (let i = 1; i < points.length; i++) {
+            const previous = points[i - 1];
+            const point = points[i];
+            if (position <= point.position) {
+                const span = point.position - previous.position;
+                const t = span > 0 ? (position - previous.position) / span : 1;
+                return previous.cents + (point.cents - previous.cents) * t;
+            }
+        }
+        return points[points.length - 1].cents;
+    }
+
+    /**
+     * Copy of bend points in position order
+     */
+    static sort(bend) {
+        return [...bend].sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Draw a point into a bend, replacing the points the mouse passed over since the last one
+     * @param {Array} bend - Bend points
+     * @param {number} fromPosition - Position of the previous mouse event
+     * @param {number} position - Position of the new point (0-1)
+     * @param {number} cents - Bend of the new point
+     * @returns {Array} New bend points
+     */
+    static drawPoint(bend, fromPosition, position, cents) {
+        const newPoint = {
+            position: Math.round(Math.max(0, Math.min(1, position)) * 1000) / 1000,
+            cents: Math.round(Math.max(-MAX_PITCH_BEND, Math.min(MAX_PITCH_BEND, cents)) * 100) / 100
+        };
+        
+        // Keep the previous stroke point, drop what lies between it and the new one
+        const low = Math.min(fromPosition, newPoint.position);
+        const high = Math.max(fromPosition, newPoint.position);
+        const points = (bend || []).filter(point => point.position !== newPoint.position &&
+            (point.position <= low || point.position >= high));
+        
+        points.push(newPoint);
+        return this.sort(points);
+    }
+
+    /**
+     * Find the note a sliding note glides into: the next note of the same track
+     * starting where it ends
+     * @param {Object} note - Sliding note
+     * @param {Array|NoteIndex} notes - Notes to search, or an index of them
+     * @returns {Object|null} Target note
+     */
+    static findSlideTarget(note, notes) {
+        const end = note.x + note.width;
+        let target = null;
+        
+        const candidates = Array.isArray(notes) ? notes : notes.query(end - SLIDE_TOLERANCE, end + SLIDE_TOLERANCE);
+        for (const other of candidates) {
+            if (other === note || other.track !== note.track || other.x <= note.x) continue;
+            if (Math.abs(other.x - end) > SLIDE_TOLERANCE) continue;
+            
+            // Prefer the closest key when several notes start together
+            if (!target || Math.abs(other.key - note.key) < Math.abs(target.key - note.key)) {
+                target = other;
+            }
+        }
+        return target;
+    }
+
+    /**
+     * Convert bend points to timed points for scheduling
+     * @param {Array} bend - Bend points
+     * @param {number} startTime - Seconds at which the note starts
+     * @param {number} duration - Note length in seconds
+     * @param {number} offsetCents - Added to every point (the note's distance from the voice's key)
+     * @param {number} glideTime - Seconds at the start taken by an incoming slide
+     * @returns {Array} [{ time, cents }] in time order
+     */
+    static toCurve(bend, startTime, duration, offsetCents = 0, glideTime = 0) {
+        const glide = Math.min(glideTime, duration);
+        const curve = [{
+            time: startTime + glide,
+            cents: offsetCents + this.getCentsAt(bend, duration > 0 ? glide / duration : 0)
+        }];
+        
+        for (const point of this.sort(bend || [])) {
+            const time = point.position * duration;
+            if (time > glide) {
+                curve.push({ time: startTime + time, cents: offsetCents + point.cents });
+            }
+        }
+        return curve;
+    }
+}
@@ -4,16 +4,30 @@
  */
 
 import { AudioEngine } from './AudioEngine.js';
+import { TimeMap } from './TimeMap.js';
+import { Tuning } from './Tuning.js';
+import { PitchBend } from './PitchBend.js';
+import { TrackManager } from './TrackManager.js';
+import { EffectsChain } from './EffectsChain.js';
+import { OrganyaPlayer } from './OrganyaPlayer.js';
+import { SchedulerClock } from './SchedulerClock.js';
+import { NoteIndex } from './NoteIndex.js';
 import { 
     GRID_WIDTH,
     BEATS_PER_MEASURE,
     GRID_SUBDIVISIONS,
     NOTE_HEIGHT,
-    NOTES_PER_OCTAVE,
-    NUM_OCTAVES,
-    PIANO_KEY_WIDTH
+    PIANO_KEY_WIDTH,
+    PORTAMENTO_TIME
 } from './constants.js';
 
+// Automation ticks per beat for songs without ORG timing
+const DEFAULT_TICKS_PER_BEAT = 48000;
+
+// Scheduler timing, in seconds
+const SCHEDULE_INTERVAL = 0.025; // Between scheduler clock ticks
+const LOOKAHEAD_TIME = 0.1; // How far ahead of the audio clock notes are scheduled
+
 export class PlaybackEngine {
     constructor(options = {}) {
         // Configuration
@@ -23,13 +37,15 @@ export class PlaybackEngine {
         this.onMeasureChange = options.onMeasureChange || null;
         this.onStop = options.onStop || null;
         
-        // Audio engine
-        this.audioEngine = new AudioEngine();
+        // Audio engine (options.audioContext allows offline rendering)
+        this.audioEngine = new AudioEngine(options.audioContext || null);
         
         // Playback state
         this.isPlaying = false;
         this.currentMeasure = 0;
         this.currentBPM = 120;
+        this.tuning = this.audioEngine.tuning;
+        this.timeMap = new TimeMap(this.currentBPM);
         this.loopEnabled = false;
         this.loopStart = 0;
         this.loopEnd = 5;
@@ -37,18 +53,30 @@ export class PlaybackEngine {
         // Song data
         this.songData = null;
         this.notes = [];
+        this.noteIndex = new NoteIndex();
         this.orgMsPerTick = null;
+        this.orgData = null; // ORG data for Organya-accurate playback (null to schedule the notes)
+        this.organyaPlayer = null;
         
         // Scheduling
         this.scheduledNotes = [];
         this.playbackStartTime = 0;
         this.playbackStartMeasure = 0;
+        this.startOffset = 0; // Beats into the first measure that playback started from
         this.lastScheduledEndTime = 0;
         this.lastScheduledMeasure = 0;
-        this.scheduleTimeout = null;
+        this.measureStartTimes = []; // { measure, time } for scheduled measures not yet passed
+        this.noteEvents = []; // { time, note, isStart } for onNoteStart/onNoteEnd, sent from updateLoop
+        this.clock = null; // SchedulerClock, created on first play
+        this.playSession = 0; // Bumped on every play, stop and pause so stale loads don't start scheduling
+        this.schedulerStats = null;
+        this.legatoNotes = new Set(); // Notes already sounding as part of a slide
+        
+        // Named tracks with their mixer settings
+        this.trackManager = new TrackManager();
         
-        // Track visibility (all visible by default)
-        this.trackVisibility = new Map();
+        // Effects on the master output (each track keeps its own in track.effects)
+        this.masterEffects = EffectsChain.normalizeSettings();
         
         // Song length calculation
         this.calculatedSongLength = 256; // Default to full length until calculated
@@ -76,6 +104,8 @@ export class PlaybackEngine {
         
         // Set tempo and loop settings
         this.currentBPM = songData.tempo || 120;
+        this.timeMap = TimeMap.fromJSON(songData.timeMap, this.currentBPM);
+        this.setTuning(Tuning.fromJSON(songData.tuning));
         this.loopEnabled = songData.loop?.enabled || false;
         this.loopStart = songData.loop?.startMeasure || 0;
         this.loopEnd = songData.loop?.endMeasure || 5;
@@ -86,7 +116,7 @@ export class PlaybackEngine {
         songData.notes.forEach(noteData => {
             const x = PIANO_KEY_WIDTH + (noteData.measure * BEATS_PER_MEASURE * GRID_SUBDIVISIONS + noteData.beat) * beatWidth;
             const width = noteData.duration * beatWidth;
-            const y = (NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - noteData.pitch) * NOTE_HEIGHT;
+            const y = (this.tuning.keyCount - 1 - noteData.pitch) * NOTE_HEIGHT;
             
             this.notes.push({
                 x,
@@ -99,16 +129,27 @@ export class PlaybackEngine {
                 instrument: noteData.instrument || 'ORG_M00',
                 pipi: noteData.pipi || false,
                 volumeAutomation: noteData.volumeAutomation || [],
-                panAutomation: noteData.panAutomation || []
+                panAutomation: noteData.panAutomation || [],
+                pitchBend: noteData.pitchBend || [],
+                slide: noteData.slide || false,
+                track: noteData.track,
+                orgTrack: noteData.orgTrack
             });
         });
         
+        // Songs saved before tracks existed get tracks from their instruments
+        this.trackManager.fromJSON(songData.tracks);
+        this.trackManager.assignNotes(this.notes);
+        this.noteIndex = new NoteIndex(this.notes);
+        this.masterEffects = EffectsChain.normalizeSettings(songData.masterEffects);
+        this.audioEngine.setCustomWaves(songData.waves);
+        this.audioEngine.setUserSamples(songData.samples);
+        this.audioEngine.setSynths(songData.synths);
+        this.syncMixer();
+        
         // Update audio engine BPM
         this.audioEngine.setBPM(this.currentBPM);
         
-        // Reset track visibility
-        this.trackVisibility.clear();
-        
         // Calculate song length
         this.calculateSongLength();
     }
@@ -117,9 +158,11 @@ export class PlaybackEngine {
      * Load notes directly (for editor integration)
      * @param {Array} notes - Array of note objects in editor format
      * @param {number} orgMsPerTick - Optional ms per tick for ORG files
+     * @param {NoteIndex} noteIndex - Optional index of the notes kept up to date by the editor (built here otherwise)
      */
-    loadNotes(notes, orgMsPerTick = null) {
+    loadNotes(notes, orgMsPerTick = null, noteIndex = null) {
         this.notes = notes;
+        this.noteIndex = noteIndex || new NoteIndex(notes);
         this.orgMsPerTick = orgMsPerTick;
         // Don't clear track visibility when loading notes directly
         
@@ -127,6 +170,14 @@ export class PlaybackEngine {
         this.calculateSongLength();
     }
     
+    /**
+     * Set ORG data to play Organya-accurately, tick by tick, instead of the notes
+     * @param {Object} orgData - { header, instruments, tracks } as from OrgParser, or null for normal playback
+     */
+    loadOrgData(orgData) {
+        this.orgData = orgData;
+    }
+    
     /**
      * Calculate the actual length of the song based on notes
      */
@@ -145,15 +196,15 @@ export class PlaybackEngine {
         }
         
         // Convert X position to measure number
-        const measureWidth = GRID_WIDTH * BEATS_PER_MEASURE;
-        this.calculatedSongLength = Math.max(10, Math.ceil((maxEndX - PIANO_KEY_WIDTH) / measureWidth) + 1);
+        this.calculatedSongLength = Math.max(10, this.timeMap.getMeasuresUntil((maxEndX - PIANO_KEY_WIDTH) / GRID_WIDTH) + 1);
     }
     
     /**
      * Start playback
      * @param {number} fromMeasure - Optional starting measure
+     * @param {number} fromBeat - Optional beats into the starting measure, to start mid-measure
      */
-    play(fromMeasure = null) {
+    play(fromMeasure = null, fromBeat = 0) {
         if (this.isPlaying) return;
         
         // Allow playback even with no notes
@@ -168,16 +219,62 @@ export class PlaybackEngine {
         
         this.isPlaying = true;
         this.currentMeasure = fromMeasure !== null ? fromMeasure : this.currentMeasure;
+        this.startOffset = fromBeat;
         
         // Reset scheduling state
         this.scheduledNotes = [];
         this.lastScheduledEndTime = 0;
         this.lastScheduledMeasure = this.currentMeasure;
+        this.measureStartTimes = [];
+        this.noteEvents = [];
+        this.legatoNotes.clear();
+        this.resetSchedulerStats();
+        
+        this.syncMixer();
+        
+        let ready;
+        if (this.orgData) {
+            const player = new OrganyaPlayer(this.audioEngine, this.orgData, { loop: this.loopEnabled });
+            // ORG ticks count beats from the song start, as in the ORG export
+            const ticksPerBeat = player.ticksPerMeasure / BEATS_PER_MEASURE;
+            const measureStart = this.timeMap.getMeasureStart(this.currentMeasure);
+            player.setPosition(Math.round((measureStart + fromBeat) * ticksPerBeat));
+            this.organyaPlayer = player;
+            ready = player.load();
+        } else {
+            ready = this.preloadInstruments();
+        }
         
-        this.scheduleNotes();
+        // Scheduling starts once every instrument is loaded, so no note waits on a load
+        const session = ++this.playSession;
+        ready.then(() => {
+            if (this.isPlaying && this.playSession === session) {
+                this.clock = this.clock || new SchedulerClock(this.audioEngine.audioContext);
+                this.clock.start(SCHEDULE_INTERVAL, () => this.scheduleNotes());
+            }
+        });
         this.updateLoop();
     }
     
+    /**
+     * Load every instrument the notes use
+     */
+    async preloadInstruments() {
+        const instruments = new Set(this.notes.map(note => note.instrument));
+        await Promise.all([...instruments].map(name => this.audioEngine.loadSample(name)));
+    }
+    
+    /**
+     * Stop the scheduler clock and forget pending visual callbacks
+     */
+    stopScheduling() {
+        this.playSession++;
+        if (this.clock) {
+            this.clock.stop();
+        }
+        this.noteEvents = [];
+    }
+    
     /**
      * Stop playback
      */
@@ -197,12 +294,8 @@ export class PlaybackEngine {
             }
         });
         this.scheduledNotes = [];
-        
-        // Clear scheduling
-        if (this.scheduleTimeout) {
-            clearTimeout(this.scheduleTimeout);
-            this.scheduleTimeout = null;
-        }
+        this.stopOrganyaPlayer();
+        this.stopScheduling();
         
         if (this.onStop) {
             this.onStop();
@@ -217,10 +310,20 @@ export class PlaybackEngine {
         
         this.isPlaying = false;
         
+        // Organya notes hold until their next tick, so they can't be left to play out
+        this.stopOrganyaPlayer();
+        
         // Stop scheduling but keep position
-        if (this.scheduleTimeout) {
-            clearTimeout(this.scheduleTimeout);
-            this.scheduleTimeout = null;
+        this.stopScheduling();
+    }
+    
+    /**
+     * Silence and drop the Organya-accurate player, if playing
+     */
+    stopOrganyaPlayer() {
+        if (this.organyaPlayer) {
+            this.organyaPlayer.stop();
+            this.organyaPlayer = null;
         }
     }
     
@@ -230,9 +333,29 @@ export class PlaybackEngine {
      */
     setTempo(bpm) {
         this.currentBPM = bpm;
+        this.timeMap.setTempo(bpm);
         this.audioEngine.setBPM(bpm);
     }
     
+    /**
+     * Set the tempo and time signature map
+     * @param {TimeMap} timeMap - Map whose starting tempo becomes the current tempo
+     */
+    setTimeMap(timeMap) {
+        this.timeMap = timeMap;
+        this.currentBPM = timeMap.getInitialTempo();
+        this.audioEngine.setBPM(this.currentBPM);
+    }
+    
+    /**
+     * Set the tuning used for note pitches
+     * @param {Tuning} tuning - Active tuning
+     */
+    setTuning(tuning) {
+        this.tuning = tuning;
+        this.audioEngine.setTuning(tuning);
+    }
+    
     /**
      * Set loop
      * @param {boolean} enabled - Whether loop is enabled
@@ -247,11 +370,89 @@ export class PlaybackEngine {
     
     /**
      * Set track mute state
-     * @param {string} trackName - Instrument/track name
+     * @param {number} trackId - Track id
      * @param {boolean} muted - Whether track is muted
      */
-    setTrackMute(trackName, muted) {
-        this.trackVisibility.set(trackName, !muted);
+    setTrackMute(trackId, muted) {
+        const track = this.trackManager.getTrack(trackId);
+        if (track) {
+            track.muted = muted;
+            this.syncMixer();
+        }
+    }
+    
+    /**
+     * Set track solo state; while any track is soloed only soloed tracks play
+     * @param {number} trackId - Track id
+     * @param {boolean} solo - Whether track is soloed
+     */
+    setTrackSolo(trackId, solo) {
+        const track = this.trackManager.getTrack(trackId);
+        if (track) {
+            track.solo = solo;
+            this.syncMixer();
+        }
+    }
+    
+    /**
+     * Set track fader level
+     * @param {number} trackId - Track id
+     * @param {number} volume - Volume (0-100)
+     */
+    setTrackVolume(trackId, volume) {
+        const track = this.trackManager.getTrack(trackId);
+        if (track) {
+            track.volume = Math.max(0, Math.min(100, volume));
+            this.syncMixer();
+        }
+    }
+    
+    /**
+     * Set track pan
+     * @param {number} trackId - Track id
+     * @param {number} pan - Pan (-100 left to 100 right)
+     */
+    setTrackPan(trackId, pan) {
+        const track = this.trackManager.getTrack(trackId);
+        if (track) {
+            track.pan = Math.max(-100, Math.min(100, pan));
+            this.syncMixer();
+        }
+    }
+    
+    /**
+     * Set one effect parameter on a track or on the master output
+     * @param {number|null} trackId - Track id, or null for master
+     * @param {string} effect - 'filter', 'compressor', 'delay' or 'reverb'
+     * @param {string} key - Parameter name, e.g. 'enabled' or 'mix'
+     * @param {*} value - New value
+     */
+    setEffectParam(trackId, effect, key, value) {
+        const settings = trackId === null ? this.masterEffects : this.trackManager.getTrack(trackId)?.effects;
+        if (settings && settings[effect]) {
+            settings[effect][key] = value;
+            this.syncMixer();
+        }
+    }
+    
+    /**
+     * Replace the master effects
+     * @param {Object} settings - Saved settings (or null for all bypassed)
+     */
+    setMasterEffects(settings) {
+        this.masterEffects = EffectsChain.normalizeSettings(settings);
+        this.syncMixer();
+    }
+    
+    /**
+     * Push every track's volume, pan, mute, solo and effects to its mixer bus, and the master effects
+     */
+    syncMixer() {
+        this.trackManager.tracks.forEach(track => {
+            this.audioEngine.setTrackMix(track.id, track.volume, track.pan, this.trackManager.isTrackAudible(track));
+            this.audioEngine.setTrackEffects(track.id, track.effects);
+        });
+        this.audioEngine.setMasterEffects(this.masterEffects);
     }
     
     /**
@@ -259,82 +460,60 @@ export class PlaybackEngine {
      * @returns {Array} Array of track info objects
      */
     getTracks() {
-        const tracks = new Map();
-        
-        this.notes.forEach(note => {
-            if (!tracks.has(note.instrument)) {
-                tracks.set(note.instrument, {
-                    name: note.instrument,
-                    noteCount: 0
-                });
-            }
-            tracks.get(note.instrument).noteCount++;
-        });
-        
-        return Array.from(tracks.values());
+        return this.trackManager.tracks.map(track => ({
+            id: track.id,
+            name: track.name,
+            instrument: track.instrument,
+            volume: track.volume,
+            pan: track.pan,
+            muted: track.muted,
+            solo: track.solo,
+            noteCount: this.notes.filter(note => note.track === track.id).length
+        }));
     }
     
     /**
      * Schedule notes for playback
      */
     scheduleNotes() {
-        const currentTime = this.audioEngine.audioContext.currentTime;
-        const lookAheadTime = 0.1; // 100ms lookahead
-        const scheduleUntilTime = currentTime + lookAheadTime;
+        if (!this.isPlaying) return;
         
+        const currentTime = this.audioEngine.audioContext.currentTime;
+        const scheduleUntilTime = currentTime + LOOKAHEAD_TIME;
         
         // Initialize scheduling if needed
         if (this.lastScheduledEndTime === 0) {
+            // Starting mid-measure puts the measure's start in the past (the Organya player starts at its tick instead)
+            const measureStart = this.timeMap.getMeasureStart(this.currentMeasure);
+            const offset = this.organyaPlayer ? 0 : this.timeMap.getSecondsBetween(measureStart, measureStart + this.startOffset);
             this.playbackStartTime = currentTime;
             this.playbackStartMeasure = this.currentMeasure;
-            this.lastScheduledEndTime = currentTime;
+            this.lastScheduledEndTime = currentTime - offset;
             this.lastScheduledMeasure = this.currentMeasure;
         }
         
         let scheduleTime = this.lastScheduledEndTime;
         let scheduleMeasure = this.lastScheduledMeasure;
+        this.recordSchedulerLead(Math.max(scheduleTime, this.playbackStartTime) - currentTime);
         
-        const measureDuration = (60 / this.currentBPM) * BEATS_PER_MEASURE;
+        // Organya-accurate playback advances tick by tick instead
+        if (this.organyaPlayer) {
+            scheduleTime = this.scheduleTicks(this.organyaPlayer, scheduleTime, scheduleUntilTime);
+        }
         
         // Schedule notes until we've covered the lookahead time
         let hasScheduledAnything = false;
-        while (scheduleTime < scheduleUntilTime) {
+        while (!this.organyaPlayer && scheduleTime < scheduleUntilTime) {
             // Handle looping
-            let displayMeasure = scheduleMeasure;
-            if (this.loopEnabled && displayMeasure >= this.loopEnd) {
-                const loopLength = this.loopEnd - this.loopStart;
-                displayMeasure = this.loopStart + ((displayMeasure - this.loopStart) % loopLength);
-            }
+            const displayMeasure = this.getLoopedMeasure(scheduleMeasure);
             
             // Don't stop during scheduling - let the song play out
             // The stop condition is now handled by checking if we have scheduled far enough ahead
+            this.scheduleMeasure(displayMeasure, scheduleTime, currentTime);
+            this.measureStartTimes.push({ measure: displayMeasure, time: scheduleTime });
             
-            // Get notes for this measure
-            const measureStartX = PIANO_KEY_WIDTH + displayMeasure * GRID_WIDTH * BEATS_PER_MEASURE;
-            const measureWidth = GRID_WIDTH * BEATS_PER_MEASURE;
-            const notesInMeasure = this.getNotesInMeasure(displayMeasure);
-            
-            for (const note of notesInMeasure) {
-                // Skip if track is hidden
-                if (this.trackVisibility.get(note.instrument) === false) {
-                    continue;
-                }
-                
-                // Check if note actually starts within this measure's boundaries
-                if (note.x >= measureStartX && note.x < measureStartX + measureWidth) {
-                    const noteOffsetX = note.x - measureStartX;
-                    const noteOffsetTime = (noteOffsetX / measureWidth) * measureDuration;
-                    const noteStartTime = scheduleTime + noteOffsetTime;
-                    const noteDuration = (note.width / measureWidth) * measureDuration;
-                    
-                    if (noteStartTime >= currentTime) {
-                        this.scheduleNoteAtTime(note, noteStartTime, noteDuration);
-                    }
-                }
-            }
-            
-            // Move to next measure
-            scheduleTime += measureDuration;
+            // Move to next measure (each measure has its own tempo and time signature)
+            scheduleTime += this.timeMap.getMeasureDuration(displayMeasure);
             scheduleMeasure++;
             hasScheduledAnything = true;
         }
@@ -346,11 +525,222 @@ export class PlaybackEngine {
         // Clean up old scheduled notes
         const cleanupTime = this.audioEngine.audioContext.currentTime;
         this.scheduledNotes = this.scheduledNotes.filter(s => s.stopTime > cleanupTime);
+    }
+    
+    resetSchedulerStats() {
+        this.schedulerStats = { batches: 0, minLead: Infinity, totalLead: 0, skippedNotes: 0 };
+    }
+    
+    /**
+     * Note how far ahead of the audio clock a batch starts; below zero the scheduler fell behind
+     */
+    recordSchedulerLead(lead) {
+        const stats = this.schedulerStats;
+        stats.batches++;
+        stats.minLead = Math.min(stats.minLead, lead);
+        stats.totalLead += lead;
+    }
+    
+    /**
+     * Scheduler latency and jitter since playback started, in milliseconds
+     * Shown by Help > Playback Timing; the stats of the last playback remain after it stops
+     * @returns {Object} { clock (see SchedulerClock.getStats), batches, minLeadMs, meanLeadMs,
+     *                     skippedNotes, outputLatencyMs }
+     */
+    getSchedulerStats() {
+        const { batches, minLead, totalLead, skippedNotes } = this.schedulerStats || {};
+        const context = this.audioEngine.audioContext;
+        return {
+            clock: this.clock ? this.clock.getStats() : null,
+            batches: batches || 0,
+            minLeadMs: batches ? minLead * 1000 : null,
+            meanLeadMs: batches ? (totalLead / batches) * 1000 : null,
+            skippedNotes: skippedNotes || 0, // Notes whose start had passed before they were scheduled
+            outputLatencyMs: ((context.outputLatency || 0) + (context.baseLatency || 0)) * 1000
+        };
+    }
+    
+    /**
+     * Play Organya ticks up to a time, noting where measures start
+     * @param {OrganyaPlayer} player - Player at the next tick to play
+     * @param {number} fromTime - Audio context time of that tick
+     * @param {number} untilTime - Ticks starting before this time are played
+     * @returns {number} Time of the next tick
+     */
+    scheduleTicks(player, fromTime, untilTime) {
+        let time = fromTime;
+        
+        // Starting mid-measure, the measure began before the first tick
+        const tickInMeasure = player.tick % player.ticksPerMeasure;
+        if (this.measureStartTimes.length === 0 && tickInMeasure !== 0) {
+            this.measureStartTimes.push({
+                measure: Math.floor(player.tick / player.ticksPerMeasure),
+                time: time - tickInMeasure * player.tickDuration
+            });
+        }
         
-        // Schedule next batch
-        if (this.isPlaying) {
-            this.scheduleTimeout = setTimeout(() => this.scheduleNotes(), 50);
+        while (time < untilTime) {
+            if (player.tick % player.ticksPerMeasure === 0) {
+                this.measureStartTimes.push({ measure: player.tick / player.ticksPerMeasure, time });
+            }
+            player.playTick(time);
+            time += player.tickDuration;
+        }
+        return time;
+    }
+    
+    /**
+     * Map a linear measure count to the measure that actually plays, honouring the loop
+     * @param {number} measure - Measures elapsed since the start of the song
+     * @returns {number} Measure to play
+     */
+    getLoopedMeasure(measure) {
+        if (this.loopEnabled && measure >= this.loopEnd && this.loopEnd > this.loopStart) {
+            const loopLength = this.loopEnd - this.loopStart;
+            return this.loopStart + ((measure - this.loopStart) % loopLength);
+        }
+        return measure;
+    }
+    
+    /**
+     * Schedule all notes starting in one measure
+     * @param {number} displayMeasure - Measure whose notes should play
+     * @param {number} measureStartTime - Audio context time at which the measure starts
+     * @param {number} earliestTime - Notes starting before this time are skipped
+     * @returns {Array<Promise>} Pending playNote calls
+     */
+    scheduleMeasure(displayMeasure, measureStartTime, earliestTime) {
+        const measureStartBeat = this.timeMap.getMeasureStart(displayMeasure);
+        const measureStartX = PIANO_KEY_WIDTH + measureStartBeat * GRID_WIDTH;
+        const measureWidth = this.timeMap.getMeasureLength(displayMeasure) * GRID_WIDTH;
+        const notesInMeasure = this.getNotesInMeasure(displayMeasure);
+        const pending = [];
+        
+        // In time order, so a slide claims the notes it glides into before they are reached
+        notesInMeasure.sort((a, b) => a.x - b.x);
+        
+        for (const note of notesInMeasure) {
+            // Check if note actually starts within this measure's boundaries
+            if (note.x >= measureStartX && note.x < measureStartX + measureWidth) {
+                // Convert through the tempo map so tempo changes inside the measure are honoured
+                const noteStartBeat = (note.x - PIANO_KEY_WIDTH) / GRID_WIDTH;
+                const noteEndBeat = noteStartBeat + note.width / GRID_WIDTH;
+                const noteStartTime = measureStartTime + this.timeMap.getSecondsBetween(measureStartBeat, noteStartBeat);
+                const noteDuration = this.timeMap.getSecondsBetween(noteStartBeat, noteEndBeat);
+                
+                // Notes reached by a slide keep sounding on the sliding note's voice
+                if (this.legatoNotes.delete(note)) {
+                    continue;
+                }
+                
+                if (noteStartTime >= earliestTime) {
+                    pending.push(this.scheduleNoteAtTime(note, noteStartTime, noteDuration));
+                } else if (this.schedulerStats && noteStartTime >= this.playbackStartTime) {
+                    // Only late notes count; those before a mid-measure start point are left out on purpose
+                    this.schedulerStats.skippedNotes++;
+                }
+            }
         }
+        
+        return pending;
+    }
+    
+    /**
+     * Number of measures to render: up to the loop end plus extra loop passes,
+     * or up to the end of the last note when looping is off
+     * @param {number} loopCount - How many times the loop section plays
+     */
+    getRenderLength(loopCount = 1) {
+        if (this.loopEnabled && this.loopEnd > this.loopStart) {
+            return this.loopEnd + (loopCount - 1) * (this.loopEnd - this.loopStart);
+        }
+        
+        let maxEndX = PIANO_KEY_WIDTH;
+        for (const note of this.notes) {
+            maxEndX = Math.max(maxEndX, note.x + note.width);
+        }
+        
+        return Math.max(1, this.timeMap.getMeasuresUntil((maxEndX - PIANO_KEY_WIDTH) / GRID_WIDTH));
+    }
+    
+    /**
+     * Render the song to an AudioBuffer through an OfflineAudioContext
+     * @param {Object} options - { sampleRate, loopCount, tailSeconds, onProgress(fraction) }
+     * @returns {Promise<AudioBuffer>} Rendered stereo audio
+     */
+    async renderOffline(options = {}) {
+        const sampleRate = options.sampleRate || 44100;
+        const loopCount = Math.max(1, options.loopCount || 1);
+        const tailSeconds = options.tailSeconds !== undefined ? options.tailSeconds : 2;
+        const onProgress = options.onProgress || null;
+        
+        const totalMeasures = this.getRenderLength(loopCount);
+        const totalTicks = this.orgData ? OrganyaPlayer.getRenderTicks(this.orgData, this.loopEnabled, loopCount) : 0;
+        let songDuration = 0;
+        if (this.orgData) {
+            songDuration = totalTicks * this.orgData.header.wait / 1000;
+        } else {
+            for (let measure = 0; measure < totalMeasures; measure++) {
+                songDuration += this.timeMap.getMeasureDuration(this.getLoopedMeasure(measure));
+            }
+        }
+        const duration = songDuration + tailSeconds;
+        
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContext(2, Math.ceil(duration * sampleRate), sampleRate);
+        
+        // Mirror this engine's song state on a second engine bound to the offline context
+        const renderer = new PlaybackEngine({ audioContext: context });
+        renderer.audioEngine.useWavetableFrom(this.audioEngine);
+        renderer.audioEngine.masterGain.gain.value = this.audioEngine.masterGain.gain.value;
+        renderer.loadNotes(this.notes, this.orgMsPerTick, this.noteIndex);
+        renderer.setTimeMap(this.timeMap);
+        renderer.setTuning(this.audioEngine.tuning);
+        renderer.setLoop(this.loopEnabled, this.loopStart, this.loopEnd);
+        renderer.trackManager = this.trackManager;
+        renderer.masterEffects = this.masterEffects;
+        renderer.syncMixer();
+        
+        // Pre-load every instrument so all notes can be scheduled up front
+        await renderer.preloadInstruments();
+        
+        if (this.orgData) {
+            const player = new OrganyaPlayer(renderer.audioEngine, this.orgData, { loop: this.loopEnabled });
+            await player.load();
+            for (let tick = 0; tick < totalTicks; tick++) {
+                player.playTick(tick * player.tickDuration);
+            }
+            player.releaseAll(songDuration);
+        } else {
+            const pending = [];
+            let measureStartTime = 0;
+            for (let measure = 0; measure < totalMeasures; measure++) {
+                const displayMeasure = renderer.getLoopedMeasure(measure);
+                pending.push(...renderer.scheduleMeasure(displayMeasure, measureStartTime, 0));
+                measureStartTime += renderer.timeMap.getMeasureDuration(displayMeasure);
+            }
+            await Promise.all(pending);
+        }
+        
+        // Report progress by briefly suspending the render at regular intervals
+        if (onProgress && typeof context.suspend === 'function') {
+            const steps = 20;
+            for (let i = 1; i < steps; i++) {
+                const time = (duration * i) / steps;
+                context.suspend(time).then(() => {
+                    onProgress(i / steps);
+                    context.resume();
+                }).catch(() => {
+                    // Suspend times can collide on very short renders
+                });
+            }
+        }
+        
+        const buffer = await context.startRendering();
+        if (onProgress) {
+            onProgress(1);
+        }
+        return buffer;
     }
     
     /**
@@ -358,9 +748,19 @@ export class PlaybackEngine {
      */
     async scheduleNoteAtTime(note, startTime, duration) {
         // Calculate tick duration for automation timing
-        // Use the actual ms per tick from the org file if available
-        const beatDuration = 60 / this.currentBPM;
-        const tickDuration = this.orgMsPerTick ? this.orgMsPerTick / 1000 : beatDuration / 48000; // Convert to seconds
+        const tempo = this.timeMap.getTempoAt((note.x - PIANO_KEY_WIDTH) / GRID_WIDTH);
+        const tickDuration = 60 / tempo / PlaybackEngine.getTicksPerBeat(tempo, this.orgMsPerTick); // Seconds
+        
+        // Sliding notes carry on through the notes they glide into
+        const { curve: pitchCurve, duration: voiceDuration } = this.getPitchCurve(note, duration);
+        
+        // Visualization callbacks go out from updateLoop
+        if (this.onNoteStart) {
+            this.noteEvents.push({ time: startTime, note, isStart: true });
+        }
+        if (this.onNoteEnd) {
+            this.noteEvents.push({ time: startTime + duration, note, isStart: false });
+        }
         
         const noteId = await this.audioEngine.playNote(
             note.key,           // keyNumber
@@ -369,49 +769,102 @@ export class PlaybackEngine {
             false,              // isGlissando
             note.pan,           // pan
             startTime,          // when
-            duration,           // duration
+            voiceDuration,      // duration
             note.pipi,          // pipi
             note.volumeAutomation,  // volumeAutomation
             note.panAutomation,     // panAutomation
             note.freqAdjust || 0,   // freqAdjust
-            tickDuration        // tickDuration
+            tickDuration,       // tickDuration
+            pitchCurve,         // pitchCurve
+            note.track ?? null  // trackId
         );
         
         this.scheduledNotes.push({
             id: noteId,
             note: note,
             startTime: startTime,
-            stopTime: startTime + duration
+            stopTime: startTime + voiceDuration
         });
-        
-        // Callback for visualization
-        if (this.onNoteStart) {
-            const delay = Math.max(0, (startTime - this.audioEngine.audioContext.currentTime) * 1000);
-            setTimeout(() => {
-                if (this.isPlaying) {
-                    this.onNoteStart(note);
-                }
-            }, delay);
+    }
+    
+    /**
+     * Send the note start and end callbacks that are due, in time order
+     * Ends go before starts at the same time, so a note that plays again straight after
+     * itself (at a loop boundary) stays lit.
+     */
+    sendNoteEvents(currentTime) {
+        const due = this.noteEvents.filter(event => event.time <= currentTime);
+        if (due.length === 0) return;
+        
+        this.noteEvents = this.noteEvents.filter(event => event.time > currentTime);
+        due.sort((a, b) => a.time - b.time || a.isStart - b.isStart);
+        due.forEach(event => {
+            if (event.isStart) {
+                this.onNoteStart(event.note);
+            } else {
+                this.onNoteEnd(event.note);
+            }
+        });
+    }
+    
+    /**
+     * Automation ticks in one beat, using the actual ms per tick from the org file if available
+     * @param {number} tempo - BPM at the note
+     * @param {number} orgMsPerTick - Milliseconds per ORG tick, or null
+     */
+    static getTicksPerBeat(tempo, orgMsPerTick = null) {
+        return orgMsPerTick ? 60000 / tempo / orgMsPerTick : DEFAULT_TICKS_PER_BEAT;
+    }
+    
+    /**
+     * Build the pitch curve of a note, following its slides into the next notes
+     * @param {Object} note - Note to play
+     * @param {number} duration - Note length in seconds
+     * @returns {Object} { curve: [{ time, cents }] or null, duration: seconds the voice sounds }
+     */
+    getPitchCurve(note, duration) {
+        const hasBend = note.pitchBend && note.pitchBend.length > 0;
+        if (!hasBend && !note.slide) {
+            return { curve: null, duration };
         }
         
-        if (this.onNoteEnd) {
-            const endDelay = Math.max(0, (startTime + duration - this.audioEngine.audioContext.currentTime) * 1000);
-            setTimeout(() => {
-                if (this.isPlaying) {
-                    this.onNoteEnd(note);
-                }
-            }, endDelay);
+        const curve = PitchBend.toCurve(note.pitchBend, 0, duration);
+        const startBeat = (note.x - PIANO_KEY_WIDTH) / GRID_WIDTH;
+        const baseRate = this.audioEngine.calculatePlaybackRate(note.key, note.instrument, false, note.freqAdjust || 0);
+        let voiceDuration = duration;
+        let current = note;
+        
+        // Drums do not sustain, so they never slide
+        while (current.slide && !note.instrument.startsWith('ORG_D')) {
+            const next = PitchBend.findSlideTarget(current, this.noteIndex);
+            if (!next) break;
+            
+            const nextStartBeat = (next.x - PIANO_KEY_WIDTH) / GRID_WIDTH;
+            const nextStart = this.timeMap.getSecondsBetween(startBeat, nextStartBeat);
+            const nextDuration = this.timeMap.getSecondsBetween(nextStartBeat, nextStartBeat + next.width / GRID_WIDTH);
+            const nextRate = this.audioEngine.calculatePlaybackRate(next.key, next.instrument, false, next.freqAdjust || 0);
+            const offset = 1200 * Math.log2(nextRate / baseRate);
+            
+            // Hold the current pitch until the next note starts, then glide into it
+            curve.push({ time: nextStart, cents: curve[curve.length - 1].cents });
+            curve.push(...PitchBend.toCurve(next.pitchBend, nextStart, nextDuration, offset, PORTAMENTO_TIME));
+            
+            this.legatoNotes.add(next);
+            voiceDuration = nextStart + nextDuration;
+            current = next;
         }
+        
+        return { curve, duration: voiceDuration };
     }
     
     /**
      * Get notes in a specific measure
      */
     getNotesInMeasure(measure) {
-        const measureStartX = PIANO_KEY_WIDTH + measure * GRID_WIDTH * BEATS_PER_MEASURE;
-        const measureEndX = measureStartX + GRID_WIDTH * BEATS_PER_MEASURE;
+        const measureStartX = PIANO_KEY_WIDTH + this.timeMap.getMeasureStart(measure) * GRID_WIDTH;
+        const measureEndX = measureStartX + this.timeMap.getMeasureLength(measure) * GRID_WIDTH;
         
-        return this.notes.filter(note => {
+        return this.noteIndex.query(measureStartX, measureEndX).filter(note => {
             const noteEndX = note.x + note.width;
             return note.x < measureEndX && noteEndX > measureStartX;
         });
@@ -424,17 +877,13 @@ export class PlaybackEngine {
         if (!this.isPlaying) return;
         
         const currentTime = this.audioEngine.audioContext.currentTime;
-        const elapsedTime = currentTime - this.playbackStartTime;
-        const measureDuration = (60 / this.currentBPM) * BEATS_PER_MEASURE;
-        const elapsedMeasures = Math.floor(elapsedTime / measureDuration);
         
-        let newMeasure = this.playbackStartMeasure + elapsedMeasures;
-        
-        // Handle looping
-        if (this.loopEnabled && newMeasure >= this.loopEnd) {
-            const loopLength = this.loopEnd - this.loopStart;
-            newMeasure = this.loopStart + ((newMeasure - this.loopStart) % loopLength);
+        // Drop measures that have finished; measures vary in length so follow the schedule
+        while (this.measureStartTimes.length > 1 && this.measureStartTimes[1].time <= currentTime) {
+            this.measureStartTimes.shift();
         }
+        const newMeasure = this.measureStartTimes.length > 0 ? this.measureStartTimes[0].measure : this.currentMeasure;
+        this.sendNoteEvents(currentTime);
         
         if (newMeasure !== this.currentMeasure) {
             this.currentMeasure = newMeasure;
@@ -454,6 +903,21 @@ export class PlaybackEngine {
         }
     }
     
+    /**
+     * Get the playback position in beats from the start of the song
+     * Follows the measures as they play, so it stays in the loop while looping.
+     */
+    getPlaybackPosition() {
+        const current = this.measureStartTimes[0];
+        if (!this.isPlaying || !current) {
+            return this.timeMap.getMeasureStart(this.currentMeasure) + this.startOffset;
+        }
+        
+        const start = this.timeMap.getMeasureStart(current.measure);
+        const elapsed = Math.max(0, this.audioEngine.audioContext.currentTime - current.time);
+        return Math.min(this.timeMap.getBeatAfterSeconds(start, elapsed), start + this.timeMap.getMeasureLength(current.measure));
+    }
+    
     /**
      * Get current playback position in seconds
      */
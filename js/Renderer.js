@@ -3,10 +3,10 @@ import {
     PIANO_KEY_WIDTH, 
     NOTE_HEIGHT, 
     GRID_WIDTH, 
-    NOTES_PER_OCTAVE,
     BEATS_PER_MEASURE,
     VISIBLE_AREA_PADDING
 } from './constants.js';
+import { PitchBend } from './PitchBend.js';
 
 /**
  * Handles all canvas rendering operations
@@ -25,22 +25,6 @@ export class Renderer {
         // Note name patterns
         this.noteNames = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
         
-        // 12-tone to 38 EDO mapping (A-rooted meantone intervals starting from C)
-        this.twelveToThirtyEightMap = {
-            0: 0,   // C
-            1: 3,   // C#
-            2: 6,   // D
-            3: 9,   // D#
-            4: 12,  // E
-            5: 15,  // F
-            6: 18,  // F#
-            7: 22,  // G
-            8: 25,  // G#
-            9: 28,  // A
-            10: 31, // A#
-            11: 34  // B
-        };
-        
         // Cached canvases for static elements
         this.gridCache = null;
         this.pianoKeysCache = null;
@@ -106,9 +90,10 @@ export class Renderer {
         
         // Draw layers in order
         this.drawGrid();
-        this.drawMeasureNumbers();
         this.drawLoopMarkers();
         this.drawNotes();
+        this.drawPitchCurves();
+        this.drawRetunePreview();
         this.drawSelectionBox();
         
         // Restore context state
@@ -159,71 +144,55 @@ export class Renderer {
         // Batch vertical lines for better performance
         this.ctx.save();
         
-        // Draw beat lines
-        this.ctx.strokeStyle = COLORS.grid;
-        this.ctx.lineWidth = 1;
-        this.ctx.beginPath();
+        const timeMap = this.pianoRoll.timeMap;
+        const gridWidth = this.pianoRoll.gridWidth;
+        const firstMeasure = this.pianoRoll.getMeasureAtX(startX);
+        const beatLines = new Path2D();
+        const measureLines = new Path2D();
         
-        for (let x = PIANO_KEY_WIDTH; x < endX; x += this.pianoRoll.gridWidth) {
-            if (x < startX) continue;
+        // Walk the visible measures; each can have its own time signature
+        for (let measure = firstMeasure; measure < this.pianoRoll.totalMeasures; measure++) {
+            const measureX = this.pianoRoll.getMeasureX(measure);
+            if (measureX >= endX) break;
+            
+            if (measureX >= startX) {
+                measureLines.moveTo(measureX, startY);
+                measureLines.lineTo(measureX, endY);
+            }
             
-            const beatIndex = (x - PIANO_KEY_WIDTH) / this.pianoRoll.gridWidth;
-            if (beatIndex % BEATS_PER_MEASURE !== 0) {
-                this.ctx.moveTo(x, startY);
-                this.ctx.lineTo(x, endY);
+            // Beat lines follow the signature's beat unit (eighths in 6/8, quarters in 3/4)
+            const meter = timeMap.getMeterAt(measure);
+            const beatWidth = gridWidth * 4 / meter.denominator;
+            for (let beat = 1; beat < meter.numerator; beat++) {
+                const x = measureX + beat * beatWidth;
+                if (x >= startX && x < endX) {
+                    beatLines.moveTo(x, startY);
+                    beatLines.lineTo(x, endY);
+                }
             }
         }
-        this.ctx.stroke();
+        
+        // Draw beat lines
+        this.ctx.strokeStyle = COLORS.grid;
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke(beatLines);
         
         // Draw measure lines separately (thicker)
         this.ctx.strokeStyle = '#444';
         this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        
-        const measureWidth = this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-        const firstMeasure = Math.floor((startX - PIANO_KEY_WIDTH) / measureWidth);
-        const startMeasureX = PIANO_KEY_WIDTH + firstMeasure * measureWidth;
-        
-        for (let x = startMeasureX; x < endX; x += measureWidth) {
-            if (x >= startX) {
-                this.ctx.moveTo(x, startY);
-                this.ctx.lineTo(x, endY);
-            }
-        }
-        this.ctx.stroke();
+        this.ctx.stroke(measureLines);
         
         this.ctx.restore();
     }
 
-    /**
-     * Draw measure numbers
-     */
-    drawMeasureNumbers() {
-        this.ctx.fillStyle = COLORS.text;
-        this.ctx.font = '11px Arial';
-        this.ctx.textAlign = 'center';
-        
-        const startMeasure = Math.floor(this.pianoRoll.scrollX / (this.pianoRoll.gridWidth * BEATS_PER_MEASURE));
-        const endMeasure = Math.ceil((this.pianoRoll.scrollX + this.canvas.width) / 
-            (this.pianoRoll.gridWidth * BEATS_PER_MEASURE));
-        
-        // Draw measure numbers at the top of the visible area
-        const yPosition = this.pianoRoll.scrollY + 12;
-        
-        for (let measure = startMeasure; measure <= endMeasure; measure++) {
-            const x = PIANO_KEY_WIDTH + measure * this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-            this.ctx.fillText((measure + 1).toString(), x + this.pianoRoll.gridWidth * 2, yPosition);
-        }
-    }
-
     /**
      * Draw loop markers
      */
     drawLoopMarkers() {
         if (!this.pianoRoll.loopEnabled) return;
         
-        const loopStartX = PIANO_KEY_WIDTH + this.pianoRoll.loopStart * this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-        const loopEndX = PIANO_KEY_WIDTH + this.pianoRoll.loopEnd * this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
+        const loopStartX = this.pianoRoll.getMeasureX(this.pianoRoll.loopStart);
+        const loopEndX = this.pianoRoll.getMeasureX(this.pianoRoll.loopEnd);
         
         // Draw loop background
         this.ctx.fillStyle = COLORS.loopBackground;
@@ -285,6 +254,7 @@ export class Renderer {
         
         // Notes are stored with base grid positions, so we need to convert view bounds back to base coordinates
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
         
         // Convert screen coordinates to base grid coordinates
         const baseViewLeft = PIANO_KEY_WIDTH + (viewLeft - PIANO_KEY_WIDTH) / scaleFactor;
@@ -295,26 +265,28 @@ export class Renderer {
         
         const visibleNotes = this.pianoRoll.noteManager.getNotesInMeasures(startMeasure, endMeasure, this.pianoRoll.baseGridWidth);
         
-        // Group notes by instrument for batch rendering
-        const notesByInstrument = new Map();
+        // Group notes by track for batch rendering
+        const notesByTrack = new Map();
         
         for (const note of visibleNotes) {
             // Additional culling - skip notes outside vertical view
-            if (note.y + note.height < viewTop || note.y > viewBottom) {
+            if ((note.y + note.height) * scaleY < viewTop || note.y * scaleY > viewBottom) {
                 continue;
             }
             
-            if (!notesByInstrument.has(note.instrument)) {
-                notesByInstrument.set(note.instrument, []);
+            if (!notesByTrack.has(note.track)) {
+                notesByTrack.set(note.track, []);
             }
-            notesByInstrument.get(note.instrument).push(note);
+            notesByTrack.get(note.track).push(note);
         }
         
-        // Draw notes grouped by instrument for better batching
-        for (const [instrument, notes] of notesByInstrument) {
-            // Skip this instrument if it's hidden
-            if (this.pianoRoll.trackVisibility.get(instrument) === false) {
-                continue;
+        // Draw notes grouped by track for better batching
+        for (const notes of notesByTrack.values()) {
+            // Locked tracks, and tracks silenced by mute or solo, are drawn faded
+            this.ctx.save();
+            if (this.pianoRoll.trackManager.isNoteLocked(notes[0]) ||
+                !this.pianoRoll.trackManager.isNoteAudible(notes[0])) {
+                this.ctx.globalAlpha = 0.5;
             }
             
             // Sort notes by position to ensure consistent z-order
@@ -324,15 +296,15 @@ export class Renderer {
                 return a.y - b.y;
             });
             
-            const instrumentColor = this.pianoRoll.getInstrumentColor(instrument);
+            const instrumentColor = this.pianoRoll.getNoteColor(notes[0]);
             
-            // Draw all note bodies of this instrument first
+            // Draw all note bodies of this track first
             this.ctx.fillStyle = instrumentColor.note;
             for (const note of notes) {
                 if (!this.pianoRoll.noteManager.selectedNotes.has(note)) {
                     const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
                     const scaledWidth = note.width * scaleFactor;
-                    this.ctx.fillRect(scaledX, note.y, scaledWidth, note.height);
+                    this.ctx.fillRect(scaledX, note.y * scaleY, scaledWidth, note.height * scaleY);
                 }
             }
             
@@ -343,7 +315,7 @@ export class Renderer {
                 if (!this.pianoRoll.noteManager.selectedNotes.has(note)) {
                     const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
                     const scaledWidth = note.width * scaleFactor;
-                    this.ctx.strokeRect(scaledX, note.y, scaledWidth, note.height);
+                    this.ctx.strokeRect(scaledX, note.y * scaleY, scaledWidth, note.height * scaleY);
                 }
             }
             
@@ -354,121 +326,65 @@ export class Renderer {
                     this.ctx.save();
                     this.ctx.fillStyle = '#ffff00';
                     this.ctx.font = 'bold 10px Arial';
-                    this.ctx.fillText('P', scaledX + 2, note.y + 10);
+                    this.ctx.fillText('P', scaledX + 2, note.y * scaleY + 10);
                     this.ctx.restore();
                 }
             }
             
-            // Draw microtonal indicators for 38 EDO
+            // Draw microtonal indicators (steps away from the nearest 12-tone pitch)
             this.ctx.fillStyle = '#cccccc';
             for (const note of notes) {
                 if (!this.pianoRoll.noteManager.selectedNotes.has(note)) {
-                    const keyInOctave = note.key % NOTES_PER_OCTAVE;
+                    const arrows = this.pianoRoll.tuning.getKeyInfo(note.key).arrows;
                     
-                    // Check if this is NOT an exact 12-tone match
-                    let isExactMatch = false;
-                    const exactPositions = [0, 3, 6, 9, 12, 15, 18, 22, 25, 28, 31, 34]; // C, C#, D, D#, E, F, F#, G, G#, A, A#, B
-                    for (const edoStep of exactPositions) {
-                        if (keyInOctave === edoStep) {
-                            isExactMatch = true;
-                            break;
-                        }
-                    }
+                    // Show up to 3 arrows: up when sharp of the lower note, down when flat of the upper
+                    const numArrows = Math.min(Math.abs(arrows), 3);
+                    const isUp = arrows > 0;
                     
-                    if (!isExactMatch) {
-                        // Find the closest 12-tone notes (before and after)
-                        let closestLower = -1;
-                        let closestUpper = 38;
-                        let lowerNote = -1;
-                        let upperNote = -1;
-                        
-                        // Create sorted array of EDO positions
-                        const edoPositions = [0, 3, 6, 9, 12, 15, 18, 22, 25, 28, 31, 34]; // C, C#, D, D#, E, F, F#, G, G#, A, A#, B
-                        
-                        for (let i = 0; i < edoPositions.length; i++) {
-                            const edoStep = edoPositions[i];
-                            if (edoStep < keyInOctave && edoStep > closestLower) {
-                                closestLower = edoStep;
-                                lowerNote = i;
-                            }
-                            if (edoStep > keyInOctave && edoStep < closestUpper) {
-                                closestUpper = edoStep;
-                                upperNote = i;
-                            }
-                        }
-                        
-                        // Handle wrap-around at octave boundary
-                        if (closestUpper === 38 && keyInOctave > 35) {
-                            closestUpper = 38; // Next C
-                            upperNote = 0;
-                        }
+                    // Draw arrows
+                    if (numArrows > 0) {
+                        const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
+                        const scaledWidth = note.width * scaleFactor;
+                        const arrowSpacing = 4;
+                        const startX = scaledX + scaledWidth - 8 - (numArrows - 1) * arrowSpacing;
+                        const arrowY = (note.y + note.height) * scaleY; // Position at bottom of note
                         
-                        // Determine which 12-tone note we're closest to
-                        const distToLower = keyInOctave - closestLower;
-                        const distToUpper = closestUpper - keyInOctave;
-                        
-                        let numArrows = 0;
-                        let isUp = false;
-                        
-                        // Each step in 38 EDO is about 31.58 cents
-                        // Show arrows based on distance from nearest 12-tone note
-                        // Max 3 arrows to avoid clutter
-                        if (distToLower <= distToUpper) {
-                            numArrows = Math.min(distToLower, 3);
-                            isUp = true; // Sharp from lower note
-                        } else {
-                            numArrows = Math.min(distToUpper, 3);
-                            isUp = false; // Flat from upper note
-                        }
-                        
-                        // Draw arrows
-                        if (numArrows > 0) {
-                            const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
-                            const scaledWidth = note.width * scaleFactor;
-                            const arrowSpacing = 4;
-                            const startX = scaledX + scaledWidth - 8 - (numArrows - 1) * arrowSpacing;
-                            const arrowY = note.y + note.height; // Position at bottom of note
+                        for (let i = 0; i < numArrows; i++) {
+                            const arrowX = startX + i * arrowSpacing;
                             
-                            for (let i = 0; i < numArrows; i++) {
-                                const arrowX = startX + i * arrowSpacing;
-                                
-                                if (!isUp) {
-                                    // Down arrow for flat microtones
-                                    this.ctx.beginPath();
-                                    this.ctx.moveTo(arrowX, arrowY + 3);
-                                    this.ctx.lineTo(arrowX - 2, arrowY);
-                                    this.ctx.lineTo(arrowX + 2, arrowY);
-                                    this.ctx.closePath();
-                                    this.ctx.fill();
-                                } else {
-                                    // Up arrow for sharp microtones
-                                    this.ctx.beginPath();
-                                    this.ctx.moveTo(arrowX, arrowY);
-                                    this.ctx.lineTo(arrowX - 2, arrowY + 3);
-                                    this.ctx.lineTo(arrowX + 2, arrowY + 3);
-                                    this.ctx.closePath();
-                                    this.ctx.fill();
-                                }
+                            if (!isUp) {
+                                // Down arrow for flat microtones
+                                this.ctx.beginPath();
+                                this.ctx.moveTo(arrowX, arrowY + 3);
+                                this.ctx.lineTo(arrowX - 2, arrowY);
+                                this.ctx.lineTo(arrowX + 2, arrowY);
+                                this.ctx.closePath();
+                                this.ctx.fill();
+                            } else {
+                                // Up arrow for sharp microtones
+                                this.ctx.beginPath();
+                                this.ctx.moveTo(arrowX, arrowY);
+                                this.ctx.lineTo(arrowX - 2, arrowY + 3);
+                                this.ctx.lineTo(arrowX + 2, arrowY + 3);
+                                this.ctx.closePath();
+                                this.ctx.fill();
                             }
                         }
                     }
                 }
             }
+            
+            this.ctx.restore();
         }
         
         // Draw selected notes on top
         for (const note of this.pianoRoll.noteManager.selectedNotes) {
-            // Skip if track is hidden
-            if (this.pianoRoll.trackVisibility.get(note.instrument) === false) {
-                continue;
-            }
-            
             // Scale note position for visibility check
             const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
             const scaledWidth = note.width * scaleFactor;
             
             if (scaledX + scaledWidth >= viewLeft && scaledX <= viewRight &&
-                note.y + note.height >= viewTop && note.y <= viewBottom) {
+                (note.y + note.height) * scaleY >= viewTop && note.y * scaleY <= viewBottom) {
                 this.drawNote(note);
             }
         }
@@ -485,9 +401,12 @@ export class Renderer {
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
         const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
         const scaledWidth = note.width * scaleFactor;
+        const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
+        const scaledY = note.y * scaleY;
+        const scaledHeight = note.height * scaleY;
         
-        // Get instrument color
-        const instrumentColor = this.pianoRoll.getInstrumentColor(note.instrument);
+        // Get track color
+        const instrumentColor = this.pianoRoll.getNoteColor(note);
         
         // Draw note body
         if (isSelected) {
@@ -499,7 +418,7 @@ export class Renderer {
             this.ctx.fillStyle = instrumentColor.note;
         }
         
-        this.ctx.fillRect(scaledX, note.y, scaledWidth, note.height);
+        this.ctx.fillRect(scaledX, scaledY, scaledWidth, scaledHeight);
         
         // Draw note border
         if (isSelected) {
@@ -509,14 +428,14 @@ export class Renderer {
             this.ctx.strokeStyle = instrumentColor.border;
             this.ctx.lineWidth = 1;
         }
-        this.ctx.strokeRect(scaledX, note.y, scaledWidth, note.height);
+        this.ctx.strokeRect(scaledX, scaledY, scaledWidth, scaledHeight);
         
         // Draw velocity indicator (darker = lower velocity)
         // Skip velocity overlay for selected notes to keep orange color clear
         if (!isSelected) {
             const velocityAlpha = 1 - (note.velocity / 127) * 0.6;
             this.ctx.fillStyle = `rgba(0, 0, 0, ${velocityAlpha})`;
-            this.ctx.fillRect(scaledX, note.y, scaledWidth, note.height);
+            this.ctx.fillRect(scaledX, scaledY, scaledWidth, scaledHeight);
         }
         
         // Draw pipi indicator for notes with pipi=true
@@ -525,82 +444,26 @@ export class Renderer {
             // Draw a small "P" indicator in the top-left corner
             this.ctx.fillStyle = isSelected ? '#ffffff' : '#ffff00';
             this.ctx.font = 'bold 10px Arial';
-            this.ctx.fillText('P', scaledX + 2, note.y + 10);
+            this.ctx.fillText('P', scaledX + 2, scaledY + 10);
             this.ctx.restore();
         }
         
-        // Draw microtonal indicator arrows for 38 EDO
-        const keyInOctave = note.key % NOTES_PER_OCTAVE;
-        
-        // Check if this is NOT an exact 12-tone match
-        let isExactMatch = false;
-        const exactPositions = [0, 3, 6, 9, 12, 15, 18, 22, 25, 28, 31, 34]; // C, C#, D, D#, E, F, F#, G, G#, A, A#, B
-        for (const edoStep of exactPositions) {
-            if (keyInOctave === edoStep) {
-                isExactMatch = true;
-                break;
-            }
-        }
-        
-        // Debug logging for arrow issues
-        if (keyInOctave === 0 || keyInOctave === 3 || keyInOctave === 6 || keyInOctave === 28) {
-            console.log(`Note at key ${note.key}, octave position ${keyInOctave}, exact match: ${isExactMatch}`);
-        }
+        // Draw microtonal indicator arrows (steps away from the nearest 12-tone pitch)
+        const arrows = this.pianoRoll.tuning.getKeyInfo(note.key).arrows;
         
-        if (!isExactMatch) {
+        if (arrows !== 0) {
             this.ctx.save();
             this.ctx.fillStyle = isSelected ? '#ffffff' : '#cccccc';
             
-            // Find the closest 12-tone notes (before and after)
-            let closestLower = -1;
-            let closestUpper = 38;
-            let lowerNote = -1;
-            let upperNote = -1;
-            
-            // Create sorted array of EDO positions
-            const edoPositions = [0, 3, 6, 9, 12, 15, 18, 22, 25, 28, 31, 34]; // C, C#, D, D#, E, F, F#, G, G#, A, A#, B
-            
-            for (let i = 0; i < edoPositions.length; i++) {
-                const edoStep = edoPositions[i];
-                if (edoStep < keyInOctave && edoStep > closestLower) {
-                    closestLower = edoStep;
-                    lowerNote = i;
-                }
-                if (edoStep > keyInOctave && edoStep < closestUpper) {
-                    closestUpper = edoStep;
-                    upperNote = i;
-                }
-            }
-            
-            // Handle wrap-around at octave boundary
-            if (closestUpper === 38 && keyInOctave > 35) {
-                closestUpper = 38; // Next C
-                upperNote = 0;
-            }
-            
-            // Determine which 12-tone note we're closest to
-            const distToLower = keyInOctave - closestLower;
-            const distToUpper = closestUpper - keyInOctave;
-            
-            let numArrows = 0;
-            let isUp = false;
-            
-            // Each step in 38 EDO is about 31.58 cents
-            // Show arrows based on distance from nearest 12-tone note
-            // Max 3 arrows to avoid clutter
-            if (distToLower <= distToUpper) {
-                numArrows = Math.min(distToLower, 3);
-                isUp = true; // Sharp from lower note
-            } else {
-                numArrows = Math.min(distToUpper, 3);
-                isUp = false; // Flat from upper note
-            }
+            // Show up to 3 arrows: up when sharp of the lower note, down when flat of the upper
+            const numArrows = Math.min(Math.abs(arrows), 3);
+            const isUp = arrows > 0;
             
             // Draw arrows
             if (numArrows > 0) {
                 const arrowSpacing = 4;
                 const startX = scaledX + scaledWidth - 8 - (numArrows - 1) * arrowSpacing;
-                const arrowY = note.y + note.height; // Position at bottom of note
+                const arrowY = scaledY + scaledHeight; // Position at bottom of note
                 
                 for (let i = 0; i < numArrows; i++) {
                     const arrowX = startX + i * arrowSpacing;
@@ -635,7 +498,7 @@ export class Renderer {
             this.ctx.textAlign = note.pan < 0 ? 'left' : 'right';
             const panText = note.pan < 0 ? 'L' : 'R';
             const textX = note.pan < 0 ? scaledX + 2 : scaledX + scaledWidth - 2;
-            this.ctx.fillText(panText, textX, note.y + note.height - 2);
+            this.ctx.fillText(panText, textX, scaledY + scaledHeight - 2);
             this.ctx.restore();
         }
     }
@@ -688,27 +551,12 @@ export class Renderer {
         
         // Draw keys
         for (let i = 0; i < this.pianoRoll.numKeys; i++) {
-            const y = i * NOTE_HEIGHT;
+            const y = i * this.pianoRoll.noteHeight;
             const keyNumber = this.pianoRoll.numKeys - 1 - i;
-            const keyInOctave = keyNumber % NOTES_PER_OCTAVE;
-            const octave = Math.floor(keyNumber / NOTES_PER_OCTAVE);
-            
-            // Find which 12-tone note this 38-EDO step is closest to
-            let closestNote = -1;
-            let minDistance = 38;
-            let isExactMatch = false;
-            
-            for (const [note, edoStep] of Object.entries(this.twelveToThirtyEightMap)) {
-                const distance = Math.abs(keyInOctave - edoStep);
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    closestNote = parseInt(note);
-                    isExactMatch = (distance === 0);
-                }
-            }
             
-            // Determine if this is a "black key" equivalent
-            const isBlackKey = [1, 3, 6, 8, 10].includes(closestNote);
+            // Color and label keys by the nearest 12-tone pitch in the active tuning
+            const keyInfo = this.pianoRoll.tuning.getKeyInfo(keyNumber);
+            const isBlackKey = keyInfo.isBlackKey;
             
             // Check if key is pressed or hovered
             const isPressed = this.pianoRoll.inputHandler?.pressedKeys.has(keyNumber);
@@ -726,23 +574,23 @@ export class Renderer {
                 cacheCtx.fillStyle = COLORS.whiteKey;
             }
             
-            cacheCtx.fillRect(0, y, PIANO_KEY_WIDTH - 1, NOTE_HEIGHT);
+            cacheCtx.fillRect(0, y, PIANO_KEY_WIDTH - 1, this.pianoRoll.noteHeight);
             
             // Draw key border
             cacheCtx.strokeStyle = COLORS.keyBorder;
-            cacheCtx.strokeRect(0, y, PIANO_KEY_WIDTH - 1, NOTE_HEIGHT);
+            cacheCtx.strokeRect(0, y, PIANO_KEY_WIDTH - 1, this.pianoRoll.noteHeight);
             
             
             
             // Draw note label only for C notes (octave markers)
-            if (isExactMatch && closestNote === 0) {
+            if (keyInfo.isExact && keyInfo.semitone === 0) {
                 cacheCtx.fillStyle = '#fff';
                 cacheCtx.font = '10px Arial';
                 cacheCtx.textAlign = 'right';
                 
-                const label = `C${octave}`;
+                const label = `C${keyInfo.octave}`;
                 
-                cacheCtx.fillText(label, PIANO_KEY_WIDTH - 5, y + NOTE_HEIGHT - 2);
+                cacheCtx.fillText(label, PIANO_KEY_WIDTH - 5, y + this.pianoRoll.noteHeight - 2);
             }
         }
         
@@ -754,6 +602,135 @@ export class Renderer {
         cacheCtx.restore();
     }
 
+    /**
+     * Draw pitch-bend curves on notes, and a dashed glide from sliding notes into the next note
+     */
+    drawPitchCurves() {
+        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
+        const viewLeft = this.pianoRoll.scrollX - VISIBLE_AREA_PADDING;
+        const viewRight = this.pianoRoll.scrollX + this.canvas.width + VISIBLE_AREA_PADDING;
+        const baseViewLeft = PIANO_KEY_WIDTH + (viewLeft - PIANO_KEY_WIDTH) / scaleFactor;
+        const baseViewRight = PIANO_KEY_WIDTH + (viewRight - PIANO_KEY_WIDTH) / scaleFactor;
+        const measureWidth = this.pianoRoll.baseGridWidth * BEATS_PER_MEASURE;
+        const visibleNotes = this.pianoRoll.noteManager.getNotesInMeasures(
+            Math.floor((baseViewLeft - PIANO_KEY_WIDTH) / measureWidth),
+            Math.ceil((baseViewRight - PIANO_KEY_WIDTH) / measureWidth),
+            this.pianoRoll.baseGridWidth
+        );
+        const editedNote = this.pianoRoll.inputHandler?.bendNote;
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 1.5;
+        
+        for (const note of visibleNotes) {
+            const hasBend = note.pitchBend && note.pitchBend.length > 0;
+            if (!hasBend && !note.slide) continue;
+            
+            const x = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
+            const width = note.width * scaleFactor;
+            const endY = this.getBendY(note, 1, scaleY);
+            
+            this.ctx.strokeStyle = note === editedNote ? '#ffa500' : '#ffffff';
+            this.ctx.fillStyle = this.ctx.strokeStyle;
+            
+            if (hasBend) {
+                this.ctx.setLineDash([]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, this.getBendY(note, 0, scaleY));
+                for (const point of PitchBend.sort(note.pitchBend)) {
+                    this.ctx.lineTo(x + point.position * width, this.getBendY(note, point.position, scaleY));
+                }
+                this.ctx.lineTo(x + width, endY);
+                this.ctx.stroke();
+                
+                // Mark the points themselves while they are being drawn
+                if (note === editedNote) {
+                    for (const point of note.pitchBend) {
+                        const pointY = this.getBendY(note, point.position, scaleY);
+                        this.ctx.fillRect(x + point.position * width - 1.5, pointY - 1.5, 3, 3);
+                    }
+                }
+            }
+            
+            if (note.slide) {
+                const target = PitchBend.findSlideTarget(note, this.pianoRoll.noteManager.index);
+                this.ctx.setLineDash([3, 2]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(x + width, endY);
+                if (target) {
+                    const targetX = PIANO_KEY_WIDTH + (target.x - PIANO_KEY_WIDTH) * scaleFactor;
+                    this.ctx.lineTo(targetX + Math.min(8, target.width * scaleFactor), this.getBendY(target, 0, scaleY));
+                } else {
+                    // Nothing to slide into yet
+                    this.ctx.lineTo(x + width + 6, endY);
+                }
+                this.ctx.stroke();
+            }
+        }
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Screen Y of a note's bent pitch; one keyboard row is one step of the tuning
+     * @param {Object} note - Note with an optional pitchBend
+     * @param {number} position - 0 to 1 along the note
+     * @param {number} scaleY - Vertical zoom
+     */
+    getBendY(note, position, scaleY) {
+        const cents = PitchBend.getCentsAt(note.pitchBend, position);
+        const stepCents = this.pianoRoll.tuning.getStepCents(note.key);
+        return (note.y + note.height / 2) * scaleY - (cents / stepCents) * this.pianoRoll.noteHeight;
+    }
+
+    /**
+     * Draw retuning proposals: a dashed outline where each note would move
+     */
+    drawRetunePreview() {
+        const preview = this.pianoRoll.retunePreview;
+        if (!preview) return;
+        
+        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleY = this.pianoRoll.noteHeight / NOTE_HEIGHT;
+        const viewLeft = this.pianoRoll.scrollX - VISIBLE_AREA_PADDING;
+        const viewRight = this.pianoRoll.scrollX + this.canvas.width + VISIBLE_AREA_PADDING;
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([3, 2]);
+        
+        for (const proposal of preview.proposals) {
+            const note = proposal.note;
+            const x = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
+            const width = note.width * scaleFactor;
+            if (x + width < viewLeft || x > viewRight) continue;
+            
+            // Rows run top-down, so a positive shift moves the note up
+            const fromY = note.y * scaleY;
+            const toY = (note.y - proposal.shift * NOTE_HEIGHT) * scaleY;
+            const height = note.height * scaleY;
+            const accepted = preview.isAccepted(proposal);
+            const color = accepted ? '#69f0ae' : '#777';
+            
+            this.ctx.strokeStyle = color;
+            this.ctx.strokeRect(x, toY, width, height);
+            
+            // Connect the note to its proposed position
+            this.ctx.beginPath();
+            this.ctx.moveTo(x + 3, fromY + height / 2);
+            this.ctx.lineTo(x + 3, toY + height / 2);
+            this.ctx.stroke();
+            
+            if (accepted) {
+                this.ctx.fillStyle = 'rgba(105, 240, 174, 0.25)';
+                this.ctx.fillRect(x, toY, width, height);
+            }
+        }
+        
+        this.ctx.restore();
+    }
+
     /**
      * Draw selection box
      */
@@ -785,8 +762,8 @@ export class Renderer {
         
         const currentMeasure = this.pianoRoll.currentMeasure;
         if (currentMeasure >= 0 && currentMeasure < this.pianoRoll.totalMeasures) {
-            const measureWidth = BEATS_PER_MEASURE * this.pianoRoll.gridWidth;
-            const measureX = PIANO_KEY_WIDTH + currentMeasure * measureWidth;
+            const measureX = this.pianoRoll.getMeasureX(currentMeasure);
+            const measureWidth = this.pianoRoll.getMeasureX(currentMeasure + 1) - measureX;
             
             // Draw measure highlight
             this.ctx.fillStyle = 'rgba(255, 68, 68, 0.1)';
@@ -797,6 +774,13 @@ export class Renderer {
             this.ctx.lineWidth = 2;
             this.ctx.strokeRect(measureX, this.pianoRoll.scrollY, measureWidth, this.canvas.height);
         }
+        
+        // Line where playback resumes after a pause or a seek on the timeline ruler
+        if (this.pianoRoll.isPaused) {
+            const x = this.pianoRoll.pianoKeyWidth + this.pianoRoll.playPosition * this.pianoRoll.gridWidth;
+            this.ctx.fillStyle = COLORS.playhead;
+            this.ctx.fillRect(x - 1, this.pianoRoll.scrollY, 2, this.canvas.height);
+        }
     }
 
     /**
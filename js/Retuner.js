@@ -0,0 +1,234 @@
+import { NOTES_PER_OCTAVE } from './constants.js';
+import { Tuning } from './Tuning.js';
+
+// Tuning used when none is given
+const DEFAULT_TUNING = Tuning.edo(NOTES_PER_OCTAVE);
+
+// Just intervals within one octave, as frequency ratios
+const JI_RATIOS = {
+    5: [[1, 1], [16, 15], [9, 8], [6, 5], [5, 4], [4, 3], [45, 32], [3, 2], [8, 5], [5, 3], [9, 5], [15, 8], [2, 1]],
+    7: [[1, 1], [16, 15], [9, 8], [8, 7], [7, 6], [6, 5], [5, 4], [9, 7], [4, 3], [7, 5], [10, 7], [3, 2], [14, 9],
+        [8, 5], [5, 3], [12, 7], [7, 4], [9, 5], [15, 8], [2, 1]]
+};
+
+// Cost of moving a note one step, in cents, so notes only move for a clear gain
+const SHIFT_PENALTY = 4;
+
+// Weight of melodic intervals (to the previous note of the same track) relative to harmonic ones
+const MELODIC_WEIGHT = 0.25;
+
+// Chords with more free notes than this are not searched (3^n combinations)
+const MAX_FREE_NOTES = 7;
+
+/**
+ * Proposes step shifts that bring imported 12-tone harmony closer to just intonation
+ * Works on onsets: every group of notes starting together is tuned against the notes
+ * already sounding and, more lightly, against the previous note of each track.
+ */
+export class Retuner {
+    /**
+     * Get the target intervals in cents for a prime limit
+     * @param {number} limit - 5 or 7
+     */
+    static getTargets(limit) {
+        return (JI_RATIOS[limit] || JI_RATIOS[5]).map(([n, d]) => 1200 * Math.log2(n / d));
+    }
+
+    /**
+     * Distance in cents from an interval between two keys to the nearest just interval
+     * @param {number} keyA - First key
+     * @param {number} keyB - Second key
+     * @param {Array<number>} targets - Target intervals in cents
+     * @param {Tuning} tuning - Tuning the keys belong to
+     */
+    static getIntervalError(keyA, keyB, targets, tuning = DEFAULT_TUNING) {
+        const cents = Math.abs(tuning.getCents(keyA) - tuning.getCents(keyB)) % 1200;
+        let best = Infinity;
+        for (const target of targets) {
+            best = Math.min(best, Math.abs(cents - target));
+        }
+        return best;
+    }
+
+    /**
+     * Group melodic notes by start position, with the notes still sounding at each start
+     * @param {Array} notes - Notes to analyze (drums are ignored)
+     * @returns {Array} [{ x, notes, sustained }] in time order
+     */
+    static getOnsets(notes) {
+        const melodic = notes
+            .filter(note => !note.instrument.startsWith('ORG_D'))
+            .sort((a, b) => a.x - b.x || a.key - b.key);
+        
+        const onsets = [];
+        let active = [];
+        let i = 0;
+        while (i < melodic.length) {
+            const x = melodic[i].x;
+            const group = [];
+            while (i < melodic.length && melodic[i].x === x) {
+                group.push(melodic[i++]);
+            }
+            
+            active = active.filter(note => note.x + note.width > x);
+            onsets.push({ x, notes: group, sustained: active.slice() });
+            active.push(...group);
+        }
+        return onsets;
+    }
+
+    /**
+     * Analyze notes and propose shifts
+     * @param {Array} notes - Notes to analyze
+     * @param {Object} options - { limit: 5|7, maxShift: steps a note may move, tuning }
+     * @returns {Object} { proposals: [{note, shift, chord, track}], chords: [{index, x, notes, before, after}] }
+     */
+    static analyze(notes, options = {}) {
+        const targets = this.getTargets(options.limit || 5);
+        const maxShift = options.maxShift || 1;
+        const tuning = options.tuning || DEFAULT_TUNING;
+        const shifts = new Map();
+        const lastNoteByTrack = new Map();
+        const proposals = [];
+        const chords = [];
+        
+        const keyOf = note => note.key + (shifts.get(note) || 0);
+        
+        for (const onset of this.getOnsets(notes)) {
+            const context = onset.sustained;
+            const sounding = context.length + onset.notes.length;
+            
+            // Lone notes have no harmony to tune against
+            if (sounding < 2) {
+                onset.notes.forEach(note => lastNoteByTrack.set(note.instrument, note));
+                continue;
+            }
+            
+            // With nothing sustained the lowest note anchors the chord
+            const free = context.length > 0 ? onset.notes : onset.notes.slice(1);
+            const previous = onset.notes.map(note => lastNoteByTrack.get(note.instrument) || null);
+            
+            const cost = (candidate) => {
+                const keys = onset.notes.map(note => {
+                    const index = free.indexOf(note);
+                    return note.key + (index >= 0 ? candidate[index] : 0);
+                });
+                let total = 0;
+                
+                // Harmonic intervals within the onset and against sustained notes
+                for (let a = 0; a < keys.length; a++) {
+                    for (let b = a + 1; b < keys.length; b++) {
+                        total += this.getIntervalError(keys[a], keys[b], targets, tuning);
+                    }
+                    for (const note of context) {
+                        total += this.getIntervalError(keys[a], keyOf(note), targets, tuning);
+                    }
+                    if (previous[a]) {
+                        total += MELODIC_WEIGHT * this.getIntervalError(keys[a], keyOf(previous[a]), targets, tuning);
+                    }
+                }
+                
+                for (const shift of candidate) {
+                    total += SHIFT_PENALTY * Math.abs(shift);
+                }
+                return total;
+            };
+            
+            const zero = free.map(() => 0);
+            let best = zero;
+            let bestCost = cost(zero);
+            
+            if (free.length > 0 && free.length <= MAX_FREE_NOTES) {
+                // Try every combination of shifts
+                const span = maxShift * 2 + 1;
+                const combinations = Math.pow(span, free.length);
+                for (let c = 1; c < combinations; c++) {
+                    const candidate = [];
+                    let rest = c;
+                    for (let n = 0; n < free.length; n++) {
+                        candidate.push((rest % span) - maxShift);
+                        rest = Math.floor(rest / span);
+                    }
+                    
+                    const outOfRange = free.some((note, n) => note.key + candidate[n] < 0 || note.key + candidate[n] >= tuning.keyCount);
+                    if (outOfRange) continue;
+                    
+                    const candidateCost = cost(candidate);
+                    if (candidateCost < bestCost - 1e-9) {
+                        best = candidate;
+                        bestCost = candidateCost;
+                    }
+                }
+            }
+            
+            const before = this.getOnsetError(onset, note => note.key, targets, tuning);
+            const chord = { index: chords.length, x: onset.x, notes: onset.notes, before: before.mean, after: before.mean };
+            let changed = false;
+            free.forEach((note, n) => {
+                if (best[n] !== 0) {
+                    shifts.set(note, best[n]);
+                    proposals.push({ note, shift: best[n], chord: chord.index, track: note.instrument });
+                    changed = true;
+                }
+            });
+            
+            // Only chords with proposals are listed for review
+            if (changed) {
+                chord.after = this.getOnsetError(onset, keyOf, targets, tuning).mean;
+                chords.push(chord);
+            }
+            onset.notes.forEach(note => lastNoteByTrack.set(note.instrument, note));
+        }
+        
+        return { proposals, chords, limit: options.limit || 5, tuning };
+    }
+
+    /**
+     * Mean distance from just intonation over all harmonic intervals
+     * @param {Array} notes - Notes to measure
+     * @param {Map} shifts - Note to step shift to apply
+     * @param {number} limit - 5 or 7
+     * @param {Tuning} tuning - Tuning the keys belong to
+     * @returns {Object} { mean, count } mean error in cents and number of intervals
+     */
+    static measureError(notes, shifts, limit = 5, tuning = DEFAULT_TUNING) {
+        const targets = this.getTargets(limit);
+        const keyOf = note => note.key + (shifts.get(note) || 0);
+        let total = 0;
+        let count = 0;
+        
+        for (const onset of this.getOnsets(notes)) {
+            const error = this.getOnsetError(onset, keyOf, targets, tuning);
+            total += error.total;
+            count += error.count;
+        }
+        
+        return { mean: count > 0 ? total / count : 0, count };
+    }
+
+    /**
+     * Harmonic error of the intervals formed when an onset starts
+     * @param {Object} onset - { notes, sustained } from getOnsets
+     * @param {Function} keyOf - Returns the key to use for a note
+     * @param {Array<number>} targets - Target intervals in cents
+     * @param {Tuning} tuning - Tuning the keys belong to
+     * @returns {Object} { total, count, mean }
+     */
+    static getOnsetError(onset, keyOf, targets, tuning = DEFAULT_TUNING) {
+        let total = 0;
+        let count = 0;
+        
+        onset.notes.forEach((note, a) => {
+            for (let b = a + 1; b < onset.notes.length; b++) {
+                total += this.getIntervalError(keyOf(note), keyOf(onset.notes[b]), targets, tuning);
+                count++;
+            }
+            for (const other of onset.sustained) {
+                total += this.getIntervalError(keyOf(note), keyOf(other), targets, tuning);
+                count++;
+            }
+        });
+        
+        return { total, count, mean: count > 0 ? total / count : 0 };
+    }
+}
@@ -0,0 +1,370 @@
+import { UserSample } from './UserSample.js';
+
+/**
+ * SampleImporter - Samples modal for audio files imported as instruments
+ * WAV, FLAC and OGG files (whatever the browser can decode) become drum or melodic instruments
+ * with a root key, trim, loop points and gain. Every import is also kept in the browser's sample
+ * library, so it can be added to other songs and found again by songs that don't embed it.
+ */
+export class SampleImporter {
+    /**
+     * @param {PianoRoll} pianoRoll - Piano roll whose song the samples belong to
+     * @param {SongStore} songStore - Store for the sample library (null when IndexedDB is unavailable)
+     */
+    constructor(pianoRoll, songStore) {
+        this.pianoRoll = pianoRoll;
+        this.audioEngine = pianoRoll.audioEngine;
+        this.songStore = songStore;
+        this.sampleId = null; // Sample being edited
+        this.replacing = false; // Whether the chosen file replaces the current sample's audio
+        this.previewKey = null; // Key sounding while the preview button is held
+        
+        this.sampleSelect = document.getElementById('sampleSelect');
+        this.nameInput = document.getElementById('sampleName');
+        this.fileInput = document.getElementById('sampleFileInput');
+        this.librarySelect = document.getElementById('sampleLibrarySelect');
+        this.canvas = document.getElementById('sampleCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.status = document.getElementById('sampleStatus');
+        this.fields = {
+            kind: document.getElementById('sampleKind'),
+            rootKey: document.getElementById('sampleRootKey'),
+            trimStart: document.getElementById('sampleTrimStart'),
+            trimEnd: document.getElementById('sampleTrimEnd'),
+            loop: document.getElementById('sampleLoop'),
+            loopStart: document.getElementById('sampleLoopStart'),
+            loopEnd: document.getElementById('sampleLoopEnd'),
+            gain: document.getElementById('sampleGain'),
+            embed: document.getElementById('sampleEmbed')
+        };
+        
+        document.getElementById('sampleLibraryRow').hidden = !songStore;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.sampleSelect.addEventListener('change', () => this.selectSample(this.sampleSelect.value));
+        this.nameInput.addEventListener('change', () => this.save());
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.nameInput.blur();
+        });
+        Object.values(this.fields).forEach(field => field.addEventListener('change', () => this.save()));
+        this.fields.rootKey.addEventListener('input', () => this.updateLabels());
+        this.fields.gain.addEventListener('input', () => this.updateLabels());
+        
+        document.getElementById('sampleImportBtn').addEventListener('click', () => this.chooseFile(false));
+        document.getElementById('sampleReplaceBtn').addEventListener('click', () => this.chooseFile(true));
+        document.getElementById('sampleRemoveBtn').addEventListener('click', () => this.removeSample());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) this.importFile(file);
+        });
+        
+        document.getElementById('sampleLibraryAddBtn').addEventListener('click', () => this.addFromLibrary());
+        document.getElementById('sampleLibraryDeleteBtn').addEventListener('click', () => this.deleteFromLibrary());
+        
+        // Preview at the root key while the button is held
+        const previewBtn = document.getElementById('samplePreviewBtn');
+        previewBtn.addEventListener('mousedown', () => this.startPreview());
+        previewBtn.addEventListener('mouseup', () => this.stopPreview());
+        previewBtn.addEventListener('mouseleave', () => this.stopPreview());
+    }
+
+    /**
+     * Show the first imported sample (called when the modal opens)
+     */
+    open() {
+        this.fields.rootKey.max = this.pianoRoll.tuning.keyCount - 1;
+        if (!this.audioEngine.userSamples.has(this.sampleId)) {
+            this.sampleId = this.audioEngine.userSamples.size > 0 ? this.audioEngine.userSamples.keys().next().value : null;
+        }
+        this.showStatus('');
+        this.selectSample(this.sampleId);
+        this.refreshLibrary();
+    }
+
+    async selectSample(id) {
+        this.sampleId = this.audioEngine.userSamples.has(id) ? id : null;
+        this.refresh();
+        if (!this.sampleId) return;
+        
+        // Songs that don't embed their audio look for it in the library
+        const buffer = await this.audioEngine.decodeUserSample(this.sampleId);
+        if (this.sampleId !== id) return;
+        if (!buffer) {
+            this.showStatus('The audio for this sample is missing; use Replace File... to choose it again', true);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Sync the sample list, settings fields and waveform with the current sample
+     */
+    refresh() {
+        const samples = this.audioEngine.userSamples;
+        const sample = samples.get(this.sampleId);
+        
+        this.sampleSelect.innerHTML = '';
+        samples.forEach((entry, id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = entry.name;
+            this.sampleSelect.appendChild(option);
+        });
+        this.sampleSelect.value = this.sampleId || '';
+        this.sampleSelect.disabled = samples.size === 0;
+        
+        this.nameInput.value = sample ? sample.name : '';
+        this.nameInput.disabled = !sample;
+        document.getElementById('sampleReplaceBtn').disabled = !sample;
+        document.getElementById('sampleRemoveBtn').disabled = !sample;
+        Object.values(this.fields).forEach(field => { field.disabled = !sample; });
+        
+        if (sample) {
+            const { settings, buffer } = sample;
+            const region = buffer ? UserSample.getRegion(settings, buffer.duration) : null;
+            this.fields.kind.value = settings.kind;
+            this.fields.rootKey.value = settings.rootKey;
+            this.fields.trimStart.value = region ? region.trimStart.toFixed(3) : settings.trimStart;
+            this.fields.trimEnd.value = region ? region.trimEnd.toFixed(3) : (settings.trimEnd ?? '');
+            this.fields.loop.checked = settings.loop;
+            this.fields.loopStart.value = region ? region.loopStart.toFixed(3) : settings.loopStart;
+            this.fields.loopEnd.value = region ? region.loopEnd.toFixed(3) : (settings.loopEnd ?? '');
+            this.fields.gain.value = settings.gain;
+            this.fields.embed.checked = settings.embed;
+            
+            // Drums play out once, so they have no loop
+            const isDrum = settings.kind === 'drum';
+            this.fields.loop.disabled = isDrum;
+            this.fields.loopStart.disabled = isDrum || !settings.loop;
+            this.fields.loopEnd.disabled = isDrum || !settings.loop;
+        }
+        
+        this.updateLabels();
+        this.draw();
+    }
+
+    updateLabels() {
+        const key = parseInt(this.fields.rootKey.value);
+        document.getElementById('sampleRootLabel').textContent = this.sampleId && Number.isFinite(key)
+            ? `${this.pianoRoll.tuning.getFrequency(key).toFixed(1)} Hz`
+            : '';
+        
+        const gain = parseFloat(this.fields.gain.value);
+        document.getElementById('sampleGainLabel').textContent = this.sampleId ? `${gain > 0 ? '+' : ''}${gain} dB` : '';
+    }
+
+    /**
+     * Settings from the fields; empty end points mean the end of the file
+     */
+    readSettings() {
+        const seconds = (field) => field.value === '' ? null : Math.max(0, parseFloat(field.value) || 0);
+        const rootKey = parseInt(this.fields.rootKey.value);
+        return UserSample.normalizeSettings({
+            kind: this.fields.kind.value,
+            rootKey: Number.isFinite(rootKey) ? Math.max(0, Math.min(this.pianoRoll.tuning.keyCount - 1, rootKey)) : undefined,
+            trimStart: seconds(this.fields.trimStart) || 0,
+            trimEnd: seconds(this.fields.trimEnd),
+            loop: this.fields.loop.checked,
+            loopStart: seconds(this.fields.loopStart) || 0,
+            loopEnd: seconds(this.fields.loopEnd),
+            gain: parseFloat(this.fields.gain.value) || 0,
+            embed: this.fields.embed.checked
+        });
+    }
+
+    save() {
+        const sample = this.audioEngine.userSamples.get(this.sampleId);
+        if (!sample) return;
+        
+        const name = this.nameInput.value.trim() || sample.name;
+        this.pianoRoll.setUserSample(this.sampleId, name, this.readSettings());
+        this.storeInLibrary(this.sampleId);
+        this.refresh();
+    }
+
+    chooseFile(replacing) {
+        this.replacing = replacing;
+        this.fileInput.click();
+    }
+
+    /**
+     * Decode a chosen file and add it to the song, or swap it in for the current sample's audio
+     * @param {File} file - Audio file
+     */
+    async importFile(file) {
+        const data = await file.arrayBuffer();
+        let buffer;
+        try {
+            buffer = await this.audioEngine.audioContext.decodeAudioData(data.slice(0));
+        } catch (error) {
+            this.showStatus(`${file.name} could not be decoded; this browser may not support its format`, true);
+            return;
+        }
+        
+        const current = this.audioEngine.userSamples.get(this.sampleId);
+        if (this.replacing && current) {
+            this.pianoRoll.setUserSample(this.sampleId, current.name, current.settings, data, buffer);
+        } else {
+            const settings = UserSample.normalizeSettings({ rootKey: this.pianoRoll.tuning.getReferenceKey() });
+            this.sampleId = this.pianoRoll.addUserSample(file.name.replace(/\.[^.]+$/, ''), settings, data, buffer);
+        }
+        
+        this.showStatus(`Imported ${file.name} (${buffer.duration.toFixed(2)} s, ${buffer.numberOfChannels} channel(s))`);
+        this.refresh();
+        await this.storeInLibrary(this.sampleId);
+        this.refreshLibrary();
+    }
+
+    removeSample() {
+        if (!this.sampleId) return;
+        
+        const users = this.pianoRoll.removeUserSample(this.sampleId);
+        if (users > 0) {
+            this.showStatus(`${users} note(s) or track(s) still use this sample; switch them to another instrument first`, true);
+            return;
+        }
+        this.open();
+    }
+
+    /**
+     * Save a sample's audio and settings in the browser's sample library
+     */
+    async storeInLibrary(id) {
+        const sample = this.audioEngine.userSamples.get(id);
+        if (!this.songStore || !sample || !sample.data) return;
+        
+        try {
+            await this.songStore.saveSample({ id, name: sample.name, settings: sample.settings, data: sample.data });
+        } catch (error) {
+            this.showStatus(`Could not save the sample in the library: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * List library samples that aren't in the song yet
+     */
+    async refreshLibrary() {
+        if (!this.songStore) return;
+        
+        let entries = [];
+        try {
+            entries = await this.songStore.listSamples();
+        } catch (error) {
+            this.showStatus(`Could not read the sample library: ${error.message}`, true);
+        }
+        
+        this.librarySelect.innerHTML = '';
+        entries.filter(entry => !this.audioEngine.userSamples.has(entry.id)).forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = `${entry.name} (${Math.max(1, Math.round(entry.size / 1024))} KB)`;
+            this.librarySelect.appendChild(option);
+        });
+        
+        const empty = this.librarySelect.options.length === 0;
+        this.librarySelect.disabled = empty;
+        document.getElementById('sampleLibraryAddBtn').disabled = empty;
+        document.getElementById('sampleLibraryDeleteBtn').disabled = empty;
+    }
+
+    async addFromLibrary() {
+        const id = this.librarySelect.value;
+        if (!id) return;
+        
+        const record = await this.songStore.loadSample(id);
+        if (!record) return;
+        
+        this.sampleId = this.pianoRoll.addUserSample(record.name, record.settings, record.data, null, record.id);
+        this.showStatus('');
+        this.selectSample(this.sampleId);
+        this.refreshLibrary();
+    }
+
+    async deleteFromLibrary() {
+        const id = this.librarySelect.value;
+        if (!id) return;
+        
+        await this.songStore.deleteSample(id);
+        this.showStatus('Removed from the library; songs that don\'t embed this sample will need the file again');
+        this.refreshLibrary();
+    }
+
+    /**
+     * Waveform of the whole file, with the trimmed-off parts shaded and the loop points marked
+     */
+    draw() {
+        const { width, height } = this.canvas;
+        const ctx = this.ctx;
+        
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, width, height);
+        
+        const sample = this.audioEngine.userSamples.get(this.sampleId);
+        if (!sample || !sample.buffer) {
+            ctx.fillStyle = '#999';
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(sample ? 'Audio not loaded' : 'Import a WAV, FLAC or OGG file', width / 2, height / 2);
+            return;
+        }
+        
+        // Peak range of each pixel column
+        const data = sample.buffer.getChannelData(0);
+        const samplesPerPixel = data.length / width;
+        ctx.fillStyle = '#ff8800';
+        for (let x = 0; x < width; x++) {
+            const start = Math.floor(x * samplesPerPixel);
+            const end = Math.max(start + 1, Math.floor((x + 1) * samplesPerPixel));
+            let min = 0;
+            let max = 0;
+            for (let i = start; i < end && i < data.length; i++) {
+                min = Math.min(min, data[i]);
+                max = Math.max(max, data[i]);
+            }
+            const top = ((1 - max) / 2) * height;
+            ctx.fillRect(x, top, 1, Math.max(1, ((max - min) / 2) * height));
+        }
+        
+        const duration = sample.buffer.duration;
+        const region = UserSample.getRegion(sample.settings, duration);
+        const toX = (time) => (time / duration) * width;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, toX(region.trimStart), height);
+        ctx.fillRect(toX(region.trimEnd), 0, width - toX(region.trimEnd), height);
+        
+        if (UserSample.getLoop(sample.settings, duration)) {
+            ctx.strokeStyle = '#4caf50';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            [region.loopStart, region.loopEnd].forEach(time => {
+                ctx.moveTo(toX(time), 0);
+                ctx.lineTo(toX(time), height);
+            });
+            ctx.stroke();
+        }
+    }
+
+    startPreview() {
+        const sample = this.audioEngine.userSamples.get(this.sampleId);
+        if (!sample) return;
+        
+        this.stopPreview();
+        this.previewKey = sample.settings.rootKey;
+        this.audioEngine.playNote(this.previewKey, 100, this.sampleId, false);
+    }
+
+    stopPreview() {
+        if (this.previewKey === null) return;
+        
+        this.audioEngine.stopNote(this.previewKey);
+        this.previewKey = null;
+    }
+
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,171 @@
+// Audio worklet that posts the context time at a steady interval of audio time
+const WORKLET_SOURCE = `
+class SchedulerClockProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.interval = options.processorOptions.interval;
+        this.nextTime = currentTime + this.interval; // The first tick is made on start
+        this.running = true;
+        this.port.onmessage = () => { this.running = false; };
+    }
+
+    process() {
+        if (currentTime >= this.nextTime) {
+            this.port.postMessage(currentTime);
+            this.nextTime = currentTime + this.interval;
+        }
+        return this.running;
+    }
+}
+registerProcessor('scheduler-clock', SchedulerClockProcessor);
+`;
+
+// Worker timer, for browsers without audio worklets
+const WORKER_SOURCE = `
+let timer = null;
+onmessage = (event) => {
+    clearInterval(timer);
+    if (event.data > 0) timer = setInterval(() => postMessage(0), event.data);
+};
+`;
+
+// Worklet module per audio context, added once
+const workletModules = new WeakMap();
+
+/**
+ * Steady callback that drives the playback scheduler
+ * Ticks come from an AudioWorklet on the audio thread where available, so a busy main thread
+ * or a background tab can't stretch the interval; otherwise from a Worker timer, and as a last
+ * resort from setInterval. Each tick's spacing in audio time is recorded for getStats.
+ */
+export class SchedulerClock {
+    /**
+     * @param {AudioContext} audioContext - Context whose time the clock follows
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.source = null; // 'worklet', 'worker' or 'timer' while running
+        this.node = null;
+        this.worker = null;
+        this.timer = null;
+        this.session = 0;
+        this.interval = 0;
+        this.resetStats();
+    }
+
+    /**
+     * Start calling back every interval seconds; restarts a running clock
+     * @param {number} interval - Seconds between ticks
+     * @param {Function} callback - Called on every tick
+     */
+    async start(interval, callback) {
+        this.stop();
+        const session = ++this.session;
+        this.interval = interval;
+        this.resetStats();
+        
+        const tick = () => {
+            if (session !== this.session) return;
+            this.recordTick();
+            callback();
+        };
+        
+        if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+            try {
+                await this.loadWorklet();
+                if (session !== this.session) return;
+                
+                this.node = new AudioWorkletNode(this.audioContext, 'scheduler-clock', {
+                    numberOfInputs: 0,
+                    outputChannelCount: [1],
+                    processorOptions: { interval }
+                });
+                this.node.port.onmessage = tick;
+                // Connected (silently) so the node is always processed
+                this.node.connect(this.audioContext.destination);
+                this.source = 'worklet';
+                tick();
+                return;
+            } catch (error) {
+                // Fall back to a worker timer
+            }
+        }
+        
+        try {
+            const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'application/javascript' }));
+            this.worker = new Worker(url);
+            URL.revokeObjectURL(url);
+            this.worker.onmessage = tick;
+            this.worker.postMessage(interval * 1000);
+            this.source = 'worker';
+        } catch (error) {
+            this.timer = setInterval(tick, interval * 1000);
+            this.source = 'timer';
+        }
+        tick();
+    }
+
+    loadWorklet() {
+        if (!workletModules.has(this.audioContext)) {
+            const url = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: 'application/javascript' }));
+            const loading = this.audioContext.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+            workletModules.set(this.audioContext, loading);
+        }
+        return workletModules.get(this.audioContext);
+    }
+
+    /**
+     * Stop ticking
+     */
+    stop() {
+        this.session++;
+        if (this.node) {
+            this.node.port.postMessage('stop');
+            this.node.disconnect();
+            this.node = null;
+        }
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.source = null;
+    }
+
+    resetStats() {
+        this.stats = { ticks: 0, lastTime: null, totalJitter: 0, maxJitter: 0, maxGap: 0 };
+    }
+
+    recordTick() {
+        const now = this.audioContext.currentTime;
+        const stats = this.stats;
+        if (stats.lastTime !== null) {
+            const gap = now - stats.lastTime;
+            const jitter = Math.abs(gap - this.interval);
+            stats.totalJitter += jitter;
+            stats.maxJitter = Math.max(stats.maxJitter, jitter);
+            stats.maxGap = Math.max(stats.maxGap, gap);
+        }
+        stats.lastTime = now;
+        stats.ticks++;
+    }
+
+    /**
+     * Timing of the ticks since the clock started, in milliseconds of audio time
+     * @returns {Object} { source, ticks, intervalMs, meanJitterMs, maxJitterMs, maxGapMs }
+     */
+    getStats() {
+        const { ticks, totalJitter, maxJitter, maxGap } = this.stats;
+        return {
+            source: this.source,
+            ticks,
+            intervalMs: this.interval * 1000,
+            meanJitterMs: ticks > 1 ? (totalJitter / (ticks - 1)) * 1000 : 0,
+            maxJitterMs: maxJitter * 1000,
+            maxGapMs: maxGap * 1000
+        };
+    }
+}
@@ -0,0 +1,241 @@
+import { STORAGE_DB_NAME, MAX_SNAPSHOTS } from './constants.js';
+
+const DB_VERSION = 3;
+const SESSION_STORE = 'session';
+const SNAPSHOT_STORE = 'snapshots';
+const LIBRARY_STORE = 'library';
+const SAMPLE_STORE = 'samples';
+const SESSION_KEY = 'current';
+
+/**
+ * Persists songs in IndexedDB: the autosaved session, a list of named snapshots
+ * and the song library. Sessions and snapshots are PianoRoll.exportToJSON strings;
+ * library entries keep the original file (o38 JSON text, or .org/.mid bytes).
+ * Imported samples are kept too, so songs that don't embed their audio can find it again.
+ */
+export class SongStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB is available (private browsing may disable it)
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating the object stores on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(STORAGE_DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                        db.createObjectStore(SESSION_STORE);
+                    }
+                    if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                        const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('savedAt', 'savedAt');
+                    }
+                    if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+                        db.createObjectStore(LIBRARY_STORE, { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains(SAMPLE_STORE)) {
+                        db.createObjectStore(SAMPLE_STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            // Allow a later retry if opening failed
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against one object store
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async request(storeName, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Describe a song for listing without parsing it again later
+     * @param {string} json - Song JSON
+     */
+    static summarize(json) {
+        const song = JSON.parse(json);
+        return {
+            noteCount: Array.isArray(song.notes) ? song.notes.length : 0,
+            tempo: song.tempo || null
+        };
+    }
+
+    /**
+     * Save the autosaved session
+     * @param {string} json - Song JSON
+     * @param {string|null} filename - Current file name
+     */
+    saveSession(json, filename = null) {
+        const record = {
+            data: json,
+            filename,
+            savedAt: Date.now(),
+            ...SongStore.summarize(json)
+        };
+        return this.request(SESSION_STORE, 'readwrite', store => store.put(record, SESSION_KEY));
+    }
+
+    /**
+     * Load the autosaved session
+     * @returns {Promise<Object|undefined>} { data, filename, savedAt, noteCount, tempo }
+     */
+    loadSession() {
+        return this.request(SESSION_STORE, 'readonly', store => store.get(SESSION_KEY));
+    }
+
+    /**
+     * Forget the autosaved session
+     */
+    clearSession() {
+        return this.request(SESSION_STORE, 'readwrite', store => store.delete(SESSION_KEY));
+    }
+
+    /**
+     * Save a named snapshot, pruning the oldest beyond MAX_SNAPSHOTS
+     * @param {string} name - Display name
+     * @param {string} json - Song JSON
+     * @param {string|null} filename - Current file name
+     * @returns {Promise<number>} New snapshot id
+     */
+    async saveSnapshot(name, json, filename = null) {
+        const record = {
+            name,
+            data: json,
+            filename,
+            savedAt: Date.now(),
+            ...SongStore.summarize(json)
+        };
+        const id = await this.request(SNAPSHOT_STORE, 'readwrite', store => store.add(record));
+        
+        const snapshots = await this.listSnapshots();
+        for (const old of snapshots.slice(MAX_SNAPSHOTS)) {
+            await this.deleteSnapshot(old.id);
+        }
+        return id;
+    }
+
+    /**
+     * List snapshots, newest first, without their song data
+     * @returns {Promise<Array>} [{ id, name, filename, savedAt, noteCount, tempo }]
+     */
+    async listSnapshots() {
+        const records = await this.request(SNAPSHOT_STORE, 'readonly', store => store.getAll());
+        return records
+            .map(({ data, ...info }) => info)
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Load one snapshot including its song data
+     */
+    loadSnapshot(id) {
+        return this.request(SNAPSHOT_STORE, 'readonly', store => store.get(id));
+    }
+
+    /**
+     * Delete one snapshot
+     */
+    deleteSnapshot(id) {
+        return this.request(SNAPSHOT_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Add or update a song in the library
+     * Entries are keyed by format and file name, so reopening a file updates it.
+     * @param {Object} entry - { format: 'o38'|'org'|'mid', filename, title, data, tempo, measures, instruments }
+     */
+    saveLibraryEntry(entry) {
+        const record = {
+            ...entry,
+            key: `${entry.format}:${entry.filename}`,
+            modifiedAt: entry.modifiedAt || Date.now()
+        };
+        return this.request(LIBRARY_STORE, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * List library entries without their file data
+     * @returns {Promise<Array>} [{ key, format, filename, title, tempo, measures, instruments, modifiedAt }]
+     */
+    async listLibrary() {
+        const records = await this.request(LIBRARY_STORE, 'readonly', store => store.getAll());
+        return records.map(({ data, ...info }) => info);
+    }
+
+    /**
+     * Load one library entry including its file data
+     */
+    loadLibraryEntry(key) {
+        return this.request(LIBRARY_STORE, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Remove a song from the library
+     */
+    deleteLibraryEntry(key) {
+        return this.request(LIBRARY_STORE, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Add or update an imported sample
+     * @param {Object} sample - { id, name, settings, data: ArrayBuffer }
+     */
+    saveSample(sample) {
+        const record = { ...sample, savedAt: Date.now() };
+        return this.request(SAMPLE_STORE, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * List stored samples without their audio
+     * @returns {Promise<Array>} [{ id, name, settings, size, savedAt }]
+     */
+    async listSamples() {
+        const records = await this.request(SAMPLE_STORE, 'readonly', store => store.getAll());
+        return records
+            .map(({ data, ...info }) => ({ ...info, size: data ? data.byteLength : 0 }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Load one stored sample including its audio
+     */
+    loadSample(id) {
+        return this.request(SAMPLE_STORE, 'readonly', store => store.get(id));
+    }
+
+    /**
+     * Remove a sample from the store
+     */
+    deleteSample(id) {
+        return this.request(SAMPLE_STORE, 'readwrite', store => store.delete(id));
+    }
+}
@@ -0,0 +1,385 @@
+import { SynthVoice } from './SynthVoice.js';
+
+const WAVEFORMS = [['sine', 'Sine'], ['triangle', 'Triangle'], ['square', 'Square'], ['sawtooth', 'Sawtooth']];
+const formatPercent = value => `${Math.round(value * 100)}%`;
+const formatTime = value => value < 1 ? `${Math.round(value * 1000)} ms` : `${value.toFixed(2)} s`;
+
+// Controls of each section: sliders ({ min, max, step, log }) or selects ({ options: [[value, label]] });
+// sections with toggle: true are switched on and off by their 'enabled' setting
+const SYNTH_CONTROLS = {
+    oscillator: {
+        label: 'Oscillator',
+        params: [
+            { key: 'waveform', label: 'Wave', options: WAVEFORMS },
+            { key: 'level', label: 'Level', min: 0, max: 1, step: 0.01, format: formatPercent }
+        ]
+    },
+    fm: {
+        label: 'FM',
+        toggle: true,
+        params: [
+            { key: 'waveform', label: 'Wave', options: WAVEFORMS },
+            { key: 'ratio', label: 'Ratio', min: 0.25, max: 12, step: 0.25, format: value => `${value}:1` },
+            { key: 'index', label: 'Index', min: 0, max: 20, step: 0.1, format: value => value.toFixed(1) }
+        ]
+    },
+    noise: {
+        label: 'Noise',
+        toggle: true,
+        params: [
+            { key: 'color', label: 'Colour', options: [['white', 'White'], ['pink', 'Pink'], ['brown', 'Brown']] },
+            { key: 'level', label: 'Level', min: 0, max: 1, step: 0.01, format: formatPercent }
+        ]
+    },
+    envelope: {
+        label: 'Envelope',
+        params: [
+            { key: 'attack', label: 'Attack', min: 0.001, max: 4, log: true, format: formatTime },
+            { key: 'decay', label: 'Decay', min: 0.001, max: 4, log: true, format: formatTime },
+            { key: 'sustain', label: 'Sustain', min: 0, max: 1, step: 0.01, format: formatPercent },
+            { key: 'release', label: 'Release', min: 0.001, max: 6, log: true, format: formatTime }
+        ]
+    },
+    filter: {
+        label: 'Filter',
+        toggle: true,
+        params: [
+            { key: 'type', label: 'Type', options: [['lowpass', 'Low-pass'], ['highpass', 'High-pass'], ['bandpass', 'Band-pass']] },
+            { key: 'frequency', label: 'Cutoff', min: 20, max: 20000, log: true, format: value => `${Math.round(value)} Hz` },
+            { key: 'q', label: 'Resonance', min: 0.1, max: 20, step: 0.1, format: value => value.toFixed(1) },
+            { key: 'amount', label: 'Env amount', min: -4, max: 6, step: 0.1, format: value => `${value.toFixed(1)} oct` },
+            { key: 'attack', label: 'Attack', min: 0.001, max: 4, log: true, format: formatTime },
+            { key: 'decay', label: 'Decay', min: 0.001, max: 4, log: true, format: formatTime },
+            { key: 'sustain', label: 'Sustain', min: 0, max: 1, step: 0.01, format: formatPercent },
+            { key: 'release', label: 'Release', min: 0.001, max: 6, log: true, format: formatTime }
+        ]
+    },
+    lfo: {
+        label: 'LFO',
+        params: [
+            { key: 'rate', label: 'Rate', min: 0.1, max: 20, step: 0.1, format: value => `${value.toFixed(1)} Hz` },
+            { key: 'vibrato', label: 'Vibrato', min: 0, max: 100, step: 1, format: value => `${value} cents` },
+            { key: 'tremolo', label: 'Tremolo', min: 0, max: 1, step: 0.01, format: formatPercent },
+            { key: 'delay', label: 'Delay', min: 0, max: 3, step: 0.05, format: formatTime }
+        ]
+    }
+};
+
+// Starting points for new synths, as changes from the defaults
+const SYNTH_PRESETS = [
+    { name: 'Saw Lead', settings: {} },
+    {
+        name: 'FM Bell',
+        settings: {
+            oscillator: { waveform: 'sine', level: 0.8 },
+            fm: { enabled: true, waveform: 'sine', ratio: 3.5, index: 3 },
+            envelope: { attack: 0.002, decay: 1.5, sustain: 0, release: 1 }
+        }
+    },
+    {
+        name: 'Pluck Bass',
+        settings: {
+            oscillator: { waveform: 'square', level: 0.7 },
+            envelope: { attack: 0.003, decay: 0.4, sustain: 0.3, release: 0.1 },
+            filter: { enabled: true, type: 'lowpass', frequency: 300, q: 4, amount: 3, attack: 0.003, decay: 0.25, sustain: 0, release: 0.1 }
+        }
+    },
+    {
+        name: 'Soft Pad',
+        settings: {
+            oscillator: { waveform: 'triangle', level: 0.8 },
+            envelope: { attack: 0.6, decay: 0.5, sustain: 0.8, release: 1.2 },
+            lfo: { rate: 4, vibrato: 12, tremolo: 0.2, delay: 0.5 }
+        }
+    },
+    {
+        name: 'Noise Hat',
+        settings: {
+            oscillator: { waveform: 'sine', level: 0 },
+            noise: { enabled: true, color: 'white', level: 0.8 },
+            envelope: { attack: 0.001, decay: 0.08, sustain: 0, release: 0.05 },
+            filter: { enabled: true, type: 'highpass', frequency: 7000, q: 1, amount: 0 }
+        }
+    },
+    {
+        name: 'Noise Snare',
+        settings: {
+            oscillator: { waveform: 'triangle', level: 0.5 },
+            noise: { enabled: true, color: 'pink', level: 0.7 },
+            envelope: { attack: 0.001, decay: 0.18, sustain: 0, release: 0.1 }
+        }
+    }
+];
+
+const LOG_SLIDER_STEPS = 1000;
+
+/**
+ * SynthEditor - Synth Editor modal for the song's synthesized instruments
+ * Each synth has an oscillator with optional FM, a noise generator, an amplitude envelope,
+ * a filter with its own envelope and an LFO. Synths are saved in the song and offered as instruments.
+ */
+export class SynthEditor {
+    constructor(pianoRoll) {
+        this.pianoRoll = pianoRoll;
+        this.synthId = null; // Synth being edited
+        this.auditionKey = null; // Key sounding while the audition button is held
+        
+        this.synthSelect = document.getElementById('synthEditorSelect');
+        this.nameInput = document.getElementById('synthEditorName');
+        this.presetSelect = document.getElementById('synthPresetSelect');
+        this.sectionsContainer = document.getElementById('synthEditorSections');
+        this.keyInput = document.getElementById('synthAuditionKey');
+        this.keyLabel = document.getElementById('synthAuditionLabel');
+        this.status = document.getElementById('synthEditorStatus');
+        
+        SYNTH_PRESETS.forEach((preset, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = preset.name;
+            this.presetSelect.appendChild(option);
+        });
+        
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.synthSelect.addEventListener('change', () => this.selectSynth(this.synthSelect.value));
+        this.nameInput.addEventListener('change', () => {
+            if (this.synthId && this.nameInput.value.trim()) {
+                this.save(this.getSynth().settings);
+            } else {
+                this.refresh();
+            }
+        });
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.nameInput.blur();
+        });
+        
+        document.getElementById('synthNewBtn').addEventListener('click', () => {
+            const preset = SYNTH_PRESETS[parseInt(this.presetSelect.value)];
+            this.createSynth(preset.settings, preset.name);
+        });
+        document.getElementById('synthDuplicateBtn').addEventListener('click', () => {
+            if (this.synthId) this.createSynth(this.getSynth().settings, `${this.nameInput.value} copy`);
+        });
+        document.getElementById('synthDeleteBtn').addEventListener('click', () => this.deleteSynth());
+        
+        // Audition while the button is held
+        this.keyInput.addEventListener('input', () => this.updateKeyLabel());
+        const auditionBtn = document.getElementById('synthAuditionBtn');
+        auditionBtn.addEventListener('mousedown', () => this.startAudition());
+        auditionBtn.addEventListener('mouseup', () => this.stopAudition());
+        auditionBtn.addEventListener('mouseleave', () => this.stopAudition());
+    }
+
+    /**
+     * Show the editor on the first synth (called when the modal opens)
+     */
+    open() {
+        const tuning = this.pianoRoll.tuning;
+        this.keyInput.max = tuning.keyCount - 1;
+        if (this.keyInput.dataset.keyCount !== String(tuning.keyCount)) {
+            this.keyInput.value = tuning.getReferenceKey();
+            this.keyInput.dataset.keyCount = tuning.keyCount;
+        }
+        this.updateKeyLabel();
+        this.showStatus('');
+        
+        const synths = this.pianoRoll.audioEngine.synths;
+        if (!synths.has(this.synthId)) {
+            this.synthId = synths.size > 0 ? synths.keys().next().value : null;
+        }
+        this.selectSynth(this.synthId);
+    }
+
+    getSynth() {
+        return this.pianoRoll.audioEngine.synths.get(this.synthId) || null;
+    }
+
+    selectSynth(id) {
+        this.synthId = this.pianoRoll.audioEngine.synths.has(id) ? id : null;
+        this.refresh();
+    }
+
+    /**
+     * Sync the synth list, name field and controls with the current synth
+     */
+    refresh() {
+        const synths = this.pianoRoll.audioEngine.synths;
+        const synth = this.getSynth();
+        
+        this.synthSelect.innerHTML = '';
+        synths.forEach((entry, id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = entry.name;
+            this.synthSelect.appendChild(option);
+        });
+        this.synthSelect.value = this.synthId || '';
+        this.synthSelect.disabled = synths.size === 0;
+        
+        this.nameInput.value = synth ? synth.name : '';
+        this.nameInput.disabled = !synth;
+        document.getElementById('synthDuplicateBtn').disabled = !synth;
+        document.getElementById('synthDeleteBtn').disabled = !synth;
+        
+        this.sectionsContainer.innerHTML = '';
+        if (!synth) {
+            const empty = document.createElement('div');
+            empty.className = 'synth-empty';
+            empty.textContent = 'Pick a preset and click New to create a synth';
+            this.sectionsContainer.appendChild(empty);
+            return;
+        }
+        Object.keys(SYNTH_CONTROLS).forEach(section => {
+            this.sectionsContainer.appendChild(this.createSection(section, synth.settings[section]));
+        });
+    }
+
+    /**
+     * Controls for one section, with an on/off switch when the section has one
+     */
+    createSection(section, values) {
+        const controls = SYNTH_CONTROLS[section];
+        const unit = document.createElement('div');
+        unit.className = 'synth-section';
+        unit.classList.toggle('enabled', !controls.toggle || values.enabled);
+        
+        const title = document.createElement('label');
+        title.className = 'synth-section-title';
+        if (controls.toggle) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = values.enabled;
+            checkbox.addEventListener('change', () => {
+                unit.classList.toggle('enabled', checkbox.checked);
+                this.setParam(section, 'enabled', checkbox.checked);
+            });
+            title.appendChild(checkbox);
+        }
+        title.append(controls.label);
+        unit.appendChild(title);
+        
+        controls.params.forEach(param => {
+            const row = document.createElement('label');
+            row.className = 'synth-param';
+            const name = document.createElement('span');
+            name.textContent = param.label;
+            row.appendChild(name);
+            
+            if (param.options) {
+                const select = document.createElement('select');
+                param.options.forEach(([value, label]) => {
+                    const option = document.createElement('option');
+                    option.textContent = label;
+                    option.selected = value === values[param.key];
+                    select.appendChild(option);
+                });
+                select.addEventListener('change', () => {
+                    this.setParam(section, param.key, param.options[select.selectedIndex][0]);
+                });
+                row.appendChild(select);
+            } else {
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                const readout = document.createElement('span');
+                readout.className = 'synth-value';
+                
+                // Log sliders move through times and frequencies evenly by ratio
+                if (param.log) {
+                    const value = Math.max(param.min, values[param.key]);
+                    slider.min = 0;
+                    slider.max = LOG_SLIDER_STEPS;
+                    slider.value = Math.round(Math.log(value / param.min) / Math.log(param.max / param.min) * LOG_SLIDER_STEPS);
+                } else {
+                    slider.min = param.min;
+                    slider.max = param.max;
+                    slider.step = param.step;
+                    slider.value = values[param.key];
+                }
+                readout.textContent = param.format(values[param.key]);
+                
+                const readSlider = () => param.log ?
+                    param.min * Math.pow(param.max / param.min, slider.value / LOG_SLIDER_STEPS) :
+                    parseFloat(slider.value);
+                slider.addEventListener('input', () => {
+                    readout.textContent = param.format(readSlider());
+                });
+                slider.addEventListener('change', () => this.setParam(section, param.key, readSlider()));
+                row.append(slider, readout);
+            }
+            unit.appendChild(row);
+        });
+        
+        return unit;
+    }
+
+    /**
+     * Change one setting of the current synth
+     */
+    setParam(section, key, value) {
+        const synth = this.getSynth();
+        if (!synth) return;
+        
+        const settings = SynthVoice.normalizeSettings(synth.settings);
+        settings[section][key] = value;
+        this.save(settings);
+    }
+
+    /**
+     * Add a synth to the song and edit it
+     */
+    createSynth(settings, name) {
+        this.synthId = this.pianoRoll.addSynth(name, SynthVoice.normalizeSettings(settings));
+        this.selectSynth(this.synthId);
+        this.showStatus('');
+    }
+
+    deleteSynth() {
+        if (!this.synthId) return;
+        
+        const users = this.pianoRoll.removeSynth(this.synthId);
+        if (users > 0) {
+            this.showStatus(`${users} note(s) or track(s) still use this synth; switch them to another instrument first`, true);
+            return;
+        }
+        this.open();
+    }
+
+    save(settings) {
+        if (!this.synthId) return;
+        
+        const name = this.nameInput.value.trim() || this.getSynth().name;
+        this.pianoRoll.setSynth(this.synthId, name, settings);
+        
+        // Keep the controls, only the list needs the new name
+        const option = this.synthSelect.querySelector(`option[value="${this.synthId}"]`);
+        if (option) option.textContent = name;
+    }
+
+    updateKeyLabel() {
+        const key = parseInt(this.keyInput.value);
+        const frequency = this.pianoRoll.tuning.getFrequency(key);
+        this.keyLabel.textContent = `Key ${key} (${frequency.toFixed(1)} Hz)`;
+    }
+
+    startAudition() {
+        if (!this.synthId) return;
+        
+        this.stopAudition();
+        this.auditionKey = parseInt(this.keyInput.value);
+        this.pianoRoll.audioEngine.playNote(this.auditionKey, 100, this.synthId, false);
+    }
+
+    stopAudition() {
+        if (this.auditionKey === null) return;
+        
+        this.pianoRoll.audioEngine.stopNote(this.auditionKey);
+        this.auditionKey = null;
+    }
+
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,305 @@
+const DEFAULT_SYNTH = {
+    oscillator: { waveform: 'sawtooth', level: 0.8 },
+    fm: { enabled: false, waveform: 'sine', ratio: 2, index: 2 }, // Modulator at ratio × the note frequency, swinging the carrier by index × its own frequency
+    noise: { enabled: false, color: 'white', level: 0.5 },
+    envelope: { attack: 0.01, decay: 0.2, sustain: 0.7, release: 0.2 }, // Seconds, sustain as a level of 0-1
+    filter: { enabled: false, type: 'lowpass', frequency: 1200, q: 1, amount: 2, attack: 0.01, decay: 0.3, sustain: 0.2, release: 0.2 }, // Envelope amount in octaves above the cutoff
+    lfo: { rate: 5, vibrato: 0, tremolo: 0, delay: 0 } // Vibrato in cents, tremolo as a depth of 0-1, delay in seconds
+};
+
+const NOISE_LENGTH = 2; // Seconds of looped noise
+const NOISE_SEED = 38; // Fixed seed so live playback and offline renders hiss alike
+const MIN_RAMP = 0.002; // Shortest envelope stage, so zero-length stages don't click
+
+// Noise buffers per audio context and colour
+const noiseBuffers = new WeakMap();
+
+/**
+ * One note of a synth instrument: oscillator (optionally frequency-modulated by a second
+ * oscillator) and noise, through an optional filter with its own envelope, shaped by an ADSR
+ * amplitude envelope and an LFO for vibrato and tremolo. Connects to a destination node
+ * (the note's gain and panner) the way a sample buffer source does.
+ */
+export class SynthVoice {
+    /**
+     * @param {BaseAudioContext} audioContext - Context the nodes belong to
+     * @param {Object} settings - Synth settings (missing ones get defaults)
+     * @param {number} frequency - Note frequency in Hz
+     * @param {AudioNode} destination - Node the voice plays into
+     */
+    constructor(audioContext, settings, frequency, destination) {
+        const ctx = audioContext;
+        this.audioContext = ctx;
+        this.settings = SynthVoice.normalizeSettings(settings);
+        this.startTime = null;
+        this.releaseTime = null;
+        this.endTime = null;
+        this.sources = [];
+        this.nodes = [];
+        
+        const { oscillator, fm, noise, filter, lfo } = this.settings;
+        
+        // Envelope, then tremolo, then out
+        this.amp = this.createNode(ctx.createGain());
+        this.tremolo = this.createNode(ctx.createGain());
+        this.amp.gain.value = 0;
+        this.amp.connect(this.tremolo);
+        this.tremolo.connect(destination);
+        
+        let input = this.amp;
+        if (filter.enabled) {
+            this.filter = this.createNode(ctx.createBiquadFilter());
+            this.filter.type = filter.type;
+            this.filter.frequency.value = filter.frequency;
+            this.filter.Q.value = filter.q;
+            this.filter.connect(this.amp);
+            input = this.filter;
+        }
+        
+        // Pitch offset in cents shared by the oscillators, for bends and slides
+        this.pitch = this.createSource(ctx.createConstantSource());
+        this.pitch.offset.value = 0;
+        this.oscillators = [];
+        
+        if (oscillator.level > 0) {
+            this.carrier = this.createSource(ctx.createOscillator());
+            this.carrier.type = oscillator.waveform;
+            this.carrier.frequency.value = frequency;
+            const level = this.createNode(ctx.createGain());
+            level.gain.value = oscillator.level;
+            this.carrier.connect(level);
+            level.connect(input);
+            this.oscillators.push(this.carrier);
+            
+            if (fm.enabled) {
+                this.modulator = this.createSource(ctx.createOscillator());
+                this.modulator.type = fm.waveform;
+                this.modulator.frequency.value = frequency * fm.ratio;
+                this.modulationDepth = this.createNode(ctx.createGain());
+                this.modulationDepth.gain.value = frequency * fm.ratio * fm.index;
+                this.modulator.connect(this.modulationDepth);
+                this.modulationDepth.connect(this.carrier.frequency);
+                this.oscillators.push(this.modulator);
+            }
+        }
+        this.oscillators.forEach(node => this.pitch.connect(node.detune));
+        
+        if (noise.enabled) {
+            const source = this.createSource(ctx.createBufferSource());
+            source.buffer = SynthVoice.getNoiseBuffer(ctx, noise.color);
+            source.loop = true;
+            const level = this.createNode(ctx.createGain());
+            level.gain.value = noise.level;
+            source.connect(level);
+            level.connect(input);
+        }
+        
+        if (lfo.vibrato > 0 || lfo.tremolo > 0) {
+            this.lfo = this.createSource(ctx.createOscillator());
+            this.lfo.frequency.value = lfo.rate;
+            this.vibrato = this.createNode(ctx.createGain());
+            this.vibrato.gain.value = 0;
+            this.lfo.connect(this.vibrato);
+            this.oscillators.forEach(node => this.vibrato.connect(node.detune));
+            this.tremoloDepth = this.createNode(ctx.createGain());
+            this.tremoloDepth.gain.value = 0;
+            this.lfo.connect(this.tremoloDepth);
+            this.tremoloDepth.connect(this.tremolo.gain);
+        }
+    }
+
+    /**
+     * Full settings with defaults for anything missing, as a fresh copy
+     * @param {Object} settings - Saved settings (or null for all defaults)
+     */
+    static normalizeSettings(settings = null) {
+        const result = {};
+        for (const section of Object.keys(DEFAULT_SYNTH)) {
+            result[section] = { ...DEFAULT_SYNTH[section], ...(settings?.[section] || {}) };
+        }
+        return result;
+    }
+
+    /**
+     * Looped noise of a colour: white (flat), pink (-3 dB per octave) or brown (-6 dB per octave)
+     */
+    static getNoiseBuffer(audioContext, color) {
+        if (!noiseBuffers.has(audioContext)) {
+            noiseBuffers.set(audioContext, {});
+        }
+        const cache = noiseBuffers.get(audioContext);
+        if (cache[color]) return cache[color];
+        
+        const length = Math.floor(audioContext.sampleRate * NOISE_LENGTH);
+        const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        let seed = NOISE_SEED;
+        let b0 = 0, b1 = 0, b2 = 0, brown = 0;
+        for (let i = 0; i < length; i++) {
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            const white = (seed / 0x100000000) * 2 - 1;
+            if (color === 'pink') {
+                // Paul Kellet's economy pink filter
+                b0 = 0.99765 * b0 + white * 0.0990460;
+                b1 = 0.96300 * b1 + white * 0.2965164;
+                b2 = 0.57000 * b2 + white * 1.0526913;
+                data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.2;
+            } else if (color === 'brown') {
+                brown = (brown + 0.02 * white) / 1.02;
+                data[i] = brown * 3.5;
+            } else {
+                data[i] = white;
+            }
+        }
+        
+        cache[color] = buffer;
+        return buffer;
+    }
+
+    /**
+     * Level of an ADSR envelope some time after its start, before release
+     * @param {Object} envelope - { attack, decay, sustain }
+     * @param {number} elapsed - Seconds since the start
+     */
+    static getEnvelopeLevel(envelope, elapsed) {
+        const attack = Math.max(MIN_RAMP, envelope.attack);
+        const decay = Math.max(MIN_RAMP, envelope.decay);
+        if (elapsed <= 0) return 0;
+        if (elapsed < attack) return elapsed / attack;
+        if (elapsed < attack + decay) return 1 - (1 - envelope.sustain) * (elapsed - attack) / decay;
+        return envelope.sustain;
+    }
+
+    /**
+     * Schedule an ADSR envelope on a parameter, from 0 up to peak, and down to 0 again from releaseTime
+     * Stages cut short by the release are scheduled only as far as they get.
+     */
+    static scheduleEnvelope(param, envelope, peak, start, releaseTime = null) {
+        const attackEnd = start + Math.max(MIN_RAMP, envelope.attack);
+        const decayEnd = attackEnd + Math.max(MIN_RAMP, envelope.decay);
+        const end = releaseTime === null ? Infinity : releaseTime;
+        
+        param.cancelScheduledValues(start);
+        param.setValueAtTime(0, start);
+        if (end >= attackEnd) {
+            param.linearRampToValueAtTime(peak, attackEnd);
+        }
+        if (end >= decayEnd) {
+            param.linearRampToValueAtTime(envelope.sustain * peak, decayEnd);
+        }
+        if (releaseTime === null) return;
+        
+        const level = this.getEnvelopeLevel(envelope, releaseTime - start) * peak;
+        if (end >= decayEnd) {
+            param.setValueAtTime(level, releaseTime);
+        } else {
+            param.linearRampToValueAtTime(level, releaseTime);
+        }
+        param.linearRampToValueAtTime(0, releaseTime + Math.max(MIN_RAMP, envelope.release));
+    }
+
+    createNode(node) {
+        this.nodes.push(node);
+        return node;
+    }
+
+    createSource(node) {
+        this.sources.push(node);
+        return this.createNode(node);
+    }
+
+    /**
+     * Start the voice and its envelopes
+     * @param {number} when - Audio context time
+     */
+    start(when) {
+        const { envelope, filter, lfo } = this.settings;
+        this.startTime = when;
+        
+        SynthVoice.scheduleEnvelope(this.amp.gain, envelope, 1, when);
+        if (this.filter) {
+            SynthVoice.scheduleEnvelope(this.filter.detune, filter, filter.amount * 1200, when);
+        }
+        
+        // Tremolo swings the level between 1 and 1 - depth; both LFO depths fade in after the delay
+        if (this.lfo) {
+            const fadeEnd = when + Math.max(MIN_RAMP, lfo.delay);
+            this.tremolo.gain.setValueAtTime(1, when);
+            this.tremolo.gain.linearRampToValueAtTime(1 - lfo.tremolo / 2, fadeEnd);
+            this.tremoloDepth.gain.setValueAtTime(0, when);
+            this.tremoloDepth.gain.linearRampToValueAtTime(lfo.tremolo / 2, fadeEnd);
+            this.vibrato.gain.setValueAtTime(0, when);
+            this.vibrato.gain.linearRampToValueAtTime(lfo.vibrato, fadeEnd);
+        }
+        
+        this.sources.forEach(source => source.start(when));
+    }
+
+    /**
+     * Apply a pitch bend or slide
+     * @param {Array} pitchCurve - [{ time, cents }], in seconds from the note start
+     */
+    setPitchCurve(pitchCurve, start) {
+        (pitchCurve || []).forEach((point, index) => {
+            if (index === 0) {
+                this.pitch.offset.setValueAtTime(point.cents, start + point.time);
+            } else {
+                this.pitch.offset.linearRampToValueAtTime(point.cents, start + point.time);
+            }
+        });
+    }
+
+    /**
+     * Move to a new note frequency (glissando on the piano keys)
+     * @param {number} frequency - Hz
+     * @param {number} time - Audio context time
+     * @param {number} rampTime - Seconds to glide over (0 to jump)
+     */
+    glideTo(frequency, time, rampTime) {
+        const { fm } = this.settings;
+        const targets = [];
+        if (this.carrier) targets.push([this.carrier.frequency, frequency]);
+        if (this.modulator) {
+            targets.push([this.modulator.frequency, frequency * fm.ratio]);
+            targets.push([this.modulationDepth.gain, frequency * fm.ratio * fm.index]);
+        }
+        
+        targets.forEach(([param, value]) => {
+            param.cancelScheduledValues(time);
+            param.setValueAtTime(param.value, time);
+            if (rampTime > 0) {
+                param.linearRampToValueAtTime(value, time + rampTime);
+            } else {
+                param.setValueAtTime(value, time);
+            }
+        });
+    }
+
+    /**
+     * Let the note go: the envelopes fall to zero over their release times, then the voice stops
+     * @param {number} time - Audio context time of the note off
+     * @returns {number} Time the voice falls silent
+     */
+    release(time) {
+        const releaseTime = Math.max(time, this.startTime);
+        if (this.releaseTime !== null && this.releaseTime <= releaseTime) {
+            return this.endTime;
+        }
+        
+        const { envelope, filter } = this.settings;
+        this.releaseTime = releaseTime;
+        SynthVoice.scheduleEnvelope(this.amp.gain, envelope, 1, this.startTime, releaseTime);
+        if (this.filter) {
+            SynthVoice.scheduleEnvelope(this.filter.detune, filter, filter.amount * 1200, this.startTime, releaseTime);
+        }
+        
+        this.endTime = releaseTime + Math.max(MIN_RAMP, envelope.release);
+        this.sources.forEach(source => source.stop(this.endTime));
+        return this.endTime;
+    }
+
+    disconnect() {
+        this.nodes.forEach(node => node.disconnect());
+    }
+}
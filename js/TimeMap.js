@@ -0,0 +1,243 @@
+import { DEFAULT_BPM, BEATS_PER_MEASURE } from './constants.js';
+
+/**
+ * Song-level tempo and time signature map
+ * Positions are measured in beats (quarter notes, GRID_WIDTH pixels each).
+ * Tempo changes are placed on beats, time signature changes on measure numbers.
+ */
+export class TimeMap {
+    constructor(bpm = DEFAULT_BPM) {
+        this.tempos = [{ beat: 0, bpm }];
+        this.meters = [{ measure: 0, numerator: BEATS_PER_MEASURE, denominator: 4 }];
+    }
+
+    /**
+     * Create a time map from saved data
+     * @param {Object} data - { tempos: [{beat, bpm}], meters: [{measure, numerator, denominator}] }
+     * @param {number} bpm - Tempo to use when the data has no tempo at beat 0
+     * @returns {TimeMap} New time map
+     */
+    static fromJSON(data, bpm = DEFAULT_BPM) {
+        const timeMap = new TimeMap(bpm);
+        if (!data) return timeMap;
+        
+        (data.tempos || []).forEach(tempo => timeMap.setTempoChange(tempo.beat, tempo.bpm));
+        (data.meters || []).forEach(meter => timeMap.setMeterChange(meter.measure, meter.numerator, meter.denominator));
+        return timeMap;
+    }
+
+    /**
+     * Serialize for saving
+     */
+    toJSON() {
+        return {
+            tempos: this.tempos.map(tempo => ({ ...tempo })),
+            meters: this.meters.map(meter => ({ ...meter }))
+        };
+    }
+
+    /**
+     * Create an independent copy
+     */
+    clone() {
+        return TimeMap.fromJSON(this.toJSON(), this.tempos[0].bpm);
+    }
+
+    /**
+     * Whether the song uses a single tempo and 4/4 throughout
+     */
+    isSimple() {
+        return this.tempos.length === 1 && this.meters.length === 1 &&
+               this.meters[0].numerator === BEATS_PER_MEASURE && this.meters[0].denominator === 4;
+    }
+
+    /**
+     * Get the starting tempo
+     */
+    getInitialTempo() {
+        return this.tempos[0].bpm;
+    }
+
+    /**
+     * Set the starting tempo
+     */
+    setTempo(bpm) {
+        this.tempos[0].bpm = bpm;
+    }
+
+    /**
+     * Add or replace a tempo change
+     * @param {number} beat - Position in beats
+     * @param {number} bpm - Tempo from this position on
+     */
+    setTempoChange(beat, bpm) {
+        beat = Math.max(0, beat);
+        const existing = this.tempos.find(tempo => Math.abs(tempo.beat - beat) < 1e-6);
+        if (existing) {
+            existing.bpm = bpm;
+        } else {
+            this.tempos.push({ beat, bpm });
+            this.tempos.sort((a, b) => a.beat - b.beat);
+        }
+    }
+
+    /**
+     * Remove a tempo change (the starting tempo cannot be removed)
+     */
+    removeTempoChange(beat) {
+        this.tempos = this.tempos.filter(tempo => tempo.beat === 0 || Math.abs(tempo.beat - beat) >= 1e-6);
+    }
+
+    /**
+     * Add or replace a time signature change
+     * @param {number} measure - Measure the signature starts at
+     * @param {number} numerator - Beats per measure
+     * @param {number} denominator - Beat unit (4 = quarter, 8 = eighth)
+     */
+    setMeterChange(measure, numerator, denominator) {
+        measure = Math.max(0, Math.round(measure));
+        const existing = this.meters.find(meter => meter.measure === measure);
+        if (existing) {
+            existing.numerator = numerator;
+            existing.denominator = denominator;
+        } else {
+            this.meters.push({ measure, numerator, denominator });
+            this.meters.sort((a, b) => a.measure - b.measure);
+        }
+    }
+
+    /**
+     * Remove a time signature change (the starting signature cannot be removed)
+     */
+    removeMeterChange(measure) {
+        this.meters = this.meters.filter(meter => meter.measure === 0 || meter.measure !== measure);
+    }
+
+    /**
+     * Get the time signature in effect at a measure
+     */
+    getMeterAt(measure) {
+        let current = this.meters[0];
+        for (const meter of this.meters) {
+            if (meter.measure > measure) break;
+            current = meter;
+        }
+        return current;
+    }
+
+    /**
+     * Get the length of a measure in beats
+     */
+    getMeasureLength(measure) {
+        const meter = this.getMeterAt(measure);
+        return meter.numerator * 4 / meter.denominator;
+    }
+
+    /**
+     * Get the beat at which a measure starts
+     */
+    getMeasureStart(measure) {
+        let beat = 0;
+        for (let i = 0; i < this.meters.length; i++) {
+            const meter = this.meters[i];
+            if (meter.measure >= measure) break;
+            
+            const segmentEnd = i + 1 < this.meters.length ? Math.min(this.meters[i + 1].measure, measure) : measure;
+            beat += (segmentEnd - meter.measure) * meter.numerator * 4 / meter.denominator;
+        }
+        return beat;
+    }
+
+    /**
+     * Get the measure containing a beat
+     */
+    getMeasureAtBeat(beat) {
+        let segmentBeat = 0;
+        for (let i = 0; i < this.meters.length; i++) {
+            const meter = this.meters[i];
+            const measureLength = meter.numerator * 4 / meter.denominator;
+            const next = this.meters[i + 1];
+            
+            if (next) {
+                const segmentLength = (next.measure - meter.measure) * measureLength;
+                if (beat < segmentBeat + segmentLength) {
+                    return meter.measure + Math.floor((beat - segmentBeat) / measureLength);
+                }
+                segmentBeat += segmentLength;
+            } else {
+                return meter.measure + Math.floor(Math.max(0, beat - segmentBeat) / measureLength);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Get the number of measures needed to reach a beat (partial measures count)
+     */
+    getMeasuresUntil(beat) {
+        const measure = this.getMeasureAtBeat(beat);
+        return this.getMeasureStart(measure) < beat ? measure + 1 : measure;
+    }
+
+    /**
+     * Get the tempo in effect at a beat
+     */
+    getTempoAt(beat) {
+        let current = this.tempos[0];
+        for (const tempo of this.tempos) {
+            if (tempo.beat > beat) break;
+            current = tempo;
+        }
+        return current.bpm;
+    }
+
+    /**
+     * Get the time in seconds between two beats
+     * @param {number} startBeat - Start position in beats
+     * @param {number} endBeat - End position in beats
+     * @returns {number} Duration in seconds
+     */
+    getSecondsBetween(startBeat, endBeat) {
+        let seconds = 0;
+        for (let i = 0; i < this.tempos.length; i++) {
+            const segmentStart = Math.max(startBeat, this.tempos[i].beat);
+            const segmentEnd = i + 1 < this.tempos.length ? Math.min(endBeat, this.tempos[i + 1].beat) : endBeat;
+            if (segmentEnd > segmentStart) {
+                seconds += (segmentEnd - segmentStart) * 60 / this.tempos[i].bpm;
+            }
+        }
+        return seconds;
+    }
+
+    /**
+     * Get the beat reached a number of seconds after a beat (the inverse of getSecondsBetween)
+     * @param {number} startBeat - Start position in beats
+     * @param {number} seconds - Time elapsed
+     * @returns {number} Position in beats
+     */
+    getBeatAfterSeconds(startBeat, seconds) {
+        let beat = startBeat;
+        let remaining = seconds;
+        for (let i = 0; i < this.tempos.length; i++) {
+            const segmentEnd = i + 1 < this.tempos.length ? this.tempos[i + 1].beat : Infinity;
+            if (segmentEnd <= beat) continue;
+            
+            const bpm = this.tempos[i].bpm;
+            const segmentSeconds = (segmentEnd - beat) * 60 / bpm;
+            if (remaining <= segmentSeconds) {
+                return beat + remaining * bpm / 60;
+            }
+            remaining -= segmentSeconds;
+            beat = segmentEnd;
+        }
+        return beat;
+    }
+
+    /**
+     * Get the duration of a measure in seconds
+     */
+    getMeasureDuration(measure) {
+        const start = this.getMeasureStart(measure);
+        return this.getSecondsBetween(start, start + this.getMeasureLength(measure));
+    }
+}
@@ -0,0 +1,387 @@
+import { PIANO_KEY_WIDTH, GRID_WIDTH, BEATS_PER_MEASURE, COLORS } from './constants.js';
+
+const HANDLE_GRAB_WIDTH = 6; // Pixels either side of a loop handle that pick it up
+const SCRUB_PREVIEW_TIME = 0.15; // Longest a note sounds while scrubbing, in seconds
+const MAX_SCRUB_NOTES = 8; // Notes sounded per mouse move, so a fast drag doesn't blast the whole song
+
+/**
+ * TimelineRuler - Measure ruler above the grid
+ * Clicking moves the playhead (mid-measure too), dragging scrubs through the song sounding
+ * the notes it passes, and dragging the A/B handles moves the loop start and end.
+ */
+export class TimelineRuler {
+    constructor(canvas, pianoRoll) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.pianoRoll = pianoRoll;
+        this.scrollX = pianoRoll.scrollX || 0;
+        this.dragMode = null; // 'scrub', 'loopStart' or 'loopEnd' while dragging
+        this.scrubBeat = null;
+        this.resumeAfterScrub = false;
+        this.frame = null;
+        
+        this.resize();
+        this.setupEventListeners();
+        this.draw();
+    }
+    
+    resize() {
+        const container = this.canvas.parentElement;
+        this.canvas.width = container.clientWidth;
+        this.canvas.height = container.clientHeight;
+        this.draw();
+    }
+    
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('mousemove', this.handleHover.bind(this));
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        
+        // Drags carry on outside the ruler
+        window.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        window.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        
+        // Touch events
+        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
+        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
+        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
+        this.canvas.addEventListener('touchcancel', this.handleTouchEnd.bind(this), { passive: false });
+        
+        // Handle window resize
+        window.addEventListener('resize', () => {
+            this.resize();
+        });
+        
+        // Listen for piano roll changes
+        this.pianoRoll.addEventListener('scroll', (data) => {
+            this.scrollX = data.scrollX;
+            this.draw();
+        });
+        this.pianoRoll.addEventListener('playbackUpdate', () => this.draw());
+        this.pianoRoll.addEventListener('loopChanged', () => this.draw());
+        this.pianoRoll.addEventListener('timeMapChanged', () => this.draw());
+    }
+    
+    /**
+     * Position of a mouse event in the scrolled content
+     */
+    getEventX(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return e.clientX - rect.left + this.scrollX;
+    }
+    
+    /**
+     * Beat under an x position, snapped to the grid when snapping is on
+     */
+    getBeatAtX(x) {
+        const beat = Math.max(0, (x - PIANO_KEY_WIDTH) / this.pianoRoll.gridWidth);
+        if (!this.pianoRoll.gridSnap) return beat;
+        
+        const step = BEATS_PER_MEASURE / this.pianoRoll.getSnapDivisions();
+        return Math.round(beat / step) * step;
+    }
+    
+    /**
+     * Measure line nearest an x position
+     */
+    getNearestMeasure(x) {
+        const measure = this.pianoRoll.getMeasureAtX(x);
+        const startX = this.pianoRoll.getMeasureX(measure);
+        const endX = this.pianoRoll.getMeasureX(measure + 1);
+        return x - startX > endX - x ? measure + 1 : measure;
+    }
+    
+    /**
+     * Loop handle under an x position
+     * @returns {string|null} 'loopStart', 'loopEnd' or null
+     */
+    getHandleAt(x) {
+        const startX = this.pianoRoll.getMeasureX(this.pianoRoll.loopStart);
+        const endX = this.pianoRoll.getMeasureX(this.pianoRoll.loopEnd);
+        const startDistance = Math.abs(x - startX);
+        const endDistance = Math.abs(x - endX);
+        
+        if (Math.min(startDistance, endDistance) > HANDLE_GRAB_WIDTH) return null;
+        return startDistance < endDistance ? 'loopStart' : 'loopEnd';
+    }
+    
+    handleMouseDown(e) {
+        const x = this.getEventX(e);
+        if (x - this.scrollX < PIANO_KEY_WIDTH) return;
+        
+        this.dragMode = this.getHandleAt(x);
+        if (this.dragMode) {
+            this.moveLoopHandle(x);
+            return;
+        }
+        
+        // Playback pauses while scrubbing and picks up from wherever the drag ends
+        this.dragMode = 'scrub';
+        this.resumeAfterScrub = this.pianoRoll.isPlaying;
+        if (this.resumeAfterScrub) {
+            this.pianoRoll.pause();
+        }
+        this.scrubBeat = this.getBeatAtX(x);
+        this.pianoRoll.seek(this.scrubBeat);
+    }
+    
+    handleMouseMove(e) {
+        if (!this.dragMode) return;
+        
+        const x = this.getEventX(e);
+        if (this.dragMode === 'scrub') {
+            const beat = this.getBeatAtX(x);
+            if (beat === this.scrubBeat) return;
+            
+            this.previewNotesBetween(this.scrubBeat, beat);
+            this.scrubBeat = beat;
+            this.pianoRoll.seek(beat);
+        } else {
+            this.moveLoopHandle(x);
+        }
+    }
+    
+    handleMouseUp() {
+        if (!this.dragMode) return;
+        
+        if (this.dragMode === 'scrub' && this.resumeAfterScrub) {
+            this.pianoRoll.play();
+        }
+        this.dragMode = null;
+        this.scrubBeat = null;
+        this.resumeAfterScrub = false;
+    }
+    
+    handleHover(e) {
+        if (this.dragMode) return;
+        
+        const x = this.getEventX(e);
+        const overHandle = x - this.scrollX >= PIANO_KEY_WIDTH && this.getHandleAt(x);
+        this.canvas.style.cursor = overHandle ? 'ew-resize' : 'pointer';
+    }
+    
+    /**
+     * Put the dragged loop handle on the measure line nearest x, keeping the loop at least a measure long
+     */
+    moveLoopHandle(x) {
+        const measure = this.getNearestMeasure(x);
+        const { loopEnabled, loopStart, loopEnd, totalMeasures } = this.pianoRoll;
+        
+        if (this.dragMode === 'loopStart') {
+            const start = Math.max(0, Math.min(loopEnd - 1, measure));
+            if (start !== loopStart) this.pianoRoll.setLoop(loopEnabled, start, loopEnd);
+        } else {
+            const end = Math.max(loopStart + 1, Math.min(totalMeasures - 1, measure));
+            if (end !== loopEnd) this.pianoRoll.setLoop(loopEnabled, loopStart, end);
+        }
+    }
+    
+    /**
+     * Briefly sound the notes starting between two positions, as the scrub passes them
+     * @param {number} fromBeat - Previous scrub position (its notes have already sounded)
+     * @param {number} toBeat - New scrub position
+     */
+    previewNotesBetween(fromBeat, toBeat) {
+        const { noteManager, audioEngine, timeMap } = this.pianoRoll;
+        const fromX = PIANO_KEY_WIDTH + fromBeat * GRID_WIDTH;
+        const toX = PIANO_KEY_WIDTH + toBeat * GRID_WIDTH;
+        const lowX = Math.min(fromX, toX);
+        const highX = Math.max(fromX, toX);
+        
+        const notes = noteManager.index.query(lowX, highX)
+            .filter(note => note.x >= lowX && note.x <= highX && note.x !== fromX)
+            .slice(0, MAX_SCRUB_NOTES);
+        
+        notes.forEach(note => {
+            const startBeat = (note.x - PIANO_KEY_WIDTH) / GRID_WIDTH;
+            const duration = Math.min(SCRUB_PREVIEW_TIME, timeMap.getSecondsBetween(startBeat, startBeat + note.width / GRID_WIDTH));
+            audioEngine.playNote(note.key, note.velocity, note.instrument, false, note.pan, 0, duration, note.pipi,
+                null, null, note.freqAdjust || 0, null, null, note.track ?? null);
+        });
+    }
+    
+    draw() {
+        const { width, height } = this.canvas;
+        const pianoRoll = this.pianoRoll;
+        
+        this.ctx.fillStyle = '#1e1e1e';
+        this.ctx.fillRect(0, 0, width, height);
+        
+        // Adjust for scroll
+        this.ctx.save();
+        this.ctx.translate(-this.scrollX, 0);
+        
+        this.drawLoopRange();
+        this.drawMeasures();
+        this.drawPlayhead();
+        
+        this.ctx.restore();
+        
+        // Draw label area background to match piano keys, with the playhead position
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(0, 0, PIANO_KEY_WIDTH, height);
+        this.ctx.strokeStyle = '#444';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(PIANO_KEY_WIDTH, 0);
+        this.ctx.lineTo(PIANO_KEY_WIDTH, height);
+        this.ctx.stroke();
+        
+        if (pianoRoll.isPlaying || pianoRoll.isPaused) {
+            this.ctx.fillStyle = '#ccc';
+            this.ctx.font = '11px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(this.formatPosition(pianoRoll.getPlayPosition()), PIANO_KEY_WIDTH / 2, height / 2 + 4);
+        }
+        
+        // Keep the playhead moving while the song plays
+        if (pianoRoll.isPlaying && !this.frame) {
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.draw();
+            });
+        }
+    }
+    
+    /**
+     * Measure lines, beat ticks and numbers, with time signature and tempo changes
+     */
+    drawMeasures() {
+        const pianoRoll = this.pianoRoll;
+        const timeMap = pianoRoll.timeMap;
+        const height = this.canvas.height;
+        const viewRight = this.scrollX + this.canvas.width;
+        
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.lineWidth = 1;
+        
+        for (let measure = pianoRoll.getMeasureAtX(this.scrollX); measure < pianoRoll.totalMeasures; measure++) {
+            const x = pianoRoll.getMeasureX(measure);
+            if (x > viewRight) break;
+            
+            this.ctx.strokeStyle = '#555';
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, height);
+            this.ctx.stroke();
+            
+            // Beat ticks follow the signature's beat unit
+            const meter = timeMap.getMeterAt(measure);
+            const beatWidth = pianoRoll.gridWidth * 4 / meter.denominator;
+            this.ctx.strokeStyle = '#3a3a3a';
+            this.ctx.beginPath();
+            for (let beat = 1; beat < meter.numerator; beat++) {
+                this.ctx.moveTo(x + beat * beatWidth, height * 0.65);
+                this.ctx.lineTo(x + beat * beatWidth, height);
+            }
+            this.ctx.stroke();
+            
+            const number = (measure + 1).toString();
+            this.ctx.fillStyle = COLORS.text;
+            this.ctx.fillText(number, x + 4, 11);
+            
+            // Label time signature and tempo changes at the start of the measure
+            const labels = [];
+            if (meter.measure === measure && (measure > 0 || !timeMap.isSimple())) {
+                labels.push(`${meter.numerator}/${meter.denominator}`);
+            }
+            const startBeat = timeMap.getMeasureStart(measure);
+            const endBeat = startBeat + timeMap.getMeasureLength(measure);
+            timeMap.tempos
+                .filter(tempo => tempo.beat > 0 && tempo.beat >= startBeat && tempo.beat < endBeat)
+                .forEach(tempo => labels.push(`\u2669=${Math.round(tempo.bpm)}`));
+            
+            if (labels.length > 0) {
+                this.ctx.fillStyle = COLORS.loopMarker;
+                this.ctx.fillText(labels.join(' '), x + 10 + this.ctx.measureText(number).width, 11);
+            }
+        }
+    }
+    
+    /**
+     * Loop range along the bottom with its A and B handles, dimmed while looping is off
+     */
+    drawLoopRange() {
+        const pianoRoll = this.pianoRoll;
+        const height = this.canvas.height;
+        const startX = pianoRoll.getMeasureX(pianoRoll.loopStart);
+        const endX = pianoRoll.getMeasureX(pianoRoll.loopEnd);
+        const top = height - 8;
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = pianoRoll.loopEnabled ? 1 : 0.35;
+        this.ctx.fillStyle = 'rgba(255, 170, 0, 0.3)';
+        this.ctx.fillRect(startX, top, endX - startX, height - top);
+        
+        this.ctx.fillStyle = COLORS.loopMarker;
+        this.ctx.font = 'bold 9px Arial';
+        this.ctx.textAlign = 'center';
+        [[startX, 'A', 1], [endX, 'B', -1]].forEach(([x, label, direction]) => {
+            // Flag pointing into the loop
+            this.ctx.fillRect(x - 1, top - 6, 2, height - top + 6);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, top - 6);
+            this.ctx.lineTo(x + direction * 10, top - 1);
+            this.ctx.lineTo(x, top + 4);
+            this.ctx.fill();
+            this.ctx.fillText(label, x + direction * 14, top + 2);
+        });
+        this.ctx.restore();
+    }
+    
+    drawPlayhead() {
+        const pianoRoll = this.pianoRoll;
+        if (!pianoRoll.isPlaying && !pianoRoll.isPaused) return;
+        
+        const x = PIANO_KEY_WIDTH + pianoRoll.getPlayPosition() * pianoRoll.gridWidth;
+        this.ctx.fillStyle = COLORS.playhead;
+        this.ctx.fillRect(x - 1, 0, 2, this.canvas.height);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x - 5, 0);
+        this.ctx.lineTo(x + 5, 0);
+        this.ctx.lineTo(x, 6);
+        this.ctx.fill();
+    }
+    
+    /**
+     * Position as measure.beat (1-based, in the measure's own beat unit)
+     */
+    formatPosition(position) {
+        const timeMap = this.pianoRoll.timeMap;
+        const measure = timeMap.getMeasureAtBeat(position);
+        const meter = timeMap.getMeterAt(measure);
+        const beat = (position - timeMap.getMeasureStart(measure)) * meter.denominator / 4;
+        return `${measure + 1}.${Math.floor(beat + 1e-6) + 1}`;
+    }
+    
+    /**
+     * Handle touch start
+     */
+    handleTouchStart(e) {
+        e.preventDefault();
+        if (e.touches.length === 1) {
+            const touch = e.touches[0];
+            this.handleMouseDown({ clientX: touch.clientX, clientY: touch.clientY });
+        }
+    }
+    
+    /**
+     * Handle touch move
+     */
+    handleTouchMove(e) {
+        e.preventDefault();
+        if (e.touches.length === 1) {
+            const touch = e.touches[0];
+            this.handleMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+        }
+    }
+    
+    /**
+     * Handle touch end
+     */
+    handleTouchEnd(e) {
+        e.preventDefault();
+        this.handleMouseUp();
+    }
+}
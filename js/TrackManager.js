@@ -0,0 +1,245 @@
+import { INSTRUMENT_COLOR_PALETTE } from './constants.js';
+import { EffectsChain } from './EffectsChain.js';
+
+// Properties undo/redo restores on tracks that still exist; their mixer settings are left alone
+const TRACK_LAYOUT_KEYS = ['id', 'name', 'instrument', 'color'];
+
+/**
+ * Named tracks that notes belong to
+ * Each note points at its track through note.track (the track id). A track has its own name,
+ * instrument, colour and mixer settings (including insert effects), so several tracks can play the same instrument.
+ */
+export class TrackManager {
+    constructor() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Create a track at the end of the list
+     * @param {Object} data - Track properties; missing ones get defaults
+     * @returns {Object} The created track
+     */
+    createTrack(data = {}) {
+        const instrument = data.instrument || 'ORG_M00';
+        const id = Number.isInteger(data.id) && !this.getTrack(data.id) ? data.id : this.nextId;
+        
+        const track = {
+            id,
+            name: data.name || this.getDefaultName(instrument),
+            instrument,
+            color: data.color ? { ...data.color } : this.pickColor(instrument),
+            volume: data.volume !== undefined ? data.volume : 100,
+            pan: data.pan || 0,
+            muted: data.muted || false,
+            solo: data.solo || false,
+            locked: data.locked || false,
+            effects: EffectsChain.normalizeSettings(data.effects)
+        };
+        
+        this.nextId = Math.max(this.nextId, id + 1);
+        this.tracks.push(track);
+        return track;
+    }
+
+    /**
+     * Remove a track (its notes are left to the caller)
+     * @returns {boolean} Whether the track existed
+     */
+    removeTrack(id) {
+        const index = this.tracks.findIndex(track => track.id === id);
+        if (index === -1) return false;
+        
+        this.tracks.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Move a track to a new position in the list
+     * @param {number} id - Track id
+     * @param {number} index - New index, clamped to the list
+     */
+    moveTrack(id, index) {
+        const from = this.tracks.findIndex(track => track.id === id);
+        if (from === -1) return;
+        
+        const [track] = this.tracks.splice(from, 1);
+        this.tracks.splice(Math.max(0, Math.min(this.tracks.length, index)), 0, track);
+    }
+
+    getTrack(id) {
+        return this.tracks.find(track => track.id === id) || null;
+    }
+
+    /**
+     * First track playing an instrument, or null
+     */
+    findTrackForInstrument(instrument) {
+        return this.tracks.find(track => track.instrument === instrument) || null;
+    }
+
+    /**
+     * Notes on locked tracks are shown but cannot be edited
+     */
+    isNoteLocked(note) {
+        const track = this.getTrack(note.track);
+        return track ? track.locked : false;
+    }
+
+    /**
+     * Whether a track should sound: it is not muted, and is soloed when any track is
+     */
+    isTrackAudible(track) {
+        if (track.muted) return false;
+        return track.solo || !this.tracks.some(other => other.solo);
+    }
+
+    /**
+     * Whether a note's track should sound
+     */
+    isNoteAudible(note) {
+        const track = this.getTrack(note.track);
+        return track ? this.isTrackAudible(track) : true;
+    }
+
+    /**
+     * Give notes without a valid track one: songs saved before tracks existed get one track
+     * per original ORG track and instrument, other notes join the first track of their instrument
+     * @param {Array} notes - Notes (or note data) to assign; note.track is set in place
+     */
+    assignNotes(notes) {
+        const created = new Map();
+        
+        for (const note of notes) {
+            if (this.getTrack(note.track)) continue;
+            
+            const instrument = note.instrument || 'ORG_M00';
+            const hasOrgTrack = note.orgTrack !== null && note.orgTrack !== undefined;
+            const key = hasOrgTrack ? `${note.orgTrack}:${instrument}` : instrument;
+            
+            let track = created.get(key) || (hasOrgTrack ? null : this.findTrackForInstrument(instrument));
+            if (!track) {
+                track = this.createTrack({ instrument });
+                created.set(key, track);
+            }
+            note.track = track.id;
+        }
+    }
+
+    clear() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Copy of the track list for saving
+     */
+    toJSON() {
+        return this.tracks.map(track => ({
+            ...track,
+            color: { ...track.color },
+            effects: EffectsChain.normalizeSettings(track.effects)
+        }));
+    }
+
+    /**
+     * Replace the track list with saved tracks
+     * @param {Array} data - Tracks from toJSON (or null for none)
+     */
+    fromJSON(data) {
+        this.clear();
+        (data || []).forEach(track => this.createTrack(track));
+    }
+
+    /**
+     * Track list as recorded by the undo history
+     */
+    getLayout() {
+        return this.toJSON();
+    }
+
+    /**
+     * Restore a layout from getLayout: order, names, instruments and colours. Tracks that still
+     * exist keep their current mixer settings, deleted tracks come back as they were.
+     */
+    setLayout(layout) {
+        const existing = new Map(this.tracks.map(track => [track.id, track]));
+        this.tracks = [];
+        
+        layout.forEach(entry => {
+            const track = existing.get(entry.id);
+            if (track) {
+                TRACK_LAYOUT_KEYS.forEach(key => {
+                    track[key] = key === 'color' ? { ...entry[key] } : entry[key];
+                });
+                this.tracks.push(track);
+            } else {
+                this.createTrack(entry);
+            }
+        });
+    }
+
+    /**
+     * Instrument name without the ORG_ prefix, numbered when already taken
+     */
+    getDefaultName(instrument) {
+        const base = instrument.replace('ORG_', '');
+        const names = new Set(this.tracks.map(track => track.name));
+        
+        let name = base;
+        for (let n = 2; names.has(name); n++) {
+            name = `${base} ${n}`;
+        }
+        return name;
+    }
+
+    /**
+     * The instrument's colour, or the first palette colour no other track uses
+     */
+    pickColor(instrument) {
+        const color = TrackManager.getInstrumentColor(instrument);
+        const used = new Set(this.tracks.map(track => track.color.note));
+        if (!used.has(color.note)) return { ...color };
+        
+        const free = INSTRUMENT_COLOR_PALETTE.find(entry => !used.has(entry.note));
+        return { ...(free || color) };
+    }
+
+    /**
+     * Deterministic palette colour for an instrument, consistent regardless of load order
+     */
+    static getInstrumentColor(instrumentName) {
+        let colorIndex;
+        
+        if (instrumentName.startsWith('ORG_M')) {
+            // For melodic instruments, use the instrument number
+            const num = parseInt(instrumentName.substring(5));
+            colorIndex = num % INSTRUMENT_COLOR_PALETTE.length;
+        } else if (instrumentName.startsWith('ORG_D')) {
+            // For drums, offset by 100 to avoid conflicts with melodic
+            const num = parseInt(instrumentName.substring(5));
+            colorIndex = (100 + num) % INSTRUMENT_COLOR_PALETTE.length;
+        } else {
+            // For other instruments (MIDI etc), use string hash
+            let hash = 0;
+            for (let i = 0; i < instrumentName.length; i++) {
+                hash = ((hash << 5) - hash) + instrumentName.charCodeAt(i);
+                hash = hash & hash; // Convert to 32bit integer
+            }
+            colorIndex = Math.abs(hash) % INSTRUMENT_COLOR_PALETTE.length;
+        }
+        
+        return INSTRUMENT_COLOR_PALETTE[colorIndex];
+    }
+
+    /**
+     * Note and border colours from a picked colour, the border a darker shade
+     * @param {string} hex - '#rrggbb'
+     */
+    static makeColor(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        const darken = shift => Math.round(((value >> shift) & 0xff) * 0.75);
+        const border = (darken(16) << 16) | (darken(8) << 8) | darken(0);
+        return { note: hex, border: `#${border.toString(16).padStart(6, '0')}` };
+    }
+}
@@ -0,0 +1,397 @@
+import { NOTES_PER_OCTAVE, NUM_OCTAVES, TWELVE_TO_38_EDO_MAP, TUNING_BASE_FREQUENCY } from './constants.js';
+
+// Octave whose first key sounds at the base frequency (key 152 in 38-EDO)
+const REFERENCE_OCTAVE = 4;
+
+// 12-tone pitch classes drawn as black keys
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+// Upper bound on rows so a large table or scale cannot make the grid unusable
+const MAX_KEYS = 1024;
+
+// Equal divisions offered in the tuning dialog
+export const EDO_PRESETS = [12, 19, 22, 31, 38, 41, 53];
+
+/**
+ * Pitch system used by the piano roll
+ * Every tuning maps key numbers (grid rows, lowest first) to frequencies. Periodic tunings
+ * (EDOs and Scala scales) repeat a list of degrees every period, NUM_OCTAVES times; frequency
+ * tables list one frequency per key. Key layout and MIDI input are derived from the nearest
+ * 12-tone pitches, or from a Scala keyboard mapping when one is loaded.
+ */
+export class Tuning {
+    /**
+     * @param {Object} options - { type: 'edo'|'scala'|'table', name, degrees, period, frequencies, keyboardMap, source }
+     */
+    constructor(options) {
+        this.type = options.type;
+        this.name = options.name;
+        this.source = options.source || null;
+        this.keyboardMap = options.keyboardMap || null;
+        
+        if (options.frequencies) {
+            // Frequency table: one row per entry, in pitch order
+            this.frequencies = options.frequencies.slice(0, MAX_KEYS).sort((a, b) => a - b);
+            this.keyCount = this.frequencies.length;
+            this.baseFrequency = TUNING_BASE_FREQUENCY;
+            
+            // Rows in the first octave, used as the "octave" for transposition
+            const octaveTop = this.frequencies[0] * 2 * Math.pow(2, -1 / 2400);
+            this.size = Math.max(1, this.frequencies.filter(freq => freq < octaveTop).length);
+        } else {
+            this.degrees = options.degrees;
+            this.period = options.period;
+            this.size = this.degrees.length;
+            this.keyCount = Math.min(MAX_KEYS, this.size * NUM_OCTAVES);
+            this.baseFrequency = TUNING_BASE_FREQUENCY;
+            
+            // A keyboard mapping can move the reference pitch
+            if (this.keyboardMap) {
+                const referenceKey = this.getKeyForMidiNote(this.keyboardMap.referenceNote);
+                if (referenceKey !== null) {
+                    this.baseFrequency = this.keyboardMap.referenceFrequency / Math.pow(2, this.getCents(referenceKey) / 1200);
+                }
+            }
+        }
+        
+        this.keys = this.buildKeyInfo();
+    }
+
+    /**
+     * Equal division of the octave
+     * @param {number} divisions - Steps per octave
+     */
+    static edo(divisions = NOTES_PER_OCTAVE) {
+        divisions = Math.max(1, Math.min(MAX_KEYS, Math.round(divisions)));
+        const degrees = [];
+        for (let step = 0; step < divisions; step++) {
+            degrees.push(step * 1200 / divisions);
+        }
+        return new Tuning({ type: 'edo', name: `${divisions}-EDO`, degrees, period: 1200 });
+    }
+
+    /**
+     * Tuning from a Scala scale file and optional keyboard mapping
+     * @param {string} scl - Contents of the .scl file
+     * @param {string} kbm - Contents of the .kbm file, or null
+     * @param {string} name - Name to show when the scale has no description
+     */
+    static fromScala(scl, kbm = null, name = 'Scala scale') {
+        const scale = Tuning.parseScl(scl);
+        return new Tuning({
+            type: 'scala',
+            name: scale.description || name,
+            degrees: scale.degrees,
+            period: scale.period,
+            keyboardMap: kbm ? Tuning.parseKbm(kbm) : null,
+            source: { scl, kbm }
+        });
+    }
+
+    /**
+     * Tuning from a list of frequencies
+     * @param {string|Array<number>} table - Frequencies in Hz (text: separated by spaces, commas or lines)
+     * @param {string} name - Name for the tuning
+     */
+    static fromFrequencyTable(table, name = 'Frequency table') {
+        const frequencies = Array.isArray(table) ? table : Tuning.parseFrequencyTable(table);
+        if (frequencies.length < 2 || frequencies.some(freq => !(freq > 0))) {
+            throw new Error('A frequency table needs at least two positive frequencies');
+        }
+        return new Tuning({ type: 'table', name, frequencies });
+    }
+
+    /**
+     * Recreate a tuning saved with toJSON (missing data means the default 38-EDO)
+     */
+    static fromJSON(data) {
+        if (!data) return Tuning.edo(NOTES_PER_OCTAVE);
+        
+        switch (data.type) {
+            case 'scala':
+                return Tuning.fromScala(data.scl, data.kbm || null, data.name);
+            case 'table':
+                return Tuning.fromFrequencyTable(data.frequencies, data.name);
+            default:
+                return Tuning.edo(data.divisions || NOTES_PER_OCTAVE);
+        }
+    }
+
+    /**
+     * Serialize for saving in the o38 song
+     */
+    toJSON() {
+        switch (this.type) {
+            case 'scala':
+                return { type: 'scala', name: this.name, scl: this.source.scl, kbm: this.source.kbm || null };
+            case 'table':
+                return { type: 'table', name: this.name, frequencies: this.frequencies.slice() };
+            default:
+                return { type: 'edo', divisions: this.size };
+        }
+    }
+
+    /**
+     * Parse a Scala .scl file
+     * @returns {Object} { description, degrees: cents from the root (starting at 0), period: cents }
+     */
+    static parseScl(text) {
+        const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+        const description = (lines[0] || '').trim();
+        const count = parseInt(lines[1]);
+        if (!(count > 0)) {
+            throw new Error('Invalid Scala file: missing note count');
+        }
+        
+        const pitches = lines.slice(2, 2 + count).map(line => Tuning.parseScalaPitch(line.trim().split(/\s+/)[0]));
+        if (pitches.length !== count || pitches.some(cents => !isFinite(cents))) {
+            throw new Error('Invalid Scala file: expected ' + count + ' pitches');
+        }
+        
+        // The last pitch is the period; the root is implied
+        const period = pitches[pitches.length - 1];
+        if (!(period > 0)) {
+            throw new Error('Invalid Scala file: the period must be above the root');
+        }
+        return { description, degrees: [0, ...pitches.slice(0, -1)], period };
+    }
+
+    /**
+     * Convert a Scala pitch (cents when it has a period, otherwise a ratio) to cents
+     */
+    static parseScalaPitch(token) {
+        if (!token) return NaN;
+        if (token.includes('.')) return parseFloat(token);
+        
+        const [numerator, denominator = '1'] = token.split('/');
+        const ratio = parseInt(numerator) / parseInt(denominator);
+        return ratio > 0 ? 1200 * Math.log2(ratio) : NaN;
+    }
+
+    /**
+     * Parse a Scala .kbm keyboard mapping
+     * @returns {Object} { mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping }
+     */
+    static parseKbm(text) {
+        const values = text.split(/\r?\n/)
+            .filter(line => !line.startsWith('!') && line.trim() !== '')
+            .map(line => line.trim().split(/\s+/)[0]);
+        
+        const numbers = values.slice(0, 7).map(Number);
+        if (numbers.length < 7 || numbers.some(value => isNaN(value))) {
+            throw new Error('Invalid keyboard mapping: expected seven header values');
+        }
+        
+        const [mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree] = numbers;
+        
+        // Unlisted entries are unmapped
+        const mapping = [];
+        for (let i = 0; i < mapSize; i++) {
+            const value = values[7 + i];
+            mapping.push(value === undefined || value.toLowerCase() === 'x' ? null : parseInt(value));
+        }
+        
+        return { mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping };
+    }
+
+    /**
+     * Parse a frequency table: numbers in Hz, with '!' or '#' comment lines
+     */
+    static parseFrequencyTable(text) {
+        return text.split(/\r?\n/)
+            .filter(line => !/^\s*[!#]/.test(line))
+            .join(' ')
+            .split(/[\s,;]+/)
+            .filter(value => value !== '')
+            .map(Number);
+    }
+
+    /**
+     * Whether this is the built-in 38-EDO tuning
+     */
+    isDefault() {
+        return this.type === 'edo' && this.size === NOTES_PER_OCTAVE;
+    }
+
+    /**
+     * Pitch of a key in cents relative to the base frequency
+     */
+    getCents(key) {
+        if (this.frequencies) {
+            return 1200 * Math.log2(this.frequencies[key] / this.baseFrequency);
+        }
+        
+        const period = Math.floor(key / this.size);
+        const degree = key - period * this.size;
+        return (period - REFERENCE_OCTAVE) * this.period + this.degrees[degree];
+    }
+
+    /**
+     * Size in cents of the step from a key to the next one up (down from the top key)
+     */
+    getStepCents(key) {
+        const upper = Math.max(1, Math.min(key + 1, this.keyCount - 1));
+        const step = this.getCents(upper) - this.getCents(upper - 1);
+        
+        // Repeated table entries make an empty step, so fall back to an even one
+        return step > 0 ? step : 1200 / this.size;
+    }
+
+    /**
+     * Frequency of a key in Hz
+     */
+    getFrequency(key) {
+        if (this.frequencies) {
+            return this.frequencies[Math.max(0, Math.min(this.keyCount - 1, key))];
+        }
+        return this.baseFrequency * Math.pow(2, this.getCents(key) / 1200);
+    }
+
+    /**
+     * Key whose pitch is closest to a frequency
+     */
+    getNearestKey(frequency) {
+        const target = 1200 * Math.log2(frequency / this.baseFrequency);
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let key = 0; key < this.keyCount; key++) {
+            const distance = Math.abs(this.getCents(key) - target);
+            if (distance < bestDistance) {
+                best = key;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Number of steps that best matches a 12-tone interval
+     * @param {number} semitones - Interval in semitones (0-11)
+     */
+    getStepsForSemitones(semitones) {
+        if (this.isDefault()) return TWELVE_TO_38_EDO_MAP[semitones];
+        
+        const steps = this.keys.findIndex((info, key) => info.isExact && key >= this.getReferenceKey() &&
+            Math.round(this.getCents(key) / 100) === semitones);
+        return steps >= 0 ? steps - this.getReferenceKey() : Math.round(semitones * this.size / 12);
+    }
+
+    /**
+     * Key that sounds at the base frequency (C in octave 4)
+     */
+    getReferenceKey() {
+        if (this.frequencies) return this.getNearestKey(this.baseFrequency);
+        return Math.min(this.keyCount - 1, REFERENCE_OCTAVE * this.size);
+    }
+
+    /**
+     * Layout information for a key
+     * @returns {Object} { semitone, octave, isExact, isBlackKey, arrows } where arrows counts the
+     *          steps above (positive) or below (negative) the nearest 12-tone key
+     */
+    getKeyInfo(key) {
+        return this.keys[key] || { semitone: 0, octave: 0, isExact: false, isBlackKey: false, arrows: 0 };
+    }
+
+    /**
+     * Map a MIDI note number to a key
+     * @returns {number|null} Key number, or null if the note is unmapped or off the grid
+     */
+    getKeyForMidiNote(midiNote) {
+        let key;
+        const map = this.keyboardMap;
+        
+        if (map && this.degrees) {
+            if (midiNote < map.firstNote || midiNote > map.lastNote) return null;
+            
+            // Degrees count up from the middle note, one period every octaveDegree degrees
+            const offset = midiNote - map.middleNote;
+            if (map.mapSize === 0) {
+                key = REFERENCE_OCTAVE * this.size + offset;
+            } else {
+                const repeat = Math.floor(offset / map.mapSize);
+                const degree = map.mapping[offset - repeat * map.mapSize];
+                if (degree === null || isNaN(degree)) return null;
+                key = REFERENCE_OCTAVE * this.size + repeat * (map.octaveDegree || this.size) + degree;
+            }
+        } else if (this.isDefault()) {
+            // MIDI note 60 (middle C) is key 152, using the meantone mapping
+            const octaveShift = Math.floor((midiNote - 60) / 12);
+            const noteInOctave = ((midiNote % 12) + 12) % 12;
+            key = REFERENCE_OCTAVE * NOTES_PER_OCTAVE + octaveShift * NOTES_PER_OCTAVE + TWELVE_TO_38_EDO_MAP[noteInOctave];
+        } else {
+            // Nearest pitch to the 12-tone note, with middle C at the base frequency
+            key = this.getNearestKey(this.baseFrequency * Math.pow(2, (midiNote - 60) / 12));
+        }
+        
+        return key >= 0 && key < this.keyCount ? key : null;
+    }
+
+    /**
+     * Work out the 12-tone layout of every key
+     * A key is "exact" when it is the closest key to a 12-tone pitch; other keys take the
+     * pitch class of the nearest exact key and show arrows for the steps between them.
+     */
+    buildKeyInfo() {
+        const keys = [];
+        for (let key = 0; key < this.keyCount; key++) {
+            keys.push({ semitone: 0, octave: 0, isExact: false, isBlackKey: false, arrows: 0 });
+        }
+        
+        if (this.isDefault()) {
+            // 38-EDO uses the meantone positions rather than the nearest equal-tempered ones
+            const positions = Object.entries(TWELVE_TO_38_EDO_MAP);
+            for (let key = 0; key < this.keyCount; key++) {
+                const degree = key % NOTES_PER_OCTAVE;
+                const match = positions.find(([, step]) => step === degree);
+                if (match) {
+                    keys[key].isExact = true;
+                    keys[key].semitone = parseInt(match[0]);
+                    keys[key].octave = Math.floor(key / NOTES_PER_OCTAVE);
+                }
+            }
+        } else {
+            // Closest key to each 12-tone pitch in range
+            const nearest = new Map();
+            for (let key = 0; key < this.keyCount; key++) {
+                const cents = this.getCents(key);
+                const semitone = Math.round(cents / 100);
+                const distance = Math.abs(cents - semitone * 100);
+                const current = nearest.get(semitone);
+                if (!current || distance < current.distance) {
+                    nearest.set(semitone, { key, distance });
+                }
+            }
+            nearest.forEach(({ key }, semitone) => {
+                keys[key].isExact = true;
+                keys[key].semitone = ((semitone % 12) + 12) % 12;
+                keys[key].octave = REFERENCE_OCTAVE + Math.floor(semitone / 12);
+            });
+        }
+        
+        // Every other key follows the nearest exact key (the lower one on a tie)
+        for (let key = 0; key < this.keyCount; key++) {
+            if (keys[key].isExact) continue;
+            
+            let below = key - 1;
+            while (below >= 0 && !keys[below].isExact) below--;
+            let above = key + 1;
+            while (above < this.keyCount && !keys[above].isExact) above++;
+            
+            const hasBelow = below >= 0;
+            const hasAbove = above < this.keyCount;
+            if (!hasBelow && !hasAbove) continue;
+            
+            const useBelow = hasBelow && (!hasAbove || key - below <= above - key);
+            const anchor = keys[useBelow ? below : above];
+            keys[key].semitone = anchor.semitone;
+            keys[key].octave = anchor.octave;
+            keys[key].arrows = useBelow ? key - below : key - above;
+        }
+        
+        keys.forEach(info => {
+            info.isBlackKey = BLACK_KEYS.includes(info.semitone);
+        });
+        return keys;
+    }
+}
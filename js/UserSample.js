@@ -0,0 +1,130 @@
+import { USER_SAMPLE_PREFIX, NOTES_PER_OCTAVE } from './constants.js';
+
+const DEFAULT_SETTINGS = {
+    kind: 'melodic', // 'drum' plays out as a one-shot; 'melodic' stops with the note and can loop
+    rootKey: 4 * NOTES_PER_OCTAVE, // Key that plays the file at its recorded pitch (C in 38-EDO)
+    trimStart: 0, // Seconds into the file
+    trimEnd: null, // Seconds into the file (null for the end)
+    loop: false,
+    loopStart: 0, // Seconds into the file, within the trim
+    loopEnd: null, // Seconds into the file (null for the trim end)
+    gain: 0, // dB
+    embed: true // Save the audio in the song file, not only in the browser's sample library
+};
+
+const BASE64_CHUNK = 0x8000; // Bytes per String.fromCharCode call
+
+/**
+ * Helpers for audio files imported as instruments
+ * The song keeps each file's encoded bytes and playback settings; the decoded audio is
+ * trimmed and scaled by its gain on load, then pitched relative to its root key.
+ */
+export class UserSample {
+    /**
+     * Whether an instrument name is an imported sample
+     */
+    static isUserSample(name) {
+        return typeof name === 'string' && name.startsWith(USER_SAMPLE_PREFIX);
+    }
+
+    /**
+     * New instrument name, unique across songs so the sample library can find it again
+     */
+    static createId() {
+        const random = Math.floor(Math.random() * 36 ** 4).toString(36).padStart(4, '0');
+        return `${USER_SAMPLE_PREFIX}${Date.now().toString(36)}${random}`;
+    }
+
+    /**
+     * Full settings with defaults for anything missing, as a fresh copy
+     * @param {Object} settings - Saved settings (or null for all defaults)
+     */
+    static normalizeSettings(settings = null) {
+        const result = { ...DEFAULT_SETTINGS };
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            if (settings && settings[key] !== undefined) result[key] = settings[key];
+        });
+        result.kind = result.kind === 'drum' ? 'drum' : 'melodic';
+        return result;
+    }
+
+    /**
+     * Trim and loop points in seconds, clamped to a file of the given length
+     * @param {Object} settings - Sample settings
+     * @param {number} duration - File length in seconds
+     * @returns {Object} { trimStart, trimEnd, loopStart, loopEnd }
+     */
+    static getRegion(settings, duration) {
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, Number(value) || 0));
+        const trimStart = clamp(settings.trimStart, 0, duration);
+        const trimEnd = settings.trimEnd === null ? duration : clamp(settings.trimEnd, trimStart, duration);
+        const loopStart = clamp(settings.loopStart, trimStart, trimEnd);
+        const loopEnd = settings.loopEnd === null ? trimEnd : clamp(settings.loopEnd, loopStart, trimEnd);
+        return { trimStart, trimEnd, loopStart, loopEnd };
+    }
+
+    /**
+     * Trimmed copy of the decoded file with its gain applied
+     * @param {BaseAudioContext} audioContext - Context to create the buffer in
+     * @param {AudioBuffer} source - Decoded file
+     * @param {Object} settings - Sample settings
+     */
+    static render(audioContext, source, settings) {
+        const { trimStart, trimEnd } = this.getRegion(settings, source.duration);
+        const start = Math.floor(trimStart * source.sampleRate);
+        const length = Math.max(1, Math.floor(trimEnd * source.sampleRate) - start);
+        const gain = Math.pow(10, (Number(settings.gain) || 0) / 20);
+        
+        const buffer = audioContext.createBuffer(source.numberOfChannels, length, source.sampleRate);
+        for (let channel = 0; channel < source.numberOfChannels; channel++) {
+            const input = source.getChannelData(channel);
+            const output = buffer.getChannelData(channel);
+            for (let i = 0; i < length && start + i < input.length; i++) {
+                output[i] = input[start + i] * gain;
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Loop points within the rendered buffer, or null when the sample doesn't loop
+     * Drums never loop.
+     * @param {Object} settings - Sample settings
+     * @param {number} duration - Original file length in seconds
+     * @returns {Object|null} { start, end } in seconds from the trim start
+     */
+    static getLoop(settings, duration) {
+        if (!settings.loop || settings.kind === 'drum') return null;
+        
+        const { trimStart, loopStart, loopEnd } = this.getRegion(settings, duration);
+        if (loopEnd - loopStart <= 0) return null;
+        return { start: loopStart - trimStart, end: loopEnd - trimStart };
+    }
+
+    /**
+     * Encode file bytes for embedding in a song
+     * @param {ArrayBuffer} data - File bytes
+     */
+    static toBase64(data) {
+        const bytes = new Uint8Array(data);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode file bytes embedded in a song
+     * @param {string} base64 - Encoded bytes
+     * @returns {ArrayBuffer} File bytes
+     */
+    static fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+}
@@ -1,4 +1,5 @@
-import { PIANO_KEY_WIDTH, GRID_WIDTH, BEATS_PER_MEASURE, VELOCITY_BAR_HEIGHT } from './constants.js';
+import { PIANO_KEY_WIDTH, GRID_WIDTH, VELOCITY_BAR_HEIGHT } from './constants.js';
+import { AutomationLane } from './AutomationLane.js';
 
 /**
  * VelocityBar - Handles velocity editing for notes
@@ -12,6 +13,18 @@ export class VelocityBar {
         this.hoveredNote = null;
         this.scrollX = pianoRoll.scrollX || 0;
         
+        // Envelope editing, shown instead of the handles in automation mode
+        this.lane = new AutomationLane(this, {
+            field: 'volumeAutomation',
+            valueKey: 'volume',
+            baseKey: 'velocity',
+            min: 0,
+            max: 127,
+            stepped: true, // AudioEngine switches volume instantly between points
+            valueToY: (value, height) => height - (value / 127) * height,
+            yToValue: (y, height) => (1 - y / height) * 127
+        });
+        
         this.resize();
         this.setupEventListeners();
         this.draw();
@@ -29,6 +42,7 @@ export class VelocityBar {
         this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
         this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
         this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
         
         // Touch events
         this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
@@ -49,6 +63,7 @@ export class VelocityBar {
         this.pianoRoll.addEventListener('notesChanged', () => this.draw());
         this.pianoRoll.addEventListener('selectionChanged', () => this.draw());
         this.pianoRoll.addEventListener('playbackUpdate', () => this.draw());
+        this.pianoRoll.addEventListener('timeMapChanged', () => this.draw());
     }
     
     handleMouseDown(e) {
@@ -56,11 +71,21 @@ export class VelocityBar {
         const x = e.clientX - rect.left + this.scrollX;
         const y = e.clientY - rect.top;
         
+        if (this.pianoRoll.automationMode) {
+            this.lane.handleMouseDown(e, x, y);
+            return;
+        }
+        
         // Find note at position
         const note = this.findNoteAtX(x);
         if (note) {
             this.draggingNote = note;
             
+            // The whole drag becomes a single undo step
+            const noteManager = this.pianoRoll.noteManager;
+            noteManager.beginTransaction('Change Velocity');
+            noteManager.touchNotes(noteManager.selectedNotes.has(note) ? noteManager.selectedNotes : [note]);
+            
             // Store initial velocity values for all selected notes
             if (this.pianoRoll.noteManager.selectedNotes.has(note)) {
                 this.initialVelocityValues = new Map();
@@ -80,6 +105,11 @@ export class VelocityBar {
         const x = e.clientX - rect.left + this.scrollX;
         const y = e.clientY - rect.top;
         
+        if (this.pianoRoll.automationMode) {
+            this.lane.handleMouseMove(x, y);
+            return;
+        }
+        
         if (this.draggingNote) {
             if (this.initialVelocityValues && this.pianoRoll.noteManager.selectedNotes.has(this.draggingNote)) {
                 // Update all selected notes relative to the drag
@@ -108,6 +138,7 @@ export class VelocityBar {
     }
     
     handleMouseUp() {
+        this.finishEdit();
         this.draggingNote = null;
         this.initialVelocityValues = null;
         this.dragStartY = null;
@@ -115,17 +146,32 @@ export class VelocityBar {
     }
     
     handleMouseLeave() {
+        this.finishEdit();
         this.draggingNote = null;
         this.hoveredNote = null;
         this.canvas.style.cursor = 'default';
         this.draw();
     }
     
+    /**
+     * Commit the velocity drag to the undo history
+     */
+    finishEdit() {
+        this.lane.finishEdit();
+        if (this.draggingNote) {
+            this.pianoRoll.noteManager.commitTransaction();
+            this.pianoRoll.emit('notesChanged');
+        }
+    }
+    
     findNoteAtX(x) {
         const notes = this.pianoRoll.noteManager.notes;
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
         
         for (const note of notes) {
+            // Skip notes from muted or locked tracks
+            if (!this.pianoRoll.isNoteEditable(note)) continue;
+            
             // Scale note position for comparison
             const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
             
@@ -155,8 +201,8 @@ export class VelocityBar {
         // Draw playhead if playing or paused
         if (this.pianoRoll.isPlaying || this.pianoRoll.isPaused) {
             const currentMeasure = this.pianoRoll.currentMeasure;
-            const measureWidth = BEATS_PER_MEASURE * this.pianoRoll.gridWidth;
-            const measureX = PIANO_KEY_WIDTH + currentMeasure * measureWidth;
+            const measureX = this.pianoRoll.getMeasureX(currentMeasure);
+            const measureWidth = this.pianoRoll.getMeasureX(currentMeasure + 1) - measureX;
             
             this.ctx.fillStyle = 'rgba(255, 68, 68, 0.1)';
             this.ctx.fillRect(measureX, 0, measureWidth, this.canvas.height);
@@ -165,23 +211,56 @@ export class VelocityBar {
         // Draw grid lines
         this.ctx.strokeStyle = '#333';
         this.ctx.lineWidth = 0.5;
-        const measureWidth = this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-        for (let x = PIANO_KEY_WIDTH; x <= this.canvas.width + this.scrollX; x += measureWidth) {
+        const viewRight = this.canvas.width + this.scrollX;
+        for (let measure = this.pianoRoll.getMeasureAtX(this.scrollX); measure <= this.pianoRoll.totalMeasures; measure++) {
+            const x = this.pianoRoll.getMeasureX(measure);
+            if (x > viewRight) break;
             this.ctx.beginPath();
             this.ctx.moveTo(x, 0);
             this.ctx.lineTo(x, this.canvas.height);
             this.ctx.stroke();
         }
         
+        if (this.pianoRoll.automationMode) {
+            this.lane.draw();
+        } else {
+            this.drawNoteHandles();
+        }
+        
+        this.ctx.restore();
+        
+        // Draw label area background to match piano keys
+        this.ctx.save();
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(0, 0, PIANO_KEY_WIDTH, this.canvas.height);
+        
+        // Draw border to match piano key area
+        this.ctx.strokeStyle = '#444';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(PIANO_KEY_WIDTH, 0);
+        this.ctx.lineTo(PIANO_KEY_WIDTH, this.canvas.height);
+        this.ctx.stroke();
+        
+        // Draw velocity scale
+        this.ctx.fillStyle = '#888';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('127', PIANO_KEY_WIDTH / 2, 15);
+        this.ctx.fillText('64', PIANO_KEY_WIDTH / 2, this.canvas.height / 2 + 3);
+        this.ctx.fillText('0', PIANO_KEY_WIDTH / 2, this.canvas.height - 5);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw one handle per note at its start
+     */
+    drawNoteHandles() {
         // Draw note velocity bars
         const notes = this.pianoRoll.noteManager.notes;
         const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
         
         for (const note of notes) {
-            // Skip if track is hidden
-            if (this.pianoRoll.trackVisibility.get(note.instrument) === false) {
-                continue;
-            }
             const x = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
             const velocity = note.velocity || 100;
             const barHeight = (velocity / 127) * this.canvas.height;
@@ -191,8 +270,8 @@ export class VelocityBar {
             const isDragging = note === this.draggingNote;
             const isSelected = this.pianoRoll.noteManager.selectedNotes.has(note);
             
-            // Get instrument color
-            const instrumentColor = this.pianoRoll.getInstrumentColor(note.instrument);
+            // Get track color
+            const instrumentColor = this.pianoRoll.getNoteColor(note);
             
             let color = instrumentColor.note;
             if (isSelected) {
@@ -239,30 +318,6 @@ export class VelocityBar {
             }
             
         }
-        
-        this.ctx.restore();
-        
-        // Draw label area background to match piano keys
-        this.ctx.save();
-        this.ctx.fillStyle = '#2a2a2a';
-        this.ctx.fillRect(0, 0, PIANO_KEY_WIDTH, this.canvas.height);
-        
-        // Draw border to match piano key area
-        this.ctx.strokeStyle = '#444';
-        this.ctx.lineWidth = 1;
-        this.ctx.beginPath();
-        this.ctx.moveTo(PIANO_KEY_WIDTH, 0);
-        this.ctx.lineTo(PIANO_KEY_WIDTH, this.canvas.height);
-        this.ctx.stroke();
-        
-        // Draw velocity scale
-        this.ctx.fillStyle = '#888';
-        this.ctx.font = '10px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('127', PIANO_KEY_WIDTH / 2, 15);
-        this.ctx.fillText('64', PIANO_KEY_WIDTH / 2, this.canvas.height / 2 + 3);
-        this.ctx.fillText('0', PIANO_KEY_WIDTH / 2, this.canvas.height - 5);
-        this.ctx.restore();
     }
     
     /**
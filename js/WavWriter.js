@@ -0,0 +1,83 @@
+/**
+ * Encodes rendered audio as RIFF/WAVE files
+ */
+export class WavWriter {
+    /**
+     * Encode an AudioBuffer as a WAV file
+     * @param {AudioBuffer} audioBuffer - Rendered audio
+     * @param {number} bitDepth - 16 for integer PCM, 32 for IEEE float
+     * @returns {ArrayBuffer} WAV file data
+     */
+    static encode(audioBuffer, bitDepth = 16) {
+        const isFloat = bitDepth === 32;
+        const numChannels = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const numFrames = audioBuffer.length;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = numChannels * bytesPerSample;
+        const dataSize = numFrames * blockAlign;
+        
+        // Float files carry an extra 'fact' chunk as required by the format
+        const factSize = isFloat ? 12 : 0;
+        const headerSize = 12 + 24 + factSize + 8;
+        
+        const buffer = new ArrayBuffer(headerSize + dataSize);
+        const view = new DataView(buffer);
+        let offset = 0;
+        
+        // RIFF header
+        offset = this.writeString(view, offset, 'RIFF');
+        view.setUint32(offset, headerSize + dataSize - 8, true); offset += 4;
+        offset = this.writeString(view, offset, 'WAVE');
+        
+        // Format chunk
+        offset = this.writeString(view, offset, 'fmt ');
+        view.setUint32(offset, 16, true); offset += 4;
+        view.setUint16(offset, isFloat ? 3 : 1, true); offset += 2; // 1 = PCM, 3 = IEEE float
+        view.setUint16(offset, numChannels, true); offset += 2;
+        view.setUint32(offset, sampleRate, true); offset += 4;
+        view.setUint32(offset, sampleRate * blockAlign, true); offset += 4;
+        view.setUint16(offset, blockAlign, true); offset += 2;
+        view.setUint16(offset, bitDepth, true); offset += 2;
+        
+        if (isFloat) {
+            offset = this.writeString(view, offset, 'fact');
+            view.setUint32(offset, 4, true); offset += 4;
+            view.setUint32(offset, numFrames, true); offset += 4;
+        }
+        
+        // Data chunk with interleaved samples
+        offset = this.writeString(view, offset, 'data');
+        view.setUint32(offset, dataSize, true); offset += 4;
+        
+        const channels = [];
+        for (let c = 0; c < numChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+        
+        for (let i = 0; i < numFrames; i++) {
+            for (let c = 0; c < numChannels; c++) {
+                const sample = channels[c][i];
+                if (isFloat) {
+                    view.setFloat32(offset, sample, true);
+                } else {
+                    const clamped = Math.max(-1, Math.min(1, sample));
+                    view.setInt16(offset, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+                }
+                offset += bytesPerSample;
+            }
+        }
+        
+        return buffer;
+    }
+
+    /**
+     * Write an ASCII chunk identifier
+     */
+    static writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+        return offset + text.length;
+    }
+}
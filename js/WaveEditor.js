@@ -0,0 +1,304 @@
+import { WAVE_LENGTH } from './constants.js';
+import { Waveform } from './Waveform.js';
+
+const HARMONIC_COUNT = 16;
+
+/**
+ * WaveEditor - Wave Editor modal for the song's custom melodic waves
+ * Waves are drawn by hand, built from harmonics or a formula, or copied from a built-in wave,
+ * and can be auditioned at any key. They are saved in the song and offered as instruments.
+ */
+export class WaveEditor {
+    constructor(pianoRoll) {
+        this.pianoRoll = pianoRoll;
+        this.waveId = null; // Custom wave being edited
+        this.samples = new Int8Array(WAVE_LENGTH);
+        this.lastPoint = null; // { index, value } while drawing
+        this.auditionKey = null; // Key sounding while the audition button is held
+        
+        this.canvas = document.getElementById('waveEditorCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.waveSelect = document.getElementById('waveEditorSelect');
+        this.nameInput = document.getElementById('waveEditorName');
+        this.builtinSelect = document.getElementById('waveBuiltinSelect');
+        this.formulaInput = document.getElementById('waveFormula');
+        this.keyInput = document.getElementById('waveAuditionKey');
+        this.keyLabel = document.getElementById('waveAuditionLabel');
+        this.status = document.getElementById('waveEditorStatus');
+        
+        this.buildControls();
+        this.setupEventListeners();
+    }
+
+    buildControls() {
+        for (let i = 0; i <= 99; i++) {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `M${i.toString().padStart(2, '0')}`;
+            this.builtinSelect.appendChild(option);
+        }
+        
+        // One slider per harmonic, fundamental first
+        const harmonics = document.getElementById('waveHarmonics');
+        this.harmonicInputs = [];
+        for (let i = 0; i < HARMONIC_COUNT; i++) {
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = 0;
+            input.max = 100;
+            input.value = i === 0 ? 100 : 0;
+            input.title = `Harmonic ${i + 1}`;
+            harmonics.appendChild(input);
+            this.harmonicInputs.push(input);
+        }
+    }
+
+    setupEventListeners() {
+        this.waveSelect.addEventListener('change', () => this.selectWave(this.waveSelect.value));
+        this.nameInput.addEventListener('change', () => {
+            if (this.waveId && this.nameInput.value.trim()) {
+                this.save();
+            } else {
+                this.refresh();
+            }
+        });
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.nameInput.blur();
+        });
+        
+        document.getElementById('waveNewBtn').addEventListener('click', () => this.createWave(Waveform.fromHarmonics([1])));
+        document.getElementById('waveDuplicateBtn').addEventListener('click', () => {
+            if (this.waveId) this.createWave(this.samples, `${this.nameInput.value} copy`);
+        });
+        document.getElementById('waveDeleteBtn').addEventListener('click', () => this.deleteWave());
+        
+        document.getElementById('waveCopyBuiltinBtn').addEventListener('click', () => {
+            const samples = this.pianoRoll.audioEngine.getBuiltinWave(parseInt(this.builtinSelect.value));
+            if (samples) {
+                this.setSamples(samples);
+            } else {
+                this.showStatus('The built-in waves have not loaded yet', true);
+            }
+        });
+        document.getElementById('waveHarmonicsBtn').addEventListener('click', () => {
+            this.setSamples(Waveform.fromHarmonics(this.harmonicInputs.map(input => parseInt(input.value) / 100)));
+        });
+        document.getElementById('waveFormulaBtn').addEventListener('click', () => this.applyFormula());
+        this.formulaInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.applyFormula();
+        });
+        
+        // Drawing
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.lastPoint = null;
+            this.drawAt(e);
+            const onMove = (moveEvent) => this.drawAt(moveEvent);
+            const onUp = () => {
+                window.removeEventListener('mousemove', onMove);
+                window.removeEventListener('mouseup', onUp);
+                this.lastPoint = null;
+                this.save();
+            };
+            window.addEventListener('mousemove', onMove);
+            window.addEventListener('mouseup', onUp);
+        });
+        
+        // Audition while the button is held
+        this.keyInput.addEventListener('input', () => this.updateKeyLabel());
+        const auditionBtn = document.getElementById('waveAuditionBtn');
+        auditionBtn.addEventListener('mousedown', () => this.startAudition());
+        auditionBtn.addEventListener('mouseup', () => this.stopAudition());
+        auditionBtn.addEventListener('mouseleave', () => this.stopAudition());
+    }
+
+    /**
+     * Show the editor on the first custom wave (called when the modal opens)
+     */
+    open() {
+        const tuning = this.pianoRoll.tuning;
+        this.keyInput.max = tuning.keyCount - 1;
+        if (this.keyInput.dataset.keyCount !== String(tuning.keyCount)) {
+            this.keyInput.value = tuning.getReferenceKey();
+            this.keyInput.dataset.keyCount = tuning.keyCount;
+        }
+        this.updateKeyLabel();
+        this.showStatus('');
+        
+        const waves = this.pianoRoll.audioEngine.customWaves;
+        if (!waves.has(this.waveId)) {
+            this.waveId = waves.size > 0 ? waves.keys().next().value : null;
+        }
+        this.selectWave(this.waveId);
+    }
+
+    selectWave(id) {
+        const wave = this.pianoRoll.audioEngine.customWaves.get(id);
+        this.waveId = wave ? id : null;
+        this.samples = wave ? Int8Array.from(wave.samples) : new Int8Array(WAVE_LENGTH);
+        this.refresh();
+    }
+
+    /**
+     * Sync the wave list, name field and canvas with the current wave
+     */
+    refresh() {
+        const waves = this.pianoRoll.audioEngine.customWaves;
+        
+        this.waveSelect.innerHTML = '';
+        waves.forEach((wave, id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = wave.name;
+            this.waveSelect.appendChild(option);
+        });
+        this.waveSelect.value = this.waveId || '';
+        this.waveSelect.disabled = waves.size === 0;
+        
+        this.nameInput.value = this.waveId ? waves.get(this.waveId).name : '';
+        this.nameInput.disabled = !this.waveId;
+        document.getElementById('waveDuplicateBtn').disabled = !this.waveId;
+        document.getElementById('waveDeleteBtn').disabled = !this.waveId;
+        
+        this.draw();
+    }
+
+    /**
+     * Add a wave to the song and edit it
+     */
+    createWave(samples, name = null) {
+        const number = this.pianoRoll.audioEngine.customWaves.size + 1;
+        this.waveId = this.pianoRoll.addCustomWave(name || `Custom ${number}`, samples);
+        this.selectWave(this.waveId);
+        this.showStatus('');
+    }
+
+    deleteWave() {
+        if (!this.waveId) return;
+        
+        const users = this.pianoRoll.removeCustomWave(this.waveId);
+        if (users > 0) {
+            this.showStatus(`${users} note(s) or track(s) still use this wave; switch them to another instrument first`, true);
+            return;
+        }
+        this.open();
+    }
+
+    /**
+     * Replace the wave's samples, creating a wave first when there is none
+     */
+    setSamples(samples) {
+        if (!this.waveId) {
+            this.createWave(samples);
+            return;
+        }
+        this.samples = Int8Array.from(samples);
+        this.save();
+    }
+
+    applyFormula() {
+        try {
+            this.setSamples(Waveform.fromFormula(this.formulaInput.value));
+            this.showStatus('');
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+    }
+
+    save() {
+        if (!this.waveId) return;
+        
+        const name = this.nameInput.value.trim() || this.pianoRoll.audioEngine.customWaves.get(this.waveId).name;
+        this.pianoRoll.setCustomWave(this.waveId, name, this.samples);
+        this.refresh();
+    }
+
+    /**
+     * Draw into the wave at the mouse, joining up with the previous point of the stroke
+     */
+    drawAt(e) {
+        if (!this.waveId) {
+            this.createWave(new Int8Array(WAVE_LENGTH));
+        }
+        
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width;
+        const y = (e.clientY - rect.top) / rect.height;
+        const index = Math.max(0, Math.min(WAVE_LENGTH - 1, Math.floor(x * WAVE_LENGTH)));
+        const value = Math.round(127 - y * 255);
+        
+        const from = this.lastPoint || { index, value };
+        Waveform.drawLine(this.samples, from.index, from.value, index, value);
+        this.lastPoint = { index, value };
+        this.draw();
+    }
+
+    draw() {
+        const { width, height } = this.canvas;
+        const ctx = this.ctx;
+        
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, width, height);
+        
+        // Zero line and quarter-period guides
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        for (let i = 1; i < 4; i++) {
+            ctx.moveTo((width * i) / 4, 0);
+            ctx.lineTo((width * i) / 4, height);
+        }
+        ctx.stroke();
+        
+        if (!this.waveId) {
+            ctx.fillStyle = '#999';
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Draw here or click New to create a wave', width / 2, height / 2 - 10);
+            return;
+        }
+        
+        // One step per sample, as the wave plays back
+        const step = width / WAVE_LENGTH;
+        ctx.strokeStyle = '#ff8800';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < WAVE_LENGTH; i++) {
+            const y = ((127 - this.samples[i]) / 255) * height;
+            if (i === 0) {
+                ctx.moveTo(0, y);
+            } else {
+                ctx.lineTo(i * step, y);
+            }
+            ctx.lineTo((i + 1) * step, y);
+        }
+        ctx.stroke();
+    }
+
+    updateKeyLabel() {
+        const key = parseInt(this.keyInput.value);
+        const frequency = this.pianoRoll.tuning.getFrequency(key);
+        this.keyLabel.textContent = `Key ${key} (${frequency.toFixed(1)} Hz)`;
+    }
+
+    startAudition() {
+        if (!this.waveId) return;
+        
+        this.stopAudition();
+        this.auditionKey = parseInt(this.keyInput.value);
+        this.pianoRoll.audioEngine.playNote(this.auditionKey, 100, this.waveId, false);
+    }
+
+    stopAudition() {
+        if (this.auditionKey === null) return;
+        
+        this.pianoRoll.audioEngine.stopNote(this.auditionKey);
+        this.auditionKey = null;
+    }
+
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,104 @@
+import { WAVE_LENGTH, CUSTOM_WAVE_PREFIX } from './constants.js';
+
+// Functions a wave formula may use besides x and t
+const FORMULA_SCOPE = ['sin', 'cos', 'tan', 'abs', 'sign', 'floor', 'ceil', 'round', 'min', 'max', 'pow', 'sqrt', 'exp', 'log', 'PI', 'random'];
+
+/**
+ * Melodic wave helpers
+ * A wave is one period of WAVE_LENGTH signed 8-bit samples (-128 to 127), as in Organya's wavetable.
+ */
+export class Waveform {
+    /**
+     * Whether an instrument name is a user-drawn wave
+     */
+    static isCustom(name) {
+        return typeof name === 'string' && name.startsWith(CUSTOM_WAVE_PREFIX);
+    }
+
+    /**
+     * Round and clamp values to signed 8-bit samples
+     * @param {Array<number>} values - WAVE_LENGTH values, nominally -128 to 127
+     * @returns {Int8Array} Samples
+     */
+    static quantize(values) {
+        const samples = new Int8Array(WAVE_LENGTH);
+        for (let i = 0; i < WAVE_LENGTH; i++) {
+            samples[i] = Math.max(-128, Math.min(127, Math.round(values[i] || 0)));
+        }
+        return samples;
+    }
+
+    /**
+     * Scale values so the loudest sample reaches full scale
+     * @param {Array<number>} values - Values of any range
+     * @returns {Int8Array} Samples (silence when all values are 0)
+     */
+    static normalize(values) {
+        const peak = values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        return this.quantize(peak > 0 ? values.map(value => (value / peak) * 127) : values);
+    }
+
+    /**
+     * Additive synthesis from harmonic amplitudes
+     * @param {Array<number>} amplitudes - Level of each harmonic, fundamental first (negative inverts phase)
+     * @returns {Int8Array} Samples
+     */
+    static fromHarmonics(amplitudes) {
+        const values = new Array(WAVE_LENGTH).fill(0);
+        amplitudes.forEach((amplitude, index) => {
+            if (!amplitude) return;
+            const harmonic = index + 1;
+            for (let i = 0; i < WAVE_LENGTH; i++) {
+                values[i] += amplitude * Math.sin(2 * Math.PI * harmonic * i / WAVE_LENGTH);
+            }
+        });
+        return this.normalize(values);
+    }
+
+    /**
+     * Evaluate a formula over one period and normalize it
+     * The formula sees x (0 to 1 through the period), t (0 to 2π) and Math functions
+     * such as sin, abs and pow, e.g. "sin(t) + 0.5 * sin(3 * t)".
+     * @param {string} formula - JavaScript expression
+     * @returns {Int8Array} Samples
+     * @throws {Error} If the formula does not compile or gives non-numbers
+     */
+    static fromFormula(formula) {
+        let evaluate;
+        try {
+            evaluate = new Function('x', 't', `const { ${FORMULA_SCOPE.join(', ')} } = Math; return (${formula});`);
+        } catch (error) {
+            throw new Error(`Invalid formula: ${error.message}`);
+        }
+        
+        const values = [];
+        for (let i = 0; i < WAVE_LENGTH; i++) {
+            const x = i / WAVE_LENGTH;
+            const value = Number(evaluate(x, 2 * Math.PI * x));
+            if (!Number.isFinite(value)) {
+                throw new Error(`Formula gives ${value} at x = ${x}`);
+            }
+            values.push(value);
+        }
+        return this.normalize(values);
+    }
+
+    /**
+     * Draw a line of samples between two points, so fast mouse strokes leave no gaps
+     * @param {Int8Array} samples - Wave to draw into (modified in place)
+     * @param {number} fromIndex - Sample index of the previous point
+     * @param {number} fromValue - Value of the previous point
+     * @param {number} toIndex - Sample index of the new point
+     * @param {number} toValue - Value of the new point
+     */
+    static drawLine(samples, fromIndex, fromValue, toIndex, toValue) {
+        const steps = Math.abs(toIndex - fromIndex);
+        for (let step = 0; step <= steps; step++) {
+            const t = steps === 0 ? 1 : step / steps;
+            const index = Math.round(fromIndex + (toIndex - fromIndex) * t);
+            if (index >= 0 && index < WAVE_LENGTH) {
+                samples[index] = Math.max(-128, Math.min(127, Math.round(fromValue + (toValue - fromValue) * t)));
+            }
+        }
+    }
+}
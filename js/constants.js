@@ -4,6 +4,16 @@ export const NUM_OCTAVES = 8;
 export const NOTES_PER_SEMITONE = 3.17; // Approximate divisions per semitone in 38 EDO
 export const TOTAL_KEYS = NUM_OCTAVES * NOTES_PER_OCTAVE;
 
+// Melodic waves
+export const WAVE_LENGTH = 256; // Signed 8-bit samples in one melodic wave period
+export const CUSTOM_WAVE_PREFIX = 'CUSTOM_'; // Instrument names of waves drawn by the user
+
+// Imported samples
+export const USER_SAMPLE_PREFIX = 'SAMPLE_'; // Instrument names of audio files imported by the user
+
+// Synth instruments
+export const SYNTH_PREFIX = 'SYNTH_'; // Instrument names of synthesized instruments
+
 // 12-tone to 38 EDO mapping (A-rooted meantone intervals starting from C)
 // Original A-based: A=0, A#=3, B=6, C=10, C#=13, D=16, D#=19, E=22, F=25, F#=28, G=32, G#=35
 // Shifted so C=0: subtract 10 from each, wrapping around at 38
@@ -22,8 +32,15 @@ export const TWELVE_TO_38_EDO_MAP = {
     11: 34  // B (was 6 in A-based, 6-10+38=34)
 };
 
+// Names of the meantone intervals above, indexed by 12-tone semitone count
+export const INTERVAL_NAMES = [
+    'Unison', 'Minor 2nd', 'Major 2nd', 'Minor 3rd', 'Major 3rd', 'Perfect 4th',
+    'Tritone', 'Perfect 5th', 'Minor 6th', 'Major 6th', 'Minor 7th', 'Major 7th'
+];
+
 // Audio constants
 export const BASE_FREQUENCY = 440; // A4 in Hz
+export const TUNING_BASE_FREQUENCY = 522; // Organya's C at key 4 × steps per octave, the anchor for every tuning
 export const WAVE_SAMPLES = 256; // Samples per wave in wavetable
 export const BASE_SAMPLE_RATE = 22050; // Base sample rate for drums
 export const MAX_DRUMS = 6; // Maximum number of drum samples
@@ -40,17 +57,29 @@ export const NOTE_HEIGHT = 7; // Adjusted for 38 EDO
 export const GRID_WIDTH = 40;
 export const TOTAL_MEASURES = 256;
 export const RESIZE_HANDLE_WIDTH = 8; // Pixels from edge to detect resize
+export const MIN_ZOOM = 0.25;
+export const MAX_ZOOM = 4;
+export const ZOOM_STEP = 1.25; // Zoom factor per zoom in/out step
 
 // UI constants
 export const PAN_BAR_HEIGHT = 60;
 export const VELOCITY_BAR_HEIGHT = 60;
 export const DEFAULT_VELOCITY = 100;
 export const DEFAULT_VOLUME = 30;
+export const METER_FLOOR_DB = -48; // Quietest level the mixer meters show
+export const METER_DECAY = 0.9; // Share of the meter reading kept each frame as a peak falls away
+
+// Local storage constants
+export const STORAGE_DB_NAME = 'that38';
+export const AUTOSAVE_INTERVAL = 30000; // ms between autosaves while there are unsaved changes
+export const MAX_SNAPSHOTS = 20; // Named snapshots kept before the oldest are pruned
 
 // Performance constants
 export const VISIBLE_AREA_PADDING = 100; // Extra pixels to render outside visible area
-export const PORTAMENTO_TIME = 0.05; // Seconds for pitch glide
+export const PORTAMENTO_TIME = 0.05; // Seconds for pitch glide, also the length of a note slide
+export const MAX_PITCH_BEND = 2400; // Cents a pitch bend may reach in either direction
 export const AUDIO_STOP_DELAY = 0.01; // Brief delay to prevent audio glitches
+export const MIX_SMOOTHING = 0.01; // Time constant (s) for fader, pan and mute changes, avoiding clicks
 
 // Organya format constants
 export const ORG_FILE_SIGNATURE = 'Org-02';
@@ -1,9 +1,19 @@
 import { PianoRoll } from './PianoRoll.js';
+import { TimeMap } from './TimeMap.js';
 import { ModalManager } from './ModalManager.js';
 import { MenuManager } from './MenuManager.js';
 import { PanBar } from './PanBar.js';
+import { TimelineRuler } from './TimelineRuler.js';
 import { VelocityBar } from './VelocityBar.js';
-import { DEFAULT_VOLUME } from './constants.js';
+import { WavWriter } from './WavWriter.js';
+import { SongStore } from './SongStore.js';
+import { Retuner } from './Retuner.js';
+import { MixerPanel } from './MixerPanel.js';
+import { WaveEditor } from './WaveEditor.js';
+import { SampleImporter } from './SampleImporter.js';
+import { SynthEditor } from './SynthEditor.js';
+import { Tuning, EDO_PRESETS } from './Tuning.js';
+import { DEFAULT_VOLUME, PIANO_KEY_WIDTH, NOTE_HEIGHT, GRID_WIDTH, MIN_ZOOM, MAX_ZOOM, NOTES_PER_OCTAVE, INTERVAL_NAMES, AUTOSAVE_INTERVAL } from './constants.js';
 
 // Initialize managers
 const modalManager = new ModalManager();
@@ -12,8 +22,16 @@ const menuManager = new MenuManager(modalManager);
 let pianoRoll = null;
 let panBar = null;
 let velocityBar = null;
+let mixerPanel = null;
+let waveEditor = null;
+let sampleImporter = null;
+let synthEditor = null;
 let currentFilename = null;
 
+// Local persistence (autosave and snapshots)
+const songStore = SongStore.isSupported() ? new SongStore() : null;
+let hasUnsavedChanges = false;
+
 // Update page title based on current file
 function updatePageTitle() {
     if (currentFilename) {
@@ -29,6 +47,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     const canvas = document.getElementById('pianoRoll');
     pianoRoll = new PianoRoll(canvas);
     
+    // Initialize the timeline ruler above the grid
+    const timelineCanvas = document.getElementById('timelineCanvas');
+    if (timelineCanvas) {
+        new TimelineRuler(timelineCanvas, pianoRoll); // Redraws and resizes itself
+    }
+    
     // Initialize pan and velocity bars
     const panCanvas = document.getElementById('panCanvas');
     const velocityCanvas = document.getElementById('velocityCanvas');
@@ -51,8 +75,194 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize UI state
     updatePlayButton();
     updatePageTitle();
+    
+    setupAutosave();
 });
 
+/**
+ * Autosave the song to IndexedDB and offer to restore the previous session
+ */
+function setupAutosave() {
+    if (!songStore) return;
+    
+    const markChanged = () => { hasUnsavedChanges = true; };
+    pianoRoll.addEventListener('notesChanged', markChanged);
+    pianoRoll.addEventListener('historyChanged', markChanged);
+    pianoRoll.addEventListener('timeMapChanged', markChanged);
+    pianoRoll.addEventListener('tuningChanged', markChanged);
+    pianoRoll.addEventListener('tracksChanged', markChanged);
+    pianoRoll.addEventListener('wavesChanged', markChanged);
+    pianoRoll.addEventListener('samplesChanged', markChanged);
+    pianoRoll.addEventListener('synthsChanged', markChanged);
+    
+    setInterval(autosave, AUTOSAVE_INTERVAL);
+    
+    // Save right away when the tab is hidden or closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            autosave();
+        }
+    });
+    
+    offerSessionRestore();
+}
+
+/**
+ * Save the current song as the session if it changed since the last autosave
+ */
+async function autosave() {
+    if (!songStore || !hasUnsavedChanges) return;
+    
+    hasUnsavedChanges = false;
+    try {
+        await songStore.saveSession(pianoRoll.exportToJSON(), currentFilename);
+    } catch (error) {
+        hasUnsavedChanges = true;
+        console.warn('Autosave failed:', error);
+    }
+}
+
+/**
+ * Ask whether to restore the autosaved session from last time
+ */
+async function offerSessionRestore() {
+    let session;
+    try {
+        session = await songStore.loadSession();
+    } catch (error) {
+        console.warn('Could not read the autosaved session:', error);
+        return;
+    }
+    if (!session || session.noteCount === 0) return;
+    
+    const name = session.filename || 'Untitled song';
+    const confirmed = await modalManager.confirm(
+        `Restore your last session? "${name}" (${session.noteCount} notes) was autosaved ${new Date(session.savedAt).toLocaleString()}.`
+    );
+    if (confirmed) {
+        restoreSong(session.data, session.filename);
+        modalManager.notify('Session restored', 'info');
+    }
+}
+
+/**
+ * Load saved song JSON into the editor
+ */
+function restoreSong(json, filename) {
+    try {
+        pianoRoll.importFromJSON(json);
+        currentFilename = filename || null;
+        updatePageTitle();
+    } catch (error) {
+        modalManager.notify(`Failed to restore song: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Keep a snapshot of the song before a destructive action
+ */
+async function saveSafetySnapshot(reason) {
+    if (!songStore || pianoRoll.noteManager.notes.length === 0) return;
+    
+    try {
+        await songStore.saveSnapshot(`${reason} (${currentFilename || 'Untitled song'})`, pianoRoll.exportToJSON(), currentFilename);
+    } catch (error) {
+        console.warn('Could not save a snapshot:', error);
+    }
+}
+
+/**
+ * Show the snapshot browser: save the current song or restore a previous one
+ */
+async function showSnapshots() {
+    if (!songStore) {
+        modalManager.notify('Snapshots are not available: this browser does not support IndexedDB', 'error');
+        return;
+    }
+    
+    const nameInput = document.getElementById('snapshotName');
+    const saveBtn = document.getElementById('saveSnapshotBtn');
+    const list = document.getElementById('snapshotList');
+    
+    const renderList = async () => {
+        let snapshots;
+        try {
+            snapshots = await songStore.listSnapshots();
+        } catch (error) {
+            modalManager.notify(`Could not read snapshots: ${error.message}`, 'error');
+            return;
+        }
+        
+        list.innerHTML = '';
+        if (snapshots.length === 0) {
+            list.innerHTML = '<div class="snapshot-empty">No snapshots yet</div>';
+            return;
+        }
+        
+        snapshots.forEach(snapshot => {
+            const row = document.createElement('div');
+            row.className = 'snapshot-row';
+            
+            const info = document.createElement('div');
+            info.className = 'snapshot-info';
+            const title = document.createElement('div');
+            title.className = 'snapshot-name';
+            title.textContent = snapshot.name;
+            const details = document.createElement('div');
+            details.className = 'snapshot-details';
+            details.textContent = `${new Date(snapshot.savedAt).toLocaleString()} - ${snapshot.noteCount} notes`;
+            info.append(title, details);
+            
+            const restoreBtn = document.createElement('button');
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', async () => {
+                const record = await songStore.loadSnapshot(snapshot.id);
+                if (!record) return;
+                
+                // Keep the current song around in case the restore was a mistake
+                await saveSafetySnapshot('Before restoring a snapshot');
+                modalManager.close('snapshotsModal');
+                restoreSong(record.data, record.filename);
+                modalManager.notify(`Restored: ${snapshot.name}`, 'info');
+            });
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', async () => {
+                await songStore.deleteSnapshot(snapshot.id);
+                renderList();
+            });
+            
+            row.append(info, restoreBtn, deleteBtn);
+            list.appendChild(row);
+        });
+    };
+    
+    const handleSaveSnapshot = async () => {
+        const name = nameInput.value.trim() || currentFilename || 'Untitled song';
+        try {
+            await songStore.saveSnapshot(name, pianoRoll.exportToJSON(), currentFilename);
+            nameInput.value = '';
+            modalManager.notify(`Snapshot saved: ${name}`, 'info');
+        } catch (error) {
+            modalManager.notify(`Could not save snapshot: ${error.message}`, 'error');
+        }
+        renderList();
+    };
+    
+    // Closing by any route (close button, Escape, clicking outside, restoring) removes the listener
+    const cleanup = () => {
+        saveBtn.removeEventListener('click', handleSaveSnapshot);
+    };
+    
+    saveBtn.addEventListener('click', handleSaveSnapshot);
+    
+    nameInput.value = '';
+    nameInput.placeholder = currentFilename || 'Untitled song';
+    await renderList();
+    modalManager.show('snapshotsModal').then(cleanup);
+}
+
 /**
  * Setup control panel interactions
  */
@@ -101,10 +311,41 @@ function setupControls() {
         pianoRoll.updateInstrumentColorIndicator();
     });
     
+    // Keep the colour indicator, the open track list and the mixer in sync with track edits
+    pianoRoll.addEventListener('tracksChanged', () => {
+        pianoRoll.updateInstrumentColorIndicator();
+        if (modalManager.activeModal === 'trackInfoModal') {
+            pianoRoll.renderTrackList();
+        }
+        if (modalManager.activeModal === 'mixerModal') {
+            mixerPanel.render();
+        }
+    });
+    document.getElementById('addTrackBtn').addEventListener('click', () => pianoRoll.addTrack());
+    
+    // Mixer
+    mixerPanel = new MixerPanel(document.getElementById('mixerContent'), document.getElementById('mixerEffects'), pianoRoll, volumeSlider);
+    document.getElementById('mixerPlayBtn').addEventListener('click', () => playBtn.click());
+    
+    // Custom waves
+    waveEditor = new WaveEditor(pianoRoll);
+    
+    // Imported samples; songs that don't embed their audio find it in the sample library
+    if (songStore) {
+        pianoRoll.audioEngine.sampleSource = async (id) => {
+            const record = await songStore.loadSample(id);
+            return record ? record.data : null;
+        };
+    }
+    sampleImporter = new SampleImporter(pianoRoll, songStore);
+    
+    // Synth instruments
+    synthEditor = new SynthEditor(pianoRoll);
+    
     // Loop button
     const loopBtn = document.getElementById('loopBtn');
     loopBtn.addEventListener('click', () => {
-        pianoRoll.loopEnabled = !pianoRoll.loopEnabled;
+        pianoRoll.setLoop(!pianoRoll.loopEnabled);
         loopBtn.classList.toggle('active', pianoRoll.loopEnabled);
     });
     
@@ -117,29 +358,6 @@ function setupControls() {
         snapModeBtn.querySelector('span').textContent = isHighRes ? 'Snap: Fine' : 'Snap: Normal';
         modalManager.notify(`Snap mode: ${isHighRes ? 'Fine (64 divisions)' : 'Normal (16 divisions)'}`, 'info');
     });
-    
-    
-    // Loop range inputs
-    const loopStartInput = document.getElementById('loopStartInput');
-    const loopEndInput = document.getElementById('loopEndInput');
-    
-    loopStartInput.addEventListener('change', (e) => {
-        const value = parseInt(e.target.value) - 1;
-        if (value >= 0 && value < pianoRoll.loopEnd) {
-            pianoRoll.loopStart = value;
-        } else {
-            e.target.value = pianoRoll.loopStart + 1;
-        }
-    });
-    
-    loopEndInput.addEventListener('change', (e) => {
-        const value = parseInt(e.target.value) - 1;
-        if (value > pianoRoll.loopStart && value < pianoRoll.totalMeasures) {
-            pianoRoll.loopEnd = value;
-        } else {
-            e.target.value = pianoRoll.loopEnd + 1;
-        }
-    });
 }
 
 /**
@@ -172,7 +390,34 @@ function setupModals() {
     });
     modalManager.register('confirmModal');
     modalManager.register('saveAsModal');
+    modalManager.register('exportAudioModal');
+    modalManager.register('transposeModal');
+    modalManager.register('quantizeModal');
+    modalManager.register('tempoMapModal');
+    modalManager.register('retuneModal');
+    modalManager.register('tuningModal');
+    modalManager.register('snapshotsModal');
+    modalManager.register('libraryModal');
     modalManager.register('trackInfoModal');
+    modalManager.register('mixerModal', {
+        onShow: () => {
+            mixerPanel.render();
+            mixerPanel.start();
+        },
+        onClose: () => mixerPanel.stop()
+    });
+    modalManager.register('waveEditorModal', {
+        onShow: () => waveEditor.open(),
+        onClose: () => waveEditor.stopAudition()
+    });
+    modalManager.register('samplesModal', {
+        onShow: () => sampleImporter.open(),
+        onClose: () => sampleImporter.stopPreview()
+    });
+    modalManager.register('synthEditorModal', {
+        onShow: () => synthEditor.open(),
+        onClose: () => synthEditor.stopAudition()
+    });
     modalManager.register('tuningHelpModal');
 }
 
@@ -202,6 +447,14 @@ function setupMenus() {
                 handler: () => handleSaveAs(),
                 shortcut: 'Ctrl+Shift+S'
             },
+            {
+                id: 'menu-library',
+                handler: () => showLibrary()
+            },
+            {
+                id: 'menu-snapshots',
+                handler: () => showSnapshots()
+            },
             {
                 id: 'menu-import-org',
                 handler: () => handleImportOrg()
@@ -210,12 +463,38 @@ function setupMenus() {
                 id: 'menu-import-midi',
                 handler: () => handleImportMidi()
             },
+            {
+                id: 'menu-export-org',
+                handler: () => handleExportOrg()
+            },
+            {
+                id: 'menu-export-midi',
+                handler: () => handleExportMidi()
+            },
+            {
+                id: 'menu-export',
+                handler: () => handleExportAudio()
+            },
             {
                 id: 'menu-clear-all',
                 handler: () => handleClearAll()
+            },
+            {
+                id: 'menu-retune',
+                handler: () => handleRetune()
             }
         ],
         edit: [
+            {
+                id: 'menu-undo',
+                handler: () => handleUndo(),
+                shortcut: 'Ctrl+Z'
+            },
+            {
+                id: 'menu-redo',
+                handler: () => handleRedo(),
+                shortcut: 'Ctrl+Shift+Z'
+            },
             {
                 id: 'menu-cut',
                 handler: () => handleCut(),
@@ -240,9 +519,37 @@ function setupMenus() {
                 id: 'menu-select-all',
                 handler: () => handleSelectAll(),
                 shortcut: 'Ctrl+A'
+            },
+            {
+                id: 'menu-slide',
+                handler: () => handleToggleSlide(),
+                shortcut: 'L'
+            },
+            {
+                id: 'menu-clear-bend',
+                handler: () => handleClearPitchBend()
+            },
+            {
+                id: 'menu-clear-automation',
+                handler: () => handleClearAutomation()
             }
         ],
         view: [
+            {
+                id: 'menu-zoom-in',
+                handler: () => pianoRoll.zoomIn(),
+                shortcut: 'Ctrl+='
+            },
+            {
+                id: 'menu-zoom-out',
+                handler: () => pianoRoll.zoomOut(),
+                shortcut: 'Ctrl+-'
+            },
+            {
+                id: 'menu-zoom-reset',
+                handler: () => pianoRoll.resetZoom(),
+                shortcut: 'Ctrl+0'
+            },
             {
                 id: 'menu-grid-snap',
                 type: 'checkbox',
@@ -269,17 +576,67 @@ function setupMenus() {
                 }
             },
             {
-                id: 'menu-track-info',
-                handler: () => {
-                    const trackData = pianoRoll.buildTrackData();
-                    pianoRoll.showTrackInfoModal(trackData);
+                id: 'menu-organya-accurate',
+                type: 'checkbox',
+                checked: false,
+                handler: (checked) => {
+                    pianoRoll.organyaAccurate = checked;
                 }
+            },
+            {
+                id: 'menu-automation-lanes',
+                type: 'checkbox',
+                checked: false,
+                handler: (checked) => setAutomationMode(checked)
+            },
+            ...['point', 'pencil', 'line'].map(tool => ({
+                id: `menu-automation-${tool}`,
+                type: 'checkbox',
+                checked: tool === pianoRoll.automationTool,
+                handler: () => setAutomationTool(tool)
+            })),
+            {
+                id: 'menu-track-info',
+                handler: () => pianoRoll.showTrackInfoModal()
+            },
+            {
+                id: 'menu-mixer',
+                handler: () => modalManager.show('mixerModal'),
+                shortcut: 'M'
             }
         ],
         tools: [
             {
                 id: 'menu-clear-all',
                 handler: () => handleClearAll()
+            },
+            {
+                id: 'menu-transpose',
+                handler: () => handleTranspose()
+            },
+            {
+                id: 'menu-quantize',
+                handler: () => handleQuantize()
+            },
+            {
+                id: 'menu-tempo-map',
+                handler: () => handleTempoMap()
+            },
+            {
+                id: 'menu-tuning',
+                handler: () => handleTuning()
+            },
+            {
+                id: 'menu-wave-editor',
+                handler: () => modalManager.show('waveEditorModal')
+            },
+            {
+                id: 'menu-samples',
+                handler: () => modalManager.show('samplesModal')
+            },
+            {
+                id: 'menu-synth-editor',
+                handler: () => modalManager.show('synthEditorModal')
             }
         ],
         help: [
@@ -287,6 +644,10 @@ function setupMenus() {
                 id: 'menu-shortcuts',
                 handler: () => showShortcuts()
             },
+            {
+                id: 'menu-playback-timing',
+                handler: () => showPlaybackTiming()
+            },
             {
                 id: 'menu-about',
                 handler: () => showAbout()
@@ -297,10 +658,25 @@ function setupMenus() {
     // Register menus
     menuManager.registerMenus(menuConfig);
     
+    // Keep undo/redo menu items in sync with the history
+    pianoRoll.addEventListener('historyChanged', updateUndoMenu);
+    updateUndoMenu();
+    
+    // Keep zoom menu items in sync with the zoom limits
+    pianoRoll.addEventListener('zoomChanged', updateZoomMenu);
+    updateZoomMenu();
+    
     // Setup song menu items
     setupSongMenuItems();
 }
 
+/**
+ * Modal title for a song directory, taken from its menu item
+ */
+function getMenuTitle(menuItem) {
+    return menuItem.textContent.replace(/\.\.\.$/, '').trim();
+}
+
 /**
  * Setup sample song menu items
  */
@@ -314,7 +690,7 @@ function setupSongMenuItems() {
             
             // Check if it's a directory
             if (orgPath.endsWith('/')) {
-                await showSongDirectory(orgPath, false);
+                await showSongDirectory(orgPath, false, getMenuTitle(e.target));
             } else {
                 await loadOrgFromPath(orgPath);
             }
@@ -345,7 +721,7 @@ function setupSongMenuItems() {
             e.preventDefault();
             const midiDirPath = e.target.getAttribute('data-midi-dir');
             if (midiDirPath) {
-                await showSongDirectory(midiDirPath, true);
+                await showSongDirectory(midiDirPath, true, getMenuTitle(e.target));
                 menuManager.closeAll();
             }
         });
@@ -371,7 +747,17 @@ async function handleNew() {
     );
     
     if (confirmed) {
+        await saveSafetySnapshot('Before new project');
+        pianoRoll.noteManager.beginTransaction('New Project');
         pianoRoll.noteManager.clearAll();
+        pianoRoll.trackManager.clear();
+        pianoRoll.noteManager.commitTransaction();
+        pianoRoll.playbackEngine.setMasterEffects(null);
+        pianoRoll.audioEngine.setCustomWaves(null);
+        pianoRoll.audioEngine.setUserSamples(null);
+        pianoRoll.audioEngine.setSynths(null);
+        pianoRoll.updateInstrumentOptions();
+        pianoRoll.emit('tracksChanged');
         pianoRoll.stop();
         pianoRoll.dirty = true;
         pianoRoll.emit('notesChanged');
@@ -390,11 +776,7 @@ async function handleImportOrg() {
         const file = e.target.files[0];
         if (file) {
             try {
-                const buffer = await file.arrayBuffer();
-                await pianoRoll.loadOrgFile(buffer);
-                // Convert to .o38.json extension for saving
-                currentFilename = file.name.replace(/\.org$/i, '.o38.json');
-                updatePageTitle();
+                await openOrgBuffer(await file.arrayBuffer(), file.name);
                 modalManager.notify(`Loaded: ${file.name}`, 'info');
             } catch (error) {
                 modalManager.notify(`Failed to load file: ${error.message}`, 'error');
@@ -414,11 +796,7 @@ async function handleImportMidi() {
         const file = e.target.files[0];
         if (file) {
             try {
-                const buffer = await file.arrayBuffer();
-                await pianoRoll.loadMidiFile(buffer);
-                // Convert to .o38.json extension for saving
-                currentFilename = file.name.replace(/\.(mid|midi)$/i, '.o38.json');
-                updatePageTitle();
+                await openMidiBuffer(await file.arrayBuffer(), file.name);
                 modalManager.notify(`Loaded: ${file.name}`, 'info');
             } catch (error) {
                 modalManager.notify(`Failed to load MIDI file: ${error.message}`, 'error');
@@ -431,34 +809,72 @@ async function handleImportMidi() {
 
 async function handleClearAll() {
     const confirmed = await modalManager.confirm(
-        'Are you sure you want to clear all notes? This cannot be undone.'
+        'Are you sure you want to clear all notes? You can restore them with Undo (Ctrl+Z).'
     );
     
     if (confirmed) {
+        await saveSafetySnapshot('Before clearing all notes');
         pianoRoll.noteManager.clearAll();
         pianoRoll.stop();
         
         // Reset loop settings
-        pianoRoll.loopEnabled = false;
-        pianoRoll.loopStart = 0;
-        pianoRoll.loopEnd = 4;
+        pianoRoll.setLoop(false, 0, 4);
         document.getElementById('loopBtn').classList.remove('active');
-        document.getElementById('loopStartInput').value = 1;
-        document.getElementById('loopEndInput').value = 5;
         
-        // Reset tempo to default
-        pianoRoll.setTempo(120);
+        // Reset tempo and time signature to default
+        pianoRoll.setTimeMap(new TimeMap(120));
         
         // Clear filename
         pianoRoll.currentFilename = null;
         updatePageTitle();
         pianoRoll.orgTrackInfo = null;
+        pianoRoll.orgHeader = null;
         
         pianoRoll.dirty = true;
         modalManager.notify('New project created', 'info');
     }
 }
 
+function handleUndo() {
+    if (pianoRoll.noteManager.undo()) {
+        pianoRoll.emit('notesChanged');
+        pianoRoll.emit('selectionChanged');
+        pianoRoll.dirty = true;
+    }
+}
+
+function handleRedo() {
+    if (pianoRoll.noteManager.redo()) {
+        pianoRoll.emit('notesChanged');
+        pianoRoll.emit('selectionChanged');
+        pianoRoll.dirty = true;
+    }
+}
+
+/**
+ * Update undo/redo menu items to reflect the history state
+ */
+function updateUndoMenu() {
+    const undoLabel = pianoRoll.noteManager.getUndoLabel();
+    const redoLabel = pianoRoll.noteManager.getRedoLabel();
+    
+    menuManager.setEnabled('menu-undo', undoLabel !== null);
+    menuManager.setEnabled('menu-redo', redoLabel !== null);
+    document.getElementById('menu-undo').textContent = undoLabel ? `Undo ${undoLabel}` : 'Undo';
+    document.getElementById('menu-redo').textContent = redoLabel ? `Redo ${redoLabel}` : 'Redo';
+}
+
+/**
+ * Update zoom menu items to reflect the zoom limits
+ */
+function updateZoomMenu() {
+    const { zoomX, zoomY } = pianoRoll;
+    
+    menuManager.setEnabled('menu-zoom-in', zoomX < MAX_ZOOM || zoomY < MAX_ZOOM);
+    menuManager.setEnabled('menu-zoom-out', zoomX > MIN_ZOOM || zoomY > MIN_ZOOM);
+    menuManager.setEnabled('menu-zoom-reset', zoomX !== 1 || zoomY !== 1);
+}
+
 function handleCut() {
     pianoRoll.noteManager.cutSelectedNotes();
     pianoRoll.emit('notesChanged');
@@ -475,7 +891,10 @@ function handlePaste() {
     const pasteX = pianoRoll.inputHandler.mouseX || pianoRoll.playheadPos;
     const pasteY = pianoRoll.inputHandler.mouseY || 0;
     
-    pianoRoll.noteManager.pasteNotes(pasteX, pasteY);
+    // Convert from zoomed canvas space to note space
+    const scaleFactor = pianoRoll.gridWidth / pianoRoll.baseGridWidth;
+    const scaleY = pianoRoll.noteHeight / NOTE_HEIGHT;
+    pianoRoll.noteManager.pasteNotes(PIANO_KEY_WIDTH + (pasteX - PIANO_KEY_WIDTH) / scaleFactor, pasteY / scaleY);
     pianoRoll.emit('notesChanged');
     pianoRoll.dirty = true;
 }
@@ -486,17 +905,664 @@ function handleDelete() {
     pianoRoll.dirty = true;
 }
 
-function handleSelectAll() {
-    pianoRoll.noteManager.selectAll();
-    pianoRoll.dirty = true;
+/**
+ * Show the transpose dialog
+ */
+function handleTranspose() {
+    const modal = document.getElementById('transposeModal');
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const modeSelect = document.getElementById('transposeMode');
+    const intervalSelect = document.getElementById('transposeInterval');
+    const amountInput = document.getElementById('transposeAmount');
+    const directionSelect = document.getElementById('transposeDirection');
+    const scopeSelect = document.getElementById('transposeScope');
+    const keepDrumsInput = document.getElementById('transposeKeepDrums');
+    const summary = document.getElementById('transposeSummary');
+    const noteManager = pianoRoll.noteManager;
+    amountInput.max = pianoRoll.numKeys - 1;
+    
+    // Intervals from the tuning's 12-tone mapping (meantone in 38-EDO), plus the octave
+    const tuning = pianoRoll.tuning;
+    const selectedInterval = intervalSelect.selectedIndex;
+    intervalSelect.innerHTML = '';
+    INTERVAL_NAMES.forEach((name, semitones) => {
+        if (semitones === 0) return;
+        const steps = tuning.getStepsForSemitones(semitones);
+        const option = document.createElement('option');
+        option.value = steps;
+        option.textContent = `${name} (${steps} steps)`;
+        intervalSelect.appendChild(option);
+    });
+    const octave = document.createElement('option');
+    octave.value = tuning.size;
+    octave.textContent = `Octave (${tuning.size} steps)`;
+    intervalSelect.appendChild(octave);
+    intervalSelect.selectedIndex = Math.max(0, selectedInterval);
+    
+    // Default to the selection when there is one
+    const hasSelection = noteManager.selectedNotes.size > 0;
+    scopeSelect.querySelector('option[value="selection"]').disabled = !hasSelection;
+    scopeSelect.value = hasSelection ? 'selection' : 'song';
+    
+    const getSteps = () => {
+        const direction = parseInt(directionSelect.value);
+        const amount = Math.max(0, parseInt(amountInput.value) || 0);
+        switch (modeSelect.value) {
+            case 'steps':
+                return direction * amount;
+            case 'octaves':
+                return direction * amount * tuning.size;
+            default:
+                return direction * parseInt(intervalSelect.value);
+        }
+    };
+    
+    const getTargetNotes = () => {
+        const notes = scopeSelect.value === 'selection' ? Array.from(noteManager.selectedNotes) : noteManager.notes;
+        return keepDrumsInput.checked ? notes.filter(note => !note.instrument.startsWith('ORG_D')) : notes;
+    };
+    
+    const updateSummary = () => {
+        document.getElementById('transposeIntervalRow').style.display = modeSelect.value === 'interval' ? '' : 'none';
+        document.getElementById('transposeAmountRow').style.display = modeSelect.value === 'interval' ? 'none' : '';
+        
+        const steps = getSteps();
+        const notes = getTargetNotes();
+        const outOfRange = notes.filter(note => note.key + steps < 0 || note.key + steps >= pianoRoll.numKeys).length;
+        
+        let text = `${steps > 0 ? '+' : ''}${steps} steps, ${notes.length} note${notes.length === 1 ? '' : 's'}`;
+        if (outOfRange > 0) {
+            text += ` - ${outOfRange} would leave the keyboard and will be left in place`;
+        }
+        summary.textContent = text;
+        summary.classList.toggle('warning', outOfRange > 0);
+    };
+    
+    const inputs = [modeSelect, intervalSelect, amountInput, directionSelect, scopeSelect, keepDrumsInput];
+    
+    const handleConfirm = () => {
+        const steps = getSteps();
+        const scope = scopeSelect.value;
+        const notes = scope === 'selection' ? Array.from(noteManager.selectedNotes) : noteManager.notes;
+        modalManager.close('transposeModal');
+        
+        if (steps === 0) return;
+        
+        const { transposed, outOfRange } = noteManager.transposeNotes(notes, steps, {
+            keepDrums: keepDrumsInput.checked
+        });
+        
+        if (outOfRange.length > 0) {
+            // Select the notes that could not be moved so they are easy to find
+            noteManager.selectedNotes.clear();
+            outOfRange.forEach(note => noteManager.selectedNotes.add(note));
+            modalManager.notify(`${outOfRange.length} note(s) would leave the keyboard and were not transposed (now selected)`, 'error');
+        } else {
+            modalManager.notify(`Transposed ${transposed.length} note(s)`, 'info');
+        }
+        
+        pianoRoll.emit('notesChanged');
+        pianoRoll.emit('selectionChanged');
+        pianoRoll.dirty = true;
+    };
+    
+    const handleCancel = () => modalManager.close('transposeModal');
+    
+    // Closing by any route (buttons, Escape, clicking outside) removes the listeners
+    const cleanup = () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        inputs.forEach(input => input.removeEventListener('input', updateSummary));
+    };
+    
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    inputs.forEach(input => input.addEventListener('input', updateSummary));
+    
+    updateSummary();
+    modalManager.show('transposeModal').then(cleanup);
 }
 
+/**
+ * Show the quantize dialog
+ */
+function handleQuantize() {
+    const modal = document.getElementById('quantizeModal');
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const scopeSelect = document.getElementById('quantizeScope');
+    const noteManager = pianoRoll.noteManager;
+    
+    // Default to the current snap grid and the selection when there is one
+    document.getElementById('quantizeGrid').value = pianoRoll.getSnapDivisions();
+    const hasSelection = noteManager.selectedNotes.size > 0;
+    scopeSelect.querySelector('option[value="selection"]').disabled = !hasSelection;
+    scopeSelect.value = hasSelection ? 'selection' : 'song';
+    
+    const handleConfirm = () => {
+        const clampPercent = (id) => Math.max(0, Math.min(100, parseFloat(document.getElementById(id).value) || 0)) / 100;
+        const options = {
+            divisions: parseInt(document.getElementById('quantizeGrid').value),
+            strength: clampPercent('quantizeStrength'),
+            swing: clampPercent('quantizeSwing'),
+            quantizeEnds: document.getElementById('quantizeEnds').checked
+        };
+        const notes = scopeSelect.value === 'selection' ? Array.from(noteManager.selectedNotes) : noteManager.notes;
+        modalManager.close('quantizeModal');
+        
+        const changed = noteManager.quantizeNotes(notes, options);
+        modalManager.notify(`Quantized ${changed} note(s)`, 'info');
+        
+        pianoRoll.emit('notesChanged');
+        pianoRoll.dirty = true;
+    };
+    
+    const handleCancel = () => modalManager.close('quantizeModal');
+    
+    // Closing by any route (buttons, Escape, clicking outside) removes the listeners
+    const cleanup = () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+    };
+    
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    
+    modalManager.show('quantizeModal').then(cleanup);
+}
 
 /**
- * Show keyboard shortcuts
+ * Show the retuning assistant
+ * Proposals are previewed on the piano roll until they are applied or the panel is closed.
  */
-function showShortcuts() {
-    const shortcuts = `
+function handleRetune() {
+    const modal = document.getElementById('retuneModal');
+    const applyBtn = modal.querySelector('.save-as-confirm');
+    const closeBtn = modal.querySelector('.save-as-cancel');
+    const analyzeBtn = document.getElementById('retuneAnalyzeBtn');
+    const acceptAllBtn = document.getElementById('retuneAcceptAllBtn');
+    const rejectAllBtn = document.getElementById('retuneRejectAllBtn');
+    const scopeSelect = document.getElementById('retuneScope');
+    const summary = document.getElementById('retuneSummary');
+    const trackList = document.getElementById('retuneTrackList');
+    const chordList = document.getElementById('retuneChordList');
+    const noteManager = pianoRoll.noteManager;
+    
+    let analyzedNotes = [];
+    let result = null;
+    const rejectedChords = new Set();
+    const rejectedTracks = new Set();
+    
+    const isAccepted = (proposal) => !rejectedChords.has(proposal.chord) && !rejectedTracks.has(proposal.track);
+    
+    const hasSelection = noteManager.selectedNotes.size > 0;
+    scopeSelect.querySelector('option[value="selection"]').disabled = !hasSelection;
+    scopeSelect.value = hasSelection ? 'selection' : 'song';
+    
+    const formatCents = (cents) => `${cents.toFixed(1)}¢`;
+    
+    const getPositionLabel = (x) => {
+        const beat = (x - PIANO_KEY_WIDTH) / GRID_WIDTH;
+        const measure = pianoRoll.timeMap.getMeasureAtBeat(beat);
+        const beatInMeasure = beat - pianoRoll.timeMap.getMeasureStart(measure) + 1;
+        return `Measure ${measure + 1}, beat ${Math.round(beatInMeasure * 100) / 100}`;
+    };
+    
+    const updateSummary = () => {
+        if (!result) {
+            summary.textContent = 'Analyze to see proposed shifts.';
+            return;
+        }
+        if (result.proposals.length === 0) {
+            summary.textContent = 'No shifts proposed: the harmony is already as close to just intonation as the shift limit allows.';
+            return;
+        }
+        
+        const accepted = new Map();
+        result.proposals.filter(isAccepted).forEach(proposal => accepted.set(proposal.note, proposal.shift));
+        const before = Retuner.measureError(analyzedNotes, new Map(), result.limit, result.tuning);
+        const after = Retuner.measureError(analyzedNotes, accepted, result.limit, result.tuning);
+        summary.textContent = `Average error: ${formatCents(before.mean)} → ${formatCents(after.mean)} ` +
+            `over ${before.count} intervals (${accepted.size} of ${result.proposals.length} shifts accepted)`;
+    };
+    
+    const refresh = () => {
+        updateSummary();
+        chordList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = !rejectedChords.has(parseInt(checkbox.dataset.chord));
+        });
+        pianoRoll.dirty = true;
+    };
+    
+    const addRow = (list, label, details, checked, onToggle) => {
+        const row = document.createElement('label');
+        row.className = 'retune-row';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', () => onToggle(checkbox.checked));
+        const name = document.createElement('span');
+        name.className = 'retune-name';
+        name.textContent = label;
+        const info = document.createElement('span');
+        info.className = 'retune-details';
+        info.textContent = details;
+        row.append(checkbox, name, info);
+        list.appendChild(row);
+        return row;
+    };
+    
+    const scrollToChord = (chord) => {
+        const scaleFactor = pianoRoll.gridWidth / pianoRoll.baseGridWidth;
+        const scaleY = pianoRoll.noteHeight / NOTE_HEIGHT;
+        const x = PIANO_KEY_WIDTH + (chord.x - PIANO_KEY_WIDTH) * scaleFactor;
+        const y = chord.notes[0].y * scaleY;
+        pianoRoll.setScroll(x - pianoRoll.pianoKeyWidth - pianoRoll.gridWidth, y - pianoRoll.canvas.height / 2);
+    };
+    
+    const renderLists = () => {
+        trackList.innerHTML = '';
+        chordList.innerHTML = '';
+        if (!result || result.proposals.length === 0) return;
+        
+        const trackCounts = new Map();
+        result.proposals.forEach(proposal => trackCounts.set(proposal.track, (trackCounts.get(proposal.track) || 0) + 1));
+        trackCounts.forEach((count, track) => {
+            addRow(trackList, track.replace(/^ORG_/, ''), `${count} shift${count === 1 ? '' : 's'}`, !rejectedTracks.has(track), (checked) => {
+                if (checked) {
+                    rejectedTracks.delete(track);
+                } else {
+                    rejectedTracks.add(track);
+                }
+                refresh();
+            });
+        });
+        
+        result.chords.forEach(chord => {
+            const row = addRow(chordList, getPositionLabel(chord.x),
+                `${formatCents(chord.before)} → ${formatCents(chord.after)}`,
+                !rejectedChords.has(chord.index), (checked) => {
+                    if (checked) {
+                        rejectedChords.delete(chord.index);
+                    } else {
+                        rejectedChords.add(chord.index);
+                    }
+                    refresh();
+                });
+            row.querySelector('input').dataset.chord = chord.index;
+            row.querySelector('.retune-name').addEventListener('click', (e) => {
+                e.preventDefault();
+                scrollToChord(chord);
+            });
+        });
+    };
+    
+    const handleAnalyze = () => {
+        analyzedNotes = scopeSelect.value === 'selection' ? Array.from(noteManager.selectedNotes) : noteManager.notes.slice();
+        result = Retuner.analyze(analyzedNotes, {
+            limit: parseInt(document.getElementById('retuneLimit').value),
+            maxShift: parseInt(document.getElementById('retuneMaxShift').value),
+            tuning: pianoRoll.tuning
+        });
+        rejectedChords.clear();
+        rejectedTracks.clear();
+        pianoRoll.retunePreview = { proposals: result.proposals, isAccepted };
+        renderLists();
+        refresh();
+    };
+    
+    const handleAcceptAll = () => {
+        rejectedChords.clear();
+        refresh();
+    };
+    
+    const handleRejectAll = () => {
+        if (result) {
+            result.chords.forEach(chord => rejectedChords.add(chord.index));
+        }
+        refresh();
+    };
+    
+    const handleApply = () => {
+        if (!result) {
+            handleAnalyze();
+            return;
+        }
+        
+        // Notes deleted while reviewing are left out
+        const existing = new Set(noteManager.notes);
+        const shifts = new Map();
+        result.proposals
+            .filter(proposal => isAccepted(proposal) && existing.has(proposal.note))
+            .forEach(proposal => shifts.set(proposal.note, proposal.shift));
+        
+        const before = Retuner.measureError(analyzedNotes, new Map(), result.limit, result.tuning);
+        const after = Retuner.measureError(analyzedNotes, shifts, result.limit, result.tuning);
+        modalManager.close('retuneModal');
+        
+        const moved = noteManager.shiftNoteKeys(shifts);
+        modalManager.notify(`Retuned ${moved} note(s): average error ${formatCents(before.mean)} → ${formatCents(after.mean)}`, 'info');
+        
+        pianoRoll.emit('notesChanged');
+        pianoRoll.dirty = true;
+    };
+    
+    const handleClose = () => modalManager.close('retuneModal');
+    
+    // Closing by any route (button, Escape, another dialog) drops the preview
+    const cleanup = () => {
+        applyBtn.removeEventListener('click', handleApply);
+        closeBtn.removeEventListener('click', handleClose);
+        analyzeBtn.removeEventListener('click', handleAnalyze);
+        acceptAllBtn.removeEventListener('click', handleAcceptAll);
+        rejectAllBtn.removeEventListener('click', handleRejectAll);
+        pianoRoll.retunePreview = null;
+        pianoRoll.dirty = true;
+    };
+    
+    applyBtn.addEventListener('click', handleApply);
+    closeBtn.addEventListener('click', handleClose);
+    analyzeBtn.addEventListener('click', handleAnalyze);
+    acceptAllBtn.addEventListener('click', handleAcceptAll);
+    rejectAllBtn.addEventListener('click', handleRejectAll);
+    
+    renderLists();
+    updateSummary();
+    modalManager.show('retuneModal').then(cleanup);
+}
+
+/**
+ * Show the tempo and time signature dialog
+ */
+function handleTempoMap() {
+    const modal = document.getElementById('tempoMapModal');
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const addTempoBtn = document.getElementById('addTempoChangeBtn');
+    const addMeterBtn = document.getElementById('addMeterChangeBtn');
+    const tempoList = document.getElementById('tempoChangeList');
+    const meterList = document.getElementById('meterChangeList');
+    const timeMap = pianoRoll.timeMap;
+    const denominators = [2, 4, 8, 16];
+    
+    const addRow = (list, html) => {
+        const row = document.createElement('div');
+        row.className = 'tempo-map-row';
+        row.innerHTML = `${html}<button class="tempo-map-remove" title="Remove">&times;</button>`;
+        row.querySelector('.tempo-map-remove').addEventListener('click', () => row.remove());
+        list.appendChild(row);
+    };
+    
+    // Positions are shown 1-based, beats in the unit of the time signature
+    const addTempoRow = (measure = 1, beat = 1, bpm = timeMap.getInitialTempo()) => {
+        addRow(tempoList, `Measure <input type="number" class="tempo-measure" min="1" value="${measure}">
+            Beat <input type="number" class="tempo-beat" min="1" step="0.25" value="${beat}">
+            <input type="number" class="tempo-bpm" min="20" max="400" value="${bpm}"> BPM`);
+    };
+    
+    const addMeterRow = (measure = 1, numerator = 4, denominator = 4) => {
+        const options = denominators.map(value =>
+            `<option value="${value}"${value === denominator ? ' selected' : ''}>${value}</option>`).join('');
+        addRow(meterList, `Measure <input type="number" class="meter-measure" min="2" value="${measure}">
+            <input type="number" class="meter-numerator" min="1" max="32" value="${numerator}">
+            / <select class="meter-denominator">${options}</select>`);
+    };
+    
+    // Fill in the current map
+    const firstMeter = timeMap.meters[0];
+    document.getElementById('tempoMapBpm').value = timeMap.getInitialTempo();
+    document.getElementById('tempoMapNumerator').value = firstMeter.numerator;
+    document.getElementById('tempoMapDenominator').value = firstMeter.denominator;
+    tempoList.innerHTML = '';
+    meterList.innerHTML = '';
+    timeMap.tempos.slice(1).forEach(tempo => {
+        const measure = timeMap.getMeasureAtBeat(tempo.beat);
+        const beatUnit = 4 / timeMap.getMeterAt(measure).denominator;
+        const beat = (tempo.beat - timeMap.getMeasureStart(measure)) / beatUnit + 1;
+        addTempoRow(measure + 1, Math.round(beat * 1000) / 1000, tempo.bpm);
+    });
+    timeMap.meters.slice(1).forEach(meter => addMeterRow(meter.measure + 1, meter.numerator, meter.denominator));
+    
+    const handleAddTempo = () => addTempoRow();
+    const handleAddMeter = () => addMeterRow(2, firstMeter.numerator, firstMeter.denominator);
+    
+    const handleConfirm = () => {
+        const clampInt = (value, min, max, fallback) => {
+            const parsed = parseInt(value);
+            return isNaN(parsed) ? fallback : Math.max(min, Math.min(max, parsed));
+        };
+        
+        const bpm = clampInt(document.getElementById('tempoMapBpm').value, 20, 400, timeMap.getInitialTempo());
+        const newMap = new TimeMap(bpm);
+        newMap.setMeterChange(0,
+            clampInt(document.getElementById('tempoMapNumerator').value, 1, 32, 4),
+            parseInt(document.getElementById('tempoMapDenominator').value));
+        
+        // Time signatures first: tempo change positions depend on them
+        meterList.querySelectorAll('.tempo-map-row').forEach(row => {
+            const measure = clampInt(row.querySelector('.meter-measure').value, 2, pianoRoll.totalMeasures, 2) - 1;
+            newMap.setMeterChange(measure,
+                clampInt(row.querySelector('.meter-numerator').value, 1, 32, 4),
+                parseInt(row.querySelector('.meter-denominator').value));
+        });
+        
+        tempoList.querySelectorAll('.tempo-map-row').forEach(row => {
+            const measure = clampInt(row.querySelector('.tempo-measure').value, 1, pianoRoll.totalMeasures, 1) - 1;
+            const meter = newMap.getMeterAt(measure);
+            const beat = Math.max(1, Math.min(meter.numerator + 1, parseFloat(row.querySelector('.tempo-beat').value) || 1));
+            const tempoBpm = clampInt(row.querySelector('.tempo-bpm').value, 20, 400, bpm);
+            const position = newMap.getMeasureStart(measure) + (beat - 1) * 4 / meter.denominator;
+            if (position > 0) {
+                newMap.setTempoChange(position, tempoBpm);
+            } else {
+                newMap.setTempo(tempoBpm);
+            }
+        });
+        
+        modalManager.close('tempoMapModal');
+        
+        if (pianoRoll.isPlaying) {
+            pianoRoll.stop();
+        }
+        pianoRoll.setTimeMap(newMap);
+        pianoRoll.dirty = true;
+    };
+    
+    const handleCancel = () => modalManager.close('tempoMapModal');
+    
+    // Closing by any route (buttons, Escape, clicking outside) removes the listeners
+    const cleanup = () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        addTempoBtn.removeEventListener('click', handleAddTempo);
+        addMeterBtn.removeEventListener('click', handleAddMeter);
+    };
+    
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    addTempoBtn.addEventListener('click', handleAddTempo);
+    addMeterBtn.addEventListener('click', handleAddMeter);
+    
+    modalManager.show('tempoMapModal').then(cleanup);
+}
+
+/**
+ * Show the tuning dialog
+ */
+function handleTuning() {
+    const modal = document.getElementById('tuningModal');
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const typeSelect = document.getElementById('tuningType');
+    const edoSelect = document.getElementById('tuningEdo');
+    const sclInput = document.getElementById('tuningSclFile');
+    const kbmInput = document.getElementById('tuningKbmFile');
+    const tableInput = document.getElementById('tuningTable');
+    const summary = document.getElementById('tuningSummary');
+    const current = pianoRoll.tuning;
+    
+    if (edoSelect.options.length === 0) {
+        EDO_PRESETS.forEach(divisions => {
+            const option = document.createElement('option');
+            option.value = divisions;
+            option.textContent = `${divisions}-EDO (${(1200 / divisions).toFixed(2)} cents per step)`;
+            edoSelect.appendChild(option);
+        });
+    }
+    
+    // Start from the current tuning
+    typeSelect.value = current.type;
+    if (current.type === 'edo') {
+        edoSelect.value = current.size;
+    }
+    if (current.type === 'table') {
+        tableInput.value = current.frequencies.join('\n');
+    }
+    sclInput.value = '';
+    kbmInput.value = '';
+    
+    const updateRows = () => {
+        const type = typeSelect.value;
+        document.getElementById('tuningEdoRow').style.display = type === 'edo' ? '' : 'none';
+        document.getElementById('tuningSclRow').style.display = type === 'scala' ? '' : 'none';
+        document.getElementById('tuningKbmRow').style.display = type === 'scala' ? '' : 'none';
+        document.getElementById('tuningTableRow').style.display = type === 'table' ? '' : 'none';
+        
+        const count = pianoRoll.noteManager.notes.length;
+        summary.textContent = `Current tuning: ${current.name}.` +
+            (count > 0 ? ` ${count} note(s) will move to the nearest pitch, and undo history will be cleared.` : '');
+    };
+    
+    const buildTuning = async () => {
+        switch (typeSelect.value) {
+            case 'scala': {
+                const sclFile = sclInput.files[0];
+                if (!sclFile) {
+                    // Keep the loaded scale when only the dialog was reopened
+                    if (current.type === 'scala') return current;
+                    throw new Error('Choose a .scl file');
+                }
+                const kbmFile = kbmInput.files[0];
+                return Tuning.fromScala(await sclFile.text(), kbmFile ? await kbmFile.text() : null, sclFile.name.replace(/\.scl$/i, ''));
+            }
+            case 'table':
+                return Tuning.fromFrequencyTable(tableInput.value);
+            default:
+                return Tuning.edo(parseInt(edoSelect.value));
+        }
+    };
+    
+    const handleConfirm = async () => {
+        let tuning;
+        try {
+            tuning = await buildTuning();
+        } catch (error) {
+            modalManager.notify(`Invalid tuning: ${error.message}`, 'error');
+            return;
+        }
+        
+        modalManager.close('tuningModal');
+        if (tuning === current) return;
+        
+        if (pianoRoll.isPlaying) {
+            pianoRoll.stop();
+        }
+        pianoRoll.setTuning(tuning);
+        pianoRoll.dirty = true;
+        modalManager.notify(`Tuning set to ${tuning.name} (${tuning.keyCount} keys)`, 'info');
+    };
+    
+    const handleCancel = () => modalManager.close('tuningModal');
+    
+    // Closing by any route (buttons, Escape, clicking outside) removes the listeners
+    const cleanup = () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        typeSelect.removeEventListener('change', updateRows);
+    };
+    
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    typeSelect.addEventListener('change', updateRows);
+    
+    updateRows();
+    modalManager.show('tuningModal').then(cleanup);
+}
+
+function handleSelectAll() {
+    pianoRoll.noteManager.selectAll();
+    pianoRoll.dirty = true;
+}
+
+/**
+ * Make the selected notes slide into the note that follows them, or stop them sliding
+ */
+function handleToggleSlide() {
+    const notes = [...pianoRoll.noteManager.selectedNotes].filter(note => !note.instrument.startsWith('ORG_D'));
+    if (notes.length === 0) {
+        modalManager.notify('Select the melodic notes that should slide', 'info');
+        return;
+    }
+    
+    // Turn slides off only when every selected note already slides
+    const slide = !notes.every(note => note.slide);
+    pianoRoll.noteManager.setNotesSlide(notes, slide);
+    pianoRoll.emit('notesChanged');
+    pianoRoll.dirty = true;
+}
+
+function handleClearAutomation() {
+    if (pianoRoll.noteManager.selectedNotes.size === 0) {
+        modalManager.notify('Select the notes whose envelopes should be cleared', 'info');
+        return;
+    }
+    
+    if (pianoRoll.noteManager.clearAutomation(pianoRoll.noteManager.selectedNotes) > 0) {
+        pianoRoll.emit('notesChanged');
+        pianoRoll.dirty = true;
+    }
+}
+
+/**
+ * Switch the velocity and pan bars between note values and automation envelopes
+ */
+function setAutomationMode(enabled) {
+    pianoRoll.automationMode = enabled;
+    menuManager.setChecked('menu-automation-lanes', enabled);
+    velocityBar?.draw();
+    panBar?.draw();
+}
+
+/**
+ * Pick the automation tool; choosing one also shows the lanes
+ */
+function setAutomationTool(tool) {
+    pianoRoll.automationTool = tool;
+    ['point', 'pencil', 'line'].forEach(name => {
+        menuManager.setChecked(`menu-automation-${name}`, name === tool);
+    });
+    setAutomationMode(true);
+}
+
+function handleClearPitchBend() {
+    if (pianoRoll.noteManager.selectedNotes.size === 0) {
+        modalManager.notify('Select the notes whose pitch bend should be cleared', 'info');
+        return;
+    }
+    
+    if (pianoRoll.noteManager.clearPitchBends(pianoRoll.noteManager.selectedNotes) > 0) {
+        pianoRoll.emit('notesChanged');
+        pianoRoll.dirty = true;
+    }
+}
+
+
+/**
+ * Show keyboard shortcuts
+ */
+function showShortcuts() {
+    const shortcuts = `
 <div class="shortcuts-container">
     <div class="shortcut-section">
         <h3>Playback</h3>
@@ -528,6 +1594,14 @@ function showShortcuts() {
 
     <div class="shortcut-section">
         <h3>Selection & Editing</h3>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Z</span>
+            <span class="shortcut-desc">Undo</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Shift+Z</span>
+            <span class="shortcut-desc">Redo</span>
+        </div>
         <div class="shortcut-item">
             <span class="shortcut-key">Ctrl+A</span>
             <span class="shortcut-desc">Select all notes</span>
@@ -548,6 +1622,14 @@ function showShortcuts() {
             <span class="shortcut-key">Delete</span>
             <span class="shortcut-desc">Delete selected notes</span>
         </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">L</span>
+            <span class="shortcut-desc">Slide selected notes into the next note</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">M</span>
+            <span class="shortcut-desc">Open the mixer</span>
+        </div>
     </div>
 
     <div class="shortcut-section">
@@ -568,6 +1650,18 @@ function showShortcuts() {
             <span class="shortcut-key">Shift+Click</span>
             <span class="shortcut-desc">Add to selection</span>
         </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Alt+Drag</span>
+            <span class="shortcut-desc">Draw pitch bend on a note (snaps to steps with grid snap)</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Alt+Right Click</span>
+            <span class="shortcut-desc">Clear a note's pitch bend</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Right Click (lanes)</span>
+            <span class="shortcut-desc">Delete an envelope point; Alt clears the envelope</span>
+        </div>
     </div>
 
     <div class="shortcut-section">
@@ -580,6 +1674,22 @@ function showShortcuts() {
             <span class="shortcut-key">Shift+Wheel</span>
             <span class="shortcut-desc">Scroll horizontally</span>
         </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Wheel</span>
+            <span class="shortcut-desc">Zoom horizontally</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Shift+Wheel</span>
+            <span class="shortcut-desc">Zoom vertically</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+= / Ctrl+-</span>
+            <span class="shortcut-desc">Zoom in/out</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+0</span>
+            <span class="shortcut-desc">Reset zoom</span>
+        </div>
         <div class="shortcut-item">
             <span class="shortcut-key">Home</span>
             <span class="shortcut-desc">Go to beginning</span>
@@ -600,6 +1710,10 @@ function showShortcuts() {
             <span class="shortcut-key">Two Finger Drag</span>
             <span class="shortcut-desc">Scroll view</span>
         </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Pinch</span>
+            <span class="shortcut-desc">Zoom (spread horizontally or vertically)</span>
+        </div>
     </div>
 </div>`;
     
@@ -609,6 +1723,43 @@ function showShortcuts() {
     });
 }
 
+/**
+ * Show how well the playback scheduler kept ahead of the audio clock during the last playback
+ */
+function showPlaybackTiming() {
+    const stats = pianoRoll.playbackEngine.getSchedulerStats();
+    const ms = value => value === null ? '-' : `${value.toFixed(2)} ms`;
+    const item = (label, value) => `
+        <div class="shortcut-item">
+            <span class="shortcut-desc">${label}</span>
+            <span class="shortcut-key">${value}</span>
+        </div>`;
+    
+    let content;
+    if (!stats.clock || stats.clock.ticks === 0) {
+        content = '<p>Play the song to collect timing statistics.</p>';
+    } else {
+        content = `<div class="shortcuts-container">
+    <div class="shortcut-section">
+        <h3>Scheduler Clock</h3>${item('Source', stats.clock.source || 'Stopped')}${item('Ticks', stats.clock.ticks)}${
+            item('Interval', ms(stats.clock.intervalMs))}${item('Mean jitter', ms(stats.clock.meanJitterMs))}${
+            item('Max jitter', ms(stats.clock.maxJitterMs))}${item('Longest gap', ms(stats.clock.maxGapMs))}
+    </div>
+    <div class="shortcut-section">
+        <h3>Scheduling Lead</h3>${item('Batches', stats.batches)}${item('Minimum lead', ms(stats.minLeadMs))}${
+            item('Mean lead', ms(stats.meanLeadMs))}${item('Late notes skipped', stats.skippedNotes)}${
+            item('Output latency', ms(stats.outputLatencyMs))}
+    </div>
+</div>
+<p>Lead is how far ahead of the audio clock notes are scheduled; below zero the scheduler fell behind.</p>`;
+    }
+    
+    modalManager.show('infoModal', {
+        title: 'Playback Timing',
+        content
+    });
+}
+
 /**
  * Show about dialog
  */
@@ -704,9 +1855,145 @@ function downloadSong(filename) {
     document.body.removeChild(a);
     
     URL.revokeObjectURL(url);
+    addToLibrary('o38', filename, jsonData);
     modalManager.notify('Song saved', 'info');
 }
 
+/**
+ * Export song as an Org Maker file and report anything that was lost
+ */
+function handleExportOrg() {
+    let result;
+    try {
+        result = pianoRoll.exportToOrg();
+    } catch (error) {
+        modalManager.notify(`Failed to export ORG file: ${error.message}`, 'error');
+        return;
+    }
+    
+    downloadFile(result.buffer, `${getExportBaseName()}.org`, 'application/octet-stream');
+    showExportWarnings('ORG', result.warnings);
+}
+
+/**
+ * Export song as a Standard MIDI File and report anything that was approximated
+ */
+function handleExportMidi() {
+    let result;
+    try {
+        result = pianoRoll.exportToMidi();
+    } catch (error) {
+        modalManager.notify(`Failed to export MIDI file: ${error.message}`, 'error');
+        return;
+    }
+    
+    downloadFile(result.buffer, `${getExportBaseName()}.mid`, 'audio/midi');
+    showExportWarnings('MIDI', result.warnings);
+}
+
+/**
+ * Show export warnings, or a short confirmation when there are none
+ */
+function showExportWarnings(format, warnings) {
+    if (warnings.length > 0) {
+        const items = warnings.map(warning => `<li>${warning}</li>`).join('');
+        modalManager.show('infoModal', {
+            title: `${format} Export`,
+            content: `<p>The song was exported, but some data could not be represented in the ${format} format:</p><ul>${items}</ul>`
+        });
+    } else {
+        modalManager.notify(`${format} file exported`, 'info');
+    }
+}
+
+/**
+ * File name for exports, derived from the current song name
+ */
+function getExportBaseName() {
+    return (currentFilename || 'song').replace(/\.o38\.json$|\.json$/i, '');
+}
+
+/**
+ * Trigger a browser download for binary data
+ */
+function downloadFile(data, filename, type) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show export options and render the song to a WAV file
+ */
+function handleExportAudio() {
+    const modal = document.getElementById('exportAudioModal');
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const loopCountInput = document.getElementById('exportLoopCount');
+    
+    // Loop count only matters when the loop is enabled
+    loopCountInput.disabled = !pianoRoll.loopEnabled;
+    
+    const handleConfirm = () => {
+        const options = {
+            sampleRate: parseInt(document.getElementById('exportSampleRate').value),
+            bitDepth: parseInt(document.getElementById('exportBitDepth').value),
+            loopCount: Math.max(1, parseInt(loopCountInput.value) || 1),
+            tailSeconds: Math.max(0, parseFloat(document.getElementById('exportTail').value) || 0)
+        };
+        modalManager.close('exportAudioModal');
+        renderAndDownloadAudio(options);
+    };
+    
+    const handleCancel = () => modalManager.close('exportAudioModal');
+    
+    // Closing by any route (buttons, Escape, clicking outside) removes the listeners
+    const cleanup = () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+    };
+    
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    
+    modalManager.show('exportAudioModal').then(cleanup);
+}
+
+/**
+ * Render the song offline and download it as WAV
+ */
+async function renderAndDownloadAudio(options) {
+    const progress = modalManager.progress('Export Audio', 'Rendering...');
+    
+    try {
+        const audioBuffer = await pianoRoll.renderAudio({
+            sampleRate: options.sampleRate,
+            loopCount: options.loopCount,
+            tailSeconds: options.tailSeconds,
+            onProgress: (fraction) => progress.update(fraction * 0.9)
+        });
+        
+        progress.update(0.9, 'Encoding WAV...');
+        const wavData = WavWriter.encode(audioBuffer, options.bitDepth);
+        progress.update(1, 'Done');
+        
+        downloadFile(wavData, `${getExportBaseName()}.wav`, 'audio/wav');
+        progress.close();
+        modalManager.notify('Audio exported', 'info');
+    } catch (error) {
+        progress.close();
+        modalManager.notify(`Failed to export audio: ${error.message}`, 'error');
+    }
+}
+
 /**
  * Open file dialog to load song
  */
@@ -720,10 +2007,7 @@ function handleOpen() {
         if (!file) return;
         
         try {
-            const text = await file.text();
-            pianoRoll.importFromJSON(text);
-            currentFilename = file.name;
-            updatePageTitle();
+            openSongJson(await file.text(), file.name);
             modalManager.notify('Song loaded successfully', 'info');
         } catch (error) {
             modalManager.notify('Failed to load song: ' + error.message, 'error');
@@ -745,13 +2029,8 @@ async function loadOrgFromPath(path) {
         });
         if (!response.ok) throw new Error('File not found');
         
-        const buffer = await response.arrayBuffer();
-        await pianoRoll.loadOrgFile(buffer);
-        
         const filename = path.split('/').pop();
-        // Convert to .o38.json extension for saving
-        currentFilename = filename.replace(/\.org$/i, '.o38.json');
-        updatePageTitle();
+        await openOrgBuffer(await response.arrayBuffer(), filename);
         modalManager.notify(`Loaded: ${filename}`, 'info');
     } catch (error) {
         modalManager.notify(`Failed to load file: ${error.message}`, 'error');
@@ -770,13 +2049,8 @@ async function loadMidiFromPath(path) {
         });
         if (!response.ok) throw new Error('File not found');
         
-        const buffer = await response.arrayBuffer();
-        await pianoRoll.loadMidiFile(buffer);
-        
         const filename = path.split('/').pop();
-        // Convert to .o38.json extension for saving
-        currentFilename = filename.replace(/\.(mid|midi)$/i, '.o38.json');
-        updatePageTitle();
+        await openMidiBuffer(await response.arrayBuffer(), filename);
         modalManager.notify(`Loaded: ${filename}`, 'info');
     } catch (error) {
         modalManager.notify(`Failed to load MIDI file: ${error.message}`, 'error');
@@ -785,8 +2059,13 @@ async function loadMidiFromPath(path) {
 
 /**
  * Show song directory
+ * index.json lists file names, or { file, title } objects for songs whose
+ * title cannot be derived from the file name.
+ * @param {string} basePath - Directory containing index.json
+ * @param {boolean} isMidi - Whether the directory holds MIDI files
+ * @param {string} title - Modal title
  */
-async function showSongDirectory(basePath, isMidi = false) {
+async function showSongDirectory(basePath, isMidi = false, title = 'Select a Song') {
     try {
         // Add cache-busting query parameter
         const cacheBuster = `?t=${Date.now()}`;
@@ -799,25 +2078,18 @@ async function showSongDirectory(basePath, isMidi = false) {
         const songList = document.getElementById('songList');
         songList.innerHTML = '';
         
-        songs.forEach(song => {
+        songs.forEach(entry => {
+            const song = typeof entry === 'string' ? entry : entry.file;
             const li = document.createElement('li');
             li.className = 'song-item';
-            
             // Format display name
-            let displayName = song;
-            if (isMidi) {
-                // Format MIDI filenames for better display
-                if (song === 'scarborough1.mid') {
-                    displayName = 'Scarborough Fair';
-                } else if (song === 'jesu-joy.mid') {
-                    displayName = 'Jesu, Joy of Man\'s Desiring';
-                } else {
-                    displayName = song.replace('.mid', '')
-                        .replace(/_/g, ' ')
-                        .replace(/\b\w/g, l => l.toUpperCase());
+            let displayName = typeof entry === 'object' ? entry.title : null;
+            if (!displayName) {
+                displayName = getSongTitle(song);
+                if (isMidi) {
+                    // MIDI file names are usually lowercase_with_underscores
+                    displayName = displayName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
                 }
-            } else {
-                displayName = song.replace('.org', '');
             }
             
             li.textContent = displayName;
@@ -832,18 +2104,9 @@ async function showSongDirectory(basePath, isMidi = false) {
             songList.appendChild(li);
         });
         
-        // Update modal title based on directory
         const modalTitle = document.querySelector('#songModal h2');
         if (modalTitle) {
-            if (isMidi) {
-                modalTitle.textContent = 'Classical Music';
-            } else if (basePath.includes('keroblaster')) {
-                modalTitle.textContent = 'Kero Blaster Songs';
-            } else if (basePath.includes('allbeta')) {
-                modalTitle.textContent = 'Cave Story Beta Songs';
-            } else {
-                modalTitle.textContent = 'Cave Story Songs';
-            }
+            modalTitle.textContent = title;
         }
         
         // Show modal
@@ -853,6 +2116,198 @@ async function showSongDirectory(basePath, isMidi = false) {
     }
 }
 
+/**
+ * Derive a display title from a song file name
+ */
+function getSongTitle(filename) {
+    return filename.replace(/\.(o38\.json|json|org|mid|midi)$/i, '');
+}
+
+/**
+ * Open an ORG file in the editor
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} filename - Original file name
+ * @param {boolean} remember - Whether to add the file to the song library
+ */
+async function openOrgBuffer(buffer, filename, remember = true) {
+    await pianoRoll.loadOrgFile(buffer);
+    // Convert to .o38.json extension for saving
+    currentFilename = filename.replace(/\.org$/i, '.o38.json');
+    updatePageTitle();
+    if (remember) {
+        addToLibrary('org', filename, buffer);
+    }
+}
+
+/**
+ * Open a MIDI file in the editor
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} filename - Original file name
+ * @param {boolean} remember - Whether to add the file to the song library
+ */
+async function openMidiBuffer(buffer, filename, remember = true) {
+    await pianoRoll.loadMidiFile(buffer);
+    // Convert to .o38.json extension for saving
+    currentFilename = filename.replace(/\.(mid|midi)$/i, '.o38.json');
+    updatePageTitle();
+    if (remember) {
+        addToLibrary('mid', filename, buffer);
+    }
+}
+
+/**
+ * Open an o38 song in the editor
+ * @param {string} text - Song JSON
+ * @param {string} filename - Original file name
+ * @param {boolean} remember - Whether to add the file to the song library
+ */
+function openSongJson(text, filename, remember = true) {
+    pianoRoll.importFromJSON(text);
+    currentFilename = filename;
+    updatePageTitle();
+    if (remember) {
+        addToLibrary('o38', filename, text);
+    }
+}
+
+/**
+ * Store the song that is now loaded in the library, with metadata read from the editor
+ */
+function addToLibrary(format, filename, data) {
+    if (!songStore) return;
+    
+    const instruments = new Set(pianoRoll.noteManager.notes.map(note => note.instrument));
+    songStore.saveLibraryEntry({
+        format,
+        filename,
+        title: getSongTitle(filename),
+        data,
+        tempo: pianoRoll.currentBPM,
+        measures: pianoRoll.getSongMeasureCount(),
+        instruments: Array.from(instruments).sort()
+    }).catch(error => console.warn('Could not add the song to the library:', error));
+}
+
+/**
+ * Show the song library: search, sort and reopen songs stored in this browser
+ */
+async function showLibrary() {
+    if (!songStore) {
+        modalManager.notify('The song library is not available: this browser does not support IndexedDB', 'error');
+        return;
+    }
+    
+    const searchInput = document.getElementById('librarySearch');
+    const sortSelect = document.getElementById('librarySort');
+    const list = document.getElementById('libraryList');
+    const formatNames = { o38: 'O38', org: 'ORG', mid: 'MIDI' };
+    let entries = [];
+    
+    const sorters = {
+        modified: (a, b) => b.modifiedAt - a.modifiedAt,
+        title: (a, b) => a.title.localeCompare(b.title),
+        tempo: (a, b) => a.tempo - b.tempo,
+        length: (a, b) => a.measures - b.measures,
+        format: (a, b) => a.format.localeCompare(b.format) || a.title.localeCompare(b.title)
+    };
+    
+    const reopen = async (entry) => {
+        const record = await songStore.loadLibraryEntry(entry.key);
+        if (!record) return;
+        
+        modalManager.close('libraryModal');
+        try {
+            if (record.format === 'org') {
+                await openOrgBuffer(record.data, record.filename, false);
+            } else if (record.format === 'mid') {
+                await openMidiBuffer(record.data, record.filename, false);
+            } else {
+                openSongJson(record.data, record.filename, false);
+            }
+            modalManager.notify(`Loaded: ${record.filename}`, 'info');
+        } catch (error) {
+            modalManager.notify(`Failed to load file: ${error.message}`, 'error');
+        }
+    };
+    
+    const renderList = () => {
+        const query = searchInput.value.trim().toLowerCase();
+        const visible = entries
+            .filter(entry => !query || [entry.title, entry.filename, formatNames[entry.format], ...entry.instruments]
+                .some(text => text.toLowerCase().includes(query)))
+            .sort(sorters[sortSelect.value]);
+        
+        list.innerHTML = '';
+        if (visible.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = entries.length === 0 ? 'Songs you open or save will appear here' : 'No matching songs';
+            list.appendChild(empty);
+            return;
+        }
+        
+        visible.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'song-item library-item';
+            li.title = entry.filename;
+            
+            const title = document.createElement('div');
+            title.className = 'library-title';
+            title.textContent = entry.title;
+            const format = document.createElement('span');
+            format.className = 'library-format';
+            format.textContent = formatNames[entry.format];
+            title.prepend(format);
+            
+            const instrumentNames = entry.instruments.map(name => name.replace(/^ORG_/, ''));
+            const details = document.createElement('div');
+            details.className = 'library-details';
+            details.textContent = `${Math.round(entry.tempo)} BPM - ${entry.measures} measures - ` +
+                `${instrumentNames.length} instrument${instrumentNames.length === 1 ? '' : 's'}` +
+                (instrumentNames.length > 0 ? ` (${instrumentNames.slice(0, 6).join(', ')}${instrumentNames.length > 6 ? ', ...' : ''})` : '') +
+                ` - ${new Date(entry.modifiedAt).toLocaleString()}`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'library-remove';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await songStore.deleteLibraryEntry(entry.key);
+                entries = entries.filter(other => other.key !== entry.key);
+                renderList();
+            });
+            
+            const info = document.createElement('div');
+            info.className = 'library-info';
+            info.append(title, details);
+            li.append(info, removeBtn);
+            li.addEventListener('click', () => reopen(entry));
+            list.appendChild(li);
+        });
+    };
+    
+    try {
+        entries = await songStore.listLibrary();
+    } catch (error) {
+        modalManager.notify(`Could not read the song library: ${error.message}`, 'error');
+        return;
+    }
+    
+    // Closing by any route (close button, Escape, clicking outside, opening a song) removes the listeners
+    const cleanup = () => {
+        searchInput.removeEventListener('input', renderList);
+        sortSelect.removeEventListener('change', renderList);
+    };
+    
+    searchInput.addEventListener('input', renderList);
+    sortSelect.addEventListener('change', renderList);
+    
+    searchInput.value = '';
+    renderList();
+    modalManager.show('libraryModal').then(cleanup);
+    searchInput.focus();
+}
+
 // Register keyboard shortcuts
 document.addEventListener('keydown', (e) => {
     // Skip if typing in an input field or textarea
@@ -0,0 +1,151 @@
+/**
+ * Benchmark of note lookups on a large synthetic song, scanning the note list vs using the note index
+ * Run from the repository root: node tools/benchmark-notes.mjs [noteCount]
+ */
+
+import { NoteManager } from '../js/NoteManager.js';
+import { NoteIndex } from '../js/NoteIndex.js';
+import { GRID_WIDTH, BEATS_PER_MEASURE, GRID_SUBDIVISIONS, PIANO_KEY_WIDTH, NOTE_HEIGHT, TOTAL_KEYS } from '../js/constants.js';
+
+const NOTE_COUNT = Number(process.argv[2]) || 50000;
+const NOTES_PER_MEASURE = 48; // Busy song: a dozen tracks playing sixteenths
+const MEASURE_WIDTH = GRID_WIDTH * BEATS_PER_MEASURE;
+const STEP_WIDTH = GRID_WIDTH / GRID_SUBDIVISIONS;
+const VIEW_MEASURES = 6; // Measures on screen at the default zoom
+const ITERATIONS = 500;
+
+// Deterministic random numbers so runs compare
+let seed = 38;
+const random = () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 0x100000000;
+};
+const randomInt = (max) => Math.floor(random() * max);
+
+/**
+ * Notes spread over the song, mostly short with the odd long held note
+ */
+function createSong(count) {
+    const measures = Math.ceil(count / NOTES_PER_MEASURE);
+    const notes = [];
+    for (let i = 0; i < count; i++) {
+        const key = randomInt(TOTAL_KEYS);
+        const steps = random() < 0.02 ? 16 + randomInt(64) : 1 + randomInt(8);
+        notes.push({
+            x: PIANO_KEY_WIDTH + randomInt(measures * BEATS_PER_MEASURE * GRID_SUBDIVISIONS) * STEP_WIDTH,
+            y: (TOTAL_KEYS - 1 - key) * NOTE_HEIGHT,
+            width: steps * STEP_WIDTH,
+            height: NOTE_HEIGHT,
+            key,
+            instrument: 'ORG_M00'
+        });
+    }
+    return { notes, measures };
+}
+
+// The lookups as they were before the index, scanning every note
+const scan = {
+    visible(notes, startMeasure, endMeasure) {
+        const startX = PIANO_KEY_WIDTH + startMeasure * MEASURE_WIDTH;
+        const endX = PIANO_KEY_WIDTH + (endMeasure + 1) * MEASURE_WIDTH;
+        return notes.filter(note => note.x <= endX && note.x + note.width >= startX);
+    },
+
+    noteAt(notes, x, y) {
+        for (let i = notes.length - 1; i >= 0; i--) {
+            const note = notes[i];
+            if (x >= note.x && x <= note.x + note.width && y >= note.y && y <= note.y + note.height) {
+                return note;
+            }
+        }
+        return null;
+    },
+
+    region(notes, bounds) {
+        return notes.filter(note => note.x < bounds.x2 && note.x + note.width > bounds.x1 &&
+            note.y < bounds.y2 && note.y + note.height > bounds.y1);
+    },
+
+    measure(notes, measure) {
+        const startX = PIANO_KEY_WIDTH + measure * MEASURE_WIDTH;
+        const endX = startX + MEASURE_WIDTH;
+        return notes.filter(note => note.x < endX && note.x + note.width > startX);
+    }
+};
+
+/**
+ * Run a lookup repeatedly
+ * @returns {Object} { ms: per call, checksum: total results, to compare the two ways }
+ */
+function time(iterations, run) {
+    let checksum = 0;
+    const start = performance.now();
+    for (let i = 0; i < iterations; i++) {
+        const result = run(i);
+        checksum += Array.isArray(result) ? result.length : (result ? 1 : 0);
+    }
+    return { ms: (performance.now() - start) / iterations, checksum };
+}
+
+function compare(name, iterations, makeArgs, linear, indexed) {
+    const args = Array.from({ length: iterations }, makeArgs);
+    const before = time(iterations, i => linear(...args[i]));
+    const after = time(iterations, i => indexed(...args[i]));
+    const check = before.checksum === after.checksum ? 'same results' : `MISMATCH ${before.checksum} vs ${after.checksum}`;
+    console.log(`${name.padEnd(24)}${before.ms.toFixed(4).padStart(10)} ms${after.ms.toFixed(4).padStart(10)} ms` +
+        `${(before.ms / after.ms).toFixed(1).padStart(8)}x   ${check}`);
+}
+
+const { notes, measures } = createSong(NOTE_COUNT);
+const songWidth = measures * MEASURE_WIDTH;
+const songHeight = TOTAL_KEYS * NOTE_HEIGHT;
+
+let start = performance.now();
+const manager = new NoteManager();
+notes.forEach(note => manager.createNote(note));
+console.log(`${NOTE_COUNT} notes over ${measures} measures, added one by one in ${(performance.now() - start).toFixed(1)} ms`);
+
+start = performance.now();
+const playbackIndex = new NoteIndex(manager.notes);
+console.log(`Index built in one go in ${(performance.now() - start).toFixed(1)} ms\n`);
+
+console.log(`${'Lookup'.padEnd(24)}${'Scan'.padStart(13)}${'Index'.padStart(13)}${'Speedup'.padStart(9)}`);
+
+compare('Visible measures', ITERATIONS,
+    () => {
+        const first = randomInt(measures);
+        return [first, first + VIEW_MEASURES];
+    },
+    (first, last) => scan.visible(manager.notes, first, last),
+    (first, last) => manager.getNotesInMeasures(first, last));
+
+compare('Note under the mouse', ITERATIONS * 4,
+    () => [PIANO_KEY_WIDTH + random() * songWidth, random() * songHeight],
+    (x, y) => scan.noteAt(manager.notes, x, y),
+    (x, y) => manager.getNoteAt(x, y));
+
+compare('Selection box', ITERATIONS,
+    () => {
+        const x1 = PIANO_KEY_WIDTH + random() * songWidth;
+        const y1 = random() * songHeight;
+        return [{ x1, y1, x2: x1 + MEASURE_WIDTH * 2, y2: y1 + NOTE_HEIGHT * 40 }];
+    },
+    bounds => scan.region(manager.notes, bounds),
+    bounds => manager.getNotesInRegion(bounds));
+
+compare('Playback measure', ITERATIONS,
+    () => [randomInt(measures)],
+    measure => scan.measure(manager.notes, measure),
+    measure => {
+        const startX = PIANO_KEY_WIDTH + measure * MEASURE_WIDTH;
+        const endX = startX + MEASURE_WIDTH;
+        return playbackIndex.query(startX, endX).filter(note => note.x < endX && note.x + note.width > startX);
+    });
+
+// Dragging a note re-buckets it on every mouse move
+const dragged = manager.notes[randomInt(NOTE_COUNT)];
+const drag = time(ITERATIONS * 20, i => {
+    dragged.x = PIANO_KEY_WIDTH + (i % (measures * 4)) * GRID_WIDTH;
+    manager.reindexNote(dragged);
+});
+console.log(`\nDrag update${drag.ms.toFixed(4).padStart(23)} ms per mouse move`);
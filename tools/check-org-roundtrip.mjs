@@ -0,0 +1,77 @@
+/**
+ * Check that ORG files survive import and export unchanged
+ * Each song is parsed, converted to notes, exported again and compared byte for byte.
+ * Run from the repository root: node tools/check-org-roundtrip.mjs [file or folder ...] (default: songs)
+ * Exits with 1 when any song comes back different.
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import { OrgParser } from '../js/OrgParser.js';
+
+const EVENT_FIELDS = ['position', 'key', 'length', 'volume', 'pan'];
+
+function findOrgFiles(path) {
+    if (!statSync(path).isDirectory()) return [path];
+    return readdirSync(path).sort().flatMap(name => {
+        const child = join(path, name);
+        return statSync(child).isDirectory() || name.toLowerCase().endsWith('.org') ? findOrgFiles(child) : [];
+    });
+}
+
+/**
+ * Parse, convert and export a song the way the editor does
+ * @returns {Object} { buffer: exported ArrayBuffer, warnings: Array<string> }
+ */
+function roundTrip(orgData) {
+    const converted = OrgParser.convertToNotes(orgData);
+    const { header } = orgData;
+    return OrgParser.createOrgFile(converted.notes, {
+        wait: header.wait,
+        stepsPerBar: header.stepsPerBar,
+        beatsPerStep: header.beatsPerStep,
+        loopStart: header.loopStart,
+        loopEnd: header.loopEnd,
+        trackInfo: converted.trackInfo
+    });
+}
+
+/**
+ * First few event differences between two parsed songs, per track
+ */
+function describeDifferences(before, after) {
+    const differences = [];
+    before.tracks.forEach((track, trackIndex) => {
+        const events = after.tracks[trackIndex].notes;
+        if (track.notes.length !== events.length) {
+            differences.push(`track ${trackIndex}: ${track.notes.length} events became ${events.length}`);
+            return;
+        }
+        track.notes.forEach((event, eventIndex) => {
+            EVENT_FIELDS.filter(field => event[field] !== events[eventIndex][field]).forEach(field => {
+                differences.push(`track ${trackIndex} event ${eventIndex}: ${field} ${event[field]} became ${events[eventIndex][field]}`);
+            });
+        });
+    });
+    return differences.slice(0, 5);
+}
+
+const files = (process.argv.length > 2 ? process.argv.slice(2) : ['songs']).flatMap(findOrgFiles);
+let failures = 0;
+
+for (const file of files) {
+    const bytes = readFileSync(file);
+    const original = OrgParser.parse(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+    const { buffer, warnings } = roundTrip(original);
+    const exported = new Uint8Array(buffer);
+
+    if (exported.length === bytes.length && exported.every((byte, i) => byte === bytes[i])) continue;
+
+    failures++;
+    console.log(`FAIL ${file}`);
+    warnings.forEach(warning => console.log(`    warning: ${warning}`));
+    describeDifferences(original, OrgParser.parse(buffer)).forEach(difference => console.log(`    ${difference}`));
+}
+
+console.log(`${files.length - failures} of ${files.length} songs round-trip unchanged`);
+process.exitCode = failures > 0 ? 1 : 0;
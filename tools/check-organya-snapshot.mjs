@@ -0,0 +1,161 @@
+/**
+ * Regression snapshot of Organya-accurate playback on the bundled Studio Pixel songs
+ * Each song is played through OrganyaPlayer tick by tick on a recording audio context, through the
+ * loop and back once, and what it schedules (buffer starts and stops, playback rates, volume and
+ * pan steps) is compared with tools/fixtures/organya-snapshot.json. None of the songs use pipi,
+ * so each is also played with pipi on for its melodic tracks.
+ * The snapshot was recorded from OrganyaPlayer itself, not from the original Organya player, so this
+ * catches changes in what the player schedules; it does not show that the player matches the original.
+ * Run from the repository root:
+ *     node tools/check-organya-snapshot.mjs            Check every song
+ *     node tools/check-organya-snapshot.mjs --update   Record the snapshot again after an intended change
+ *     node tools/check-organya-snapshot.mjs --print <song> [--pipi]   Print one song's schedule
+ * Exits with 1 when any song schedules differently.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, statSync } from 'fs';
+import { join, relative } from 'path';
+import { createHash } from 'crypto';
+import { OrgParser } from '../js/OrgParser.js';
+import { OrganyaPlayer } from '../js/OrganyaPlayer.js';
+import { AudioEngine } from '../js/AudioEngine.js';
+import { RecordingContext, serveRepositoryFiles } from './recording-context.mjs';
+
+const SONGS_DIR = 'songs/Pixel';
+const SNAPSHOT_FILE = 'tools/fixtures/organya-snapshot.json';
+const LOOP_COUNT = 2; // Play the loop twice so the jump back is covered
+
+serveRepositoryFiles();
+
+/**
+ * Play a song through OrganyaPlayer and describe what it scheduled, one line per action
+ * @param {string} file - ORG file
+ * @param {AudioEngine} wavetableEngine - Engine with the wavetable loaded
+ * @param {boolean} pipi - Turn pipi on for the melodic tracks
+ * @returns {Object} { ticks, lines: Array<string> }
+ */
+async function recordSchedule(file, wavetableEngine, pipi = false) {
+    const bytes = readFileSync(file);
+    const orgData = OrgParser.parse(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+    if (pipi) {
+        orgData.instruments.slice(0, 8).forEach(instrument => {
+            instrument.pipi = 1;
+        });
+    }
+
+    const context = new RecordingContext();
+    const audioEngine = new AudioEngine(context);
+    audioEngine.useWavetableFrom(wavetableEngine);
+
+    const player = new OrganyaPlayer(audioEngine, orgData);
+    await player.load();
+    context.log = [];
+
+    const ticks = OrganyaPlayer.getRenderTicks(orgData, true, LOOP_COUNT);
+    for (let tick = 0; tick < ticks; tick++) {
+        player.playTick(tick * player.tickDuration);
+    }
+    player.releaseAll(ticks * player.tickDuration);
+
+    // Name the player's nodes by track and buffer: T<track>:<buffer>
+    const labels = new Map();
+    player.tracks.forEach(track => track.buffers.forEach((output, index) => {
+        const label = `T${track.index}:${index}`;
+        labels.set(output.gain, { label, param: 'volume' });
+        labels.set(output.left, { label, param: 'left' });
+        labels.set(output.right, { label, param: 'right' });
+    }));
+
+    const number = value => Number(value.toFixed(6)).toString();
+    const lines = [];
+    context.log.forEach(({ node, action, value, time }) => {
+        if (action === 'start' || action === 'stop') {
+            // Sources connect straight to their buffer's gain
+            const output = labels.get(node.connections[0]);
+            if (!output) return;
+            const details = action === 'start'
+                ? ` rate ${number(node.playbackRate.value)} length ${node.buffer.length}${node.loop ? ' loop' : ''}`
+                : '';
+            lines.push(`${number(time)} ${output.label} ${action}${details}`);
+        } else {
+            const param = labels.get(node);
+            if (!param) return;
+            lines.push(`${number(time)} ${param.label} ${param.param} ${number(value)}`);
+        }
+    });
+
+    return { ticks, lines };
+}
+
+/**
+ * Snapshot of a schedule: counts to show what changed, and a hash of every line
+ */
+function summarize({ ticks, lines }) {
+    const count = pattern => lines.filter(line => pattern.test(line)).length;
+    return {
+        ticks,
+        starts: count(/ start /),
+        stops: count(/ stop$/),
+        volumeSteps: count(/ volume /),
+        panSteps: count(/ left /),
+        hash: createHash('sha256').update(lines.join('\n')).digest('hex').slice(0, 16)
+    };
+}
+
+function findOrgFiles(path) {
+    return readdirSync(path).sort().flatMap(name => {
+        const child = join(path, name);
+        if (statSync(child).isDirectory()) return findOrgFiles(child);
+        return name.toLowerCase().endsWith('.org') ? [child] : [];
+    });
+}
+
+const args = process.argv.slice(2);
+const update = args.includes('--update');
+const printIndex = args.indexOf('--print');
+
+const wavetableEngine = new AudioEngine(new RecordingContext());
+if (!await wavetableEngine.loadWavetable()) {
+    console.error('Could not load wavetable.bin; run from the repository root');
+    process.exit(1);
+}
+
+if (printIndex !== -1) {
+    const { lines } = await recordSchedule(args[printIndex + 1], wavetableEngine, args.includes('--pipi'));
+    lines.forEach(line => console.log(line));
+    process.exit(0);
+}
+
+const expected = update ? {} : JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8'));
+const actual = {};
+let failures = 0;
+
+for (const file of findOrgFiles(SONGS_DIR)) {
+    for (const pipi of [false, true]) {
+        const name = relative(SONGS_DIR, file) + (pipi ? ' (pipi)' : '');
+        actual[name] = summarize(await recordSchedule(file, wavetableEngine, pipi));
+        if (update) continue;
+
+        const want = expected[name];
+        if (!want) {
+            failures++;
+            console.log(`FAIL ${name}: not in the snapshot (run with --update to add it)`);
+        } else if (want.hash !== actual[name].hash) {
+            failures++;
+            const changes = Object.keys(want).filter(key => key !== 'hash' && want[key] !== actual[name][key])
+                .map(key => `${key} ${want[key]} -> ${actual[name][key]}`);
+            console.log(`FAIL ${name}: schedule changed${changes.length > 0 ? ` (${changes.join(', ')})` : ''}`);
+        }
+    }
+}
+
+if (update) {
+    writeFileSync(SNAPSHOT_FILE, JSON.stringify(actual, null, 2) + '\n');
+    console.log(`Wrote ${Object.keys(actual).length} schedules to ${SNAPSHOT_FILE}`);
+} else {
+    const missing = Object.keys(expected).filter(name => !actual[name]);
+    missing.forEach(name => console.log(`FAIL ${name}: song is missing`));
+    const total = Object.keys(actual).length;
+    console.log(`${total - failures} of ${total} schedules match the snapshot`);
+    process.exitCode = failures + missing.length > 0 ? 1 : 0;
+}
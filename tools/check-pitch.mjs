@@ -0,0 +1,65 @@
+/**
+ * Check that every 38-EDO key plays at its exact pitch
+ * Each key is played on the first built-in wave through AudioEngine.playNote, and the frequency the
+ * scheduled buffer sounds at (playback rate × sample rate / wave period) is compared with the ideal
+ * TUNING_BASE_FREQUENCY × 2^((key - 152) / 38), i.e. the keys step by exactly 2^(1/38).
+ * Run from the repository root: node tools/check-pitch.mjs [toleranceCents] (default 0.1)
+ * Exits with 1 when any key is further off than the tolerance.
+ */
+
+import { AudioEngine } from '../js/AudioEngine.js';
+import { NOTES_PER_OCTAVE, NUM_OCTAVES, TUNING_BASE_FREQUENCY } from '../js/constants.js';
+import { RecordingContext, serveRepositoryFiles } from './recording-context.mjs';
+
+const SAMPLE_RATES = [44100, 48000]; // The rate depends on the context's sample rate
+const REFERENCE_KEY = 4 * NOTES_PER_OCTAVE; // Key that plays at TUNING_BASE_FREQUENCY
+const KEY_COUNT = NUM_OCTAVES * NOTES_PER_OCTAVE;
+const WAVE = 'ORG_M00';
+
+const tolerance = Number(process.argv[2]) || 0.1;
+
+serveRepositoryFiles();
+
+/**
+ * Frequency a key's note is scheduled to sound at
+ */
+async function getPlayedFrequency(engine, key) {
+    const context = engine.audioContext;
+    context.log = [];
+    await engine.playNote(key, 100, WAVE);
+    engine.stopNote(key);
+
+    const start = context.log.find(entry => entry.action === 'start');
+    const source = start.node;
+    return source.playbackRate.value * context.sampleRate / source.buffer.length;
+}
+
+let failures = 0;
+
+for (const sampleRate of SAMPLE_RATES) {
+    const engine = new AudioEngine(new RecordingContext(sampleRate));
+    if (!await engine.loadWavetable()) {
+        console.error('Could not load wavetable.bin; run from the repository root');
+        process.exit(1);
+    }
+
+    let maxError = 0;
+    const badKeys = [];
+    for (let key = 0; key < KEY_COUNT; key++) {
+        const expected = TUNING_BASE_FREQUENCY * Math.pow(2, (key - REFERENCE_KEY) / NOTES_PER_OCTAVE);
+        const actual = await getPlayedFrequency(engine, key);
+        const cents = 1200 * Math.log2(actual / expected);
+
+        maxError = Math.max(maxError, Math.abs(cents));
+        if (!(Math.abs(cents) <= tolerance)) {
+            badKeys.push(`    key ${key}: ${actual.toFixed(4)} Hz, expected ${expected.toFixed(4)} Hz (${cents.toFixed(4)} cents)`);
+        }
+    }
+
+    console.log(`${sampleRate} Hz: ${KEY_COUNT - badKeys.length} of ${KEY_COUNT} keys within ${tolerance} cents ` +
+        `(largest error ${maxError.toFixed(6)} cents)`);
+    badKeys.forEach(line => console.log(line));
+    failures += badKeys.length;
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,116 @@
+/**
+ * Stand-in for a Web Audio context, so the engine's scheduling can be checked under node
+ * Nodes render nothing; starts, stops and scheduled parameter values are kept in the context's log.
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * Answer the engine's fetches (e.g. of wavetable.bin) with files from the repository
+ * Run the tools from the repository root so the page-relative paths resolve.
+ */
+export function serveRepositoryFiles() {
+    globalThis.fetch = async (path) => {
+        const data = readFileSync(path);
+        return { arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.length) };
+    };
+}
+
+/**
+ * Automation parameter that records its scheduled values
+ */
+class RecordingParam {
+    constructor(context, node, name) {
+        this.context = context;
+        this.node = node;
+        this.name = name;
+        this.value = 1;
+    }
+
+    setValueAtTime(value, time) {
+        this.value = value;
+        this.context.record(this.node, this.name, value, time);
+    }
+
+    linearRampToValueAtTime(value) {
+        this.value = value;
+    }
+
+    exponentialRampToValueAtTime(value) {
+        this.value = value;
+    }
+
+    setTargetAtTime(value) {
+        this.value = value;
+    }
+
+    cancelScheduledValues() {}
+}
+
+/**
+ * The parts of an AudioContext the engine and player use; nodes render nothing and
+ * remember what was scheduled on them
+ */
+export class RecordingContext {
+    /**
+     * @param {number} sampleRate - Sample rate the engine sees
+     */
+    constructor(sampleRate = 44100) {
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.destination = this.createNode();
+        this.log = [];
+    }
+
+    record(node, action, value, time) {
+        this.log.push({ node, action, value, time });
+    }
+
+    createNode() {
+        const context = this;
+        const node = {
+            connections: [],
+            connect(destination) {
+                node.connections.push(destination);
+                return destination;
+            },
+            disconnect() {},
+            start(time = 0) {
+                context.record(proxy, 'start', null, time);
+            },
+            stop(time = 0) {
+                context.record(proxy, 'stop', null, time);
+            }
+        };
+
+        // Any other property read is an AudioParam, e.g. gain, playbackRate or frequency
+        const proxy = new Proxy(node, {
+            get(target, property) {
+                if (!(property in target) && typeof property === 'string') {
+                    target[property] = new RecordingParam(context, proxy, property);
+                }
+                return target[property];
+            }
+        });
+        return proxy;
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return {
+            length,
+            sampleRate,
+            numberOfChannels: channels,
+            duration: length / sampleRate,
+            getChannelData: channel => data[channel]
+        };
+    }
+}
+
+// Every node type is a recording node
+['Gain', 'StereoPanner', 'ChannelMerger', 'BufferSource', 'BiquadFilter', 'Convolver', 'Delay',
+    'DynamicsCompressor', 'Analyser', 'WaveShaper', 'Oscillator'].forEach(type => {
+    RecordingContext.prototype[`create${type}`] = function() {
+        return this.createNode();
+    };
+});